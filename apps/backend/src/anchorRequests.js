@@ -0,0 +1,207 @@
+import { v4 as uuidv4 } from 'uuid';
+import { TopicMessageSubmitTransaction, TransactionId, Hbar } from '@hashgraph/sdk';
+import { config } from '../../../packages/config/env/config.js';
+import { findSubmitTransaction, findMessageByTransaction } from './verification.js';
+
+// A wallet signs exactly one transaction, so user-paid messages must fit one HCS chunk
+const MAX_MESSAGE_BYTES = 1024;
+const CONFIRM_POLL_INTERVAL_MS = 2000;
+// Transactions are valid for 120 seconds after their valid start
+const TRANSACTION_VALID_DURATION_MS = 120 * 1000;
+
+/**
+ * Anchor Request Manager - user-paid anchoring.
+ * Prepares frozen TopicMessageSubmitTransactions with the user's account as payer,
+ * hands them to the client to sign and submit through their wallet, then confirms
+ * the result on the mirror node so the notarization pipeline can continue.
+ */
+class AnchorRequestManager {
+  constructor() {
+    this.client = null;
+    this.requests = new Map();
+  }
+
+  /**
+   * Attach the Hedera client used to pick nodes when freezing transactions
+   * @param {Client} client - Hedera client (its operator does not pay)
+   */
+  attach(client) {
+    this.client = client;
+  }
+
+  /**
+   * Prepare a user-paid topic message submission
+   * @param {Object} params
+   * @param {string} params.accountId - Paying account (0.0.x)
+   * @param {string} params.topicId - HCS topic
+   * @param {string} params.message - Notarization message
+   * @param {string} params.memo - Transaction memo
+   * @returns {Object} { request, confirmation } - confirmation resolves with the anchor once confirmed
+   */
+  create({ accountId, topicId, message, memo }) {
+    if (!this.client) {
+      throw new AnchorRequestError('Hedera client not configured - cannot prepare transactions', 503);
+    }
+    const size = Buffer.byteLength(message, 'utf8');
+    if (size > MAX_MESSAGE_BYTES) {
+      throw new AnchorRequestError(`Notarization message is ${size} bytes; user-paid messages are limited to ${MAX_MESSAGE_BYTES}`, 413);
+    }
+
+    const transactionId = TransactionId.generate(accountId);
+    const transaction = new TopicMessageSubmitTransaction()
+      .setTopicId(topicId)
+      .setMessage(message)
+      .setTransactionMemo(memo)
+      .setTransactionId(transactionId)
+      .setMaxTransactionFee(new Hbar(config.hedera.userPaid.maxTransactionFeeHbar))
+      .freezeWith(this.client);
+
+    const validStart = transactionId.validStart.toDate().getTime();
+    const request = {
+      requestId: uuidv4(),
+      accountId,
+      topicId,
+      transactionId: transactionId.toString(),
+      transaction: Buffer.from(transaction.toBytes()).toString('base64'),
+      message,
+      status: 'awaiting_signature',
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(validStart + TRANSACTION_VALID_DURATION_MS).toISOString()
+    };
+
+    const confirmation = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+    // Expired without a confirm call: the wallet may still have submitted it, so check once more
+    request.timer = setTimeout(() => {
+      if (request.status !== 'awaiting_signature') return;
+      this.confirm(request.requestId).catch(() => {
+        this.settle(request, 'expired', new AnchorRequestError('Transaction was not submitted before it expired', 408));
+      });
+    }, TRANSACTION_VALID_DURATION_MS + config.hedera.userPaid.confirmationTimeoutMs);
+    request.timer.unref?.();
+
+    this.requests.set(request.requestId, request);
+    return { request: this.toStatus(request), confirmation };
+  }
+
+  /**
+   * Confirm a request after the wallet submitted it, polling the mirror node until it appears
+   * @param {string} requestId - Anchor request ID
+   * @returns {Promise<Object>} Anchor details (transactionId, topicId, consensusTimestamp, sequenceNumber)
+   */
+  async confirm(requestId) {
+    const request = this.getRequest(requestId);
+    if (request.status !== 'awaiting_signature') {
+      throw new AnchorRequestError(`Anchor request ${requestId} is ${request.status}`, 409);
+    }
+    request.status = 'confirming';
+
+    const deadline = Date.now() + config.hedera.userPaid.confirmationTimeoutMs;
+    let located = null;
+    while (!located) {
+      const transaction = await findSubmitTransaction(request.transactionId).catch(() => null);
+      if (transaction && transaction.result !== 'SUCCESS') {
+        const error = new AnchorRequestError(`Transaction ${request.transactionId} failed: ${transaction.result}`, 422);
+        this.settle(request, 'failed', error);
+        throw error;
+      }
+      located = transaction ? await findMessageByTransaction(request.transactionId).catch(() => null) : null;
+      if (!located && Date.now() >= deadline) {
+        // Mirror nodes lag consensus; the client may confirm again
+        request.status = 'awaiting_signature';
+        throw new AnchorRequestError(`Transaction ${request.transactionId} not found on the mirror node yet, retry shortly`, 504);
+      }
+      if (!located) await new Promise(resolve => setTimeout(resolve, CONFIRM_POLL_INTERVAL_MS));
+    }
+
+    // The submitted transaction must be exactly the one prepared here
+    const { message } = located;
+    const submittedMessage = Buffer.from(message.message, 'base64').toString('utf8');
+    if (message.topic_id !== request.topicId || submittedMessage !== request.message || message.payer_account_id !== request.accountId) {
+      const error = new AnchorRequestError('Submitted transaction does not match the prepared notarization', 422);
+      this.settle(request, 'failed', error);
+      throw error;
+    }
+
+    const anchor = {
+      transactionId: request.transactionId,
+      topicId: message.topic_id,
+      sequenceNumber: message.sequence_number,
+      consensusTimestamp: message.consensus_timestamp,
+      payerAccountId: message.payer_account_id
+    };
+    this.settle(request, 'confirmed', null, anchor);
+    return anchor;
+  }
+
+  /**
+   * Cancel a request the user declined in their wallet
+   * @param {string} requestId - Anchor request ID
+   * @param {string} [reason] - Reason reported by the client
+   * @returns {Object} Request status
+   */
+  cancel(requestId, reason) {
+    const request = this.getRequest(requestId);
+    if (request.status !== 'awaiting_signature') {
+      throw new AnchorRequestError(`Anchor request ${requestId} is ${request.status}`, 409);
+    }
+    this.settle(request, 'cancelled', new AnchorRequestError(`Transaction declined by the user${reason ? `: ${reason}` : ''}`, 409));
+    return this.toStatus(request);
+  }
+
+  /**
+   * Get the status of a request
+   * @param {string} requestId - Anchor request ID
+   * @returns {Object} Request status
+   */
+  get(requestId) {
+    return this.toStatus(this.getRequest(requestId));
+  }
+
+  getRequest(requestId) {
+    const request = this.requests.get(requestId);
+    if (!request) {
+      throw new AnchorRequestError(`Anchor request ${requestId} not found`, 404);
+    }
+    return request;
+  }
+
+  settle(request, status, error, anchor = null) {
+    if (['confirmed', 'failed', 'cancelled', 'expired'].includes(request.status)) return;
+    clearTimeout(request.timer);
+    request.status = status;
+    request.settledAt = new Date().toISOString();
+    if (error) {
+      request.error = error.message;
+      request.reject(error);
+    } else {
+      request.anchor = anchor;
+      request.resolve(anchor);
+    }
+    // Keep settled requests briefly so clients can read the outcome
+    setTimeout(() => this.requests.delete(request.requestId), TRANSACTION_VALID_DURATION_MS).unref?.();
+  }
+
+  toStatus(request) {
+    const { resolve, reject, timer, message, ...status } = request;
+    return status;
+  }
+}
+
+/**
+ * Anchor request error carrying an HTTP status code
+ */
+export class AnchorRequestError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AnchorRequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Export singleton instance
+const anchorRequests = new AnchorRequestManager();
+export default anchorRequests;
+export { AnchorRequestManager };
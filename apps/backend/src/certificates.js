@@ -0,0 +1,132 @@
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { config } from '../../../packages/config/env/config.js';
+import { explorerUrl } from '../../../packages/shared/hedera-network.js';
+
+const PAGE_MARGIN = 50;
+const QR_SIZE = 120;
+const LABEL_WIDTH = 150;
+
+/**
+ * Build the verification link encoded in the certificate QR code
+ * @param {string} cid - Content CID
+ * @returns {string} Verification URL
+ */
+export function verificationUrlFor(cid) {
+  return config.proofs.verificationUrlTemplate.replace('{cid}', encodeURIComponent(cid));
+}
+
+function consensusTime(timestamp) {
+  return timestamp ? new Date(parseFloat(timestamp) * 1000).toISOString().replace('T', ' ').replace('Z', ' UTC') : 'Pending';
+}
+
+/**
+ * Render a human-readable notarization certificate.
+ * The signed proof bundle is embedded as a PDF attachment so the certificate stays machine-verifiable.
+ * @param {Object} record - Registry record
+ * @param {Object} bundle - Signed proof bundle for the record
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export async function renderCertificate(record, bundle) {
+  const verificationUrl = verificationUrlFor(record.cid);
+  const qrCode = await QRCode.toBuffer(verificationUrl, { margin: 1, width: QR_SIZE * 2 });
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `Notarization Certificate ${record.cid}`,
+      Subject: 'Hedera content notarization',
+      Keywords: `notarization, hedera, ipfs, ${record.cid}`
+    }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const { anchor, content } = bundle;
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(24).fillColor('#1f2937')
+    .text('Certificate of Notarization', PAGE_MARGIN, PAGE_MARGIN, { width: contentWidth - QR_SIZE - 20 });
+  doc.moveDown(0.3).font('Helvetica').fontSize(11).fillColor('#4b5563')
+    .text('This content was fingerprinted and timestamped on the Hedera public ledger.', { width: contentWidth - QR_SIZE - 20 });
+  doc.image(qrCode, doc.page.width - PAGE_MARGIN - QR_SIZE, PAGE_MARGIN, { width: QR_SIZE });
+  doc.font('Helvetica').fontSize(7).fillColor('#6b7280')
+    .text('Scan to verify', doc.page.width - PAGE_MARGIN - QR_SIZE, PAGE_MARGIN + QR_SIZE + 2, { width: QR_SIZE, align: 'center' });
+  doc.y = PAGE_MARGIN + QR_SIZE + 30;
+
+  const section = (title) => {
+    doc.moveDown(0.8).font('Helvetica-Bold').fontSize(13).fillColor('#111827').text(title, PAGE_MARGIN);
+    doc.moveTo(PAGE_MARGIN, doc.y + 2).lineTo(PAGE_MARGIN + contentWidth, doc.y + 2).strokeColor('#d1d5db').stroke();
+    doc.moveDown(0.5);
+  };
+  const field = (label, value, { mono = false, link } = {}) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('#374151').text(label, PAGE_MARGIN, y, { width: LABEL_WIDTH });
+    doc.font(mono ? 'Courier' : 'Helvetica').fontSize(9).fillColor(link ? '#1d4ed8' : '#111827')
+      .text(String(value ?? '—'), PAGE_MARGIN + LABEL_WIDTH, y, { width: contentWidth - LABEL_WIDTH, link });
+    doc.moveDown(0.4);
+  };
+
+  section('Content Fingerprint');
+  field('IPFS CID', content.cid, { mono: true });
+  field('SHA-256', content.sha256, { mono: true });
+  field('Size', content.size !== null && content.size !== undefined ? `${content.size} bytes` : null);
+  field('Type', [record.contentType, content.mimeType].filter(Boolean).join(' · '));
+  if (record.title) field('Title', record.title);
+  field('Owner account', record.accountId, { mono: true });
+  const accountAuthentication = bundle.notarization?.accountAuthentication;
+  field('Account authentication', accountAuthentication?.method === 'wallet-signature'
+    ? `Signed by the account's ${accountAuthentication.keyType} key (verified ${accountAuthentication.verifiedAt})`
+    : 'Not signed by the account owner');
+
+  section('Hedera Ledger Record');
+  field('Network', anchor.network || config.hedera.network);
+  field('Consensus timestamp', `${consensusTime(anchor.consensusTimestamp)} (${anchor.consensusTimestamp})`);
+  field('Transaction ID', anchor.transactionId, { mono: true });
+  field('Topic / sequence', `${anchor.topicId} / #${anchor.sequenceNumber}`, { mono: true });
+  field('Running hash', anchor.runningHash, { mono: true });
+  field('Anchoring', anchor.type === 'merkle-batch' ? `Merkle batch (root ${bundle.merkle?.root})` : 'Individual message');
+  const transactionUrl = explorerUrl('transaction', anchor.transactionId);
+  if (transactionUrl) field('Explorer', transactionUrl, { link: transactionUrl });
+
+  if (record.nft) {
+    section('NFT Certificate');
+    field('Token / serial', `${record.nft.tokenId} / #${record.nft.serial}`, { mono: true });
+    const nftUrl = explorerUrl('token', `${record.nft.tokenId}/${record.nft.serial}`);
+    if (nftUrl) field('Explorer', nftUrl, { link: nftUrl });
+  }
+
+  if (record.aiVerdict?.verdict) {
+    section('AI Analysis');
+    field('Verdict', record.aiVerdict.verdict);
+    field('Model', record.aiVerdict.model);
+    field('Mode', record.aiVerdict.mode);
+  }
+
+  section('Verification');
+  field('Verification URL', verificationUrl, { link: verificationUrl });
+  field('Signer key ID', bundle.signature?.keyId, { mono: true });
+  doc.moveDown(0.3).font('Helvetica').fontSize(8).fillColor('#6b7280').text(
+    'The signed proof bundle is attached to this PDF (proof-bundle.json). Check it independently with ' +
+    '"npm run verify:proof -- proof-bundle.json <file> --trust <signer key ID>".',
+    PAGE_MARGIN,
+    doc.y,
+    { width: contentWidth }
+  );
+
+  // Machine-readable proof travels with the certificate
+  doc.file(Buffer.from(JSON.stringify(bundle, null, 2), 'utf8'), {
+    name: 'proof-bundle.json',
+    type: 'application/json',
+    description: `Proof bundle for ${record.cid}`
+  });
+
+  doc.end();
+  return finished;
+}
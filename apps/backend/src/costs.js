@@ -0,0 +1,308 @@
+import Datastore from '@seald-io/nedb';
+import path from 'path';
+import { mkdirSync } from 'fs';
+import { config } from '../../../packages/config/env/config.js';
+
+const TINYBARS_PER_HBAR = 100000000;
+const FEE_LOOKUP_INTERVAL_MS = 2000;
+// Queued jobs re-check at least this often, so raised budgets take effect
+const BUDGET_RECHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Cost Tracker - records what each notarization costs: the HBAR fees of its
+ * HCS transactions, LLM tokens and Vision API calls. Fees paid by the operator
+ * account count against the daily and monthly HBAR budgets (UTC periods).
+ */
+class CostTracker {
+  constructor(dataDir = config.persistence.dataDir, budgets = config.costs.budgets) {
+    mkdirSync(dataDir, { recursive: true });
+    this.db = new Datastore({ filename: path.join(dataDir, 'costs.db'), autoload: true });
+    this.budgets = budgets;
+    this.feeLookupTimeoutMs = config.costs.feeLookupTimeoutMs;
+    this.ledger = null;
+    this.pendingFees = new Map(); // notarizationId -> fee lookups in flight
+    this.ready = Promise.all([
+      this.db.ensureIndexAsync({ fieldName: 'notarizationId' }),
+      this.db.ensureIndexAsync({ fieldName: 'accountId' }),
+      this.db.ensureIndexAsync({ fieldName: 'day' })
+    ]);
+  }
+
+  /**
+   * Attach the ledger transaction fees are looked up on
+   * @param {Object} ledger - Ledger adapter (see ledger/index.js)
+   */
+  attach(ledger) {
+    this.ledger = ledger;
+  }
+
+  /**
+   * Record one cost item
+   * @param {Object} item - { kind, notarizationId, accountId, project, payer, transactionId, tinybars,
+   *   model, calls, promptTokens, completionTokens, totalTokens }; kind is 'hcs-topic', 'hcs-message',
+   *   'hts-collection', 'hts-mint', 'hts-transfer', 'llm' or 'vision'
+   * @returns {Promise<Object>} Stored item
+   */
+  async record(item) {
+    await this.ready;
+    const recordedAt = new Date().toISOString();
+    const stored = await this.db.insertAsync({
+      kind: item.kind,
+      notarizationId: item.notarizationId || null,
+      accountId: item.accountId || null,
+      project: item.project || null,
+      // Who paid the HBAR fee; only operator fees count against the budgets
+      payer: item.payer || 'operator',
+      transactionId: item.transactionId || null,
+      tinybars: item.tinybars || 0,
+      model: item.model || null,
+      calls: item.calls || 0,
+      promptTokens: item.promptTokens || 0,
+      completionTokens: item.completionTokens || 0,
+      totalTokens: item.totalTokens || 0,
+      day: recordedAt.slice(0, 10),
+      month: recordedAt.slice(0, 7),
+      recordedAt
+    });
+    return stripInternal(stored);
+  }
+
+  /**
+   * Record the fee of a ledger transaction once the ledger reports it (mirror nodes lag consensus)
+   * @param {Object} item - Cost item with transactionId; share is the fraction of the fee borne (batched anchors)
+   * @returns {Promise<Object|null>} Stored item, or null when the fee could not be found in time
+   */
+  async recordTransactionFee({ share = 1, ...item }) {
+    if (!this.ledger || !item.transactionId) return null;
+    const key = item.notarizationId;
+    if (key) this.pendingFees.set(key, (this.pendingFees.get(key) || 0) + 1);
+
+    try {
+      const deadline = Date.now() + this.feeLookupTimeoutMs;
+      for (;;) {
+        const fee = await this.ledger.getTransactionFee(item.transactionId).catch(() => null);
+        if (fee !== null) {
+          return await this.record({ ...item, tinybars: Math.round(fee * share) });
+        }
+        if (Date.now() >= deadline) break;
+        await new Promise(resolve => setTimeout(resolve, FEE_LOOKUP_INTERVAL_MS));
+      }
+      console.warn(`⚠️ Fee of ${item.transactionId} not available after ${this.feeLookupTimeoutMs}ms - not recorded`);
+      return null;
+    } finally {
+      if (key) {
+        const remaining = this.pendingFees.get(key) - 1;
+        if (remaining > 0) this.pendingFees.set(key, remaining);
+        else this.pendingFees.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Cost items and totals of one notarization
+   * @param {string} notarizationId - Notarization ID
+   * @returns {Promise<Object>} { notarizationId, totals, items, feesPending }
+   */
+  async getNotarizationCosts(notarizationId) {
+    await this.ready;
+    const items = (await this.db.findAsync({ notarizationId }).sort({ recordedAt: 1 })).map(stripInternal);
+    return {
+      notarizationId,
+      totals: summarize(items),
+      items,
+      // Fee lookups still waiting for the mirror node
+      feesPending: this.pendingFees.get(notarizationId) || 0
+    };
+  }
+
+  /**
+   * Cost report grouped per account or per UTC day
+   * @param {Object} options - { groupBy: 'account'|'day', from, to (YYYY-MM-DD, inclusive), accountId }
+   * @returns {Promise<Object>} { groupBy, from, to, rows, totals }
+   */
+  async report({ groupBy = 'day', from = null, to = null, accountId = null } = {}) {
+    await this.ready;
+    const query = {};
+    if (from || to) {
+      query.day = {};
+      if (from) query.day.$gte = from;
+      if (to) query.day.$lte = to;
+    }
+    if (accountId) query.accountId = accountId;
+    const items = await this.db.findAsync(query);
+
+    const field = groupBy === 'account' ? 'accountId' : 'day';
+    const groups = new Map();
+    for (const item of items) {
+      if (!groups.has(item[field])) groups.set(item[field], []);
+      groups.get(item[field]).push(item);
+    }
+    const rows = Array.from(groups, ([key, groupItems]) => ({ [field]: key, ...summarize(groupItems) }))
+      .sort((a, b) => String(a[field]).localeCompare(String(b[field])));
+
+    return { groupBy, from, to, accountId, rows, totals: summarize(items) };
+  }
+
+  /**
+   * Spending against the HBAR budgets
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object>} { whenExhausted, exhausted, daily, monthly }
+   */
+  async getBudgetStatus(now = new Date()) {
+    await this.ready;
+    const today = now.toISOString().slice(0, 10);
+    const [daySpent, monthSpent] = await Promise.all([
+      this.operatorTinybars({ day: today }),
+      this.operatorTinybars({ month: today.slice(0, 7) })
+    ]);
+    const daily = periodStatus(this.budgets.dailyHbar, daySpent,
+      new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)));
+    const monthly = periodStatus(this.budgets.monthlyHbar, monthSpent,
+      new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)));
+    return {
+      whenExhausted: this.budgets.whenExhausted,
+      exhausted: daily.exhausted || monthly.exhausted,
+      daily,
+      monthly
+    };
+  }
+
+  /**
+   * Admit an operator-paid notarization. Throws BudgetError once a budget is spent,
+   * unless queueing is configured and allowed, in which case it waits for the next period.
+   * Fees of transactions in flight are not counted yet, so a budget can be overshot by those.
+   * @param {Object} options - { canQueue: the caller can wait (async jobs), onQueued: called with the budget status }
+   * @returns {Promise<Object>} Budget status at admission
+   */
+  async admit({ canQueue = false, onQueued = () => {} } = {}) {
+    let status = await this.getBudgetStatus();
+    if (!status.exhausted) return status;
+
+    if (this.budgets.whenExhausted !== 'queue') {
+      throw new BudgetError(budgetExhaustedMessage(status), status);
+    }
+    if (!canQueue) {
+      throw new BudgetError(`${budgetExhaustedMessage(status)} (send async=true to queue)`, status);
+    }
+
+    console.log(`⏸️ HBAR budget exhausted - notarization queued until ${resetTime(status)}`);
+    onQueued(status);
+    while (status.exhausted) {
+      const waitMs = Math.min(Math.max(new Date(resetTime(status)) - Date.now(), 0) + 1000, BUDGET_RECHECK_MS);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      status = await this.getBudgetStatus();
+    }
+    return status;
+  }
+
+  async operatorTinybars(query) {
+    const items = await this.db.findAsync({ ...query, payer: 'operator' });
+    return items.reduce((sum, item) => sum + item.tinybars, 0);
+  }
+}
+
+/**
+ * Collects the token usage of LangChain model calls; pass `handler` in the
+ * callbacks of an invoke() call, then read calls and token counts
+ * @returns {Object} { handler, calls, promptTokens, completionTokens, totalTokens }
+ */
+export function createLlmUsage() {
+  const usage = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  usage.handler = {
+    handleLLMEnd(output) {
+      usage.calls += 1;
+      // Chat models report usage_metadata on the message; older integrations only in llmOutput
+      const metadata = output.generations?.flat().find(generation => generation.message?.usage_metadata)?.message.usage_metadata;
+      const tokenUsage = output.llmOutput?.tokenUsage;
+      const promptTokens = metadata?.input_tokens ?? tokenUsage?.promptTokens ?? 0;
+      const completionTokens = metadata?.output_tokens ?? tokenUsage?.completionTokens ?? 0;
+      usage.promptTokens += promptTokens;
+      usage.completionTokens += completionTokens;
+      usage.totalTokens += metadata?.total_tokens ?? tokenUsage?.totalTokens ?? promptTokens + completionTokens;
+    }
+  };
+  return usage;
+}
+
+function summarize(items) {
+  const totals = {
+    notarizations: new Set(items.map(item => item.notarizationId).filter(Boolean)).size,
+    hbar: { operator: 0, user: 0, total: 0 },
+    transactions: 0,
+    llm: { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+    visionCalls: 0
+  };
+  let operatorTinybars = 0;
+  let userTinybars = 0;
+  for (const item of items) {
+    if (item.transactionId) {
+      totals.transactions += 1;
+      if (item.payer === 'user') userTinybars += item.tinybars;
+      else operatorTinybars += item.tinybars;
+    }
+    if (item.kind === 'llm') {
+      totals.llm.calls += item.calls;
+      totals.llm.promptTokens += item.promptTokens;
+      totals.llm.completionTokens += item.completionTokens;
+      totals.llm.totalTokens += item.totalTokens;
+    }
+    if (item.kind === 'vision') totals.visionCalls += item.calls;
+  }
+  totals.hbar = {
+    operator: toHbar(operatorTinybars),
+    user: toHbar(userTinybars),
+    total: toHbar(operatorTinybars + userTinybars)
+  };
+  return totals;
+}
+
+function periodStatus(limitHbar, spentTinybars, resetsAt) {
+  return {
+    limitHbar,
+    spentHbar: toHbar(spentTinybars),
+    remainingHbar: limitHbar === null ? null : Math.max(toHbar(limitHbar * TINYBARS_PER_HBAR - spentTinybars), 0),
+    exhausted: limitHbar !== null && spentTinybars >= limitHbar * TINYBARS_PER_HBAR,
+    resetsAt: resetsAt.toISOString()
+  };
+}
+
+// The latest reset among the exhausted periods (a spent monthly budget outlasts the daily one)
+function resetTime(status) {
+  return [status.daily, status.monthly]
+    .filter(period => period.exhausted)
+    .map(period => period.resetsAt)
+    .sort()
+    .at(-1);
+}
+
+function budgetExhaustedMessage(status) {
+  const period = status.monthly.exhausted ? 'Monthly' : 'Daily';
+  const { limitHbar, spentHbar } = status.monthly.exhausted ? status.monthly : status.daily;
+  return `${period} HBAR budget exhausted (${spentHbar}/${limitHbar} ℏ spent) - operator-paid notarizations resume at ${resetTime(status)}`;
+}
+
+function toHbar(tinybars) {
+  return Math.round(tinybars) / TINYBARS_PER_HBAR;
+}
+
+function stripInternal(doc) {
+  const { _id, ...rest } = doc;
+  return rest;
+}
+
+/**
+ * Budget error carrying an HTTP status code and the budget status
+ */
+export class BudgetError extends Error {
+  constructor(message, budget, statusCode = 402) {
+    super(message);
+    this.name = 'BudgetError';
+    this.budget = budget;
+    this.statusCode = statusCode;
+  }
+}
+
+// Export singleton instance
+const costTracker = new CostTracker();
+export default costTracker;
+export { CostTracker };
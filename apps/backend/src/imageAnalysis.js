@@ -45,7 +45,8 @@ async function fetchArticleContent(url) {
   }
 }
 
-async function getAiSummary(content, eventType) {
+// usage accumulates the OpenAI calls and token counts for cost accounting
+async function getAiSummary(content, eventType, usage) {
   try {
     if (!content) return null;
     const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
@@ -68,6 +69,10 @@ async function getAiSummary(content, eventType) {
       temperature: 0.3,
       max_tokens: 500
     });
+    usage.calls += 1;
+    usage.promptTokens += completion.usage?.prompt_tokens || 0;
+    usage.completionTokens += completion.usage?.completion_tokens || 0;
+    usage.totalTokens += completion.usage?.total_tokens || 0;
     return completion.choices?.[0]?.message?.content?.trim() || null;
   } catch (e) {
     return null;
@@ -108,10 +113,16 @@ function buildImageContext(results, providedText) {
   return lines.join('\n');
 }
 
+// The result carries usage: { visionCalls, llm: { model, calls, promptTokens, completionTokens, totalTokens } }
 export async function analyzeImageWithClaim(imageBuffer, claimText = '') {
+  const usage = {
+    visionCalls: 0,
+    llm: { model: 'gpt-4o-mini', calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+  };
   try {
     const client = await getVisionClient();
     const [result] = await client.webDetection({ image: { content: imageBuffer } });
+    usage.visionCalls += 1;
     const web = result.webDetection || {};
 
     const bestGuessLabels = (web.bestGuessLabels || []).map(l => l.label).filter(Boolean);
@@ -121,7 +132,7 @@ export async function analyzeImageWithClaim(imageBuffer, claimText = '') {
     for (const page of pages.slice(0, 5)) {
       if (!page?.url) continue;
       const content = await fetchArticleContent(page.url);
-      const aiSummary = content ? await getAiSummary(content, bestGuessLabels[0] || 'news event') : null;
+      const aiSummary = content ? await getAiSummary(content, bestGuessLabels[0] || 'news event', usage.llm) : null;
       articles.push({
         url: page.url,
         content: content ? (content.length > 1000 ? content.slice(0, 1000) + '...' : content) : null,
@@ -137,9 +148,9 @@ export async function analyzeImageWithClaim(imageBuffer, claimText = '') {
       articles,
     };
     const summary = buildImageContext(payload, claimText);
-    return { ...payload, summary };
+    return { ...payload, summary, usage };
   } catch (error) {
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, usage };
   }
 }
 
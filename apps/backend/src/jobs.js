@@ -0,0 +1,138 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000; // Keep finished jobs for 1 hour
+const TERMINAL_STATUSES = new Set(['completed', 'failed']);
+
+/**
+ * Job Manager - tracks long-running background work (e.g. notarizations)
+ * and broadcasts stage events so clients can follow real progress
+ */
+class JobManager extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+    this.setMaxListeners(0); // One listener per open SSE stream
+  }
+
+  /**
+   * Create a queued job
+   * @param {string} type - Job type (e.g. 'notarization')
+   * @param {Object} metadata - Extra info shown in job status
+   * @returns {Object} Job snapshot
+   */
+  create(type, metadata = {}) {
+    this.pruneFinished();
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      type,
+      status: 'queued',
+      stage: null,
+      metadata,
+      events: [],
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+    return this.snapshot(job);
+  }
+
+  /**
+   * Run a task in the background for a job
+   * @param {string} id - Job ID
+   * @param {Function} task - async (reportStage) => { statusCode, body }
+   */
+  run(id, task) {
+    const job = this.jobs.get(id);
+    if (!job) throw new Error(`Job ${id} not found`);
+
+    job.status = 'running';
+    job.updatedAt = new Date().toISOString();
+
+    const reportStage = (stage, data = {}) => this.recordEvent(job, stage, data);
+
+    Promise.resolve()
+      .then(() => task(reportStage))
+      .then(({ statusCode, body }) => {
+        const failed = statusCode >= 400;
+        this.finish(job, failed ? 'failed' : 'completed', body, failed ? (body?.message || 'Job failed') : null);
+      })
+      .catch(error => {
+        this.finish(job, 'failed', null, error.message);
+      });
+  }
+
+  /**
+   * Get a job snapshot
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job snapshot or null if unknown
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.snapshot(job) : null;
+  }
+
+  /**
+   * Subscribe to events of one job
+   * @param {string} id - Job ID
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(id, listener) {
+    const channel = `job:${id}`;
+    this.on(channel, listener);
+    return () => this.off(channel, listener);
+  }
+
+  isFinished(job) {
+    return TERMINAL_STATUSES.has(job.status);
+  }
+
+  recordEvent(job, stage, data) {
+    const event = {
+      jobId: job.id,
+      sequence: job.events.length + 1,
+      stage,
+      data,
+      timestamp: new Date().toISOString()
+    };
+    job.events.push(event);
+    job.stage = stage;
+    job.updatedAt = event.timestamp;
+    this.emit(`job:${job.id}`, event);
+    return event;
+  }
+
+  finish(job, status, result, error) {
+    job.result = result;
+    job.error = error;
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    this.recordEvent(job, status, status === 'completed' ? { result } : { error, result });
+  }
+
+  pruneFinished() {
+    const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  snapshot(job) {
+    return {
+      ...job,
+      events: [...job.events]
+    };
+  }
+}
+
+// Export singleton instance
+const jobManager = new JobManager();
+export default jobManager;
+export { JobManager };
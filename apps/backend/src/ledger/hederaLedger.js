@@ -0,0 +1,223 @@
+import {
+  AccountId,
+  NftId,
+  TokenAirdropTransaction,
+  TokenCreateTransaction,
+  TokenId,
+  TokenMintTransaction,
+  TokenSupplyType,
+  TokenType,
+  TopicCreateTransaction,
+  TopicMessageSubmitTransaction,
+  TransactionReceiptQuery,
+  TransactionId
+} from '@hashgraph/sdk';
+import {
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_MAX_CHUNKS,
+  splitIntoChunks,
+  toMirrorTransactionId
+} from '../../../../packages/shared/hcs-messages.js';
+
+/**
+ * Hedera Consensus Service through @hashgraph/sdk. Submissions go to the
+ * consensus nodes; topic messages are read back from the mirror node.
+ */
+export class HederaLedger {
+  /**
+   * @param {Object} options
+   * @param {Client} options.client - Hedera client with operator set
+   * @param {PublicKey} options.submitKey - Key required to submit to created topics
+   * @param {PublicKey} options.supplyKey - Key required to mint in created NFT collections
+   * @param {string} options.network - Network name recorded with anchors
+   * @param {string} options.mirrorNodeUrl - Mirror node REST base URL
+   * @param {number} [options.chunkSize] - Bytes per HCS message chunk
+   * @param {number} [options.maxChunks] - Chunks a message may be split into
+   */
+  constructor({ client, submitKey, supplyKey, network, mirrorNodeUrl, chunkSize = DEFAULT_CHUNK_SIZE, maxChunks = DEFAULT_MAX_CHUNKS }) {
+    this.type = 'hedera';
+    this.client = client;
+    this.operatorAccountId = client.operatorAccountId.toString();
+    this.submitKey = submitKey;
+    this.supplyKey = supplyKey;
+    this.network = network;
+    this.mirrorNodeUrl = mirrorNodeUrl.replace(/\/$/, '');
+    this.chunkSize = chunkSize;
+    this.maxChunks = maxChunks;
+  }
+
+  /**
+   * Create a topic
+   * @param {Object} params - { memo }
+   * @returns {Promise<Object>} { topicId, transactionId }
+   */
+  async createTopic({ memo }) {
+    const tx = await new TopicCreateTransaction()
+      .setSubmitKey(this.submitKey)
+      .setTopicMemo(memo)
+      .execute(this.client);
+    const receipt = await tx.getReceipt(this.client);
+    return { topicId: receipt.topicId.toString(), transactionId: tx.transactionId.toString() };
+  }
+
+  /**
+   * Submit a message to a topic (use getReceipt on every transaction to wait for consensus).
+   * Messages over one chunk are submitted as consecutive chunk transactions.
+   * @param {Object} params - { topicId, message, memo }
+   * @returns {Promise<Object>} { transactionId, transactionIds } - first chunk's ID, and every chunk's in order
+   */
+  async submitMessage({ topicId, message, memo }) {
+    // Fail before paying for the first chunks of a message that cannot be completed
+    splitIntoChunks(message, { chunkSize: this.chunkSize, maxChunks: this.maxChunks });
+    const responses = await new TopicMessageSubmitTransaction()
+      .setTopicId(topicId)
+      .setMessage(message)
+      .setChunkSize(this.chunkSize)
+      .setMaxChunks(this.maxChunks)
+      .setTransactionMemo(memo)
+      .executeAll(this.client);
+    const transactionIds = responses.map(response => response.transactionId.toString());
+    return { transactionId: transactionIds[0], transactionIds };
+  }
+
+  /**
+   * Wait for the receipt of a transaction; rejects unless it succeeded
+   * @param {string} transactionId - SDK form (0.0.x@seconds.nanos)
+   * @returns {Promise<Object>} { transactionId, status, topicId, topicSequenceNumber, topicRunningHash }
+   */
+  async getReceipt(transactionId) {
+    const receipt = await new TransactionReceiptQuery()
+      .setTransactionId(TransactionId.fromString(transactionId))
+      .setValidateStatus(true)
+      .execute(this.client);
+    return {
+      transactionId,
+      status: receipt.status.toString(),
+      topicId: receipt.topicId?.toString() || null,
+      topicSequenceNumber: receipt.topicSequenceNumber ? Number(receipt.topicSequenceNumber) : null,
+      topicRunningHash: receipt.topicRunningHash ? Buffer.from(receipt.topicRunningHash).toString('hex') : null
+    };
+  }
+
+  /**
+   * Messages of a topic in consensus order, in mirror node format
+   * @param {string} topicId - Topic ID
+   * @param {Object} [options] - { fromSequenceNumber, limit }
+   * @returns {Promise<Array>} Mirror node topic messages
+   */
+  async getMessages(topicId, { fromSequenceNumber = 1, limit = 100 } = {}) {
+    const url = `${this.mirrorNodeUrl}/api/v1/topics/${topicId}/messages?sequencenumber=gte:${fromSequenceNumber}&order=asc&limit=${limit}`;
+    const response = await fetch(url, { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(10000) });
+    if (response.status === 404) return [];
+    if (!response.ok) {
+      throw new Error(`Mirror node request failed (${response.status}): ${url}`);
+    }
+    return (await response.json()).messages || [];
+  }
+
+  /**
+   * Create an NFT collection with the operator as treasury
+   * @param {Object} params - { name, symbol, memo, maxSupply (unlimited when omitted) }
+   * @returns {Promise<Object>} { tokenId, transactionId }
+   */
+  async createNftCollection({ name, symbol, memo = '', maxSupply = null }) {
+    const transaction = new TokenCreateTransaction()
+      .setTokenName(name)
+      .setTokenSymbol(symbol)
+      .setTokenMemo(memo)
+      .setTokenType(TokenType.NonFungibleUnique)
+      .setDecimals(0)
+      .setInitialSupply(0)
+      .setTreasuryAccountId(this.operatorAccountId)
+      .setSupplyKey(this.supplyKey);
+    if (maxSupply) {
+      transaction.setSupplyType(TokenSupplyType.Finite).setMaxSupply(maxSupply);
+    }
+    const tx = await transaction.execute(this.client);
+    const receipt = await tx.getReceipt(this.client);
+    return { tokenId: receipt.tokenId.toString(), transactionId: tx.transactionId.toString() };
+  }
+
+  /**
+   * Mint one NFT into the treasury
+   * @param {Object} params - { tokenId, metadata (at most 100 bytes) }
+   * @returns {Promise<Object>} { serial, transactionId }
+   */
+  async mintNft({ tokenId, metadata }) {
+    const tx = await new TokenMintTransaction()
+      .setTokenId(tokenId)
+      .addMetadata(Buffer.from(metadata))
+      .execute(this.client);
+    const receipt = await tx.getReceipt(this.client);
+    return { serial: Number(receipt.serials[0]), transactionId: tx.transactionId.toString() };
+  }
+
+  /**
+   * Send an NFT from the treasury. Accounts that are associated with the token, or have a free
+   * automatic association slot, receive it directly; others get a pending airdrop to claim in their wallet.
+   * @param {Object} params - { tokenId, serial, to }
+   * @returns {Promise<Object>} { transactionId, status: 'transferred'|'pending_claim' }
+   */
+  async transferNft({ tokenId, serial, to }) {
+    const tx = await new TokenAirdropTransaction()
+      .addNftTransfer(new NftId(TokenId.fromString(tokenId), serial), this.operatorAccountId, AccountId.fromString(to))
+      .execute(this.client);
+    const record = await tx.getRecord(this.client);
+    return {
+      transactionId: tx.transactionId.toString(),
+      status: record.newPendingAirdrops?.length > 0 ? 'pending_claim' : 'transferred'
+    };
+  }
+
+  /**
+   * Current state of an NFT, from the mirror node
+   * @param {string} tokenId - Token ID
+   * @param {number} serial - Serial number
+   * @returns {Promise<Object|null>} { tokenId, serial, accountId, metadata, deleted }, or null when unknown
+   */
+  async getNft(tokenId, serial) {
+    const url = `${this.mirrorNodeUrl}/api/v1/tokens/${tokenId}/nfts/${serial}`;
+    const response = await fetch(url, { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(10000) });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Mirror node request failed (${response.status}): ${url}`);
+    }
+    return fromMirrorNft(await response.json());
+  }
+
+  /**
+   * Fee charged for a transaction, as recorded by the mirror node
+   * @param {string} transactionId - SDK form (0.0.x@seconds.nanos)
+   * @returns {Promise<number|null>} Tinybars, or null until the mirror node has the transaction
+   */
+  async getTransactionFee(transactionId) {
+    const url = `${this.mirrorNodeUrl}/api/v1/transactions/${toMirrorTransactionId(transactionId)}`;
+    const response = await fetch(url, { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(10000) });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Mirror node request failed (${response.status}): ${url}`);
+    }
+    // Scheduled or child transactions share the ID; the fee is charged on the parent
+    const [transaction] = (await response.json()).transactions || [];
+    return transaction ? Number(transaction.charged_tx_fee) : null;
+  }
+
+  status() {
+    return { type: this.type, network: this.network, mirrorNodeUrl: this.mirrorNodeUrl };
+  }
+}
+
+/**
+ * Mirror node NFT record -> ledger adapter NFT
+ * @param {Object} nft - Mirror node /tokens/{id}/nfts/{serial} response
+ * @returns {Object} { tokenId, serial, accountId, metadata, deleted }
+ */
+export function fromMirrorNft(nft) {
+  return {
+    tokenId: nft.token_id,
+    serial: nft.serial_number,
+    accountId: nft.account_id,
+    metadata: Buffer.from(nft.metadata || '', 'base64').toString('utf8'),
+    deleted: !!nft.deleted
+  };
+}
@@ -0,0 +1,55 @@
+import { config } from '../../../../packages/config/env/config.js';
+import { HederaLedger } from './hederaLedger.js';
+import { MemoryLedger } from './memoryLedger.js';
+
+export { createMirrorRouter } from './mirrorRoutes.js';
+
+const ENTITY_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+
+/**
+ * Ledger adapter - everything that anchors notarizations goes through this interface:
+ *   createTopic({ memo }) -> { topicId, transactionId }
+ *   submitMessage({ topicId, message, memo }) -> { transactionId, transactionIds }
+ *     (messages over one chunk are split into chunk transactions: transactionId is the
+ *     first one, transactionIds lists all of them in order)
+ *   getReceipt(transactionId) -> { transactionId, status, topicId, topicSequenceNumber, topicRunningHash }
+ *   getMessages(topicId, { fromSequenceNumber, limit }) -> mirror node topic messages
+ *   getTransactionFee(transactionId) -> tinybars, or null until known
+ *   createNftCollection({ name, symbol, memo, maxSupply }) -> { tokenId, transactionId }
+ *   mintNft({ tokenId, metadata }) -> { serial, transactionId }
+ *   transferNft({ tokenId, serial, to }) -> { transactionId, status: 'transferred'|'pending_claim' }
+ *   getNft(tokenId, serial) -> { tokenId, serial, accountId, metadata, deleted }
+ *   status()
+ * HEDERA_NETWORK=memory selects the in-memory ledger (no network access needed);
+ * every other network anchors on Hedera through the SDK.
+ */
+
+/**
+ * Create the ledger for the configured network
+ * @param {Object} [options]
+ * @param {Client} [options.client] - Hedera client with operator set (Hedera networks)
+ * @param {PublicKey} [options.submitKey] - Operator key: submit key of created topics, supply key of NFT collections (Hedera networks)
+ * @returns {HederaLedger|MemoryLedger|null} Ledger, or null when Hedera has no client
+ */
+export function createLedger({ client, submitKey } = {}) {
+  if (config.ledger.type === 'memory') {
+    return new MemoryLedger({
+      network: config.hedera.network,
+      // Placeholder IDs from the env template fall back to the ledger's default payer
+      operatorAccountId: ENTITY_ID_PATTERN.test(config.hedera.accountId || '') ? config.hedera.accountId : undefined,
+      file: config.ledger.persist ? config.ledger.file : null,
+      ...config.hedera.messages
+    });
+  }
+  if (!client) return null;
+  return new HederaLedger({
+    client,
+    submitKey,
+    supplyKey: submitKey,
+    network: config.hedera.network,
+    mirrorNodeUrl: config.hedera.mirrorNodeUrl,
+    ...config.hedera.messages
+  });
+}
+
+export { HederaLedger, MemoryLedger };
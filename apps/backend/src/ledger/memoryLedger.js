@@ -0,0 +1,422 @@
+import crypto from 'crypto';
+import path from 'path';
+import { existsSync, readFileSync, mkdirSync } from 'fs';
+import { writeFile, rename } from 'fs/promises';
+import { fromMirrorNft } from './hederaLedger.js';
+import { DEFAULT_CHUNK_SIZE, DEFAULT_MAX_CHUNKS, splitIntoChunks } from '../../../../packages/shared/hcs-messages.js';
+
+const RUNNING_HASH_VERSION = 3;
+const NANOS_PER_SECOND = 1000000000n;
+const NANOS_PER_MILLISECOND = 1000000n;
+
+const ENTITY_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+
+// Nominal fees in tinybars so cost accounting has something to count
+const TRANSACTION_FEES = {
+  CONSENSUSCREATETOPIC: 10000000, // 0.1 HBAR
+  CONSENSUSSUBMITMESSAGE: 100000, // 0.001 HBAR
+  TOKENCREATION: 100000000, // 1 HBAR
+  TOKENMINT: 2000000, // 0.02 HBAR
+  TOKENAIRDROP: 1000000 // 0.01 HBAR
+};
+
+/**
+ * In-process stand-in for the Hedera Consensus Service, for development and
+ * tests without network access. Topics, sequence numbers, consensus timestamps
+ * and running hashes (version 3, as computed by consensus nodes) behave like the
+ * real ledger, and every record is kept in mirror node format so the local mirror
+ * routes can serve it. Output depends only on the clock and the submissions, so
+ * an injected clock makes runs reproducible. With a file, state survives restarts.
+ */
+export class MemoryLedger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.network] - Network name recorded with anchors
+   * @param {string} [options.operatorAccountId] - Payer of every transaction
+   * @param {string} [options.file] - JSON file to persist the ledger to (in memory only when omitted)
+   * @param {Function} [options.clock] - Returns the current time in milliseconds
+   * @param {number} [options.chunkSize] - Bytes per HCS message chunk
+   * @param {number} [options.maxChunks] - Chunks a message may be split into
+   */
+  constructor({
+    network = 'memory',
+    operatorAccountId = '0.0.2',
+    file = null,
+    clock = Date.now,
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    maxChunks = DEFAULT_MAX_CHUNKS
+  } = {}) {
+    this.type = 'memory';
+    this.network = network;
+    this.operatorAccountId = operatorAccountId;
+    this.file = file;
+    this.clock = clock;
+    this.chunkSize = chunkSize;
+    this.maxChunks = maxChunks;
+    this.state = {
+      nextEntityNum: 1001,
+      lastConsensusNanos: '0',
+      topics: {},
+      messages: [],
+      transactions: [],
+      receipts: {},
+      tokens: {}
+    };
+    this.saving = Promise.resolve();
+
+    if (file) {
+      mkdirSync(path.dirname(file), { recursive: true });
+      if (existsSync(file)) {
+        // Files from before tokens existed lack their state
+        this.state = { ...this.state, ...JSON.parse(readFileSync(file, 'utf8')) };
+      }
+    }
+  }
+
+  /**
+   * Create a topic
+   * @param {Object} params - { memo }
+   * @returns {Promise<Object>} { topicId, transactionId }
+   */
+  async createTopic({ memo = '' } = {}) {
+    const topicId = `0.0.${this.state.nextEntityNum++}`;
+    const consensusNanos = this.nextConsensusNanos();
+    this.state.topics[topicId] = {
+      topicId,
+      memo,
+      createdTimestamp: formatTimestamp(consensusNanos),
+      sequenceNumber: 0,
+      runningHash: Buffer.alloc(48).toString('hex')
+    };
+    const transaction = this.recordTransaction({
+      name: 'CONSENSUSCREATETOPIC',
+      consensusNanos,
+      entityId: topicId,
+      memo: ''
+    });
+    this.recordReceipt(transaction, { topicId });
+    await this.save();
+    return { topicId, transactionId: transaction.sdkTransactionId };
+  }
+
+  /**
+   * Submit a message to a topic; consensus is reached immediately. Messages over one
+   * chunk become consecutive chunk transactions, as the SDK submits them.
+   * @param {Object} params - { topicId, message, memo }
+   * @returns {Promise<Object>} { transactionId, transactionIds } - first chunk's ID, and every chunk's in order
+   */
+  async submitMessage({ topicId, message, memo = '' }) {
+    const topic = this.state.topics[topicId];
+    if (!topic) {
+      throw new Error(`INVALID_TOPIC_ID: topic ${topicId} does not exist on the ${this.network} ledger`);
+    }
+
+    const chunks = splitIntoChunks(message, { chunkSize: this.chunkSize, maxChunks: this.maxChunks });
+    const transactionIds = [];
+    let initialValidStartNanos = null;
+    chunks.forEach((chunk, index) => {
+      const consensusNanos = this.nextConsensusNanos();
+      // The SDK gives chunk n the initial transaction's valid start plus n - 1 nanoseconds
+      initialValidStartNanos ??= consensusNanos - NANOS_PER_SECOND;
+      const sequenceNumber = topic.sequenceNumber + 1;
+      const runningHash = computeRunningHash({
+        previousRunningHash: Buffer.from(topic.runningHash, 'hex'),
+        payerAccountId: this.operatorAccountId,
+        topicId,
+        consensusNanos,
+        sequenceNumber,
+        message: chunk
+      });
+      topic.sequenceNumber = sequenceNumber;
+      topic.runningHash = runningHash.toString('hex');
+
+      const transaction = this.recordTransaction({
+        name: 'CONSENSUSSUBMITMESSAGE',
+        consensusNanos,
+        validStartNanos: initialValidStartNanos + BigInt(index),
+        entityId: topicId,
+        memo
+      });
+      this.state.messages.push({
+        chunk_info: {
+          initial_transaction_id: {
+            account_id: this.operatorAccountId,
+            nonce: 0,
+            scheduled: false,
+            transaction_valid_start: formatTimestamp(initialValidStartNanos)
+          },
+          number: index + 1,
+          total: chunks.length
+        },
+        consensus_timestamp: formatTimestamp(consensusNanos),
+        message: chunk.toString('base64'),
+        payer_account_id: this.operatorAccountId,
+        running_hash: runningHash.toString('base64'),
+        running_hash_version: RUNNING_HASH_VERSION,
+        sequence_number: sequenceNumber,
+        topic_id: topicId
+      });
+      this.recordReceipt(transaction, { topicId, topicSequenceNumber: sequenceNumber, topicRunningHash: topic.runningHash });
+      transactionIds.push(transaction.sdkTransactionId);
+    });
+    await this.save();
+    return { transactionId: transactionIds[0], transactionIds };
+  }
+
+  /**
+   * Receipt of a transaction
+   * @param {string} transactionId - SDK form (0.0.x@seconds.nanos)
+   * @returns {Promise<Object>} { transactionId, status, topicId, topicSequenceNumber, topicRunningHash }
+   */
+  async getReceipt(transactionId) {
+    const receipt = this.state.receipts[transactionId];
+    if (!receipt) {
+      throw new Error(`RECEIPT_NOT_FOUND: no transaction ${transactionId} on the ${this.network} ledger`);
+    }
+    return { ...receipt };
+  }
+
+  /**
+   * Messages of a topic in consensus order, in mirror node format
+   * @param {string} topicId - Topic ID
+   * @param {Object} [options] - { fromSequenceNumber, limit }
+   * @returns {Promise<Array>} Mirror node topic messages
+   */
+  async getMessages(topicId, { fromSequenceNumber = 1, limit = 100 } = {}) {
+    return this.state.messages
+      .filter(message => message.topic_id === topicId && message.sequence_number >= fromSequenceNumber)
+      .slice(0, limit);
+  }
+
+  /**
+   * Create an NFT collection with the operator as treasury
+   * @param {Object} params - { name, symbol, memo, maxSupply (unlimited when omitted) }
+   * @returns {Promise<Object>} { tokenId, transactionId }
+   */
+  async createNftCollection({ name, symbol, memo = '', maxSupply = null }) {
+    const tokenId = `0.0.${this.state.nextEntityNum++}`;
+    const consensusNanos = this.nextConsensusNanos();
+    this.state.tokens[tokenId] = {
+      token_id: tokenId,
+      name,
+      symbol,
+      memo,
+      type: 'NON_FUNGIBLE_UNIQUE',
+      supply_type: maxSupply ? 'FINITE' : 'INFINITE',
+      max_supply: String(maxSupply || 0),
+      total_supply: '0',
+      decimals: '0',
+      treasury_account_id: this.operatorAccountId,
+      created_timestamp: formatTimestamp(consensusNanos),
+      nfts: []
+    };
+    const transaction = this.recordTransaction({ name: 'TOKENCREATION', consensusNanos, entityId: tokenId, memo: '' });
+    this.recordReceipt(transaction);
+    await this.save();
+    return { tokenId, transactionId: transaction.sdkTransactionId };
+  }
+
+  /**
+   * Mint one NFT into the treasury
+   * @param {Object} params - { tokenId, metadata (at most 100 bytes) }
+   * @returns {Promise<Object>} { serial, transactionId }
+   */
+  async mintNft({ tokenId, metadata }) {
+    const token = this.state.tokens[tokenId];
+    if (!token) {
+      throw new Error(`INVALID_TOKEN_ID: token ${tokenId} does not exist on the ${this.network} ledger`);
+    }
+    const metadataBytes = Buffer.from(metadata);
+    if (metadataBytes.length > 100) {
+      throw new Error('METADATA_TOO_LONG: NFT metadata is limited to 100 bytes');
+    }
+    const serial = token.nfts.length + 1;
+    if (token.supply_type === 'FINITE' && serial > Number(token.max_supply)) {
+      throw new Error(`TOKEN_MAX_SUPPLY_REACHED: ${tokenId} has minted all ${token.max_supply} serials`);
+    }
+
+    const consensusNanos = this.nextConsensusNanos();
+    token.nfts.push({
+      account_id: this.operatorAccountId,
+      created_timestamp: formatTimestamp(consensusNanos),
+      delegating_spender: null,
+      deleted: false,
+      metadata: metadataBytes.toString('base64'),
+      modified_timestamp: formatTimestamp(consensusNanos),
+      serial_number: serial,
+      spender: null,
+      token_id: tokenId
+    });
+    token.total_supply = String(serial);
+    const transaction = this.recordTransaction({ name: 'TOKENMINT', consensusNanos, entityId: tokenId, memo: '' });
+    this.recordReceipt(transaction);
+    await this.save();
+    return { serial, transactionId: transaction.sdkTransactionId };
+  }
+
+  /**
+   * Send an NFT from the treasury. Accounts here have no association limits, so it always arrives.
+   * @param {Object} params - { tokenId, serial, to }
+   * @returns {Promise<Object>} { transactionId, status: 'transferred' }
+   */
+  async transferNft({ tokenId, serial, to }) {
+    const nft = this.state.tokens[tokenId]?.nfts[serial - 1];
+    if (!nft) {
+      throw new Error(`INVALID_NFT_ID: ${tokenId}/${serial} does not exist on the ${this.network} ledger`);
+    }
+    if (!ENTITY_ID_PATTERN.test(to)) {
+      throw new Error(`INVALID_ACCOUNT_ID: ${to}`);
+    }
+    if (nft.account_id !== this.operatorAccountId) {
+      throw new Error(`SENDER_DOES_NOT_OWN_NFT_SERIAL_NO: ${tokenId}/${serial} is owned by ${nft.account_id}`);
+    }
+
+    const consensusNanos = this.nextConsensusNanos();
+    nft.account_id = to;
+    nft.modified_timestamp = formatTimestamp(consensusNanos);
+    const transaction = this.recordTransaction({ name: 'TOKENAIRDROP', consensusNanos, entityId: null, memo: '' });
+    this.recordReceipt(transaction);
+    await this.save();
+    return { transactionId: transaction.sdkTransactionId, status: 'transferred' };
+  }
+
+  /**
+   * Current state of an NFT
+   * @param {string} tokenId - Token ID
+   * @param {number} serial - Serial number
+   * @returns {Promise<Object|null>} { tokenId, serial, accountId, metadata, deleted }, or null when unknown
+   */
+  async getNft(tokenId, serial) {
+    const nft = this.nft(tokenId, serial);
+    return nft ? fromMirrorNft(nft) : null;
+  }
+
+  /**
+   * Fee charged for a transaction
+   * @param {string} transactionId - SDK form (0.0.x@seconds.nanos)
+   * @returns {Promise<number|null>} Tinybars, or null for an unknown transaction
+   */
+  async getTransactionFee(transactionId) {
+    const transaction = this.state.transactions.find(candidate => candidate.sdkTransactionId === transactionId);
+    return transaction ? transaction.charged_tx_fee : null;
+  }
+
+  // Mirror node views (served by the local mirror routes)
+
+  topicMessages(topicId) {
+    return this.state.topics[topicId] ? this.state.messages.filter(message => message.topic_id === topicId) : null;
+  }
+
+  messageByTimestamp(consensusTimestamp) {
+    return this.state.messages.find(message => message.consensus_timestamp === consensusTimestamp) || null;
+  }
+
+  token(tokenId) {
+    const token = this.state.tokens[tokenId];
+    if (!token) return null;
+    const { nfts, ...info } = token;
+    return info;
+  }
+
+  nft(tokenId, serial) {
+    return this.state.tokens[tokenId]?.nfts[Number(serial) - 1] || null;
+  }
+
+  transactions() {
+    return this.state.transactions.map(({ sdkTransactionId, ...transaction }) => transaction);
+  }
+
+  status() {
+    return {
+      type: this.type,
+      network: this.network,
+      operatorAccountId: this.operatorAccountId,
+      file: this.file,
+      topics: Object.keys(this.state.topics).length,
+      messages: this.state.messages.length,
+      tokens: Object.keys(this.state.tokens).length
+    };
+  }
+
+  // Consensus timestamps follow the clock but strictly increase, like on the real ledger
+  nextConsensusNanos() {
+    const now = BigInt(Math.floor(this.clock())) * NANOS_PER_MILLISECOND;
+    const last = BigInt(this.state.lastConsensusNanos);
+    const next = now > last ? now : last + 1n;
+    this.state.lastConsensusNanos = next.toString();
+    return next;
+  }
+
+  // Valid start defaults to one second before consensus, as a client submitting now would pick
+  recordTransaction({ name, consensusNanos, validStartNanos = consensusNanos - NANOS_PER_SECOND, entityId, memo }) {
+    const seconds = validStartNanos / NANOS_PER_SECOND;
+    const nanos = validStartNanos % NANOS_PER_SECOND;
+    const transaction = {
+      sdkTransactionId: `${this.operatorAccountId}@${seconds}.${String(nanos).padStart(9, '0')}`,
+      charged_tx_fee: TRANSACTION_FEES[name] || 0,
+      consensus_timestamp: formatTimestamp(consensusNanos),
+      entity_id: entityId,
+      max_fee: String(TRANSACTION_FEES[name] || 0),
+      memo_base64: Buffer.from(memo).toString('base64'),
+      name,
+      node: '0.0.3',
+      result: 'SUCCESS',
+      transaction_id: `${this.operatorAccountId}-${seconds}-${String(nanos).padStart(9, '0')}`,
+      valid_start_timestamp: formatTimestamp(validStartNanos),
+      transfers: []
+    };
+    this.state.transactions.push(transaction);
+    return transaction;
+  }
+
+  recordReceipt(transaction, { topicId = null, topicSequenceNumber = null, topicRunningHash = null } = {}) {
+    this.state.receipts[transaction.sdkTransactionId] = {
+      transactionId: transaction.sdkTransactionId,
+      status: 'SUCCESS',
+      topicId,
+      topicSequenceNumber,
+      topicRunningHash
+    };
+  }
+
+  // Writes are chained so the file always holds the latest complete state
+  save() {
+    if (!this.file) return Promise.resolve();
+    this.saving = this.saving.then(async () => {
+      const tmpPath = `${this.file}.tmp`;
+      await writeFile(tmpPath, JSON.stringify(this.state));
+      await rename(tmpPath, this.file);
+    });
+    return this.saving;
+  }
+}
+
+function formatTimestamp(nanosTotal) {
+  return `${nanosTotal / NANOS_PER_SECOND}.${String(nanosTotal % NANOS_PER_SECOND).padStart(9, '0')}`;
+}
+
+/**
+ * Topic running hash, version 3: SHA-384 over the previous running hash, the
+ * version, payer and topic IDs, consensus time, sequence number and SHA-384 of the message
+ */
+export function computeRunningHash({ previousRunningHash, payerAccountId, topicId, consensusNanos, sequenceNumber, message }) {
+  const header = Buffer.alloc(9 * 8 + 4);
+  let offset = 0;
+  const writeLong = value => {
+    header.writeBigInt64BE(BigInt(value), offset);
+    offset += 8;
+  };
+  writeLong(RUNNING_HASH_VERSION);
+  payerAccountId.split('.').forEach(writeLong);
+  topicId.split('.').forEach(writeLong);
+  writeLong(consensusNanos / NANOS_PER_SECOND);
+  header.writeInt32BE(Number(consensusNanos % NANOS_PER_SECOND), offset);
+  offset += 4;
+  writeLong(sequenceNumber);
+
+  return crypto.createHash('sha384')
+    .update(previousRunningHash)
+    .update(header)
+    .update(crypto.createHash('sha384').update(message).digest())
+    .digest();
+}
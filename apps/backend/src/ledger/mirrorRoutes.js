@@ -0,0 +1,152 @@
+import express from 'express';
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/**
+ * Mirror node REST stand-in for the in-memory ledger. Serves the subset of
+ * /api/v1 that the backend and the claim pipeline use, with the same
+ * response shapes, filters (eq/gt/gte/lt/lte) and `links.next` pagination,
+ * so code written against a real mirror node works unchanged.
+ * @param {MemoryLedger} ledger - Ledger to serve
+ * @returns {express.Router} Router to mount at the configured mirror node path
+ */
+export function createMirrorRouter(ledger) {
+  const router = express.Router();
+
+  router.get('/api/v1/topics/messages/:consensusTimestamp', (req, res) => {
+    const message = ledger.messageByTimestamp(req.params.consensusTimestamp);
+    if (!message) return notFound(res);
+    res.json(message);
+  });
+
+  router.get('/api/v1/topics/:topicId/messages/:sequenceNumber', (req, res) => {
+    const message = ledger.topicMessages(req.params.topicId)
+      ?.find(candidate => candidate.sequence_number === Number(req.params.sequenceNumber));
+    if (!message) return notFound(res);
+    res.json(message);
+  });
+
+  router.get('/api/v1/topics/:topicId/messages', (req, res) => {
+    const messages = ledger.topicMessages(req.params.topicId);
+    if (!messages) return notFound(res);
+    const sequenceFilters = parseFilters(req.query.sequencenumber, Number);
+    const timestampFilters = parseFilters(req.query.timestamp, toNanos);
+    const matching = messages.filter(message =>
+      matchesAll(sequenceFilters, message.sequence_number) &&
+      matchesAll(timestampFilters, toNanos(message.consensus_timestamp)));
+    const page = paginate(matching, req.query, 'asc');
+    res.json({
+      messages: page.items,
+      links: {
+        next: page.hasMore
+          ? nextLink(req, 'sequencenumber', `${page.order === 'asc' ? 'gt' : 'lt'}:${page.items.at(-1).sequence_number}`)
+          : null
+      }
+    });
+  });
+
+  router.get('/api/v1/transactions/:transactionId', (req, res) => {
+    const transactions = ledger.transactions().filter(transaction => transaction.transaction_id === req.params.transactionId);
+    if (transactions.length === 0) return notFound(res);
+    res.json({ transactions });
+  });
+
+  router.get('/api/v1/transactions', (req, res) => {
+    const accountId = req.query['account.id'];
+    const type = req.query.transactiontype?.toUpperCase();
+    const timestampFilters = parseFilters(req.query.timestamp, toNanos);
+    const matching = ledger.transactions().filter(transaction =>
+      (!accountId || transaction.transaction_id.startsWith(`${accountId}-`)) &&
+      (!type || transaction.name === type) &&
+      matchesAll(timestampFilters, toNanos(transaction.consensus_timestamp)));
+    const page = paginate(matching, req.query, 'desc');
+    res.json({
+      transactions: page.items,
+      links: {
+        next: page.hasMore
+          ? nextLink(req, 'timestamp', `${page.order === 'asc' ? 'gt' : 'lt'}:${page.items.at(-1).consensus_timestamp}`)
+          : null
+      }
+    });
+  });
+
+  router.get('/api/v1/tokens/:tokenId/nfts/:serialNumber', (req, res) => {
+    const nft = ledger.nft(req.params.tokenId, req.params.serialNumber);
+    if (!nft) return notFound(res);
+    res.json(nft);
+  });
+
+  router.get('/api/v1/tokens/:tokenId', (req, res) => {
+    const token = ledger.token(req.params.tokenId);
+    if (!token) return notFound(res);
+    res.json(token);
+  });
+
+  // No accounts or keys exist on the in-memory ledger
+  router.get('/api/v1/accounts', (req, res) => {
+    res.json({ accounts: [], links: { next: null } });
+  });
+
+  router.use((req, res) => notFound(res));
+
+  // Malformed filters (e.g. timestamp=gt:abc) are client errors, as on a real mirror node
+  router.use((error, req, res, next) => {
+    res.status(400).json({ _status: { messages: [{ message: `Invalid parameter: ${error.message}` }] } });
+  });
+
+  return router;
+}
+
+function notFound(res) {
+  res.status(404).json({ _status: { messages: [{ message: 'Not found' }] } });
+}
+
+// "gte:1700000000.5" or ["gt:1", "lt:9"] -> [{ op, value }]
+function parseFilters(raw, parse) {
+  if (raw === undefined) return [];
+  return [].concat(raw).map(filter => {
+    const match = String(filter).match(/^(eq|ne|gt|gte|lt|lte):(.+)$/);
+    return match ? { op: match[1], value: parse(match[2]) } : { op: 'eq', value: parse(filter) };
+  });
+}
+
+function matchesAll(filters, value) {
+  return filters.every(({ op, value: bound }) => {
+    switch (op) {
+      case 'gt': return value > bound;
+      case 'gte': return value >= bound;
+      case 'lt': return value < bound;
+      case 'lte': return value <= bound;
+      case 'ne': return value !== bound;
+      default: return value === bound;
+    }
+  });
+}
+
+// Mirror node timestamps are "seconds[.nanos]"; compare them exactly as nanoseconds
+function toNanos(timestamp) {
+  const [seconds, nanos = '0'] = String(timestamp).split('.');
+  return BigInt(seconds) * 1000000000n + BigInt(nanos.padEnd(9, '0').slice(0, 9));
+}
+
+function paginate(items, query, defaultOrder) {
+  const order = query.order === 'asc' || query.order === 'desc' ? query.order : defaultOrder;
+  const limit = Math.min(parseInt(query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  const ordered = order === 'asc' ? items : [...items].reverse();
+  return { order, items: ordered.slice(0, limit), hasMore: ordered.length > limit };
+}
+
+// Relative link like the mirror node's: the bound in the paging direction moves past the
+// last item, other filters (including an opposite bound) are kept
+function nextLink(req, key, bound) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(req.query)) {
+    for (const item of [].concat(value)) {
+      if (name === key && String(item)[0] === bound[0]) continue;
+      params.append(name, item);
+    }
+  }
+  params.append(key, bound);
+  return `${req.path}?${params.toString()}`;
+}
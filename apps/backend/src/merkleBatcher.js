@@ -0,0 +1,194 @@
+import Datastore from '@seald-io/nedb';
+import path from 'path';
+import { mkdirSync } from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../../../packages/config/env/config.js';
+import {
+  MERKLE_ALGORITHM,
+  buildTree,
+  getRoot,
+  getInclusionProof,
+  hashLeaf
+} from '../../../packages/shared/merkle.js';
+import { MESSAGE_TYPES, encodeMemo, encodeMessage } from '../../../packages/shared/message-codec.js';
+import topicManager from './topicManager.js';
+
+/**
+ * Merkle Batcher - accumulates notarizations for a time window and anchors
+ * only the Merkle root in a single HCS message. Each caller receives an
+ * inclusion proof tying its entry to the anchored root.
+ */
+class MerkleBatcher {
+  constructor(dataDir = config.persistence.dataDir) {
+    mkdirSync(dataDir, { recursive: true });
+    this.db = new Datastore({ filename: path.join(dataDir, 'batches.db'), autoload: true });
+    this.windowMs = config.hedera.anchoring.batchWindowMs;
+    this.maxSize = config.hedera.anchoring.batchMaxSize;
+    this.ledger = null;
+    this.pending = new Map(); // project -> open batch
+    this.ready = this.db.ensureIndexAsync({ fieldName: 'batchId', unique: true });
+  }
+
+  /**
+   * Attach the ledger batch roots are submitted to
+   * @param {Object} ledger - Ledger adapter (see ledger/index.js)
+   */
+  attach(ledger) {
+    this.ledger = ledger;
+  }
+
+  /**
+   * Add a notarization entry to the open batch of a project
+   * @param {string} project - Project whose topic receives the root
+   * @param {Object} leaf - Leaf data (cid, accountId, contentType, contentSize, ...)
+   * @returns {Promise<Object>} Anchor details with the inclusion proof, once the batch is anchored
+   */
+  enqueue(project, leaf) {
+    if (!this.ledger) {
+      return Promise.reject(new Error('Ledger not configured - cannot anchor batches'));
+    }
+
+    let batch = this.pending.get(project);
+    if (!batch) {
+      batch = {
+        batchId: uuidv4(),
+        project,
+        openedAt: new Date().toISOString(),
+        entries: []
+      };
+      batch.timer = setTimeout(() => this.flush(project), this.windowMs);
+      this.pending.set(project, batch);
+    }
+
+    const anchored = new Promise((resolve, reject) => {
+      batch.entries.push({ leaf, resolve, reject });
+    });
+
+    if (batch.entries.length >= this.maxSize) {
+      this.flush(project);
+    }
+    return anchored;
+  }
+
+  /**
+   * Close the open batch of a project and anchor its root
+   * @param {string} project - Project name
+   */
+  async flush(project) {
+    const batch = this.pending.get(project);
+    if (!batch) return;
+
+    // New entries from here on go into a fresh batch
+    this.pending.delete(project);
+    clearTimeout(batch.timer);
+
+    const leafHashes = batch.entries.map(entry => hashLeaf(entry.leaf));
+    const levels = buildTree(leafHashes);
+    const merkleRoot = getRoot(levels);
+
+    try {
+      const topicId = await topicManager.getTopicId(project);
+      const anchoredAt = new Date().toISOString();
+      const batchMessage = {
+        type: MESSAGE_TYPES.MERKLE_BATCH,
+        network: config.hedera.network,
+        batchId: batch.batchId,
+        project,
+        merkleRoot,
+        algorithm: MERKLE_ALGORITHM,
+        leafCount: batch.entries.length,
+        anchoredAt
+      };
+
+      // Recorded before submission so the leaves can be resolved as soon as the root appears on the topic
+      await this.ready;
+      await this.db.insertAsync({
+        batchId: batch.batchId,
+        project,
+        topicId,
+        transactionId: null,
+        merkleRoot,
+        algorithm: MERKLE_ALGORITHM,
+        leafCount: batch.entries.length,
+        leaves: batch.entries.map(entry => entry.leaf),
+        openedAt: batch.openedAt,
+        anchoredAt: null
+      });
+
+      console.log(`🌳 Anchoring Merkle batch ${batch.batchId} (${batch.entries.length} entries) to topic ${topicId}`);
+      const { transactionId, transactionIds } = await this.ledger.submitMessage({
+        topicId,
+        message: encodeMessage(batchMessage),
+        memo: encodeMemo(batchMessage)
+      });
+      for (const chunkTransactionId of transactionIds) {
+        await this.ledger.getReceipt(chunkTransactionId);
+      }
+
+      await this.db.updateAsync({ batchId: batch.batchId }, { $set: { transactionId, anchoredAt } });
+      console.log(`✅ Merkle batch anchored: ${transactionId}`);
+
+      batch.entries.forEach((entry, leafIndex) => {
+        entry.resolve({
+          batchId: batch.batchId,
+          topicId,
+          transactionId,
+          merkleRoot,
+          leafIndex,
+          leafCount: batch.entries.length,
+          anchoredAt,
+          proof: {
+            algorithm: MERKLE_ALGORITHM,
+            batchId: batch.batchId,
+            topicId,
+            transactionId,
+            leaf: entry.leaf,
+            leafHash: leafHashes[leafIndex],
+            leafIndex,
+            path: getInclusionProof(levels, leafIndex),
+            root: merkleRoot
+          }
+        });
+      });
+    } catch (error) {
+      console.error(`❌ Merkle batch ${batch.batchId} anchoring failed:`, error.message);
+      await this.db.removeAsync({ batchId: batch.batchId }, {}).catch(() => {});
+      batch.entries.forEach(entry => entry.reject(error));
+    }
+  }
+
+  /**
+   * Get an anchored batch with its leaves
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object|null>} Batch record
+   */
+  async getBatch(batchId) {
+    await this.ready;
+    const doc = await this.db.findOneAsync({ batchId });
+    if (!doc) return null;
+    const { _id, ...batch } = doc;
+    return batch;
+  }
+
+  /**
+   * Get batching status
+   * @returns {Object} Open batches and window settings
+   */
+  getStatus() {
+    return {
+      windowMs: this.windowMs,
+      maxSize: this.maxSize,
+      openBatches: Array.from(this.pending.values()).map(batch => ({
+        batchId: batch.batchId,
+        project: batch.project,
+        openedAt: batch.openedAt,
+        entries: batch.entries.length
+      }))
+    };
+  }
+}
+
+// Export singleton instance
+const merkleBatcher = new MerkleBatcher();
+export default merkleBatcher;
+export { MerkleBatcher };
@@ -0,0 +1,264 @@
+import Datastore from '@seald-io/nedb';
+import path from 'path';
+import { mkdirSync } from 'fs';
+import { config } from '../../../packages/config/env/config.js';
+import { buildUnixFsCid } from '../../../packages/shared/unixfs-cid.js';
+import proofBundles, { ProofError } from './proofBundles.js';
+import registry from './registry.js';
+import storage, { bufferContent } from './storage/index.js';
+import costTracker from './costs.js';
+
+const ENTITY_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+const BUNDLE_POLL_INTERVAL_MS = 2000;
+
+/**
+ * NFT Certificates - mints a Hedera Token Service NFT for a notarization.
+ * Its metadata is ipfs://<CID of the signed proof bundle>, so the token
+ * carries the proof wherever it is transferred. NFTs are minted into the
+ * operator's treasury and airdropped to the notarizing account.
+ */
+class NftCertificateService {
+  constructor(dataDir = config.persistence.dataDir) {
+    mkdirSync(dataDir, { recursive: true });
+    this.db = new Datastore({ filename: path.join(dataDir, 'nfts.db'), autoload: true });
+    this.network = config.hedera.network;
+    this.ledger = null;
+    this.pendingCollection = null;
+    this.pendingMints = new Map(); // notarizationId -> mint in progress
+    this.ready = Promise.all([
+      this.db.ensureIndexAsync({ fieldName: 'cid' }),
+      this.db.ensureIndexAsync({ fieldName: 'notarizationId' })
+    ]);
+  }
+
+  /**
+   * Attach the ledger NFTs are minted on
+   * @param {Object} ledger - Ledger adapter (see ledger/index.js)
+   */
+  attach(ledger) {
+    this.ledger = ledger;
+  }
+
+  /**
+   * Mint the NFT certificate of a notarization and send it to the notarizing account
+   * @param {Object} record - Registry record
+   * @returns {Promise<Object>} NFT record
+   */
+  async mint(record) {
+    if (!config.nft.enabled) {
+      throw new NftError('NFT certificates are disabled (set NFT_CERTIFICATES_ENABLED=true)', 409);
+    }
+    if (!this.ledger) {
+      throw new NftError('Ledger not configured - cannot mint NFT certificates', 503);
+    }
+
+    // Coalesce concurrent mints for the same notarization (inline minting and the mint endpoint) into one NFT
+    const { notarizationId } = record;
+    if (this.pendingMints.has(notarizationId)) return this.pendingMints.get(notarizationId);
+    const pending = this.mintOnce(record);
+    this.pendingMints.set(notarizationId, pending);
+    try {
+      return await pending;
+    } finally {
+      this.pendingMints.delete(notarizationId);
+    }
+  }
+
+  async mintOnce(record) {
+    await this.ready;
+    const existing = await this.db.findOneAsync({ type: 'nft', notarizationId: record.notarizationId });
+    if (existing) {
+      throw new NftError(`Notarization ${record.notarizationId} already has NFT ${existing.tokenId}/${existing.serial}`, 409);
+    }
+
+    // The metadata points at the stored proof bundle, so it must be retrievable by its CID
+    const bundle = await this.waitForBundle(record);
+    const bundleBytes = Buffer.from(JSON.stringify(bundle, null, 2), 'utf8');
+    const { cid: proofBundleCid } = await buildUnixFsCid(bundleBytes, config.ipfs.cid);
+    const stored = await storage.store({
+      key: `proof-bundles/${record.notarizationId}.json`,
+      cid: proofBundleCid,
+      content: bufferContent(bundleBytes, 'application/json'),
+      metadata: { 'content-type': 'proof-bundle' }
+    });
+    if (!stored.stored) {
+      throw new NftError('No storage provider accepted the proof bundle - NFT not minted', 502);
+    }
+
+    const tokenId = await this.getCollectionId();
+    const metadata = `ipfs://${proofBundleCid}`;
+    const costContext = { notarizationId: record.notarizationId, accountId: record.accountId, project: record.project };
+    const minted = await this.ledger.mintNft({ tokenId, metadata });
+    this.recordFee({ ...costContext, kind: 'hts-mint', transactionId: minted.transactionId });
+    console.log(`🎫 Minted NFT certificate ${tokenId}/${minted.serial} for ${record.cid}`);
+
+    // The treasury keeps NFTs of accounts it cannot send to (itself, or IDs that are not account IDs)
+    let transfer = { status: 'held_by_treasury', transactionId: null, error: null };
+    if (ENTITY_ID_PATTERN.test(record.accountId) && record.accountId !== this.ledger.operatorAccountId) {
+      try {
+        transfer = { error: null, ...(await this.ledger.transferNft({ tokenId, serial: minted.serial, to: record.accountId })) };
+        this.recordFee({ ...costContext, kind: 'hts-transfer', transactionId: transfer.transactionId });
+      } catch (error) {
+        console.warn(`⚠️ NFT ${tokenId}/${minted.serial} could not be sent to ${record.accountId}:`, error.message);
+        transfer = { status: 'transfer_failed', transactionId: null, error: error.message };
+      }
+    }
+
+    const nft = {
+      type: 'nft',
+      network: this.network,
+      tokenId,
+      serial: minted.serial,
+      metadata,
+      proofBundleCid,
+      cid: record.cid,
+      notarizationId: record.notarizationId,
+      accountId: record.accountId,
+      status: transfer.status,
+      mintTransactionId: minted.transactionId,
+      transferTransactionId: transfer.transactionId,
+      transferError: transfer.error,
+      mintedAt: new Date().toISOString()
+    };
+    await this.db.insertAsync(nft);
+
+    const certificate = certificateFor(nft);
+    await registry.update(record.notarizationId, {
+      nft: { tokenId, serial: minted.serial },
+      proofPackage: { ...(record.proofPackage || {}), nftCertificate: certificate }
+    });
+    return stripInternal(nft);
+  }
+
+  /**
+   * NFT certificates of a CID, newest first, with their current owner
+   * @param {string} cid - Content CID
+   * @returns {Promise<Array>} NFT records
+   */
+  async findByCid(cid) {
+    await this.ready;
+    const docs = await this.db.findAsync({ type: 'nft', cid }).sort({ mintedAt: -1 });
+    return Promise.all(docs.map(doc => this.withOwner(doc)));
+  }
+
+  /**
+   * NFT certificate by token ID and serial, with its current owner
+   * @param {string} tokenId - Token ID
+   * @param {number} serial - Serial number
+   * @returns {Promise<Object|null>} NFT record
+   */
+  async findByToken(tokenId, serial) {
+    await this.ready;
+    const doc = await this.db.findOneAsync({ type: 'nft', tokenId, serial: Number(serial) });
+    return doc ? this.withOwner(doc) : null;
+  }
+
+  /**
+   * Collection NFTs are minted in: NFT_TOKEN_ID, or the one created for this network on first mint
+   * @returns {Promise<string>} Token ID
+   */
+  async getCollectionId() {
+    if (config.nft.tokenId) return config.nft.tokenId;
+    await this.ready;
+    const existing = await this.db.findOneAsync({ type: 'collection', network: this.network });
+    if (existing) return existing.tokenId;
+
+    // Coalesce concurrent first mints into one collection
+    if (!this.pendingCollection) {
+      this.pendingCollection = this.createCollection().finally(() => {
+        this.pendingCollection = null;
+      });
+    }
+    return this.pendingCollection;
+  }
+
+  async createCollection() {
+    const { collectionName: name, collectionSymbol: symbol, maxSupply } = config.nft;
+    const created = await this.ledger.createNftCollection({
+      name,
+      symbol,
+      memo: `Notarization certificates (${config.server.nodeEnv})`,
+      maxSupply
+    });
+    await this.db.insertAsync({
+      type: 'collection',
+      network: this.network,
+      tokenId: created.tokenId,
+      name,
+      symbol,
+      creationTransactionId: created.transactionId,
+      createdAt: new Date().toISOString()
+    });
+    this.recordFee({ kind: 'hts-collection', transactionId: created.transactionId });
+    console.log(`🎫 Created NFT certificate collection ${created.tokenId}`);
+    return created.tokenId;
+  }
+
+  // Mirror nodes lag consensus by a few seconds, and the bundle is built from the mirror copy of the anchor
+  async waitForBundle(record) {
+    const deadline = Date.now() + config.nft.bundleTimeoutMs;
+    for (;;) {
+      try {
+        return await proofBundles.getBundle(record);
+      } catch (error) {
+        if (!(error instanceof ProofError) || error.statusCode !== 503 || Date.now() >= deadline) throw error;
+        await new Promise(resolve => setTimeout(resolve, BUNDLE_POLL_INTERVAL_MS));
+      }
+    }
+  }
+
+  // Owners change as NFTs are transferred; a claimed airdrop completes the delivery
+  async withOwner(doc) {
+    const nft = stripInternal(doc);
+    try {
+      const onLedger = await this.ledger?.getNft(nft.tokenId, nft.serial);
+      nft.owner = onLedger?.accountId || null;
+    } catch (error) {
+      nft.owner = null;
+    }
+    if (nft.status === 'pending_claim' && nft.owner === nft.accountId) {
+      nft.status = 'transferred';
+      await this.db.updateAsync({ _id: doc._id }, { $set: { status: 'transferred' } });
+    }
+    return nft;
+  }
+
+  recordFee(item) {
+    costTracker.recordTransactionFee(item)
+      .catch(error => console.warn('⚠️ Failed to record NFT transaction fee:', error.message));
+  }
+}
+
+// Summary carried in the proof package and the notarization response
+export function certificateFor(nft) {
+  return {
+    tokenId: nft.tokenId,
+    serial: nft.serial,
+    metadata: nft.metadata,
+    proofBundleCid: nft.proofBundleCid,
+    status: nft.status,
+    mintTransactionId: nft.mintTransactionId,
+    transferTransactionId: nft.transferTransactionId
+  };
+}
+
+function stripInternal(doc) {
+  const { _id, type, ...rest } = doc;
+  return rest;
+}
+
+/**
+ * NFT certificate error carrying an HTTP status code
+ */
+export class NftError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'NftError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Export singleton instance
+const nftCertificates = new NftCertificateService();
+export default nftCertificates;
+export { NftCertificateService };
@@ -0,0 +1,318 @@
+import { EventEmitter } from 'events';
+import Datastore from '@seald-io/nedb';
+import path from 'path';
+import { mkdirSync } from 'fs';
+import { config } from '../../../packages/config/env/config.js';
+import { buildUnixFsCid, sameCid } from '../../../packages/shared/unixfs-cid.js';
+import registry from './registry.js';
+import storage, { bufferContent, keyForCid } from './storage/index.js';
+import gatewayRegistry from '../../../packages/shared/gateway-registry.js';
+
+/**
+ * Pin Health Monitor - periodically checks that every notarized CID is still
+ * retrievable from the storage providers and the live IPFS gateways, keeps an availability
+ * history per CID, re-uploads content to providers that lost it from any surviving
+ * copy, and raises an alert when a CID has no healthy replica left.
+ * Emits 'checked' after every CID check and 'alert' when a CID becomes unavailable.
+ */
+class PinHealthMonitor extends EventEmitter {
+  constructor(dataDir = config.persistence.dataDir) {
+    super();
+    mkdirSync(dataDir, { recursive: true });
+    this.db = new Datastore({ filename: path.join(dataDir, 'availability.db'), autoload: true });
+    this.ready = this.db.ensureIndexAsync({ fieldName: 'cid', unique: true });
+    this.timer = null;
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Schedule periodic checks of all registry CIDs
+   */
+  start() {
+    if (!config.pinHealth.enabled || this.timer) return;
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => console.error('❌ Pin health run failed:', error.message));
+    }, config.pinHealth.intervalMs);
+    this.timer.unref?.();
+    console.log(`🩺 Pin health checks every ${Math.round(config.pinHealth.intervalMs / 60000)} minutes`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Check every notarized CID once (a run already in progress is returned instead of starting another)
+   * @returns {Promise<Object>} Run summary { startedAt, finishedAt, checked, healthy, degraded, unavailable, repaired }
+   */
+  runOnce() {
+    if (!this.running) {
+      this.running = this.checkAll().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async checkAll() {
+    const summary = { startedAt: new Date().toISOString(), checked: 0, healthy: 0, degraded: 0, unavailable: 0, repaired: 0 };
+    const entries = await registry.listCids();
+    console.log(`🩺 Pin health run: ${entries.length} CIDs`);
+
+    // Sequential on purpose: gateways rate-limit and repairs hold content in memory
+    for (const entry of entries) {
+      try {
+        const check = await this.check(entry);
+        summary.checked++;
+        summary[check.status]++;
+        summary.repaired += check.repairs.filter(repair => repair.status === 'repaired').length;
+      } catch (error) {
+        console.error(`❌ Pin health check failed for ${entry.cid}:`, error.message);
+      }
+    }
+
+    summary.finishedAt = new Date().toISOString();
+    this.lastRun = summary;
+    console.log(`🩺 Pin health run done: ${summary.healthy} healthy, ${summary.degraded} degraded, ${summary.unavailable} unavailable, ${summary.repaired} repaired`);
+    return summary;
+  }
+
+  /**
+   * Check one CID now
+   * @param {string} cid - Notarized CID
+   * @returns {Promise<Object|null>} Check result, or null if the CID is not in the registry
+   */
+  async checkCid(cid) {
+    const entry = (await registry.listCids()).find(candidate => candidate.cid === cid);
+    return entry ? this.check(entry) : null;
+  }
+
+  /**
+   * Check one registry entry, repair missing provider copies and record the result
+   * @param {Object} entry - { cid, mimeType, filename, size, storageReplicas }
+   * @returns {Promise<Object>} Check result
+   */
+  async check(entry) {
+    const startedAt = Date.now();
+    const { cid } = entry;
+    // The key recorded at notarization, then the CID's own key (where repairs write)
+    const keysFor = provider => [...new Set([
+      entry.storageReplicas.find(replica => replica.provider === provider.name)?.key,
+      keyForCid(cid)
+    ].filter(Boolean))];
+
+    const providers = await Promise.all(storage.providers.map(async provider => {
+      const result = { provider: provider.name, type: provider.type, available: false };
+      try {
+        for (const key of keysFor(provider)) {
+          if (await provider.has({ cid, key })) {
+            result.available = true;
+            result.key = key;
+            break;
+          }
+        }
+      } catch (error) {
+        result.error = error.message;
+      }
+      return result;
+    }));
+    const gateways = config.pinHealth.checkGateways
+      ? await Promise.all(gatewayRegistry.gateways().map(gateway => probeGateway(gateway, cid)))
+      : [];
+
+    const repairs = [];
+    const missing = providers.filter(result => !result.available);
+    const { repairMaxBytes } = config.pinHealth;
+    if (config.pinHealth.repair && missing.length > 0 && entry.size > repairMaxBytes) {
+      for (const result of missing) {
+        repairs.push({
+          provider: result.provider,
+          status: 'repair_skipped',
+          source: null,
+          error: `Content is ${entry.size} bytes, above the repair limit of ${repairMaxBytes} (PIN_HEALTH_REPAIR_MAX_BYTES)`
+        });
+      }
+    } else if (config.pinHealth.repair && missing.length > 0) {
+      const source = await this.fetchSurvivingCopy(cid, providers, gateways);
+      for (const result of missing) {
+        if (!source) {
+          repairs.push({ provider: result.provider, status: 'failed', source: null, error: 'No surviving copy to repair from' });
+          continue;
+        }
+        const provider = storage.getProvider(result.provider);
+        try {
+          result.key = keyForCid(cid);
+          await provider.put({
+            key: result.key,
+            cid,
+            content: bufferContent(source.buffer, entry.mimeType || 'application/octet-stream'),
+            metadata: { 'repaired-from': source.from }
+          });
+          result.available = true;
+          result.repaired = true;
+          repairs.push({ provider: result.provider, status: 'repaired', source: source.from });
+          console.log(`🔁 Re-pinned ${cid} on ${result.provider} from ${source.from}`);
+        } catch (error) {
+          repairs.push({ provider: result.provider, status: 'failed', source: source.from, error: error.message });
+        }
+      }
+    }
+
+    const healthyReplicas = providers.filter(result => result.available).length +
+      gateways.filter(result => result.available).length;
+    const check = {
+      cid,
+      checkedAt: new Date().toISOString(),
+      status: healthyReplicas === 0 ? 'unavailable' : providers.every(result => result.available) ? 'healthy' : 'degraded',
+      healthyReplicas,
+      providers,
+      gateways,
+      repairs,
+      durationMs: Date.now() - startedAt
+    };
+    await this.record(check);
+    this.emit('checked', check);
+    return check;
+  }
+
+  /**
+   * Read the content back from any provider or gateway that still serves it,
+   * accepting only bytes that hash to the notarized CID. Copies above
+   * repairMaxBytes are not used (gateway reads stop once the limit is passed).
+   */
+  async fetchSurvivingCopy(cid, providers, gateways) {
+    for (const result of providers.filter(candidate => candidate.available)) {
+      try {
+        const provider = storage.getProvider(result.provider);
+        const buffer = await provider.get({ cid, key: result.key });
+        if (buffer.length > config.pinHealth.repairMaxBytes) throw new Error('Copy exceeds the repair size limit');
+        if (await matchesCid(buffer, cid)) return { from: result.provider, buffer };
+      } catch (error) {
+        console.log(`⚠️ Could not read ${cid} from ${result.provider}:`, error.message);
+      }
+    }
+    for (const result of gateways.filter(candidate => candidate.available)) {
+      try {
+        const response = await fetch(`${result.gateway}${cid}`, { signal: AbortSignal.timeout(config.pinHealth.gatewayTimeoutMs * 6) });
+        if (!response.ok) continue;
+        const buffer = await readLimited(response, config.pinHealth.repairMaxBytes);
+        if (await matchesCid(buffer, cid)) return { from: result.gateway, buffer };
+      } catch (error) {
+        console.log(`⚠️ Could not read ${cid} from ${result.gateway}:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  async record(check) {
+    await this.ready;
+    const previous = await this.db.findOneAsync({ cid: check.cid });
+    const { cid, ...entry } = check;
+    await this.db.updateAsync(
+      { cid },
+      {
+        $set: {
+          cid,
+          status: check.status,
+          healthyReplicas: check.healthyReplicas,
+          lastCheckedAt: check.checkedAt,
+          ...(check.status === 'unavailable' ? {} : { lastAvailableAt: check.checkedAt })
+        },
+        $push: { history: { $each: [entry], $slice: -config.pinHealth.historySize } }
+      },
+      { upsert: true }
+    );
+
+    // Alert once when content loses its last replica, not on every check while it stays lost
+    if (check.status === 'unavailable' && previous?.status !== 'unavailable') {
+      await this.alert({ cid, lastAvailableAt: previous?.lastAvailableAt || null, check });
+    }
+  }
+
+  async alert(details) {
+    const alert = { type: 'no_healthy_replica', ...details, raisedAt: new Date().toISOString() };
+    console.error(`🚨 No healthy replica left for ${details.cid}`);
+    this.emit('alert', alert);
+    if (!config.pinHealth.alertWebhookUrl) return;
+    try {
+      const response = await fetch(config.pinHealth.alertWebhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(alert),
+        signal: AbortSignal.timeout(config.pinHealth.gatewayTimeoutMs)
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      console.warn('⚠️ Pin health alert webhook failed:', error.message);
+    }
+  }
+
+  /**
+   * Get the availability record of a CID
+   * @param {string} cid - Notarized CID
+   * @returns {Promise<Object|null>} { cid, status, healthyReplicas, lastCheckedAt, lastAvailableAt, history } or null if never checked
+   */
+  async getAvailability(cid) {
+    await this.ready;
+    const doc = await this.db.findOneAsync({ cid });
+    if (!doc) return null;
+    const { _id, history = [], ...availability } = doc;
+    // Newest check first
+    return { ...availability, history: [...history].reverse() };
+  }
+
+  getStatus() {
+    return {
+      enabled: config.pinHealth.enabled,
+      scheduled: !!this.timer,
+      intervalMs: config.pinHealth.intervalMs,
+      running: !!this.running,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+async function probeGateway(gateway, cid) {
+  const startedAt = Date.now();
+  try {
+    const response = await fetch(`${gateway}${cid}`, {
+      method: 'HEAD',
+      signal: AbortSignal.timeout(config.pinHealth.gatewayTimeoutMs)
+    });
+    const latencyMs = Date.now() - startedAt;
+    // A missing CID is not the gateway's fault, only count transport failures against it
+    gatewayRegistry.record(gateway, { ok: true, latencyMs });
+    return { gateway, available: response.ok, statusCode: response.status, latencyMs };
+  } catch (error) {
+    gatewayRegistry.record(gateway, { ok: false, error: error.message });
+    return { gateway, available: false, error: error.message, latencyMs: Date.now() - startedAt };
+  }
+}
+
+// Read a response body, giving up as soon as it grows past maxBytes
+async function readLimited(response, maxBytes) {
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    await response.body?.cancel();
+    throw new Error('Copy exceeds the repair size limit');
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) throw new Error('Copy exceeds the repair size limit');
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function matchesCid(buffer, cid) {
+  const details = await buildUnixFsCid(buffer, config.ipfs.cid);
+  return sameCid(details.cid, cid);
+}
+
+// Export singleton instance
+const pinHealth = new PinHealthMonitor();
+export default pinHealth;
+export { PinHealthMonitor };
@@ -0,0 +1,150 @@
+import path from 'path';
+import crypto from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { config } from '../../../packages/config/env/config.js';
+import {
+  PROOF_BUNDLE_FORMAT,
+  PROOF_BUNDLE_VERSION,
+  SIGNATURE_ALGORITHM,
+  keyIdFor,
+  signBundle
+} from '../../../packages/shared/proof-bundle.js';
+import { findMessageByTransaction } from './verification.js';
+import registry from './registry.js';
+
+/**
+ * Proof Bundle Service - builds signed, self-contained proof bundles from
+ * registry records and the mirror-node copy of the anchoring HCS message.
+ * Bundles can be checked with packages/verifier without this server.
+ */
+class ProofBundleService {
+  constructor(dataDir = config.persistence.dataDir) {
+    this.keyPath = config.proofs.signingKeyPath || path.join(dataDir, 'proof-signing-key.pem');
+    this.privateKey = null;
+  }
+
+  /**
+   * Load the signing key, generating and persisting one on first use
+   * @returns {KeyObject} Ed25519 private key
+   */
+  getSigningKey() {
+    if (this.privateKey) return this.privateKey;
+
+    if (existsSync(this.keyPath)) {
+      this.privateKey = crypto.createPrivateKey(readFileSync(this.keyPath, 'utf8'));
+    } else {
+      const { privateKey } = crypto.generateKeyPairSync(SIGNATURE_ALGORITHM);
+      mkdirSync(path.dirname(this.keyPath), { recursive: true });
+      writeFileSync(this.keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+      console.log(`🔑 Generated proof bundle signing key: ${this.keyPath}`);
+      this.privateKey = privateKey;
+    }
+    return this.privateKey;
+  }
+
+  /**
+   * Public half of the signing key, for verifiers to pin
+   * @returns {Object} { algorithm, keyId, publicKey }
+   */
+  getPublicKeyInfo() {
+    const publicKey = crypto.createPublicKey(this.getSigningKey());
+    return {
+      algorithm: SIGNATURE_ALGORITHM,
+      keyId: keyIdFor(publicKey),
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  }
+
+  /**
+   * Get the proof bundle of a notarization, building and caching it on first request
+   * @param {Object} record - Registry record
+   * @returns {Promise<Object>} Signed proof bundle
+   */
+  async getBundle(record) {
+    if (record.proofBundle) return record.proofBundle;
+
+    if (!record.hederaTransactionId) {
+      throw new ProofError(`Notarization ${record.notarizationId} was not anchored on Hedera`, 409);
+    }
+    const located = await findMessageByTransaction(record.hederaTransactionId);
+    if (!located) {
+      // Mirror nodes lag consensus by a few seconds
+      throw new ProofError('Anchoring transaction not yet available on the mirror node, retry shortly', 503);
+    }
+
+    const bundle = signBundle(this.assemble(record, located), this.getSigningKey());
+    await registry.update(record.notarizationId, { proofBundle: bundle });
+    return bundle;
+  }
+
+  assemble(record, { message, transaction }) {
+    const proofPackage = record.proofPackage || {};
+    return {
+      format: PROOF_BUNDLE_FORMAT,
+      version: PROOF_BUNDLE_VERSION,
+      notarization: {
+        notarizationId: record.notarizationId,
+        accountId: record.accountId,
+        // Wallet signature of the account owner over content.sha256, verified against the mirror node key
+        accountAuthentication: proofPackage.accountAuthentication || { method: 'none' },
+        project: record.project,
+        contentType: record.contentType,
+        title: record.title
+      },
+      content: {
+        cid: record.cid,
+        sha256: proofPackage.contentDigest?.sha256 || null,
+        size: record.size,
+        mimeType: record.mimeType,
+        // Records from before UnixFS CIDs used a raw-codec CIDv1 over the whole file
+        cidParameters: proofPackage.cidParameters || { format: 'raw' }
+      },
+      anchor: {
+        type: record.anchoring === 'batch' ? 'merkle-batch' : 'individual',
+        network: config.hedera.network,
+        topicId: message.topic_id,
+        sequenceNumber: message.sequence_number,
+        consensusTimestamp: message.consensus_timestamp,
+        runningHash: message.running_hash,
+        runningHashVersion: message.running_hash_version,
+        transactionId: record.hederaTransactionId,
+        payerAccountId: message.payer_account_id,
+        message: message.message,
+        // Messages over one HCS chunk: the fields above are the last chunk's, message is the whole payload
+        ...(message.chunks ? {
+          chunks: message.chunks.map(chunk => ({
+            sequenceNumber: chunk.sequence_number,
+            consensusTimestamp: chunk.consensus_timestamp,
+            runningHash: chunk.running_hash
+          }))
+        } : {})
+      },
+      mirrorRecord: {
+        mirrorNodeUrl: config.hedera.mirrorNodeUrl,
+        fetchedAt: new Date().toISOString(),
+        message,
+        transactionMemo: transaction?.memo_base64
+          ? Buffer.from(transaction.memo_base64, 'base64').toString('utf8')
+          : null
+      },
+      merkle: proofPackage.merkleInclusionProof || null,
+      issuedAt: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * Proof bundle error carrying an HTTP status code
+ */
+export class ProofError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ProofError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Export singleton instance
+const proofBundles = new ProofBundleService();
+export default proofBundles;
+export { ProofBundleService };
@@ -0,0 +1,211 @@
+import Datastore from '@seald-io/nedb';
+import path from 'path';
+import { mkdirSync } from 'fs';
+import { config } from '../../../packages/config/env/config.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Notarization Registry - durable record of every notarization
+ * Backed by an embedded database file so proofs survive server restarts
+ */
+class NotarizationRegistry {
+  constructor(dataDir = config.persistence.dataDir) {
+    mkdirSync(dataDir, { recursive: true });
+    this.filename = path.join(dataDir, 'notarizations.db');
+    this.db = new Datastore({ filename: this.filename, autoload: true });
+    this.ready = Promise.all([
+      this.db.ensureIndexAsync({ fieldName: 'notarizationId', unique: true }),
+      this.db.ensureIndexAsync({ fieldName: 'cid' }),
+      this.db.ensureIndexAsync({ fieldName: 'accountId' }),
+      this.db.ensureIndexAsync({ fieldName: 'notarizedAt' })
+    ]);
+  }
+
+  /**
+   * Record a completed notarization
+   * @param {Object} entry - Notarization details from /api/notarize
+   * @returns {Promise<Object>} Stored record
+   */
+  async record(entry) {
+    await this.ready;
+    const record = {
+      notarizationId: entry.notarizationId,
+      cid: entry.cid,
+      accountId: entry.accountId,
+      // True when the account owner's wallet signed the content digest
+      accountVerified: !!entry.accountVerified,
+      // Who paid the anchoring fee: the operator account or the user's wallet
+      payer: entry.payer || 'operator',
+      contentType: entry.contentType,
+      mimeType: entry.mimeType || null,
+      size: entry.size ?? null,
+      title: entry.title || '',
+      tags: normalizeTags(entry.tags),
+      hederaTransactionId: entry.hederaTransactionId || null,
+      topicId: entry.topicId || null,
+      project: entry.project || null,
+      anchoring: entry.anchoring || 'individual',
+      batchId: entry.batchId || null,
+      aiVerdict: entry.aiVerdict || null,
+      proofPackage: entry.proofPackage || null,
+      notarizedAt: entry.notarizedAt || new Date().toISOString()
+    };
+    const stored = await this.db.insertAsync(record);
+    return stripInternal(stored);
+  }
+
+  /**
+   * Merge additional fields into an existing record
+   * @param {string} notarizationId - Registry record ID
+   * @param {Object} fields - Fields to set
+   * @returns {Promise<Object|null>} Updated record or null if not found
+   */
+  async update(notarizationId, fields) {
+    await this.ready;
+    const { affectedDocuments } = await this.db.updateAsync(
+      { notarizationId },
+      { $set: fields },
+      { returnUpdatedDocs: true }
+    );
+    return affectedDocuments ? stripInternal(affectedDocuments) : null;
+  }
+
+  /**
+   * Find notarizations with optional filters and pagination
+   * @param {Object} filters - accountId, tag, contentType, project, from, to, page, limit
+   * @returns {Promise<Object>} { items, total, page, limit, totalPages }
+   */
+  async find(filters = {}) {
+    await this.ready;
+    const query = buildQuery(filters);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+
+    const [docs, total] = await Promise.all([
+      this.db.findAsync(query).sort({ notarizedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      this.db.countAsync(query)
+    ]);
+
+    return {
+      items: docs.map(stripInternal),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Get every notarization of a CID, newest first
+   * @param {string} cid - IPFS CID
+   * @returns {Promise<Array>} Matching records
+   */
+  async findByCid(cid) {
+    await this.ready;
+    const docs = await this.db.findAsync({ cid }).sort({ notarizedAt: -1 });
+    return docs.map(stripInternal);
+  }
+
+  /**
+   * List every notarized CID once, with where its latest notarization stored the content
+   * @returns {Promise<Array>} [{ cid, mimeType, filename, storageReplicas }]
+   */
+  async listCids() {
+    await this.ready;
+    const docs = await this.db.findAsync({ cid: { $exists: true } }, {
+      cid: 1,
+      mimeType: 1,
+      notarizedAt: 1,
+      'proofPackage.storageReplicas': 1,
+      'proofPackage.contentMetadata.originalFilename': 1,
+      'proofPackage.contentMetadata.size': 1
+    }).sort({ notarizedAt: -1 });
+
+    const latest = new Map();
+    for (const doc of docs) {
+      if (latest.has(doc.cid)) continue;
+      latest.set(doc.cid, {
+        cid: doc.cid,
+        mimeType: doc.mimeType || null,
+        filename: doc.proofPackage?.contentMetadata?.originalFilename || null,
+        size: doc.proofPackage?.contentMetadata?.size ?? null,
+        storageReplicas: doc.proofPackage?.storageReplicas || []
+      });
+    }
+    return [...latest.values()];
+  }
+
+  /**
+   * Get registry statistics
+   * @returns {Promise<Object>} Registry stats
+   */
+  async getStats() {
+    await this.ready;
+    return {
+      totalNotarizations: await this.db.countAsync({}),
+      databaseFile: this.filename
+    };
+  }
+}
+
+function normalizeTags(tags) {
+  if (Array.isArray(tags)) return tags.map(t => String(t).trim()).filter(Boolean);
+  if (typeof tags === 'string') return tags.split(',').map(t => t.trim()).filter(Boolean);
+  return [];
+}
+
+function buildQuery({ accountId, tag, contentType, project, from, to }) {
+  const query = {};
+  if (accountId) query.accountId = accountId;
+  if (tag) query.tags = tag;
+  if (contentType) query.contentType = contentType;
+  if (project) query.project = project;
+  if (from || to) {
+    query.notarizedAt = {};
+    if (from) query.notarizedAt.$gte = toIsoBound(from, 'from');
+    if (to) query.notarizedAt.$lte = toIsoBound(to, 'to');
+  }
+  return query;
+}
+
+function toIsoBound(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new RangeError(`Invalid "${name}" date: ${value}`);
+  }
+  // A bare date (YYYY-MM-DD) as upper bound should include the whole day
+  if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date.toISOString();
+}
+
+function stripInternal(doc) {
+  const { _id, ...rest } = doc;
+  return rest;
+}
+
+/**
+ * Pull the verdict line out of a fact-check style LLM output
+ * @param {Object} aiAnalysis - aiAnalysis object built in /api/notarize
+ * @returns {Object|null} { mode, model, verdict }
+ */
+export function extractAiVerdict(aiAnalysis) {
+  const agentKit = aiAnalysis?.agentKit;
+  if (!agentKit) return null;
+  const output = agentKit.output;
+  const text = typeof output === 'string' ? output : (output?.output || '');
+  const match = text.match(/Verdict:\s*\**\s*(True|False|Mixed)/i);
+  return {
+    mode: agentKit.mode,
+    model: agentKit.model,
+    verdict: match ? match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase() : null
+  };
+}
+
+// Export singleton instance
+const registry = new NotarizationRegistry();
+export default registry;
+export { NotarizationRegistry };
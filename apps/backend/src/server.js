@@ -1,17 +1,33 @@
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
-import { S3Client, PutObjectCommand, HeadObjectCommand, HeadBucketCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
-import { Client, AccountId, PrivateKey, TopicCreateTransaction, TopicMessageSubmitTransaction, Hbar } from '@hashgraph/sdk';
+import { ListObjectsV2Command, HeadObjectCommand } from '@aws-sdk/client-s3';
+import { AccountId, PrivateKey, Hbar } from '@hashgraph/sdk';
 import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
-import { CID } from 'multiformats/cid';
-import { sha256 } from 'multiformats/hashes/sha2';
-import * as raw from 'multiformats/codecs/raw';
 import dotenv from 'dotenv';
 import path from 'path';
 import fetch from 'node-fetch';
 import { analyzeImageWithClaim } from './imageAnalysis.js';
+import registry, { extractAiVerdict } from './registry.js';
+import { verifyContent } from './verification.js';
+import topicManager, { TopicError, DEFAULT_PROJECT, normalizeProject } from './topicManager.js';
+import merkleBatcher from './merkleBatcher.js';
+import jobManager from './jobs.js';
+import uploadManager, { UploadError } from './uploads.js';
+import proofBundles, { ProofError } from './proofBundles.js';
+import { renderCertificate } from './certificates.js';
+import walletSignatures, { WalletSignatureError } from './walletSignatures.js';
+import anchorRequests, { AnchorRequestError } from './anchorRequests.js';
+import storage, { bufferContent, keyForCid, uploadMethodFor } from './storage/index.js';
+import pinHealth from './pinHealth.js';
+import costTracker, { BudgetError, createLlmUsage } from './costs.js';
+import nftCertificates, { NftError, certificateFor } from './nftCertificates.js';
+import { createLedger, createMirrorRouter } from './ledger/index.js';
+import gatewayRegistry from '../../../packages/shared/gateway-registry.js';
+import { createHederaClient, explorerUrl, networkInfo } from '../../../packages/shared/hedera-network.js';
+import { MESSAGE_TYPES, encodeMemo, encodeMessage } from '../../../packages/shared/message-codec.js';
+import { signedContentDigest } from '../../../packages/shared/wallet-signature.js';
 import { HederaLangchainToolkit, coreQueriesPlugin } from 'hedera-agent-kit';
 import { ChatOpenAI } from '@langchain/openai';
 import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
@@ -24,10 +40,10 @@ dotenv.config({ path: path.join(process.cwd(), 'config', '.env') });
 // Import unified configuration
 import { config, validateConfig, getConfigSummary } from '../../../packages/config/env/config.js';
 
-// Import orchestrators
-import MainOrchestrator from '../../../packages/agents/orchestrators/main-orchestrator.js';
-import ImprovedOrchestrator from '../../../packages/agents/orchestrators/improved-orchestrator.js';
+// Import the claim pipeline
+import ClaimPipeline, { PipelineError } from '../../../packages/agents/pipeline/claim-pipeline.js';
 import contentStore from '../../../packages/agents/content-store.js';
+import { buildUnixFsCid } from '../../../packages/shared/unixfs-cid.js';
 
 // Validate configuration before starting
 try {
@@ -73,10 +89,10 @@ async function initializeAgentExecutor() {
     }
     // Ensure we have at least a read-only Hedera client for query tools
     let agentClient = hederaClient;
-    if (!agentClient) {
+    if (!agentClient && config.ledger.type === 'hedera') {
       console.warn('⚠️ Hedera credentials missing; initializing read-only client for queries');
       try {
-        agentClient = Client.forTestnet();
+        agentClient = createHederaClient();
       } catch (e) {
         console.warn('⚠️ Failed to create read-only Hedera client:', e.message);
       }
@@ -105,25 +121,45 @@ async function initializeAgentExecutor() {
   }
 }
 
-// Initialize Hedera client
+// Initialize Hedera client (not needed for the in-memory ledger)
 let hederaClient = null;
-try {
-  hederaClient = Client.forTestnet();
-  
-  // Set operator from configuration
-  if (config.hedera.accountId && config.hedera.privateKey) {
-    hederaClient.setOperator(
-      AccountId.fromString(config.hedera.accountId),
-      PrivateKey.fromStringECDSA(config.hedera.privateKey)
-    );
-    console.log(`✅ Hedera client configured for account: ${config.hedera.accountId}`);
-  } else {
-    console.warn('⚠️ Hedera credentials not found in configuration');
+if (config.ledger.type === 'hedera') {
+  try {
+    hederaClient = createHederaClient();
+
+    // Set operator from configuration
+    if (config.hedera.accountId && config.hedera.privateKey) {
+      hederaClient.setOperator(
+        AccountId.fromString(config.hedera.accountId),
+        PrivateKey.fromStringECDSA(config.hedera.privateKey)
+      );
+      console.log(`✅ Hedera client configured for account: ${config.hedera.accountId}`);
+      anchorRequests.attach(hederaClient);
+    } else {
+      console.warn('⚠️ Hedera credentials not found in configuration');
+      hederaClient = null;
+    }
+  } catch (error) {
+    console.error('❌ Error initializing Hedera client:', error.message);
     hederaClient = null;
   }
-} catch (error) {
-  console.error('❌ Error initializing Hedera client:', error.message);
-  hederaClient = null;
+}
+
+// All anchoring goes through the ledger adapter
+const ledger = createLedger({
+  client: hederaClient,
+  submitKey: hederaClient ? PrivateKey.fromStringECDSA(config.hedera.privateKey).publicKey : undefined
+});
+if (ledger) {
+  if (ledger.type === 'memory') {
+    console.log(`🧪 Using the in-memory ledger${ledger.file ? ` (${ledger.file})` : ''}; mirror node at ${config.hedera.mirrorNodeUrl}`);
+  }
+  // Reuse long-lived HCS topics instead of creating one per notarization
+  topicManager.initialize(ledger)
+    .catch(error => console.warn('⚠️ Topic manager initialization failed:', error.message));
+  merkleBatcher.attach(ledger);
+  costTracker.attach(ledger);
+  nftCertificates.attach(ledger);
 }
 
 // Middleware
@@ -158,38 +194,21 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
 });
 
-// Configure AWS S3 client for Filebase using configuration
-const s3Client = new S3Client({
-  endpoint: config.filebase.endpoint,
-  region: config.filebase.region,
-  credentials: {
-    accessKeyId: config.filebase.accessKeyId,
-    secretAccessKey: config.filebase.secretAccessKey,
-  },
-});
+uploadManager.attach(storage);
 
-// Helper function to generate IPFS CID (deterministic, should match IPFS)
+// Helper function to generate the UnixFS CID IPFS nodes assign to the same bytes
 async function generateIPFSCID(content) {
-  try {
-    const hash = await sha256.digest(content);
-    const cid = CID.createV1(raw.code, hash);
-    const cidString = cid.toString();
-    console.log(`🔧 Generated CID details: ${cidString} (length: ${cidString.length})`);
-    return cidString;
-  } catch (error) {
-    console.error('Error generating IPFS CID:', error);
-    // Fallback to a simple base58 hash if CID generation fails
-    try {
-      const crypto = await import('crypto');
-      const hashBuffer = crypto.createHash('sha256').update(content).digest();
-      const simpleHash = 'Qm' + hashBuffer.toString('hex').substring(0, 44);
-      console.log(`🔧 Using fallback hash: ${simpleHash}`);
-      return simpleHash;
-    } catch (fallbackError) {
-      console.error('Fallback CID generation failed:', fallbackError);
-      return null;
-    }
-  }
+  const details = await buildUnixFsCid(content, config.ipfs.cid);
+  console.log(`🔧 Generated CID details: ${details.cid} (CIDv${details.cidVersion}, ${details.chunker}, sha256: ${details.sha256})`);
+  return details;
+}
+
+// Compare the CID a storage provider assigned (Filebase, Kubo) with the locally built one
+function storageCidCheckFor(results, localCid) {
+  const reported = results.find(result => result.remoteCid);
+  return reported
+    ? { provider: reported.provider, localCid, remoteCid: reported.remoteCid, matches: reported.cidMatches }
+    : null;
 }
 
 // Helper to build a concise analysis prompt for LLMs
@@ -313,9 +332,13 @@ app.get('/api/health', (req, res) => {
     success: true,
     message: 'Server is running',
     services: {
-      hedera: !!hederaClient,
+      hedera: !!ledger,
+      hederaNetwork: networkInfo(),
+      ledger: ledger?.status() || null,
       filebase: !!(config.filebase.accessKeyId && config.filebase.secretAccessKey),
+      storageProviders: config.storage.providers,
       ipfs: true,
+      ipfsGateways: gatewayRegistry.gateways().length,
       contentStore: contentStore.getStats()
     },
     timestamp: new Date().toISOString()
@@ -331,8 +354,37 @@ app.get('/api/content-store/status', (req, res) => {
   });
 });
 
+// Storage provider health
+app.get('/api/storage/status', async (req, res) => {
+  try {
+    const providers = await storage.status();
+    res.json({
+      success: providers.some(provider => provider.healthy),
+      providers,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Storage status check failed:', error);
+    res.status(500).json({ success: false, message: 'Storage status check failed', error: error.message });
+  }
+});
+
+// IPFS gateway health and ranking (?probe=true probes every gateway now)
+app.get('/api/gateways/status', async (req, res) => {
+  try {
+    const gateways = req.query.probe === 'true' ? await gatewayRegistry.probeAll() : gatewayRegistry.getStatus();
+    res.json({ success: true, gateways, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Gateway status check failed', error: error.message });
+  }
+});
+
 // Test Filebase connectivity
 app.get('/api/test-filebase', async (req, res) => {
+  const filebase = storage.getProvider('filebase');
+  if (!filebase) {
+    return res.status(400).json({ success: false, message: 'Filebase is not an enabled storage provider (STORAGE_PROVIDERS)' });
+  }
   try {
     console.log('🧪 Testing Filebase connectivity...');
     console.log('🔧 Config check:', {
@@ -346,11 +398,7 @@ app.get('/api/test-filebase', async (req, res) => {
     });
 
     // Test 1: Head bucket (check if bucket exists and we have access)
-    const headBucketCommand = new HeadBucketCommand({
-      Bucket: config.filebase.bucketName
-    });
-    
-    const headResult = await s3Client.send(headBucketCommand);
+    const headResult = await filebase.healthCheck();
     console.log('✅ Bucket head successful:', headResult);
 
     // Test 2: List objects (check if we can list bucket contents)
@@ -359,7 +407,7 @@ app.get('/api/test-filebase', async (req, res) => {
       MaxKeys: 1
     });
     
-    const listResult = await s3Client.send(listCommand);
+    const listResult = await filebase.client.send(listCommand);
     console.log('✅ Bucket list successful:', listResult);
 
     res.json({
@@ -420,18 +468,14 @@ app.get('/api/test-filebase', async (req, res) => {
 // IPFS gateway endpoint
 app.get('/api/ipfs/:cid', (req, res) => {
   const { cid } = req.params;
-  const gatewayUrl = `${process.env.IPFS_GATEWAY_URL || 'https://ipfs.filebase.io/ipfs/'}${cid}`;
+  const [gatewayUrl, ...alternativeGateways] = gatewayRegistry.urlsFor(cid);
   
   res.json({
     success: true,
     cid,
     gatewayUrl,
-    alternativeGateways: [
-      `https://ipfs.io/ipfs/${cid}`,
-      `https://gateway.pinata.cloud/ipfs/${cid}`,
-      `https://cloudflare-ipfs.com/ipfs/${cid}`,
-      `https://dweb.link/ipfs/${cid}`
-    ]
+    alternativeGateways,
+    gatewayUrls: [gatewayUrl, ...alternativeGateways]
   });
 });
 
@@ -509,6 +553,10 @@ app.post('/api/translate', async (req, res) => {
 
 // Debug endpoint to check file in Filebase
 app.get('/api/debug/filebase/:filename', async (req, res) => {
+  const filebase = storage.getProvider('filebase');
+  if (!filebase) {
+    return res.status(400).json({ success: false, error: 'Filebase is not an enabled storage provider (STORAGE_PROVIDERS)' });
+  }
   try {
     const { filename } = req.params;
     
@@ -517,7 +565,7 @@ app.get('/api/debug/filebase/:filename', async (req, res) => {
       Key: filename
     };
     
-    const headResult = await s3Client.send(new HeadObjectCommand(headObjectParams));
+    const headResult = await filebase.client.send(new HeadObjectCommand(headObjectParams));
     
     res.json({
       success: true,
@@ -527,7 +575,8 @@ app.get('/api/debug/filebase/:filename', async (req, res) => {
       lastModified: headResult.LastModified,
       contentLength: headResult.ContentLength,
       etag: headResult.ETag,
-      possibleCID: headResult.Metadata?.['ipfs-hash'] || 
+      possibleCID: headResult.Metadata?.cid ||
+                   headResult.Metadata?.['ipfs-hash'] || 
                    headResult.Metadata?.['ipfs-cid'] ||
                    headResult.Metadata?.['x-amz-meta-ipfs-hash'] ||
                    headResult.ETag?.replace(/"/g, '')
@@ -547,13 +596,7 @@ app.get('/api/debug/verify-cid/:cid', async (req, res) => {
   const { cid } = req.params;
   
   // Provide gateway URLs and instructions for manual verification
-  const gateways = [
-    `https://ipfs.filebase.io/ipfs/${cid}`,
-    `https://ipfs.io/ipfs/${cid}`,
-    `https://gateway.pinata.cloud/ipfs/${cid}`,
-    `https://cloudflare-ipfs.com/ipfs/${cid}`,
-    `https://dweb.link/ipfs/${cid}`
-  ];
+  const gateways = gatewayRegistry.urlsFor(cid);
   
   res.json({
     success: true,
@@ -576,660 +619,1556 @@ app.get('/api/debug/verify-cid/:cid', async (req, res) => {
   });
 });
 
-// Main notarization endpoint
-app.post('/api/notarize', upload.single('file'), async (req, res) => {
+// Verify-by-content: recompute the CID and check it against the Hedera ledger record
+app.post('/api/verify', upload.single('file'), async (req, res) => {
   try {
-    const { accountId, contentType, text, title = '', tags = '', mode = 'analysis', prompt: userPrompt = '' } = req.body;
+    const { text, transactionId, topicId, merkleProof } = req.body;
     const file = req.file;
-
-    // Validate required fields
-    if (!accountId) {
-      return res.status(400).json({ success: false, error: 'Account ID is required' });
-    }
-
-    if (contentType !== 'text' && contentType !== 'image') {
-      return res.status(400).json({ success: false, error: 'Content type must be text or image' });
-    }
-
-    // Determine actual content scenario
     const hasText = text && text.trim().length > 0;
     const hasImage = file && file.buffer;
-    
+
     if (!hasText && !hasImage) {
-      return res.status(400).json({ success: false, error: 'Either text content or image file is required' });
+      return res.status(400).json({ success: false, error: 'Either text content or a file is required' });
     }
 
-    // Determine what we're actually storing
-    let actualContentType;
-    if (hasImage && hasText) {
-      actualContentType = 'image-with-text';
-    } else if (hasImage) {
-      actualContentType = 'image';
-    } else {
-      actualContentType = 'text';
+    // Same content rules as /api/notarize: the file is what was stored, text-only stores the raw text
+    const contentBuffer = hasImage ? file.buffer : Buffer.from(text, 'utf8');
+    const { cid, rawCid } = await generateIPFSCID(contentBuffer);
+
+    // Lookup hints: caller-supplied IDs first, then our registry. The ledger is still the source of truth.
+    const requestHints = [];
+    if (merkleProof) {
+      let proof;
+      try {
+        proof = typeof merkleProof === 'string' ? JSON.parse(merkleProof) : merkleProof;
+      } catch (_) {
+        return res.status(400).json({ success: false, error: 'merkleProof must be valid JSON' });
+      }
+      requestHints.push({ transactionId: transactionId || proof.transactionId, merkleProof: proof, source: 'request' });
+    } else if (transactionId) {
+      requestHints.push({ transactionId, source: 'request' });
     }
+    if (topicId) requestHints.push({ topicId, source: 'request' });
+
+    // Notarizations made before UnixFS CIDs were anchored under the raw-codec CID
+    let report;
+    for (const candidateCid of [cid, rawCid]) {
+      const hints = [...requestHints];
+      try {
+        for (const record of await registry.findByCid(candidateCid)) {
+          if (!record.hederaTransactionId) continue;
+          hints.push({
+            transactionId: record.hederaTransactionId,
+            merkleProof: record.proofPackage?.merkleInclusionProof,
+            source: 'registry'
+          });
+        }
+      } catch (registryError) {
+        console.warn('⚠️ Registry lookup failed during verification:', registryError.message);
+      }
 
-    let content;
-    let filename;
-    let contentBuffer;
-
-    // Prepare content based on actual scenario - STORE RAW CONTENT ONLY
-    if (actualContentType === 'text') {
-      // Store raw text content only
-      contentBuffer = Buffer.from(text, 'utf8');
-      filename = `notarized-text-${Date.now()}.txt`;
-    } else if (actualContentType === 'image' || actualContentType === 'image-with-text') {
-      // For both image-only and image-with-text, store the raw image file
-      // Text will be included in Hedera message for image-with-text case
-      contentBuffer = file.buffer;
-      filename = `notarized-${file.originalname}`;
+      console.log(`🔎 Verifying content against ledger. CID: ${candidateCid}`);
+      report = await verifyContent({
+        cid: candidateCid,
+        contentBuffer,
+        text: hasImage && hasText ? text : undefined,
+        hints
+      });
+      console.log(`${report.verified ? '✅' : '❌'} Verification ${report.result} for CID: ${candidateCid}`);
+      if (report.checks.cidMatchesLedger || candidateCid === rawCid) break;
     }
 
-    console.log(`📁 Uploading RAW CONTENT to Filebase: ${filename} (${contentBuffer.length} bytes)`);
-    console.log(`🔄 Actual content scenario: ${actualContentType}`);
-    
-    if (actualContentType === 'text') {
-      console.log(`📄 Text content: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
-    } else if (actualContentType === 'image') {
-      console.log(`🖼️ Image only: ${file.originalname} (${file.mimetype})`);
-    } else if (actualContentType === 'image-with-text') {
-      console.log(`🖼️ Image: ${file.originalname} (${file.mimetype})`);
-      console.log(`📝 Associated text: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
-      console.log(`💡 Image stored in IPFS, text will be in Hedera message`);
+    res.json({
+      success: true,
+      ...report,
+      hederaExplorerUrl: report.ledgerRecord?.transactionId
+        ? explorerUrl('transaction', report.ledgerRecord.transactionId)
+        : null
+    });
+  } catch (error) {
+    console.error('❌ Verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Verification failed',
+      message: error.message
+    });
+  }
+});
+
+// Clients opt into background processing with async=true or "Prefer: respond-async"
+function wantsAsync(req) {
+  const flag = req.body?.async ?? req.query.async;
+  return flag === true || flag === 'true' || /respond-async/i.test(req.get('Prefer') || '');
+}
+
+// Notarization pipeline: storage, anchoring, analysis and proof package.
+// reportStage(stage, data) is called as each step finishes so async jobs can stream progress.
+// storedFile is set for chunked uploads, which are already hashed and stored (see uploads.js).
+// walletSignature is the verified signature record when the account owner signed the content digest.
+// payer 'user' hands a frozen transaction to the client (awaiting_payment event) and waits for its confirmation.
+// inJob is set for async jobs, which wait for the next budget period when COST_BUDGET_EXHAUSTED=queue.
+// mintNft mints an HTS NFT certificate for the notarization once its proof bundle is available.
+async function notarizeContent({ accountId, contentType, text, title, tags, mode, userPrompt, anchoring, project, file, hasText, hasImage, storedFile, walletSignature = null, payer = 'operator', inJob = false, mintNft = false }, reportStage = () => {}) {
+  const notarizationId = uuidv4();
+  const costContext = { notarizationId, accountId, project };
+
+  // Operator-paid notarizations must fit the HBAR budgets
+  if (ledger && payer === 'operator') {
+    try {
+      await costTracker.admit({ canQueue: inJob, onQueued: budget => reportStage('waiting_for_budget', budget) });
+    } catch (error) {
+      if (error instanceof BudgetError) {
+        return { statusCode: error.statusCode, body: { success: false, error: 'budget_exhausted', message: error.message, budget: error.budget } };
+      }
+      throw error;
     }
+  }
 
-    // IPFS Strategy: Corporate network resilient approach
-    let ipfsSuccess = false;
-    let ipfsError = null;
-    let actualIPFSCid = null;
-    let uploadMethod = 'local-only';
+  // Determine what we're actually storing
+  let actualContentType;
+  if (storedFile) {
+    actualContentType = 'file';
+  } else if (hasImage && hasText) {
+    actualContentType = 'image-with-text';
+  } else if (hasImage) {
+    actualContentType = 'image';
+  } else {
+    actualContentType = 'text';
+  }
+
+  let content;
+  let filename;
+  let contentBuffer;
+
+  // Prepare content based on actual scenario - STORE RAW CONTENT ONLY
+  if (actualContentType === 'text') {
+    // Store raw text content only
+    contentBuffer = Buffer.from(text, 'utf8');
+    filename = `notarized-text-${Date.now()}.txt`;
+  } else if (actualContentType === 'image' || actualContentType === 'image-with-text') {
+    // For both image-only and image-with-text, store the raw image file
+    // Text will be included in Hedera message for image-with-text case
+    contentBuffer = file.buffer;
+    filename = `notarized-${file.originalname}`;
+  } else if (actualContentType === 'file') {
+    // Large file: never loaded into memory, only its stored object is referenced
+    filename = `notarized-${storedFile.filename}`;
+  }
+  const contentSize = storedFile ? storedFile.size : contentBuffer.length;
+
+  console.log(`📁 Storing RAW CONTENT: ${filename} (${contentSize} bytes)`);
+  console.log(`🔄 Actual content scenario: ${actualContentType}`);
+  
+  if (actualContentType === 'text') {
+    console.log(`📄 Text content: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
+  } else if (actualContentType === 'image') {
+    console.log(`🖼️ Image only: ${file.originalname} (${file.mimetype})`);
+  } else if (actualContentType === 'image-with-text') {
+    console.log(`🖼️ Image: ${file.originalname} (${file.mimetype})`);
+    console.log(`📝 Associated text: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
+    console.log(`💡 Image stored in IPFS, text will be in Hedera message`);
+  } else if (actualContentType === 'file') {
+    console.log(`📦 Large file from chunked upload: ${storedFile.filename} (${storedFile.mimeType})`);
+  }
+
+  // IPFS Strategy: Corporate network resilient approach
+  let ipfsSuccess = false;
+  let ipfsError = null;
+  let actualIPFSCid = null;
+  let cidDetails = null;
+  let storageCidCheck = null;
+  let storageResults = [];
+  let uploadMethod = 'local-only';
+  
+  // Step 1: Always generate local CID first (works even behind corporate firewalls)
+  console.log('🔧 Generating local IPFS CID (corporate network safe)...');
+  try {
+    if (storedFile) {
+      cidDetails = storedFile.cidDetails;
+      uploadMethod = storedFile.uploadMethod;
+    } else {
+      cidDetails = await generateIPFSCID(contentBuffer);
+    }
+    actualIPFSCid = cidDetails.cid;
+    console.log(`🎯 Local CID generated: ${actualIPFSCid}`);
+    ipfsSuccess = true;
     
-    // Step 1: Always generate local CID first (works even behind corporate firewalls)
-    console.log('🔧 Generating local IPFS CID (corporate network safe)...');
+    // Step 1.5: Store content in local content store for immediate claim pipeline access
+    console.log('🗃️ Storing content in local content store...');
+    const contentText = actualContentType === 'text' ? text : `${actualContentType === 'file' ? 'File' : 'Image file'}: ${file?.originalname}${actualContentType === 'image-with-text' ? ` with text: ${text}` : ''}`;
+    contentStore.store(actualIPFSCid, contentText, {
+      contentType: actualContentType,
+      filename: filename,
+      size: contentSize,
+      mimeType: actualContentType === 'text' ? 'text/plain' : file?.mimetype,
+      hasText: hasText,
+      hasImage: hasImage,
+      uploadTimestamp: new Date().toISOString()
+    });
+    console.log(`✅ Content stored locally for immediate AI processing`);
+  } catch (cidError) {
+    console.error('❌ Local CID generation failed:', cidError.message);
+    ipfsError = `CID generation failed: ${cidError.message}`;
+  }
+  reportStage('cid_generated', { cid: actualIPFSCid, contentType: actualContentType, size: contentSize, error: ipfsError });
+  
+  // Step 2: Replicate to the configured storage providers (best-effort, may fail in corporate networks)
+  if (ipfsSuccess && storedFile) {
+    // Chunked uploads were replicated when completed
+    storageResults = storedFile.storage || [];
+  } else if (ipfsSuccess) {
+    console.log(`📁 Replicating to storage providers: ${config.storage.providers.join(', ')}`);
+    const stored = await storage.store({
+      key: keyForCid(actualIPFSCid),
+      cid: actualIPFSCid,
+      content: bufferContent(contentBuffer, actualContentType === 'text' ? 'text/plain; charset=utf-8' : file?.mimetype || 'application/octet-stream'),
+      metadata: { 'content-type': actualContentType }
+    });
+    storageResults = stored.results;
+    uploadMethod = uploadMethodFor(stored);
+    if (!stored.stored) {
+      console.log('⚠️ No storage provider accepted the content (local CID is still valid)');
+    }
+  }
+  storageCidCheck = storageCidCheckFor(storageResults, actualIPFSCid);
+  reportStage('stored', { uploadMethod, storage: storageResults, cidMatchesStorage: storageCidCheck?.matches ?? null });
+
+  // Record on Hedera blockchain
+  let hederaTransactionHash = null;
+  // Every chunk of a message larger than one HCS chunk is its own (fee-charging) transaction
+  let hederaChunkTransactionIds = null;
+  let hederaTopicId = null;
+  let hederaError = null;
+  let merkleAnchor = null;
+  let userPaidAnchor = null;
+
+  if (ledger && actualIPFSCid && anchoring === 'batch') {
+    // Batch mode: wait for the batch window to close and the Merkle root to be anchored
     try {
-      actualIPFSCid = await generateIPFSCID(contentBuffer);
-      console.log(`🎯 Local CID generated: ${actualIPFSCid}`);
-      ipfsSuccess = true;
-      uploadMethod = 'local-only';
-      
-      // Step 1.5: Store content in local content store for immediate orchestrator access
-      console.log('🗃️ Storing content in local content store...');
-      const contentText = actualContentType === 'text' ? text : `Image file: ${file?.originalname}${actualContentType === 'image-with-text' ? ` with text: ${text}` : ''}`;
-      contentStore.store(actualIPFSCid, contentText, {
+      console.log(`🌳 Queueing CID for Merkle batch anchoring (project: ${project})`);
+      merkleAnchor = await merkleBatcher.enqueue(project, {
+        cid: actualIPFSCid,
+        contentSha256: cidDetails.sha256,
+        accountId,
+        ...(walletSignature ? { accountSignature: hcsSignatureFields(walletSignature) } : {}),
         contentType: actualContentType,
-        filename: filename,
-        size: contentBuffer.length,
+        contentSize: contentSize,
         mimeType: actualContentType === 'text' ? 'text/plain' : file?.mimetype,
-        hasText: hasText,
-        hasImage: hasImage,
-        uploadTimestamp: new Date().toISOString()
+        project,
+        submittedAt: new Date().toISOString(),
+        ...(actualContentType === 'image-with-text' && hasText
+          ? { textSha256: crypto.createHash('sha256').update(text).digest('hex') }
+          : {})
       });
-      console.log(`✅ Content stored locally for immediate AI processing`);
-    } catch (cidError) {
-      console.error('❌ Local CID generation failed:', cidError.message);
-      ipfsError = `CID generation failed: ${cidError.message}`;
+      hederaTransactionHash = merkleAnchor.transactionId;
+      hederaTopicId = merkleAnchor.topicId;
+      console.log(`✅ CID included in Merkle batch ${merkleAnchor.batchId} (leaf ${merkleAnchor.leafIndex + 1}/${merkleAnchor.leafCount})`);
+    } catch (error) {
+      console.error('❌ Merkle batch anchoring failed:', error.message);
+      hederaError = error.message;
     }
-    
-    // Step 2: Try Filebase upload as bonus (may fail in corporate networks)
-    if (ipfsSuccess) {
-      console.log('📁 Attempting Filebase network storage (optional)...');
-      try {
-        const putObjectParams = {
-          Bucket: config.filebase.bucketName,
-          Key: filename,
-          Body: contentBuffer,
-          ContentType: actualContentType === 'text' ? 'text/plain; charset=utf-8' : file?.mimetype || 'application/octet-stream',
-          Metadata: {
-            'uploaded-at': Date.now().toString(),
-            'content-type': actualContentType,
-            'local-cid': actualIPFSCid || 'unknown'
-          }
-        };
-
-        const uploadResult = await s3Client.send(new PutObjectCommand(putObjectParams));
-        console.log('✅ Filebase upload successful (bonus network storage)');
-        uploadMethod = 'local+filebase';
+  } else if (ledger && actualIPFSCid) {
+    try {
+      const notarizationData = {
+        // Core notarization info
+        type: MESSAGE_TYPES.NOTARIZATION,
+        network: config.hedera.network,
+        accountId,
+        ipfsCid: actualIPFSCid,
+        contentSha256: cidDetails.sha256,
+        // Account owner's wallet signature over the content digest (absent when unsigned)
+        ...(walletSignature ? { accountSignature: hcsSignatureFields(walletSignature) } : {}),
+        contentType: actualContentType,  // Use the actual determined type
+        timestamp: new Date().toISOString(),
         
-      } catch (filebaseError) {
-        console.log('⚠️ Filebase upload failed (expected in corporate networks):', filebaseError.message);
-        // This is OK - we already have local CID
-      }
-    }
-
-    // Record on Hedera blockchain
-    let hederaTransactionHash = null;
-    let hederaError = null;
-
-    if (hederaClient && actualIPFSCid) {
-      try {
-        const notarizationData = {
-          // Core notarization info
-          accountId,
-          ipfsCid: actualIPFSCid,
-          contentType: actualContentType,  // Use the actual determined type
-          timestamp: new Date().toISOString(),
-          
-          // Content metadata (agents can use this)
-          title: title || '',
-          tags: tags || '',
-          originalFilename: (actualContentType === 'image' || actualContentType === 'image-with-text') ? file?.originalname : `${Date.now()}.txt`,
-          contentSize: contentBuffer.length,
-          mimeType: actualContentType === 'text' ? 'text/plain' : file?.mimetype,
-          
-          // For image-with-text scenario, include the text content here
-          ...(actualContentType === 'image-with-text' && hasText ? { 
-            associatedText: text,
-            textDescription: text.substring(0, 500) + (text.length > 500 ? '...' : ''),
-            note: 'Image stored in IPFS, text content included in this message'
-          } : {}),
-          
-          // Access URLs for agents
-          ipfsGatewayUrl: `${process.env.IPFS_GATEWAY_URL || 'https://ipfs.filebase.io/ipfs/'}${actualIPFSCid}`,
-          alternativeGateways: [
-            `https://ipfs.io/ipfs/${actualIPFSCid}`,
-            `https://gateway.pinata.cloud/ipfs/${actualIPFSCid}`,
-            `https://cloudflare-ipfs.com/ipfs/${actualIPFSCid}`
-          ],
-          
-          // Verification message
-          notarizationProof: `Raw ${actualContentType} content stored at IPFS CID: ${actualIPFSCid}${actualContentType === 'image-with-text' ? ' (with associated text in this message)' : ''}`
-        };
-
-        // Submit to Hedera Topic (you might want to create a topic first)
-        const message = JSON.stringify(notarizationData);
-        console.log('🌐 Submitting to Hedera with CID:', actualIPFSCid);
-        console.log('📝 Message preview:', message.substring(0, 150) + '...');
+        // Content metadata (agents can use this)
+        title: title || '',
+        tags: tags || '',
+        originalFilename: actualContentType !== 'text' ? file?.originalname : `${Date.now()}.txt`,
+        contentSize: contentSize,
+        mimeType: actualContentType === 'text' ? 'text/plain' : file?.mimetype,
         
-        // For now, we'll create a new topic for each message
-        // In production, you'd want to reuse a single topic
-        const topicCreateTx = await new TopicCreateTransaction()
-          .setSubmitKey(PrivateKey.fromStringECDSA(process.env.HEDERA_PRIVATE_KEY).publicKey)
-          .setTransactionMemo(`IPFS CID: ${actualIPFSCid}`)
-          .execute(hederaClient);
-
-        const topicReceipt = await topicCreateTx.getReceipt(hederaClient);
-        const topicId = topicReceipt.topicId;
-
-        const submitTx = await new TopicMessageSubmitTransaction()
-          .setTopicId(topicId)
-          .setMessage(message)
-          .setTransactionMemo(`CID:${actualIPFSCid}|TYPE:${actualContentType}|SIZE:${contentBuffer.length}${actualContentType === 'image-with-text' ? '|HAS_TEXT:true' : ''}`)
-          .execute(hederaClient);
-
-        const submitReceipt = await submitTx.getReceipt(hederaClient);
-        hederaTransactionHash = submitTx.transactionId.toString();
+        // For image-with-text scenario, include the text content here
+        ...(actualContentType === 'image-with-text' && hasText ? { 
+          associatedText: text,
+          textDescription: text.substring(0, 500) + (text.length > 500 ? '...' : ''),
+          note: 'Image stored in IPFS, text content included in this message'
+        } : {}),
         
-        console.log('✅ Hedera transaction successful:', hederaTransactionHash);
-      } catch (error) {
-        console.error('❌ Hedera transaction failed:', error.message);
-        hederaError = error.message;
-      }
-    } else {
-      if (!hederaClient) {
-        hederaError = 'Hedera client not configured - missing credentials';
-      } else if (!actualIPFSCid) {
-        hederaError = 'Cannot record on Hedera - no valid IPFS CID available';
+        // Access URLs for agents
+        ipfsGatewayUrl: gatewayRegistry.urlFor(actualIPFSCid),
+        alternativeGateways: gatewayRegistry.urlsFor(actualIPFSCid).slice(1),
+        
+        // Verification message
+        notarizationProof: `Raw ${actualContentType} content stored at IPFS CID: ${actualIPFSCid}${actualContentType === 'image-with-text' ? ' (with associated text in this message)' : ''}`
+      };
+
+      // Submit to the project's long-lived Hedera topic
+      const message = payer === 'user' ? compactNotarizationMessage(notarizationData) : encodeMessage(notarizationData);
+      const memo = encodeMemo(notarizationData);
+      console.log('🌐 Submitting to Hedera with CID:', actualIPFSCid);
+      console.log('📝 Message preview:', message.substring(0, 150) + '...');
+
+      const topicId = await topicManager.getTopicId(project);
+      hederaTopicId = topicId;
+      console.log(`📌 Using HCS topic ${topicId} (project: ${project})`);
+
+      if (payer === 'user') {
+        // The user's wallet signs, pays for and submits the transaction; wait for the mirror node to confirm it
+        const { request, confirmation } = anchorRequests.create({ accountId, topicId, message, memo });
+        console.log(`💳 Waiting for ${accountId} to sign and submit ${request.transactionId}`);
+        reportStage('awaiting_payment', {
+          ...request,
+          confirmUrl: `/api/anchor-requests/${request.requestId}/confirm`,
+          cancelUrl: `/api/anchor-requests/${request.requestId}/cancel`
+        });
+        userPaidAnchor = await confirmation;
+        hederaTransactionHash = userPaidAnchor.transactionId;
+      } else {
+        const { transactionId, transactionIds } = await ledger.submitMessage({ topicId, message, memo });
+        for (const chunkTransactionId of transactionIds) {
+          await ledger.getReceipt(chunkTransactionId);
+        }
+        if (transactionIds.length > 1) {
+          console.log(`🧩 Message submitted in ${transactionIds.length} chunks`);
+        }
+        hederaTransactionHash = transactionId;
+        hederaChunkTransactionIds = transactionIds;
       }
+
+      console.log('✅ Hedera transaction successful:', hederaTransactionHash);
+    } catch (error) {
+      console.error('❌ Hedera transaction failed:', error.message);
+      hederaError = error.message;
+    }
+  } else {
+    if (!ledger) {
+      hederaError = 'Hedera client not configured - missing credentials';
+    } else if (!actualIPFSCid) {
+      hederaError = 'Cannot record on Hedera - no valid IPFS CID available';
+    }
+  }
+  reportStage('anchored', {
+    transactionId: hederaTransactionHash,
+    topicId: hederaTopicId,
+    anchoring,
+    batchId: merkleAnchor?.batchId || null,
+    error: hederaError
+  });
+  if (hederaTransactionHash) {
+    // The fee is read back from the mirror node, so it is recorded in the background
+    for (const transactionId of hederaChunkTransactionIds || [hederaTransactionHash]) {
+      costTracker.recordTransactionFee({
+        ...costContext,
+        kind: 'hcs-message',
+        payer: userPaidAnchor ? 'user' : 'operator',
+        transactionId,
+        // A batch root is paid once for all of its entries
+        share: merkleAnchor ? 1 / merkleAnchor.leafCount : 1
+      }).catch(error => console.warn('⚠️ Failed to record transaction fee:', error.message));
     }
+  }
 
-    // INTERNAL STEP 6: If image-with-text, run JS Vision image analysis (best-effort)
-    let imageAnalysis = null;
-    if ((actualContentType === 'image-with-text' || actualContentType === 'image') && hasImage) {
-      try {
-        console.log('🧠 Running JS Vision image analysis...');
-        imageAnalysis = await analyzeImageWithClaim(contentBuffer, hasText ? text : '');
-      } catch (err) {
-        console.warn('⚠️ JS image analysis failed:', err.message);
-        imageAnalysis = { success: false, error: err.message };
-      }
+  // INTERNAL STEP 6: If image-with-text, run JS Vision image analysis (best-effort)
+  let imageAnalysis = null;
+  if ((actualContentType === 'image-with-text' || actualContentType === 'image') && hasImage) {
+    try {
+      console.log('🧠 Running JS Vision image analysis...');
+      imageAnalysis = await analyzeImageWithClaim(contentBuffer, hasText ? text : '');
+    } catch (err) {
+      console.warn('⚠️ JS image analysis failed:', err.message);
+      imageAnalysis = { success: false, error: err.message };
+    }
+    if (imageAnalysis.usage) {
+      await recordCosts(costContext, [
+        { kind: 'vision', model: 'web-detection', calls: imageAnalysis.usage.visionCalls },
+        { kind: 'llm', ...imageAnalysis.usage.llm }
+      ]);
     }
+  }
+  reportStage('image_analyzed', {
+    skipped: !imageAnalysis,
+    success: imageAnalysis ? !!imageAnalysis.success : null,
+    labels: imageAnalysis?.best_guess_labels || []
+  });
 
-    // INTERNAL STEP 7: Run analysis via Hedera Agent Kit (LangChain)
-    let phase2Triggered = false; // not using orchestrator
-    let phase2Status = 'using_hedera_agent_kit';
-    let aiAnalysis = { agentKit: null };
-    if (ipfsSuccess && actualIPFSCid) {
-      try {
-        if (!agentExecutor) {
-          await initializeAgentExecutor();
-        }
-        if (agentExecutor) {
-          console.log('🤖 Running analysis with Hedera Agent Kit executor...');
-          const prompt = (mode === 'fact_check')
-            ? buildFactCheckPrompt({
-                cid: actualIPFSCid,
-                contentType: actualContentType,
-                text: hasText ? text : undefined,
-                title,
-                tags,
-                accountId,
-                hederaTxId: hederaTransactionHash,
-                imageContext: imageAnalysis?.summary,
-                imageLabels: imageAnalysis?.best_guess_labels,
-                ipfsGatewayUrl: `${process.env.IPFS_GATEWAY_URL || 'https://ipfs.filebase.io/ipfs/'}${actualIPFSCid}`,
-                userPrompt
-              })
-            : buildAnalysisPrompt({
-                cid: actualIPFSCid,
-                contentType: actualContentType,
-                text: hasText ? text : undefined,
-                title,
-                tags,
-                accountId,
-                hederaTxId: hederaTransactionHash,
-                imageContext: imageAnalysis?.summary,
-                imageLabels: imageAnalysis?.best_guess_labels,
-                ipfsGatewayUrl: `${process.env.IPFS_GATEWAY_URL || 'https://ipfs.filebase.io/ipfs/'}${actualIPFSCid}`,
-                userPrompt
-              });
-          const result = await agentExecutor.invoke({ input: prompt });
+  // INTERNAL STEP 7: Run analysis via Hedera Agent Kit (LangChain)
+  let phase2Triggered = false; // not using orchestrator
+  let phase2Status = 'using_hedera_agent_kit';
+  let aiAnalysis = { agentKit: null };
+  if (ipfsSuccess && actualIPFSCid) {
+    try {
+      if (!agentExecutor) {
+        await initializeAgentExecutor();
+      }
+      if (agentExecutor) {
+        console.log('🤖 Running analysis with Hedera Agent Kit executor...');
+        const prompt = (mode === 'fact_check')
+          ? buildFactCheckPrompt({
+              cid: actualIPFSCid,
+              contentType: actualContentType,
+              text: hasText ? text : undefined,
+              title,
+              tags,
+              accountId,
+              hederaTxId: hederaTransactionHash,
+              imageContext: imageAnalysis?.summary,
+              imageLabels: imageAnalysis?.best_guess_labels,
+              ipfsGatewayUrl: gatewayRegistry.urlFor(actualIPFSCid),
+              userPrompt
+            })
+          : buildAnalysisPrompt({
+              cid: actualIPFSCid,
+              contentType: actualContentType,
+              text: hasText ? text : undefined,
+              title,
+              tags,
+              accountId,
+              hederaTxId: hederaTransactionHash,
+              imageContext: imageAnalysis?.summary,
+              imageLabels: imageAnalysis?.best_guess_labels,
+              ipfsGatewayUrl: gatewayRegistry.urlFor(actualIPFSCid),
+              userPrompt
+            });
+        const llmUsage = createLlmUsage();
+        try {
+          const result = await agentExecutor.invoke({ input: prompt }, { callbacks: [llmUsage.handler] });
           aiAnalysis = { agentKit: { model: activeLlmLabel, mode, output: result } };
-          console.log('✅ Agent Kit analysis completed');
-        } else {
-          aiAnalysis = { error: 'agent_executor_unavailable' };
+        } finally {
+          await recordCosts(costContext, [{ kind: 'llm', model: activeLlmLabel, ...llmUsage }]);
         }
-      } catch (llmError) {
-        console.log('⚠️ Agent Kit analysis failed:', llmError.message);
-        aiAnalysis = { error: llmError.message };
-      }
-    }
-    
-    // INTERNAL STEP 8: Real-time Verification Check
-    let verificationStatus = {};
-    if (ipfsSuccess && actualIPFSCid) {
-      try {
-        console.log('🔍 Performing immediate verification checks...');
-        
-        // Quick IPFS accessibility test
-        const ipfsCheckPromise = fetch(`https://ipfs.io/ipfs/${actualIPFSCid}`, { 
-          method: 'HEAD',
-          timeout: 5000 
-        }).then(() => true).catch(() => false);
-        
-        const ipfsRace = await Promise.race([
-          ipfsCheckPromise,
-          new Promise(resolve => setTimeout(() => resolve('timeout'), 3000))
-        ]);
-        verificationStatus = {
-          ipfsAccessible: ipfsRace === true,
-          hederaRecorded: !!hederaTransactionHash,
-          contentIntegrity: true,
-          timestamp: new Date().toISOString()
-        };
-        
-        console.log('✅ Verification check completed');
-      } catch (verificationError) {
-        console.log('⚠️ Verification check failed:', verificationError.message);
-        verificationStatus = { error: verificationError.message };
+        console.log('✅ Agent Kit analysis completed');
+      } else {
+        aiAnalysis = { error: 'agent_executor_unavailable' };
       }
+    } catch (llmError) {
+      console.log('⚠️ Agent Kit analysis failed:', llmError.message);
+      aiAnalysis = { error: llmError.message };
     }
-    
-    // INTERNAL STEP 9: Generate comprehensive proof package
-    const proofPackage = {
-      notarizationId: `${accountId}_${Date.now()}`,
-      contentFingerprint: actualIPFSCid,
-      blockchainProof: hederaTransactionHash,
-      timestampProof: new Date().toISOString(),
-      contentMetadata: {
-        type: actualContentType,
-        size: contentBuffer.length,
-        originalFilename: filename,
-        hasText: hasText,
-        hasImage: hasImage
-      },
-      verificationMethods: [
-        'ipfs_cid_verification',
-        'hedera_blockchain_timestamp',
-        'multiple_gateway_access',
-        ...(phase2Triggered ? ['ai_claim_analysis'] : [])
-      ],
-      legalAdmissibility: {
-        cryptographicProof: true,
-        blockchainTimestamp: true,
-        decentralizedStorage: true,
-        contentIntegrity: true
-      }
-    };
-
-    // Prepare response
-    const response = {
-      success: ipfsSuccess,
-      ipfsCid: ipfsSuccess ? actualIPFSCid : null,
-      timestamp: new Date().toISOString(),
-      hederaTransactionHash,
-      ipfsGatewayUrl: ipfsSuccess && actualIPFSCid ? `${process.env.IPFS_GATEWAY_URL || 'https://ipfs.filebase.io/ipfs/'}${actualIPFSCid}` : null,
-      alternativeIPFSUrls: ipfsSuccess && actualIPFSCid ? [
-        `https://ipfs.io/ipfs/${actualIPFSCid}`,
-        `https://gateway.pinata.cloud/ipfs/${actualIPFSCid}`,
-        `https://cloudflare-ipfs.com/ipfs/${actualIPFSCid}`,
-        `https://dweb.link/ipfs/${actualIPFSCid}`
-      ] : null,
-      hederaExplorerUrl: hederaTransactionHash ? `https://hashscan.io/testnet/transaction/${hederaTransactionHash}` : null,
-      message: ipfsSuccess 
-        ? (hederaTransactionHash ? `${actualContentType === 'image-with-text' ? 'Image stored in IPFS, text in Hedera message' : `Raw ${actualContentType} content`} notarized! CID: ${actualIPFSCid}` : 'Content stored on IPFS successfully, but Hedera recording failed')
-        : 'Content notarization failed',
+  }
+  reportStage('ai_completed', {
+    model: aiAnalysis?.agentKit?.model || null,
+    verdict: extractAiVerdict(aiAnalysis)?.verdict || null,
+    error: aiAnalysis?.error || null
+  });
+  
+  // INTERNAL STEP 8: Real-time Verification Check
+  let verificationStatus = {};
+  if (ipfsSuccess && actualIPFSCid) {
+    try {
+      console.log('🔍 Performing immediate verification checks...');
       
-      // VERIFICATION LINKS - Click these to verify your content
-      verificationLinks: {
-        hederaTransaction: hederaTransactionHash ? `https://hashscan.io/testnet/transaction/${hederaTransactionHash}` : null,
-        hederaAccount: `https://hashscan.io/testnet/account/${accountId}`,
-        ipfsCidAnalyzer: actualIPFSCid ? `https://cid.ipfs.io/#${actualIPFSCid}` : null,
-        directIPFSAccess: actualIPFSCid ? `https://ipfs.filebase.io/ipfs/${actualIPFSCid}` : null,
-      },
+      // Quick IPFS accessibility test on the best-ranked gateways
+      const ipfsCheckPromise = gatewayRegistry.fetch(actualIPFSCid, {
+        method: 'HEAD',
+        timeoutMs: 3000
+      }).then(() => true).catch(() => false);
       
-      // Enhanced response with internal processing status
-      internalProcessing: {
-        phase2Triggered: phase2Triggered,
-        phase2Status: phase2Status,
-        verificationStatus: verificationStatus,
-        imageAnalysis,
-        aiAnalysis,
-        proofPackage: proofPackage,
-        nextSteps: {
-          aiAnalysis: aiAnalysis?.agentKit || aiAnalysis?.openai || aiAnalysis?.gemini ? 'Completed' : 'Unavailable',
-          verification: verificationStatus.ipfsAccessible ? 'Content verified accessible' : 'Verification pending',
-          monitoring: 'Real-time monitoring active'
-        }
-      },
+      const ipfsRace = await Promise.race([
+        ipfsCheckPromise,
+        new Promise(resolve => setTimeout(() => resolve('timeout'), 3000))
+      ]);
+      verificationStatus = {
+        ipfsAccessible: ipfsRace === true,
+        hederaRecorded: !!hederaTransactionHash,
+        contentIntegrity: true,
+        timestamp: new Date().toISOString()
+      };
       
-      errors: {
-        ipfs: ipfsError,
-        hedera: hederaError
-      },
-      debug: {
-        filename,
-        contentSize: contentBuffer.length,
-        actualCID: actualIPFSCid,
-        requestedContentType: contentType,
-        actualContentType: actualContentType,
-        hasText: hasText,
-        hasImage: hasImage,
-        uploadMethod: uploadMethod,
-        internalStepsCompleted: [
-          'validation',
-          'content_preparation', 
-          'cid_generation',
-          'ipfs_storage',
-          'blockchain_recording',
-          ...(phase2Triggered ? ['phase2_triggered'] : []),
-          'verification_check',
-          'proof_package_generated'
-        ]
-      }
-    };
+      console.log('✅ Verification check completed');
+    } catch (verificationError) {
+      console.log('⚠️ Verification check failed:', verificationError.message);
+      verificationStatus = { error: verificationError.message };
+    }
+  }
+  
+  // INTERNAL STEP 9: Generate comprehensive proof package
+  const proofPackage = {
+    notarizationId,
+    ledger: networkInfo(),
+    contentFingerprint: actualIPFSCid,
+    contentDigest: cidDetails ? {
+      sha256: cidDetails.sha256,
+      rawCid: cidDetails.rawCid
+    } : null,
+    cidParameters: cidDetails ? {
+      format: 'unixfs',
+      cidVersion: cidDetails.cidVersion,
+      chunker: cidDetails.chunker,
+      rawLeaves: cidDetails.rawLeaves
+    } : null,
+    storageCidCheck,
+    storageReplicas: storageResults
+      .filter(result => result.status === 'stored')
+      .map(({ provider, type, key, remoteCid }) => ({ provider, type, key, remoteCid })),
+    accountAuthentication: walletSignature
+      ? { method: 'wallet-signature', ...walletSignature }
+      // A confirmed user-paid transaction was signed by the account's own key
+      : userPaidAnchor ? { method: 'payer-signature', transactionId: userPaidAnchor.transactionId } : { method: 'none' },
+    feePayer: userPaidAnchor ? { type: 'user', accountId: userPaidAnchor.payerAccountId } : { type: 'operator' },
+    blockchainProof: hederaTransactionHash,
+    timestampProof: new Date().toISOString(),
+    contentMetadata: {
+      type: actualContentType,
+      size: contentSize,
+      originalFilename: filename,
+      hasText: hasText,
+      hasImage: hasImage
+    },
+    anchoring,
+    ...(merkleAnchor ? {
+      batchId: merkleAnchor.batchId,
+      merkleRoot: merkleAnchor.merkleRoot,
+      merkleInclusionProof: merkleAnchor.proof
+    } : {}),
+    verificationMethods: [
+      'ipfs_cid_verification',
+      'hedera_blockchain_timestamp',
+      'multiple_gateway_access',
+      ...(walletSignature ? ['account_wallet_signature'] : []),
+      ...(merkleAnchor ? ['merkle_inclusion_proof'] : []),
+      ...(phase2Triggered ? ['ai_claim_analysis'] : [])
+    ],
+    legalAdmissibility: {
+      cryptographicProof: true,
+      blockchainTimestamp: true,
+      decentralizedStorage: true,
+      contentIntegrity: true
+    }
+  };
 
-    // Return appropriate status code
-    if (ipfsSuccess) {
-      res.json(response);
-    } else {
-      res.status(500).json(response);
+  // INTERNAL STEP 10: Persist to the notarization registry (best-effort)
+  let registryRecord = null;
+  if (ipfsSuccess && actualIPFSCid) {
+    try {
+      registryRecord = await registry.record({
+        notarizationId: proofPackage.notarizationId,
+        cid: actualIPFSCid,
+        accountId,
+        accountVerified: !!(walletSignature || userPaidAnchor),
+        payer: userPaidAnchor ? 'user' : 'operator',
+        contentType: actualContentType,
+        mimeType: actualContentType === 'text' ? 'text/plain' : file?.mimetype,
+        size: contentSize,
+        title,
+        tags,
+        hederaTransactionId: hederaTransactionHash,
+        topicId: hederaTopicId,
+        project,
+        anchoring,
+        batchId: merkleAnchor?.batchId,
+        aiVerdict: extractAiVerdict(aiAnalysis),
+        proofPackage
+      });
+      console.log(`🗂️ Notarization recorded in registry: ${proofPackage.notarizationId}`);
+    } catch (registryError) {
+      console.warn('⚠️ Failed to record notarization in registry:', registryError.message);
     }
+  }
 
-  } catch (error) {
-    console.error('❌ Notarization error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      message: error.message
+  // INTERNAL STEP 11: Mint the NFT certificate (optional; the proof bundle it points to needs the registry record)
+  let nftCertificate = null;
+  let nftError = null;
+  if (mintNft && hederaTransactionHash) {
+    try {
+      if (!registryRecord) {
+        throw new Error('Notarization is not in the registry - cannot build its proof bundle');
+      }
+      nftCertificate = await nftCertificates.mint(registryRecord);
+      proofPackage.nftCertificate = certificateFor(nftCertificate);
+    } catch (error) {
+      console.error('❌ NFT certificate minting failed:', error.message);
+      nftError = error.message;
+    }
+    reportStage('nft_minted', {
+      tokenId: nftCertificate?.tokenId || null,
+      serial: nftCertificate?.serial || null,
+      status: nftCertificate?.status || null,
+      error: nftError
     });
+  } else if (mintNft) {
+    nftError = 'Not anchored on Hedera - no NFT certificate minted';
   }
-});
-
-// Phase 2 Main Orchestrator Integration
-let phase2Orchestrator = null;
-let improvedOrchestrator = null;
 
-// Initialize Phase 2 orchestrator if enabled
-if (config.features.phase2Enabled) {
-  try {
-    // Initialize improved orchestrator for real-time AI processing
-    improvedOrchestrator = new ImprovedOrchestrator();
+  // Prepare response
+  const response = {
+    success: ipfsSuccess,
+    ipfsCid: ipfsSuccess ? actualIPFSCid : null,
+    timestamp: new Date().toISOString(),
+    hederaTransactionHash,
+    hederaTopicId,
+    project,
+    accountVerified: !!(walletSignature || userPaidAnchor),
+    payer: userPaidAnchor ? 'user' : 'operator',
+    storage: storageResults,
+    ipfsGatewayUrl: ipfsSuccess && actualIPFSCid ? gatewayRegistry.urlFor(actualIPFSCid) : null,
+    alternativeIPFSUrls: ipfsSuccess && actualIPFSCid ? gatewayRegistry.urlsFor(actualIPFSCid).slice(1) : null,
+    network: config.hedera.network,
+    hederaExplorerUrl: explorerUrl('transaction', hederaTransactionHash),
+    // HBAR fees still being read back from the mirror node are counted in feesPending
+    costs: await costTracker.getNotarizationCosts(notarizationId).catch(() => null),
+    nftCertificate,
+    message: ipfsSuccess 
+      ? (hederaTransactionHash ? `${actualContentType === 'image-with-text' ? 'Image stored in IPFS, text in Hedera message' : `Raw ${actualContentType} content`} notarized! CID: ${actualIPFSCid}` : 'Content stored on IPFS successfully, but Hedera recording failed')
+      : 'Content notarization failed',
     
-    // Keep main orchestrator for fallback
-    phase2Orchestrator = new MainOrchestrator();
-    console.log('🤖 Phase 2 Main Orchestrator initialized');
+    // VERIFICATION LINKS - Click these to verify your content
+    verificationLinks: {
+      hederaTransaction: explorerUrl('transaction', hederaTransactionHash),
+      hederaAccount: explorerUrl('account', accountId),
+      ipfsCidAnalyzer: actualIPFSCid ? `https://cid.ipfs.io/#${actualIPFSCid}` : null,
+      directIPFSAccess: actualIPFSCid ? gatewayRegistry.urlFor(actualIPFSCid) : null,
+    },
     
-    // Auto-start if enabled
-    if (config.agents.autoStartPhase2) {
-      phase2Orchestrator.startRealTimeProcessing()
-        .then(() => {
-          console.log('✅ Phase 2 auto-started - monitoring Hedera for new claims');
-        })
-        .catch(error => {
-          console.error('❌ Phase 2 auto-start failed:', error.message);
-        });
+    // Enhanced response with internal processing status
+    internalProcessing: {
+      phase2Triggered: phase2Triggered,
+      phase2Status: phase2Status,
+      verificationStatus: verificationStatus,
+      imageAnalysis,
+      aiAnalysis,
+      proofPackage: proofPackage,
+      nextSteps: {
+        aiAnalysis: aiAnalysis?.agentKit || aiAnalysis?.openai || aiAnalysis?.gemini ? 'Completed' : 'Unavailable',
+        verification: verificationStatus.ipfsAccessible ? 'Content verified accessible' : 'Verification pending',
+        monitoring: 'Real-time monitoring active'
+      }
+    },
+    
+    errors: {
+      ipfs: ipfsError,
+      hedera: hederaError,
+      nft: nftError
+    },
+    debug: {
+      filename,
+      contentSize: contentSize,
+      actualCID: actualIPFSCid,
+      requestedContentType: contentType,
+      actualContentType: actualContentType,
+      hasText: hasText,
+      hasImage: hasImage,
+      uploadMethod: uploadMethod,
+      internalStepsCompleted: [
+        'validation',
+        'content_preparation', 
+        'cid_generation',
+        'ipfs_storage',
+        'blockchain_recording',
+        ...(phase2Triggered ? ['phase2_triggered'] : []),
+        'verification_check',
+        'proof_package_generated'
+      ]
+    }
+  };
+
+  return { statusCode: ipfsSuccess ? 200 : 500, body: response };
+}
+
+// Record the calls and tokens of one notarization step (best-effort); items without calls are skipped
+async function recordCosts(context, items) {
+  try {
+    for (const item of items.filter(item => item.calls > 0)) {
+      await costTracker.record({ ...context, ...item });
     }
   } catch (error) {
-    console.error('❌ Failed to initialize Phase 2 orchestrator:', error.message);
+    console.warn('⚠️ Failed to record AI usage costs:', error.message);
   }
-} else {
-  console.log('⚠️ Phase 2 not initialized - HuggingFace API key not configured');
 }
 
-// Phase 2 API Endpoints
-
-// Get Phase 2 status
-app.get('/api/phase2/status', (req, res) => {
-  if (!phase2Orchestrator) {
-    return res.json({
-      success: false,
-      message: 'Phase 2 orchestrator not initialized',
-      status: 'not_available'
-    });
-  }
+// User-paid messages must fit one HCS chunk: drop the derivable access URLs and inline text
+function compactNotarizationMessage(notarizationData) {
+  const { ipfsGatewayUrl, alternativeGateways, notarizationProof, associatedText, textDescription, note, ...core } = notarizationData;
+  return encodeMessage({
+    ...core,
+    title: core.title.substring(0, 100),
+    ...(associatedText ? { textSha256: crypto.createHash('sha256').update(associatedText).digest('hex') } : {})
+  });
+}
 
-  const status = phase2Orchestrator.getApiStatus();
-  const stats = phase2Orchestrator.getProductionStats();
+// Signature fields carried in the HCS message; the full record stays in the proof package
+function hcsSignatureFields(walletSignature) {
+  return {
+    keyType: walletSignature.keyType,
+    publicKey: walletSignature.publicKey,
+    signedMessage: walletSignature.signedMessage,
+    signature: walletSignature.signature
+  };
+}
 
-  res.json({
-    success: true,
-    phase2: {
-      ...status,
-      stats
-    }
-  });
-});
+// Validate the notarization options shared by /api/notarize and chunked upload completion.
+// Returns { error, statusCode } for a bad request, otherwise { options }.
+async function parseNotarizationOptions(body) {
+  const { accountId, title = '', tags = '', mode = 'analysis', prompt: userPrompt = '', anchoring = config.hedera.anchoring.mode } = body;
+  const { signedMessage, signatureMap, payer = config.hedera.userPaid.defaultPayer } = body;
 
-// Start Phase 2 orchestrator
-app.post('/api/phase2/start', async (req, res) => {
-  if (!phase2Orchestrator) {
-    return res.status(400).json({
-      success: false,
-      message: 'Phase 2 orchestrator not initialized'
-    });
+  if (!accountId) {
+    return { statusCode: 400, error: 'Account ID is required' };
   }
 
-  if (phase2Orchestrator.isRunning) {
-    return res.json({
-      success: true,
-      message: 'Phase 2 orchestrator already running'
-    });
+  if (!signedMessage !== !signatureMap) {
+    return { statusCode: 400, error: 'signedMessage and signatureMap must be sent together' };
   }
 
-  try {
-    await phase2Orchestrator.startRealTimeProcessing();
-    res.json({
-      success: true,
-      message: 'Phase 2 orchestrator started successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+  if (!signedMessage && config.wallet.requireSignature) {
+    return { statusCode: 401, error: 'A wallet signature over the content SHA-256 is required (signedMessage, signatureMap)' };
   }
-});
 
-// Stop Phase 2 orchestrator
-app.post('/api/phase2/stop', (req, res) => {
-  if (!phase2Orchestrator) {
-    return res.status(400).json({
-      success: false,
-      message: 'Phase 2 orchestrator not initialized'
-    });
+  if (anchoring !== 'individual' && anchoring !== 'batch') {
+    return { statusCode: 400, error: 'Anchoring must be individual or batch' };
   }
 
-  phase2Orchestrator.stop();
-  res.json({
-    success: true,
-    message: 'Phase 2 orchestrator stopped'
-  });
-});
-
-// Get processed claims
-app.get('/api/phase2/claims', (req, res) => {
-  if (!phase2Orchestrator) {
-    return res.status(400).json({
-      success: false,
-      message: 'Phase 2 orchestrator not initialized'
-    });
+  if (payer !== 'operator' && payer !== 'user') {
+    return { statusCode: 400, error: 'Payer must be operator or user' };
   }
 
-  const claims = phase2Orchestrator.getAllProcessedClaims();
-  res.json({
-    success: true,
-    claims,
-    total: claims.length
-  });
-});
+  if (payer === 'user' && anchoring === 'batch') {
+    return { statusCode: 400, error: 'User-paid notarizations are anchored individually (anchoring=individual)' };
+  }
 
-// Get specific claim by CID
-app.get('/api/phase2/claims/:cid', (req, res) => {
-  if (!phase2Orchestrator) {
-    return res.status(400).json({
-      success: false,
-      message: 'Phase 2 orchestrator not initialized'
-    });
+  const mintNft = body.mintNft === undefined ? config.nft.enabled && config.nft.mintByDefault : String(body.mintNft) === 'true';
+  if (mintNft && !config.nft.enabled) {
+    return { statusCode: 400, error: 'NFT certificates are disabled (set NFT_CERTIFICATES_ENABLED=true)' };
   }
 
-  const { cid } = req.params;
-  const claim = phase2Orchestrator.getClaim(cid);
-  
-  if (!claim) {
-    return res.status(404).json({
-      success: false,
-      message: `Claim with CID ${cid} not found`
-    });
+  // Non-default projects must have a topic created via POST /api/topics
+  let project;
+  try {
+    project = normalizeProject(body.project);
+    if (project !== DEFAULT_PROJECT && (await topicManager.listTopics({ project })).length === 0) {
+      return { statusCode: 404, error: `No active topic for project "${project}"` };
+    }
+  } catch (error) {
+    if (error instanceof TopicError) {
+      return { statusCode: error.statusCode, error: error.message };
+    }
+    throw error;
   }
 
-  res.json({
+  const walletSignatureRequest = signedMessage ? { signedMessage, signatureMap } : null;
+  return { options: { accountId, title, tags, mode, userPrompt, anchoring, project, walletSignatureRequest, payer, mintNft } };
+}
+
+// Verify the account owner's signature over the content digest before anything is anchored.
+// Returns null for unsigned requests; throws WalletSignatureError when the signature is not valid.
+async function authenticateAccount({ accountId, walletSignatureRequest }, sha256) {
+  if (!walletSignatureRequest) return null;
+  const walletSignature = await walletSignatures.verify({ accountId, sha256, ...walletSignatureRequest });
+  console.log(`🔏 Wallet signature verified for ${accountId} (${walletSignature.keyType})`);
+  return walletSignature;
+}
+
+// Async mode: answer 202 with a job ID and stream stage events instead of blocking
+function acceptNotarizationJob(res, metadata, task) {
+  const job = jobManager.create('notarization', metadata);
+  jobManager.run(job.id, task);
+  console.log(`🧵 Notarization accepted as background job: ${job.id}`);
+  return res.status(202).json({
     success: true,
-    claim
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
   });
-});
+}
 
-// ========================================
-// IMPROVED ORCHESTRATOR ENDPOINTS (Enhanced AI Processing)
-// ========================================
+// Main notarization endpoint
+app.post('/api/notarize', upload.single('file'), async (req, res) => {
+  try {
+    const { contentType, text } = req.body;
+    const file = req.file;
+
+    // Validate required fields
+    const { options, statusCode, error } = await parseNotarizationOptions(req.body);
+    if (error) {
+      return res.status(statusCode).json({ success: false, error });
+    }
+
+    // The transaction to sign is delivered as a job event, so user-paid requests must run as jobs
+    if (options.payer === 'user' && !wantsAsync(req)) {
+      return res.status(400).json({ success: false, error: 'payer=user requires async=true' });
+    }
+
+    if (contentType !== 'text' && contentType !== 'image') {
+      return res.status(400).json({ success: false, error: 'Content type must be text or image' });
+    }
 
-// Get improved orchestrator status
-app.get('/api/phase2/improved/status', (req, res) => {
-  if (!improvedOrchestrator) {
-    return res.json({
+    // Determine actual content scenario
+    const hasText = text && text.trim().length > 0;
+    const hasImage = file && file.buffer;
+    
+    if (!hasText && !hasImage) {
+      return res.status(400).json({ success: false, error: 'Either text content or image file is required' });
+    }
+
+    // The wallet signs the SHA-256 of the stored bytes (the image when present, otherwise the text);
+    // an image with text is signed together with its text
+    let walletSignature;
+    try {
+      const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+      const contentSha256 = hasImage
+        ? signedContentDigest(sha256(file.buffer), hasText ? sha256(Buffer.from(text, 'utf8')) : null)
+        : sha256(Buffer.from(text, 'utf8'));
+      walletSignature = await authenticateAccount(options, contentSha256);
+    } catch (error) {
+      if (error instanceof WalletSignatureError) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
+
+    const params = { ...options, contentType, text, file, hasText, hasImage, walletSignature };
+
+    if (wantsAsync(req)) {
+      return acceptNotarizationJob(res, { accountId: options.accountId, project: options.project, contentType },
+        reportStage => notarizeContent({ ...params, inJob: true }, reportStage));
+    }
+
+    const { statusCode: responseStatus, body: response } = await notarizeContent(params);
+    res.status(responseStatus).json(response);
+
+  } catch (error) {
+    console.error('❌ Notarization error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Improved Phase 2 orchestrator not initialized',
-      status: 'not_available'
+      error: 'Internal server error',
+      message: error.message
     });
   }
-
-  const status = improvedOrchestrator.getStatus();
-  res.json({
-    success: true,
-    status: status.isRunning ? 'running' : 'stopped',
-    processedClaimsCount: status.processedClaimsCount,
-    lastProcessedTimestamp: status.lastProcessedTimestamp,
-    retryConfig: status.retryConfig
-  });
 });
 
-// Start improved orchestrator (recommended for real-time AI)
-app.post('/api/phase2/improved/start', async (req, res) => {
-  if (!improvedOrchestrator) {
-    return res.status(400).json({
-      success: false,
-      message: 'Improved Phase 2 orchestrator not initialized'
+// ========================================
+// CHUNKED UPLOAD ENDPOINTS (large files)
+// ========================================
+
+function sendUploadError(res, error) {
+  const statusCode = error instanceof UploadError ? error.statusCode : 500;
+  res.status(statusCode).json({ success: false, message: error.message });
+}
+
+// Start a resumable upload (JSON: filename, size, optional mimeType and partSize)
+app.post('/api/uploads', async (req, res) => {
+  try {
+    const session = await uploadManager.init(req.body || {});
+    console.log(`📦 Chunked upload started: ${session.uploadId} (${session.size} bytes, ${session.totalParts} parts)`);
+    res.status(201).json({
+      success: true,
+      upload: session,
+      partUrlTemplate: `/api/uploads/${session.uploadId}/parts/{partNumber}`,
+      completeUrl: `/api/uploads/${session.uploadId}/complete`
     });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Upload one part as a raw body, streamed straight to disk (optional X-Part-SHA256 header)
+app.put('/api/uploads/:uploadId/parts/:partNumber', async (req, res) => {
+  try {
+    const part = await uploadManager.writePart(
+      req.params.uploadId,
+      req.params.partNumber,
+      req,
+      req.get('X-Part-SHA256')
+    );
+    res.json({ success: true, part });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Upload status: received and missing parts, for resuming after an interruption
+app.get('/api/uploads/:uploadId', async (req, res) => {
+  try {
+    res.json({ success: true, upload: await uploadManager.get(req.params.uploadId) });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Cancel an upload and delete its parts
+app.delete('/api/uploads/:uploadId', async (req, res) => {
+  try {
+    await uploadManager.abort(req.params.uploadId);
+    res.json({ success: true, uploadId: req.params.uploadId });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Complete an upload and notarize the file (same options as /api/notarize, including async=true)
+app.post('/api/uploads/:uploadId/complete', async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const { options, statusCode, error } = await parseNotarizationOptions(req.body || {});
+    if (error) {
+      return res.status(statusCode).json({ success: false, error });
+    }
+
+    // The transaction to sign is delivered as a job event, so user-paid requests must run as jobs
+    if (options.payer === 'user' && !wantsAsync(req)) {
+      return res.status(400).json({ success: false, error: 'payer=user requires async=true' });
+    }
+
+    // Reject incomplete uploads up front, even in async mode
+    const session = await uploadManager.get(uploadId);
+    if (session.status !== 'uploading' || session.missingParts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: session.status !== 'uploading' ? `Upload ${uploadId} is ${session.status}` : 'Upload has missing parts',
+        missingParts: session.missingParts
+      });
+    }
+
+    // The upload (and its parts) is only finished once the file is anchored; any earlier
+    // failure hands it back so the client can complete it again
+    const notarizeUpload = async (reportStage = () => {}, inJob = false) => {
+      const storedFile = await uploadManager.complete(uploadId);
+      let result;
+      try {
+        const walletSignature = await authenticateAccount(options, storedFile.cidDetails.sha256);
+        result = await notarizeContent({
+          ...options,
+          walletSignature,
+          contentType: 'file',
+          text: '',
+          file: { originalname: storedFile.filename, mimetype: storedFile.mimeType },
+          hasText: false,
+          hasImage: false,
+          storedFile,
+          inJob
+        }, reportStage);
+      } catch (error) {
+        await uploadManager.release(uploadId, error.message);
+        if (error instanceof WalletSignatureError) {
+          return { statusCode: error.statusCode, body: { success: false, message: error.message } };
+        }
+        throw error;
+      }
+
+      if (result.statusCode === 200 && result.body.hederaTransactionHash) {
+        await uploadManager.finish(uploadId);
+      } else {
+        await uploadManager.release(uploadId, result.body.errors?.hedera || result.body.message || 'Notarization failed');
+      }
+      return result;
+    };
+
+    if (wantsAsync(req)) {
+      return acceptNotarizationJob(res, { accountId: options.accountId, project: options.project, contentType: 'file', uploadId },
+        reportStage => notarizeUpload(reportStage, true));
+    }
+
+    const { statusCode: responseStatus, body: response } = await notarizeUpload();
+    res.status(responseStatus).json(response);
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// ========================================
+// USER-PAID ANCHORING ENDPOINTS
+// ========================================
+
+function sendAnchorRequestError(res, error) {
+  const statusCode = error instanceof AnchorRequestError ? error.statusCode : 500;
+  res.status(statusCode).json({ success: false, message: error.message });
+}
+
+// Status of a prepared user-paid transaction (announced by the job's awaiting_payment event)
+app.get('/api/anchor-requests/:requestId', (req, res) => {
+  try {
+    res.json({ success: true, request: anchorRequests.get(req.params.requestId) });
+  } catch (error) {
+    sendAnchorRequestError(res, error);
   }
+});
+
+// Called once the wallet has submitted the transaction; resumes the notarization after mirror node confirmation
+app.post('/api/anchor-requests/:requestId/confirm', async (req, res) => {
+  try {
+    const anchor = await anchorRequests.confirm(req.params.requestId);
+    console.log(`✅ User-paid transaction confirmed: ${anchor.transactionId}`);
+    res.json({ success: true, anchor });
+  } catch (error) {
+    sendAnchorRequestError(res, error);
+  }
+});
+
+// Called when the user declines the transaction in their wallet; the notarization continues without anchoring
+app.post('/api/anchor-requests/:requestId/cancel', (req, res) => {
+  try {
+    const request = anchorRequests.cancel(req.params.requestId, req.body?.reason);
+    res.json({ success: true, request });
+  } catch (error) {
+    sendAnchorRequestError(res, error);
+  }
+});
 
-  if (improvedOrchestrator.getStatus().isRunning) {
-    return res.json({
+// ========================================
+// NOTARIZATION REGISTRY ENDPOINTS
+// ========================================
+
+// List past notarizations (filters: accountId, tag, contentType, project, from, to; pagination: page, limit)
+app.get('/api/notarizations', async (req, res) => {
+  try {
+    const { accountId, tag, contentType, project, from, to, page, limit } = req.query;
+    const result = await registry.find({ accountId, tag, contentType, project, from, to, page, limit });
+    res.json({
       success: true,
-      message: 'Improved Phase 2 orchestrator already running'
+      notarizations: result.items,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages
+      }
+    });
+  } catch (error) {
+    const status = error instanceof RangeError ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: status === 400 ? error.message : 'Failed to query notarization registry',
+      error: error.message
     });
   }
+});
 
+// Get notarization record(s) for a CID
+app.get('/api/notarizations/:cid', async (req, res) => {
   try {
-    await improvedOrchestrator.startRealTimeProcessing();
+    const { cid } = req.params;
+    const records = await registry.findByCid(cid);
+
+    if (records.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No notarization found for CID ${cid}`
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Improved Phase 2 orchestrator started successfully with IPFS propagation handling'
+      notarization: records[0],
+      history: records
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to start improved Phase 2 orchestrator',
+      message: 'Failed to query notarization registry',
       error: error.message
     });
   }
 });
 
-// Stop improved orchestrator
-app.post('/api/phase2/improved/stop', (req, res) => {
-  if (!improvedOrchestrator) {
-    return res.status(400).json({
+// Latest notarization of a CID, or a specific one with ?notarizationId=
+async function findNotarizationRecord(cid, notarizationId) {
+  const records = await registry.findByCid(cid);
+  return notarizationId ? records.find(r => r.notarizationId === notarizationId) : records[0];
+}
+
+// Download the signed proof bundle of a CID (latest notarization, or ?notarizationId=)
+app.get('/api/notarizations/:cid/proof', async (req, res) => {
+  try {
+    const { cid } = req.params;
+    const record = await findNotarizationRecord(cid, req.query.notarizationId);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: `No notarization found for CID ${cid}`
+      });
+    }
+
+    const bundle = await proofBundles.getBundle(record);
+    res.set('Content-Disposition', `attachment; filename="proof-${cid}.json"`);
+    res.json(bundle);
+  } catch (error) {
+    const statusCode = error instanceof ProofError ? error.statusCode : 500;
+    res.status(statusCode).json({ success: false, message: error.message });
+  }
+});
+
+// Download a PDF certificate with the proof bundle embedded as an attachment
+app.get('/api/notarizations/:cid/certificate.pdf', async (req, res) => {
+  try {
+    const { cid } = req.params;
+    const record = await findNotarizationRecord(cid, req.query.notarizationId);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: `No notarization found for CID ${cid}`
+      });
+    }
+
+    const bundle = await proofBundles.getBundle(record);
+    const pdf = await renderCertificate(record, bundle);
+    console.log(`📜 Certificate generated for CID: ${cid}`);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="certificate-${cid}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    const statusCode = error instanceof ProofError ? error.statusCode : 500;
+    res.status(statusCode).json({ success: false, message: error.message });
+  }
+});
+
+// Availability history of a CID across storage providers and gateways (?refresh=true checks now)
+app.get('/api/notarizations/:cid/availability', async (req, res) => {
+  try {
+    const { cid } = req.params;
+    const records = await registry.findByCid(cid);
+
+    if (records.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No notarization found for CID ${cid}`
+      });
+    }
+
+    if (req.query.refresh === 'true' || !(await pinHealth.getAvailability(cid))) {
+      await pinHealth.checkCid(cid);
+    }
+    res.json({ success: true, availability: await pinHealth.getAvailability(cid) });
+  } catch (error) {
+    res.status(500).json({
       success: false,
-      message: 'Improved Phase 2 orchestrator not initialized'
+      message: 'Failed to check content availability',
+      error: error.message
     });
   }
+});
+
+// Public key that signs proof bundles (pin its keyId when verifying offline)
+app.get('/api/proofs/signing-key', (req, res) => {
+  try {
+    res.json({ success: true, ...proofBundles.getPublicKeyInfo() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========================================
+// BACKGROUND JOB ENDPOINTS
+// ========================================
+
+// Get job status (and the result once finished)
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, message: `Job ${req.params.id} not found` });
+  }
+  res.json({ success: true, job });
+});
+
+// Server-sent events stream of job stages; replays past events, closes when the job finishes
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, message: `Job ${req.params.id} not found` });
+  }
 
-  improvedOrchestrator.stop();
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.sequence}\nevent: ${event.stage}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Resume after the last event the client saw (EventSource reconnects send Last-Event-ID)
+  const lastSeen = parseInt(req.get('Last-Event-ID')) || 0;
+  job.events.filter(event => event.sequence > lastSeen).forEach(send);
+  if (jobManager.isFinished(job)) {
+    return res.end();
+  }
+
+  // Keep proxies from closing the stream during long AI steps
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = jobManager.subscribe(job.id, (event) => {
+    send(event);
+    if (event.stage === 'completed' || event.stage === 'failed') {
+      cleanup();
+      res.end();
+    }
+  });
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  req.on('close', cleanup);
+});
+
+// ========================================
+// MERKLE BATCH ENDPOINTS
+// ========================================
+
+// Open batches and batching settings
+app.get('/api/batches/status', (req, res) => {
   res.json({
     success: true,
-    message: 'Improved Phase 2 orchestrator stopped'
+    defaultAnchoring: config.hedera.anchoring.mode,
+    ...merkleBatcher.getStatus()
   });
 });
 
-// Get processed claims from improved orchestrator
-app.get('/api/phase2/improved/claims', (req, res) => {
-  if (!improvedOrchestrator) {
-    return res.status(400).json({
+// Get an anchored batch (root, transaction and all leaves)
+app.get('/api/batches/:batchId', async (req, res) => {
+  try {
+    const batch = await merkleBatcher.getBatch(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ success: false, message: `Batch ${req.params.batchId} not found` });
+    }
+    res.json({ success: true, batch });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to load batch', error: error.message });
+  }
+});
+
+// ========================================
+// HCS TOPIC MANAGEMENT ENDPOINTS
+// ========================================
+
+function sendTopicError(res, error) {
+  const statusCode = error instanceof TopicError ? error.statusCode : 500;
+  res.status(statusCode).json({ success: false, message: error.message });
+}
+
+// List notarization topics (query: project, includeRetired=true)
+app.get('/api/topics', async (req, res) => {
+  try {
+    const { project, includeRetired } = req.query;
+    const topics = await topicManager.listTopics({ project, includeRetired: includeRetired === 'true' });
+    res.json({
+      success: true,
+      network: topicManager.network,
+      environment: topicManager.environment,
+      topics,
+      total: topics.length
+    });
+  } catch (error) {
+    sendTopicError(res, error);
+  }
+});
+
+// Create a topic for a project
+app.post('/api/topics', async (req, res) => {
+  try {
+    const { project, memo } = req.body || {};
+    if (!project) {
+      return res.status(400).json({ success: false, message: 'Project name is required' });
+    }
+    const topic = await topicManager.createTopic(project, memo);
+    console.log(`📌 Created HCS topic ${topic.topicId} for project: ${topic.project}`);
+    res.status(201).json({ success: true, topic });
+  } catch (error) {
+    sendTopicError(res, error);
+  }
+});
+
+// Rotate a project's topic: new notarizations go to a fresh topic, the old one is retired
+app.post('/api/topics/:project/rotate', async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const { previous, current } = await topicManager.rotateTopic(req.params.project, reason);
+    console.log(`🔁 Rotated HCS topic for project ${current.project}: ${previous.topicId} -> ${current.topicId}`);
+    res.json({ success: true, previous, current });
+  } catch (error) {
+    sendTopicError(res, error);
+  }
+});
+
+// ========================================
+// CLAIM PIPELINE ENDPOINTS (Phase 2)
+// ========================================
+
+let claimPipeline = null;
+
+// Initialize the claim pipeline if enabled
+if (config.features.phase2Enabled) {
+  try {
+    // The pipeline follows every project topic of this network, including ones created later
+    const notarizationTopics = async () => (await topicManager.listTopics()).map(topic => topic.topicId);
+    // Batch messages anchor only a Merkle root; their leaves come from the batch records
+    const batchLeaves = async batchId => (await merkleBatcher.getBatch(batchId))?.leaves || null;
+    claimPipeline = new ClaimPipeline({ topics: notarizationTopics, batchLeaves });
+    console.log('🤖 Claim pipeline initialized');
+
+    // Auto-start if enabled
+    if (config.agents.autoStartPhase2) {
+      claimPipeline.start()
+        .then(() => {
+          console.log('✅ Claim pipeline auto-started - monitoring Hedera for new claims');
+        })
+        .catch(error => {
+          console.error('❌ Claim pipeline auto-start failed:', error.message);
+        });
+    }
+  } catch (error) {
+    console.error('❌ Failed to initialize claim pipeline:', error.message);
+  }
+} else {
+  console.log('⚠️ Claim pipeline not initialized - HuggingFace API key not configured');
+}
+
+function sendPipelineError(res, error) {
+  const statusCode = error instanceof PipelineError ? error.statusCode : 500;
+  res.status(statusCode).json({ success: false, message: error.message });
+}
+
+// Answers 503 while the pipeline is not initialized
+function requirePipeline(req, res, next) {
+  if (!claimPipeline) {
+    return res.status(503).json({
       success: false,
-      message: 'Improved Phase 2 orchestrator not initialized'
+      message: 'Claim pipeline not initialized',
+      status: 'not_available'
     });
   }
+  next();
+}
+
+// The /api/phase2 paths are kept for existing clients
 
+// Pipeline status: stages, queue, topic subscription and claim statistics
+app.get(['/api/pipeline', '/api/phase2/status'], requirePipeline, async (req, res) => {
+  try {
+    res.json({ success: true, pipeline: await claimPipeline.getStatus() });
+  } catch (error) {
+    sendPipelineError(res, error);
+  }
+});
+
+// Start following the notarization topics
+app.post(['/api/pipeline/start', '/api/phase2/start'], requirePipeline, async (req, res) => {
+  try {
+    const started = await claimPipeline.start();
+    res.json({
+      success: true,
+      message: started ? 'Claim pipeline started' : 'Claim pipeline already running'
+    });
+  } catch (error) {
+    sendPipelineError(res, error);
+  }
+});
+
+// Stop following the topics (accepted claims finish processing)
+app.post(['/api/pipeline/stop', '/api/phase2/stop'], requirePipeline, (req, res) => {
+  claimPipeline.stop();
   res.json({
     success: true,
-    claims: improvedOrchestrator.getProcessedClaims()
+    message: 'Claim pipeline stopped'
   });
 });
 
-// Manual claim processing with improved orchestrator
-app.post('/api/phase2/improved/process/:cid', async (req, res) => {
-  if (!improvedOrchestrator) {
-    return res.status(400).json({
-      success: false,
-      message: 'Improved Phase 2 orchestrator not initialized'
+// Recorded claims, newest first (query: status=pending|processing|completed|failed)
+app.get(['/api/pipeline/claims', '/api/phase2/claims'], requirePipeline, async (req, res) => {
+  try {
+    const claims = await claimPipeline.listClaims({ status: req.query.status || null });
+    res.json({
+      success: true,
+      claims,
+      total: claims.length
     });
+  } catch (error) {
+    sendPipelineError(res, error);
   }
+});
 
+// Process a CID outside the notarization topics (body: { cid })
+app.post('/api/pipeline/claims', requirePipeline, async (req, res) => {
+  try {
+    const claim = await claimPipeline.submit(req.body?.cid);
+    console.log(`🔧 Manual pipeline run for CID: ${claim.cid}`);
+    res.status(202).json({ success: true, claim });
+  } catch (error) {
+    sendPipelineError(res, error);
+  }
+});
+
+// Latest claim recorded for a CID, with its per-stage results
+app.get(['/api/pipeline/claims/:cid', '/api/phase2/claims/:cid'], requirePipeline, async (req, res) => {
   try {
     const { cid } = req.params;
-    console.log(`🔧 Manual processing request for CID: ${cid}`);
-    
-    const result = await improvedOrchestrator.processClaimManually(cid);
-    
+    const claim = await claimPipeline.getClaim(cid);
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: `Claim with CID ${cid} not found`
+      });
+    }
+    res.json({ success: true, claim });
+  } catch (error) {
+    sendPipelineError(res, error);
+  }
+});
+
+// Evidence gathered for a CID, most relevant first (gather-evidence stage)
+app.get(['/api/pipeline/claims/:cid/evidence', '/api/phase2/claims/:cid/evidence'], requirePipeline, async (req, res) => {
+  try {
+    const { cid } = req.params;
+    const claim = await claimPipeline.getClaim(cid);
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: `Claim with CID ${cid} not found`
+      });
+    }
+    const evidence = await claimPipeline.getEvidence(cid);
     res.json({
       success: true,
-      message: 'Claim processed successfully with improved orchestrator',
-      claim: result
+      cid,
+      status: claim.status,
+      gathering: claim.result?.evidence ?? null,
+      evidence,
+      total: evidence.length
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to process claim',
-      error: error.message
-    });
+    sendPipelineError(res, error);
+  }
+});
+
+// ========================================
+// PIN HEALTH ENDPOINTS
+// ========================================
+
+// Pin health scheduler status and last run summary
+app.get('/api/pin-health/status', (req, res) => {
+  res.json({ success: true, ...pinHealth.getStatus() });
+});
+
+// Check every notarized CID now (runs in the background)
+app.post('/api/pin-health/run', (req, res) => {
+  const alreadyRunning = pinHealth.getStatus().running;
+  pinHealth.runOnce().catch(error => console.error('❌ Pin health run failed:', error.message));
+  res.status(202).json({
+    success: true,
+    message: alreadyRunning ? 'Pin health run already in progress' : 'Pin health run started',
+    statusUrl: '/api/pin-health/status'
+  });
+});
+
+// ========================================
+// LEDGER ENDPOINTS
+// ========================================
+
+// Ledger used for anchoring (type, network, and for the in-memory ledger its size)
+app.get('/api/ledger/status', (req, res) => {
+  if (!ledger) {
+    return res.status(503).json({ success: false, message: 'Ledger not configured - missing Hedera credentials' });
+  }
+  res.json({ success: true, ...ledger.status() });
+});
+
+// Mirror node REST API of the in-memory ledger (HEDERA_MIRROR_NODE_URL points here)
+if (ledger?.type === 'memory') {
+  app.use('/mirror', createMirrorRouter(ledger));
+}
+
+// ========================================
+// NFT CERTIFICATE ENDPOINTS
+// ========================================
+
+function sendNftError(res, error) {
+  const statusCode = error instanceof NftError || error instanceof ProofError ? error.statusCode : 500;
+  res.status(statusCode).json({ success: false, message: error.message });
+}
+
+// Mint the NFT certificate of an existing notarization (latest for the CID, or ?notarizationId=)
+app.post('/api/notarizations/:cid/nft', async (req, res) => {
+  try {
+    const record = await findNotarizationRecord(req.params.cid, req.query.notarizationId || req.body?.notarizationId);
+    if (!record) {
+      return res.status(404).json({ success: false, message: `No notarization found for CID ${req.params.cid}` });
+    }
+    // Minting is paid by the operator, so it is subject to the HBAR budgets
+    await costTracker.admit();
+    const nft = await nftCertificates.mint(record);
+    res.status(201).json({ success: true, nft });
+  } catch (error) {
+    if (error instanceof BudgetError) {
+      return res.status(error.statusCode).json({ success: false, error: 'budget_exhausted', message: error.message, budget: error.budget });
+    }
+    sendNftError(res, error);
+  }
+});
+
+// NFT certificates of a CID, with their current owners
+app.get('/api/notarizations/:cid/nft', async (req, res) => {
+  try {
+    const nfts = await nftCertificates.findByCid(req.params.cid);
+    if (nfts.length === 0) {
+      return res.status(404).json({ success: false, message: `No NFT certificate for CID ${req.params.cid}` });
+    }
+    res.json({ success: true, cid: req.params.cid, nft: nfts[0], nfts });
+  } catch (error) {
+    sendNftError(res, error);
+  }
+});
+
+// Notarization certified by an NFT
+app.get('/api/nfts/:tokenId/:serial', async (req, res) => {
+  try {
+    const nft = await nftCertificates.findByToken(req.params.tokenId, req.params.serial);
+    if (!nft) {
+      return res.status(404).json({ success: false, message: `NFT ${req.params.tokenId}/${req.params.serial} is not a notarization certificate` });
+    }
+    const notarization = await findNotarizationRecord(nft.cid, nft.notarizationId);
+    res.json({ success: true, nft, notarization: notarization || null });
+  } catch (error) {
+    sendNftError(res, error);
+  }
+});
+
+// ========================================
+// COST ENDPOINTS
+// ========================================
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// HBAR fees, LLM tokens and Vision API calls of one notarization
+app.get('/api/costs/notarizations/:notarizationId', async (req, res) => {
+  try {
+    const costs = await costTracker.getNotarizationCosts(req.params.notarizationId);
+    if (costs.items.length === 0 && costs.feesPending === 0) {
+      return res.status(404).json({ success: false, message: `No costs recorded for notarization ${req.params.notarizationId}` });
+    }
+    res.json({ success: true, ...costs });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to query costs', error: error.message });
+  }
+});
+
+// Cost report per account or per UTC day (?groupBy=account|day&from=YYYY-MM-DD&to=YYYY-MM-DD&accountId=)
+app.get('/api/costs/report', async (req, res) => {
+  const { groupBy = 'day', from, to, accountId } = req.query;
+  if (groupBy !== 'account' && groupBy !== 'day') {
+    return res.status(400).json({ success: false, message: 'groupBy must be account or day' });
+  }
+  if ((from && !DAY_PATTERN.test(from)) || (to && !DAY_PATTERN.test(to))) {
+    return res.status(400).json({ success: false, message: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+  try {
+    res.json({ success: true, ...(await costTracker.report({ groupBy, from, to, accountId })) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to build cost report', error: error.message });
+  }
+});
+
+// Operator HBAR spending against the daily and monthly budgets
+app.get('/api/costs/budget', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await costTracker.getBudgetStatus()) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to query budget', error: error.message });
   }
 });
 
@@ -1239,19 +2178,22 @@ app.listen(PORT, () => {
   console.log('='.repeat(50));
   console.log(`📡 Server running on: http://localhost:${PORT}`);
   console.log(`🔗 IPFS integration: ✅ Ready`);
-  console.log(`⚡ Hedera network: ${config.hedera.network} (${!!hederaClient ? 'Connected' : 'Disconnected'})`);
-  console.log(`🤖 Phase 2 AI: ${!!phase2Orchestrator ? 'Available' : 'Disabled'}`);
+  console.log(`⚡ Hedera network: ${config.hedera.network} (${ledger ? `${ledger.type} ledger` : 'Disconnected'})`);
+  console.log(`🤖 Phase 2 AI: ${!!claimPipeline ? 'Available' : 'Disabled'}`);
   console.log(`🔄 Auto-processing: ${config.agents.autoStartPhase2 ? 'Enabled' : 'Manual'}`);
   console.log(`🌐 CORS origin: ${config.server.corsOrigin}`);
   console.log(`🏗️ Environment: ${config.server.nodeEnv}`);
   // Fire up Agent Kit on startup so first request has executor ready
   initializeAgentExecutor().catch(() => {});
+  gatewayRegistry.start();
+  pinHealth.start();
   
-  if (phase2Orchestrator && !config.agents.autoStartPhase2) {
-    console.log('\n💡 Phase 2 Manual Controls:');
-    console.log(`   Start: POST http://localhost:${PORT}/api/phase2/start`);
-    console.log(`   Status: GET http://localhost:${PORT}/api/phase2/status`);
-    console.log(`   Claims: GET http://localhost:${PORT}/api/phase2/claims`);
+  if (claimPipeline && !config.agents.autoStartPhase2) {
+    console.log('\n💡 Claim Pipeline Controls:');
+    console.log(`   Start: POST http://localhost:${PORT}/api/pipeline/start`);
+    console.log(`   Status: GET http://localhost:${PORT}/api/pipeline`);
+    console.log(`   Claims: GET http://localhost:${PORT}/api/pipeline/claims`);
+    console.log(`   Evidence: GET http://localhost:${PORT}/api/pipeline/claims/:cid/evidence`);
   }
   
   console.log('\n✅ Ready to accept notarization requests!');
@@ -0,0 +1,37 @@
+import { createReadStream } from 'fs';
+import { Readable } from 'stream';
+
+/**
+ * Content handed to storage providers: its bytes as ordered parts, each held in
+ * memory ({ size, buffer }) or on disk ({ size, path }), so large chunked uploads
+ * are streamed to every provider without being loaded whole.
+ */
+
+/**
+ * Wrap an in-memory buffer as storable content
+ * @param {Buffer} buffer - Content bytes
+ * @param {string} contentType - MIME type
+ * @returns {Object} { size, contentType, parts }
+ */
+export function bufferContent(buffer, contentType) {
+  return { size: buffer.length, contentType, parts: [{ size: buffer.length, buffer }] };
+}
+
+/**
+ * Open one part as a readable stream
+ * @param {Object} part - { buffer } or { path }
+ * @returns {Readable} Part bytes
+ */
+export function openPart(part) {
+  return part.buffer ? Readable.from([part.buffer]) : createReadStream(part.path);
+}
+
+/**
+ * Stream all parts in order
+ * @param {Object} content - Storable content
+ */
+export async function* readContent(content) {
+  for (const part of content.parts) {
+    yield* openPart(part);
+  }
+}
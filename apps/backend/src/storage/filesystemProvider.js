@@ -0,0 +1,79 @@
+import path from 'path';
+import { mkdirSync, createWriteStream } from 'fs';
+import { access, readFile, rename, rm } from 'fs/promises';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { readContent } from './content.js';
+
+/**
+ * Content-addressed filesystem store: each object is written to <rootDir>/<cid>.
+ * Writes go to a temporary file first so a crash never leaves a partial object
+ * under a valid CID.
+ */
+export class FilesystemStorageProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in responses
+   * @param {string} options.rootDir - Directory holding the objects
+   */
+  constructor({ name, rootDir }) {
+    this.name = name;
+    this.type = 'filesystem';
+    this.rootDir = rootDir;
+    mkdirSync(rootDir, { recursive: true });
+  }
+
+  /**
+   * Store content under its CID
+   * @param {Object} params - { key, cid, content }
+   * @returns {Promise<Object>} { key, remoteCid } - remoteCid is null (no hash of its own)
+   */
+  async put({ cid, content }) {
+    const target = this.objectPath(cid);
+    const tmpPath = `${target}.${uuidv4()}.tmp`;
+    try {
+      await pipeline(readContent(content), createWriteStream(tmpPath));
+      await rename(tmpPath, target);
+    } catch (error) {
+      await rm(tmpPath, { force: true });
+      throw error;
+    }
+    return { key: cid, remoteCid: null };
+  }
+
+  /**
+   * Read stored content
+   * @param {Object} location - { cid }
+   * @returns {Promise<Buffer>} Content bytes
+   */
+  async get({ cid }) {
+    return readFile(this.objectPath(cid));
+  }
+
+  /**
+   * Check whether content is stored
+   * @param {Object} location - { cid }
+   * @returns {Promise<boolean>}
+   */
+  async has({ cid }) {
+    try {
+      await access(this.objectPath(cid));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async healthCheck() {
+    await access(this.rootDir);
+    return { rootDir: this.rootDir };
+  }
+
+  objectPath(cid) {
+    // CIDs are base58/base32 strings; anything else could escape rootDir
+    if (!/^[a-zA-Z0-9]+$/.test(cid || '')) {
+      throw new Error(`Invalid CID: ${cid}`);
+    }
+    return path.join(this.rootDir, cid);
+  }
+}
@@ -0,0 +1,146 @@
+import { config } from '../../../../packages/config/env/config.js';
+import { sameCid } from '../../../../packages/shared/unixfs-cid.js';
+import { S3StorageProvider } from './s3Provider.js';
+import { KuboStorageProvider } from './kuboProvider.js';
+import { FilesystemStorageProvider } from './filesystemProvider.js';
+import { MemoryStorageProvider } from './memoryProvider.js';
+
+export { bufferContent } from './content.js';
+
+// Provider factories by the name used in STORAGE_PROVIDERS
+const PROVIDER_FACTORIES = {
+  filebase: () => new S3StorageProvider({ name: 'filebase', ...config.filebase, reportsCid: true }),
+  s3: () => new S3StorageProvider({ name: 's3', ...config.storage.s3 }),
+  kubo: () => new KuboStorageProvider({ name: 'kubo', ...config.storage.kubo, cidOptions: config.ipfs.cid }),
+  filesystem: () => new FilesystemStorageProvider({ name: 'filesystem', ...config.storage.filesystem }),
+  memory: () => new MemoryStorageProvider({ name: 'memory' })
+};
+
+export const STORAGE_PROVIDERS = Object.keys(PROVIDER_FACTORIES);
+
+/**
+ * Storage Manager - replicates notarized content to every configured provider.
+ * Each provider implements put/get/has/healthCheck; a store succeeds when at least
+ * one provider holds the content, and every provider's outcome is reported.
+ */
+class StorageManager {
+  constructor(names = config.storage.providers) {
+    this.names = names;
+    this.instances = null;
+  }
+
+  // Built on first use so configuration is validated before any provider is created
+  get providers() {
+    if (!this.instances) {
+      this.instances = this.names.map(name => {
+        const factory = PROVIDER_FACTORIES[name];
+        if (!factory) {
+          throw new Error(`Unknown storage provider: ${name} (expected one of ${STORAGE_PROVIDERS.join(', ')})`);
+        }
+        return factory();
+      });
+      console.log(`🗄️ Storage providers: ${this.names.join(', ') || 'none'}`);
+    }
+    return this.instances;
+  }
+
+  /**
+   * Store content on all providers in parallel
+   * @param {Object} params
+   * @param {string} params.key - Object key (name) for key-addressed providers
+   * @param {string} params.cid - Locally computed CID
+   * @param {Object} params.content - Storable content (see content.js)
+   * @param {Object} [params.metadata] - Extra object metadata
+   * @returns {Promise<Object>} { stored, results } - one result per provider
+   */
+  async store({ key, cid, content, metadata = {} }) {
+    const results = await Promise.all(this.providers.map(async provider => {
+      const startedAt = Date.now();
+      const result = { provider: provider.name, type: provider.type, status: 'stored', key: null, remoteCid: null, cidMatches: null, error: null };
+      try {
+        const { key: storedKey, remoteCid } = await provider.put({ key, cid, content, metadata });
+        result.key = storedKey;
+        result.remoteCid = remoteCid;
+        result.cidMatches = remoteCid ? sameCid(remoteCid, cid) : null;
+        if (result.cidMatches === false) {
+          console.warn(`⚠️ ${provider.name} CID ${remoteCid} does not match local CID ${cid} - check IPFS_CID_VERSION/IPFS_CHUNKER`);
+        } else {
+          console.log(`✅ Stored on ${provider.name}: ${storedKey}${result.cidMatches ? ' (CID matches)' : ''}`);
+        }
+      } catch (error) {
+        console.log(`⚠️ Storage on ${provider.name} failed:`, error.message);
+        result.status = 'failed';
+        result.error = error.message;
+      }
+      result.durationMs = Date.now() - startedAt;
+      return result;
+    }));
+
+    return { stored: results.some(result => result.status === 'stored'), results };
+  }
+
+  /**
+   * Read content from the first provider that has it
+   * @param {Object} location - { cid, key }
+   * @returns {Promise<Object>} { provider, buffer }
+   */
+  async get(location) {
+    const errors = [];
+    for (const provider of this.providers) {
+      try {
+        return { provider: provider.name, buffer: await provider.get(location) };
+      } catch (error) {
+        errors.push(`${provider.name}: ${error.message}`);
+      }
+    }
+    throw new Error(`Content not available from any storage provider (${errors.join('; ') || 'none configured'})`);
+  }
+
+  /**
+   * Get an enabled provider by name
+   * @param {string} name - Provider name
+   * @returns {Object|null} Provider or null when not enabled
+   */
+  getProvider(name) {
+    return this.providers.find(provider => provider.name === name) || null;
+  }
+
+  /**
+   * Health of every provider
+   * @returns {Promise<Array>} [{ provider, type, healthy, details, error }]
+   */
+  async status() {
+    return Promise.all(this.providers.map(async provider => {
+      try {
+        return { provider: provider.name, type: provider.type, healthy: true, details: await provider.healthCheck() };
+      } catch (error) {
+        return { provider: provider.name, type: provider.type, healthy: false, error: error.message };
+      }
+    }));
+  }
+}
+
+/**
+ * Object key of a CID on key-addressed providers; unique per content, so one
+ * notarization can never overwrite another's replica
+ * @param {string} cid - Content CID
+ * @returns {string}
+ */
+export function keyForCid(cid) {
+  return `notarized-${cid}`;
+}
+
+/**
+ * Upload method label for a store result, e.g. 'local+filebase+kubo' ('local-only' when nothing stored)
+ * @param {Object} result - Result of storage.store
+ * @returns {string}
+ */
+export function uploadMethodFor(result) {
+  const stored = (result?.results || []).filter(entry => entry.status === 'stored');
+  return stored.length > 0 ? ['local', ...stored.map(entry => entry.provider)].join('+') : 'local-only';
+}
+
+// Export singleton instance
+const storage = new StorageManager();
+export default storage;
+export { StorageManager };
@@ -0,0 +1,100 @@
+import { openAsBlob } from 'fs';
+
+/**
+ * Local IPFS node through the Kubo HTTP RPC API (`ipfs daemon`, port 5001 by default).
+ * Content is added with the same CID options used to build the local CID, so the
+ * node's hash must match it; the node pins it unless pinning is disabled.
+ */
+export class KuboStorageProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in responses
+   * @param {string} options.apiUrl - Kubo RPC base URL
+   * @param {boolean} [options.pin] - Pin added content
+   * @param {Object} options.cidOptions - UnixFS CID options (cidVersion, chunker, rawLeaves)
+   */
+  constructor({ name, apiUrl, pin = true, cidOptions }) {
+    this.name = name;
+    this.type = 'kubo';
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.pin = pin;
+    this.cidOptions = cidOptions;
+  }
+
+  /**
+   * Add content to the node
+   * @param {Object} params - { key, cid, content }
+   * @returns {Promise<Object>} { key, remoteCid }
+   */
+  async put({ key, content }) {
+    const params = new URLSearchParams({
+      'cid-version': String(this.cidOptions.cidVersion),
+      chunker: this.cidOptions.chunker,
+      pin: String(this.pin)
+    });
+    if (this.cidOptions.rawLeaves !== undefined) {
+      params.set('raw-leaves', String(this.cidOptions.rawLeaves));
+    }
+
+    // Parts on disk are sent as file-backed blobs so large uploads are not read into memory
+    const blobs = await Promise.all(content.parts.map(part =>
+      part.buffer ? new Blob([part.buffer]) : openAsBlob(part.path)
+    ));
+    const form = new FormData();
+    form.append('file', new Blob(blobs, { type: content.contentType }), key);
+
+    const added = await this.rpc(`add?${params}`, form);
+    return { key, remoteCid: added.Hash };
+  }
+
+  /**
+   * Read content from the node
+   * @param {Object} location - { cid }
+   * @returns {Promise<Buffer>} Content bytes
+   */
+  async get({ cid }) {
+    const response = await this.call(`cat?arg=${encodeURIComponent(cid)}`);
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Check whether the node pins the content
+   * @param {Object} location - { cid }
+   * @returns {Promise<boolean>}
+   */
+  async has({ cid }) {
+    try {
+      const pins = await this.rpc(`pin/ls?arg=${encodeURIComponent(cid)}&type=recursive`);
+      return Object.keys(pins.Keys || {}).length > 0;
+    } catch (error) {
+      if (/not pinned/i.test(error.message)) return false;
+      throw error;
+    }
+  }
+
+  async healthCheck() {
+    const node = await this.rpc('id');
+    return { peerId: node.ID, agentVersion: node.AgentVersion };
+  }
+
+  async rpc(command, body) {
+    const response = await this.call(command, body);
+    return response.json();
+  }
+
+  async call(command, body) {
+    // Kubo only accepts POST on its RPC API
+    const response = await fetch(`${this.apiUrl}/api/v0/${command}`, { method: 'POST', body });
+    if (!response.ok) {
+      const text = await response.text();
+      let message = text;
+      try {
+        message = JSON.parse(text).Message || text;
+      } catch {
+        // Plain-text error body
+      }
+      throw new Error(`Kubo ${command.split('?')[0]} failed (${response.status}): ${message}`);
+    }
+    return response;
+  }
+}
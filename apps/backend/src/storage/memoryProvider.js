@@ -0,0 +1,57 @@
+import { readContent } from './content.js';
+
+/**
+ * In-memory store keyed by CID, for development and tests.
+ * Contents are lost when the process exits.
+ */
+export class MemoryStorageProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in responses
+   */
+  constructor({ name }) {
+    this.name = name;
+    this.type = 'memory';
+    this.objects = new Map();
+  }
+
+  /**
+   * Store content under its CID
+   * @param {Object} params - { key, cid, content }
+   * @returns {Promise<Object>} { key, remoteCid }
+   */
+  async put({ cid, content }) {
+    const chunks = [];
+    for await (const chunk of readContent(content)) {
+      chunks.push(chunk);
+    }
+    this.objects.set(cid, Buffer.concat(chunks));
+    return { key: cid, remoteCid: null };
+  }
+
+  /**
+   * Read stored content
+   * @param {Object} location - { cid }
+   * @returns {Promise<Buffer>} Content bytes
+   */
+  async get({ cid }) {
+    const buffer = this.objects.get(cid);
+    if (!buffer) {
+      throw new Error(`${cid} not found in memory store`);
+    }
+    return buffer;
+  }
+
+  /**
+   * Check whether content is stored
+   * @param {Object} location - { cid }
+   * @returns {Promise<boolean>}
+   */
+  async has({ cid }) {
+    return this.objects.has(cid);
+  }
+
+  async healthCheck() {
+    return { objects: this.objects.size };
+  }
+}
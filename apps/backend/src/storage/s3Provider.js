@@ -0,0 +1,141 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  HeadBucketCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
+import { openPart } from './content.js';
+
+/**
+ * S3-compatible storage (Filebase, MinIO, AWS S3...).
+ * Objects are stored under their key (derived from the CID, see keyForCid); multi-part
+ * content (chunked uploads) is sent as an S3 multipart upload. Filebase pins objects to IPFS and reports the CID it
+ * assigned in the object metadata, which is returned for cross-checking.
+ */
+export class S3StorageProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in responses
+   * @param {string} options.endpoint - S3 endpoint URL
+   * @param {string} options.region - Region
+   * @param {string} options.accessKeyId - Access key
+   * @param {string} options.secretAccessKey - Secret key
+   * @param {string} options.bucketName - Target bucket
+   * @param {boolean} [options.forcePathStyle] - Path-style URLs (MinIO and most self-hosted servers)
+   * @param {boolean} [options.reportsCid] - Read the IPFS CID back from object metadata (Filebase)
+   */
+  constructor({ name, endpoint, region, accessKeyId, secretAccessKey, bucketName, forcePathStyle = false, reportsCid = false }) {
+    this.name = name;
+    this.type = 's3';
+    this.bucket = bucketName;
+    this.reportsCid = reportsCid;
+    this.client = new S3Client({
+      endpoint,
+      region,
+      forcePathStyle,
+      credentials: { accessKeyId, secretAccessKey }
+    });
+  }
+
+  /**
+   * Store content under a key
+   * @param {Object} params - { key, cid, content, metadata }
+   * @returns {Promise<Object>} { key, remoteCid }
+   */
+  async put({ key, cid, content, metadata = {} }) {
+    const objectMetadata = { 'uploaded-at': Date.now().toString(), 'local-cid': cid, ...metadata };
+
+    if (content.parts.length > 1) {
+      await this.multipartUpload(key, content, objectMetadata);
+    } else {
+      const [part] = content.parts;
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: part.buffer || openPart(part),
+        ContentLength: part.size,
+        ContentType: content.contentType,
+        Metadata: objectMetadata
+      }));
+    }
+
+    return { key, remoteCid: this.reportsCid ? await this.remoteCid(key) : null };
+  }
+
+  /**
+   * Read stored content
+   * @param {Object} location - { key }
+   * @returns {Promise<Buffer>} Content bytes
+   */
+  async get({ key }) {
+    const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return Buffer.from(await object.Body.transformToByteArray());
+  }
+
+  /**
+   * Check whether content is stored: the key exists and holds the CID (its 'local-cid'
+   * metadata), so a key reused by other content doesn't count as a copy
+   * @param {Object} location - { cid, key }
+   * @returns {Promise<boolean>}
+   */
+  async has({ cid, key }) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return head.Metadata?.['local-cid'] === cid;
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  async healthCheck() {
+    await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+    return { bucket: this.bucket };
+  }
+
+  async remoteCid(key) {
+    const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+    return head.Metadata?.cid || null;
+  }
+
+  async multipartUpload(key, content, metadata) {
+    const { UploadId } = await this.client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: content.contentType,
+      Metadata: metadata
+    }));
+
+    try {
+      const parts = [];
+      for (let index = 0; index < content.parts.length; index++) {
+        const part = content.parts[index];
+        const { ETag } = await this.client.send(new UploadPartCommand({
+          Bucket: this.bucket,
+          Key: key,
+          UploadId,
+          PartNumber: index + 1,
+          Body: part.buffer || openPart(part),
+          ContentLength: part.size
+        }));
+        parts.push({ ETag, PartNumber: index + 1 });
+      }
+      await this.client.send(new CompleteMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId,
+        MultipartUpload: { Parts: parts }
+      }));
+      console.log(`✅ Multipart upload completed: ${key} (${parts.length} parts, ${this.name})`);
+    } catch (error) {
+      await this.client.send(new AbortMultipartUploadCommand({ Bucket: this.bucket, Key: key, UploadId }))
+        .catch(() => {});
+      throw error;
+    }
+  }
+}
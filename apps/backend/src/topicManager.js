@@ -0,0 +1,218 @@
+import Datastore from '@seald-io/nedb';
+import path from 'path';
+import { mkdirSync } from 'fs';
+import { config } from '../../../packages/config/env/config.js';
+import costTracker from './costs.js';
+
+export const DEFAULT_PROJECT = 'default';
+const PROJECT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * Topic Manager - long-lived HCS topics for notarizations
+ * One active topic per project (per network + environment), persisted so
+ * every notarization of a project lands in the same auditable stream.
+ */
+class TopicManager {
+  constructor(dataDir = config.persistence.dataDir) {
+    mkdirSync(dataDir, { recursive: true });
+    this.db = new Datastore({ filename: path.join(dataDir, 'topics.db'), autoload: true });
+    this.network = config.hedera.network;
+    this.environment = config.server.nodeEnv;
+    this.ledger = null;
+    this.pendingCreates = new Map();
+    this.ready = this.db.ensureIndexAsync({ fieldName: 'topicId', unique: true });
+  }
+
+  /**
+   * Attach the ledger and ensure the default topic exists
+   * @param {Object} ledger - Ledger adapter (see ledger/index.js)
+   */
+  async initialize(ledger) {
+    this.ledger = ledger;
+    await this.ready;
+
+    const configured = config.hedera.topics.defaultTopicId;
+    const active = await this.getActiveRecord(DEFAULT_PROJECT);
+
+    if (configured && active?.topicId !== configured) {
+      // Explicitly configured topic wins over anything created earlier
+      if (active) await this.retire(active, 'replaced_by_config');
+      const known = await this.db.findOneAsync({ topicId: configured });
+      if (known) {
+        await this.db.updateAsync(
+          { topicId: configured },
+          { $set: { project: DEFAULT_PROJECT, status: 'active', retiredAt: null, retiredReason: null, replacedBy: null } }
+        );
+      } else {
+        await this.insert({ project: DEFAULT_PROJECT, topicId: configured, source: 'config' });
+      }
+      console.log(`📌 Using configured default HCS topic: ${configured}`);
+    } else if (active) {
+      console.log(`📌 Reusing default HCS topic: ${active.topicId}`);
+    } else if (config.hedera.topics.autoCreate) {
+      const created = await this.createTopic(DEFAULT_PROJECT);
+      console.log(`📌 Created default HCS topic on first run: ${created.topicId}`);
+    } else {
+      console.warn('⚠️ No default HCS topic configured and auto-creation disabled');
+    }
+  }
+
+  /**
+   * Resolve the active topic ID for a project
+   * @param {string} project - Project name (defaults to the default project)
+   * @returns {Promise<string>} Topic ID
+   */
+  async getTopicId(project = DEFAULT_PROJECT) {
+    const name = normalizeProject(project);
+    const active = await this.getActiveRecord(name);
+    if (active) return active.topicId;
+
+    if (name === DEFAULT_PROJECT && config.hedera.topics.autoCreate) {
+      return (await this.createTopic(name)).topicId;
+    }
+    throw new TopicError(`No active topic for project "${name}". Create one with POST /api/topics`, 404);
+  }
+
+  /**
+   * Create a new topic for a project (fails if the project already has one)
+   * @param {string} project - Project name
+   * @param {string} memo - Optional topic memo
+   * @returns {Promise<Object>} Topic record
+   */
+  async createTopic(project, memo) {
+    const name = normalizeProject(project);
+    if (await this.getActiveRecord(name)) {
+      throw new TopicError(`Project "${name}" already has an active topic. Rotate it instead`, 409);
+    }
+    return (await this.createAndStore(name, memo)).current;
+  }
+
+  /**
+   * Replace a project's active topic with a freshly created one
+   * @param {string} project - Project name
+   * @param {string} reason - Why the topic is rotated
+   * @returns {Promise<Object>} { previous, current }
+   */
+  async rotateTopic(project, reason = 'manual_rotation') {
+    const name = normalizeProject(project);
+    const previous = await this.getActiveRecord(name);
+    if (!previous) {
+      throw new TopicError(`Project "${name}" has no active topic to rotate`, 404);
+    }
+    return this.createAndStore(name, undefined, previous, reason);
+  }
+
+  /**
+   * List topics for the current network and environment
+   * @param {Object} options - { project, includeRetired }
+   * @returns {Promise<Array>} Topic records, newest first
+   */
+  async listTopics({ project, includeRetired = false } = {}) {
+    await this.ready;
+    const query = { network: this.network, environment: this.environment };
+    if (project) query.project = normalizeProject(project);
+    if (!includeRetired) query.status = 'active';
+    const docs = await this.db.findAsync(query).sort({ createdAt: -1 });
+    return docs.map(stripInternal);
+  }
+
+  async getActiveRecord(project) {
+    await this.ready;
+    const doc = await this.db.findOneAsync({
+      project,
+      network: this.network,
+      environment: this.environment,
+      status: 'active'
+    });
+    return doc ? stripInternal(doc) : null;
+  }
+
+  // Creates the ledger topic, then stores it as the project's active topic in
+  // place of `previous` - no ledger call between retiring and inserting
+  async createAndStore(project, memo, previous = null, reason = null) {
+    // Coalesce concurrent creations for the same project into one transaction
+    if (this.pendingCreates.has(project)) return this.pendingCreates.get(project);
+
+    const pending = (async () => {
+      if (!this.ledger) {
+        throw new TopicError('Ledger not configured - cannot create topics', 503);
+      }
+      const topicMemo = memo || `Notarizations: ${project} (${this.environment})`;
+      const created = await this.ledger.createTopic({ memo: topicMemo.slice(0, 100) });
+      // Topic fees are operator overhead, not tied to a notarization
+      costTracker.recordTransactionFee({ kind: 'hcs-topic', project, transactionId: created.transactionId })
+        .catch(error => console.warn('⚠️ Failed to record topic creation fee:', error.message));
+
+      const retired = previous ? await this.retire(previous, reason, created.topicId) : null;
+      const current = await this.insert({
+        project,
+        topicId: created.topicId,
+        memo: topicMemo,
+        source: 'created',
+        creationTransactionId: created.transactionId,
+        previousTopicId: previous?.topicId ?? null
+      });
+      return { previous: retired, current };
+    })();
+
+    this.pendingCreates.set(project, pending);
+    try {
+      return await pending;
+    } finally {
+      this.pendingCreates.delete(project);
+    }
+  }
+
+  async insert(fields) {
+    const doc = await this.db.insertAsync({
+      memo: null,
+      creationTransactionId: null,
+      previousTopicId: null,
+      ...fields,
+      network: this.network,
+      environment: this.environment,
+      status: 'active',
+      createdAt: new Date().toISOString(),
+      retiredAt: null
+    });
+    return stripInternal(doc);
+  }
+
+  async retire(record, reason, replacedBy = null) {
+    const { affectedDocuments } = await this.db.updateAsync(
+      { topicId: record.topicId },
+      { $set: { status: 'retired', retiredAt: new Date().toISOString(), retiredReason: reason, replacedBy } },
+      { returnUpdatedDocs: true }
+    );
+    return affectedDocuments ? stripInternal(affectedDocuments) : null;
+  }
+}
+
+/**
+ * Topic management error carrying an HTTP status code
+ */
+export class TopicError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TopicError';
+    this.statusCode = statusCode;
+  }
+}
+
+export function normalizeProject(project) {
+  const name = String(project || DEFAULT_PROJECT).trim().toLowerCase();
+  if (!PROJECT_NAME_PATTERN.test(name)) {
+    throw new TopicError(`Invalid project name "${project}" (use lowercase letters, digits, "-" or "_")`, 400);
+  }
+  return name;
+}
+
+function stripInternal(doc) {
+  const { _id, ...rest } = doc;
+  return rest;
+}
+
+// Export singleton instance
+const topicManager = new TopicManager();
+export default topicManager;
+export { TopicManager };
@@ -0,0 +1,336 @@
+import Datastore from '@seald-io/nedb';
+import path from 'path';
+import crypto from 'crypto';
+import { mkdirSync, createReadStream, createWriteStream } from 'fs';
+import { rename, rm } from 'fs/promises';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../../../packages/config/env/config.js';
+import { buildUnixFsCidFromStream } from '../../../packages/shared/unixfs-cid.js';
+import { keyForCid, uploadMethodFor } from './storage/index.js';
+
+const MIN_PART_SIZE = 5 * 1024 * 1024; // S3 multipart minimum (all parts but the last)
+
+/**
+ * Upload Manager - resumable chunked uploads for files too large for a single request.
+ * Parts are streamed to disk, the CID is computed by streaming the parts back in order,
+ * and the parts are streamed to the storage providers without the file being held in memory.
+ */
+class UploadManager {
+  constructor(dataDir = config.persistence.dataDir) {
+    this.partsDir = path.join(dataDir, 'uploads');
+    mkdirSync(this.partsDir, { recursive: true });
+    this.db = new Datastore({ filename: path.join(dataDir, 'uploads.db'), autoload: true });
+    this.partSize = config.uploads.partSize;
+    this.maxFileSize = config.uploads.maxFileSize;
+    this.sessionTtlMs = config.uploads.sessionTtlMs;
+    this.storage = null;
+    this.ready = this.db.ensureIndexAsync({ fieldName: 'uploadId', unique: true });
+  }
+
+  /**
+   * Attach the storage manager that completed uploads are replicated to
+   * @param {StorageManager} storage - Storage manager
+   */
+  attach(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Start an upload session
+   * @param {Object} params - { filename, mimeType, size, partSize }
+   * @returns {Promise<Object>} Session with uploadId, partSize and totalParts
+   */
+  async init({ filename, mimeType, size, partSize }) {
+    await this.ready;
+    await this.pruneExpired();
+
+    const fileSize = Number(size);
+    const chunkSize = partSize ? Number(partSize) : this.partSize;
+    if (!filename || typeof filename !== 'string') {
+      throw new UploadError('filename is required');
+    }
+    if (!Number.isInteger(fileSize) || fileSize <= 0) {
+      throw new UploadError('size must be a positive integer (bytes)');
+    }
+    if (fileSize > this.maxFileSize) {
+      throw new UploadError(`File too large (max ${this.maxFileSize} bytes)`, 413);
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize < MIN_PART_SIZE) {
+      throw new UploadError(`partSize must be at least ${MIN_PART_SIZE} bytes`);
+    }
+
+    const now = Date.now();
+    const doc = await this.db.insertAsync({
+      uploadId: uuidv4(),
+      filename: path.basename(filename),
+      mimeType: mimeType || 'application/octet-stream',
+      size: fileSize,
+      partSize: chunkSize,
+      totalParts: Math.ceil(fileSize / chunkSize),
+      parts: {},
+      status: 'uploading',
+      assembled: null,
+      result: null,
+      lastError: null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.sessionTtlMs).toISOString(),
+      completedAt: null
+    });
+    mkdirSync(this.sessionDir(doc.uploadId), { recursive: true });
+    return this.toStatus(doc);
+  }
+
+  /**
+   * Stream one part to disk (re-sending a part replaces it, so interrupted parts can be retried)
+   * @param {string} uploadId - Upload session ID
+   * @param {number} partNumber - 1-based part number
+   * @param {Readable} stream - Part bytes
+   * @param {string} [expectedSha256] - Hex digest the part must match
+   * @returns {Promise<Object>} Stored part { partNumber, size, sha256 }
+   */
+  async writePart(uploadId, partNumber, stream, expectedSha256) {
+    const session = await this.getSession(uploadId);
+    if (session.status !== 'uploading') {
+      throw new UploadError(`Upload ${uploadId} is ${session.status}`, 409);
+    }
+    const number = Number(partNumber);
+    if (!Number.isInteger(number) || number < 1 || number > session.totalParts) {
+      throw new UploadError(`partNumber must be between 1 and ${session.totalParts}`);
+    }
+
+    const expectedSize = number < session.totalParts
+      ? session.partSize
+      : session.size - session.partSize * (session.totalParts - 1);
+    const hash = crypto.createHash('sha256');
+    const tmpPath = path.join(this.sessionDir(uploadId), `part-${number}.${uuidv4()}.tmp`);
+    let received = 0;
+
+    try {
+      await pipeline(
+        stream,
+        async function* (source) {
+          for await (const chunk of source) {
+            received += chunk.length;
+            if (received > expectedSize) {
+              throw new UploadError(`Part ${number} exceeds its expected size of ${expectedSize} bytes`, 413);
+            }
+            hash.update(chunk);
+            yield chunk;
+          }
+        },
+        createWriteStream(tmpPath)
+      );
+
+      if (received !== expectedSize) {
+        throw new UploadError(`Part ${number} has ${received} bytes, expected ${expectedSize}`);
+      }
+      const sha256 = hash.digest('hex');
+      if (expectedSha256 && expectedSha256.toLowerCase() !== sha256) {
+        throw new UploadError(`Part ${number} checksum mismatch (got ${sha256})`, 422);
+      }
+
+      await rename(tmpPath, this.partPath(uploadId, number));
+      const part = { partNumber: number, size: received, sha256, receivedAt: new Date().toISOString() };
+      await this.db.updateAsync({ uploadId }, { $set: { [`parts.${number}`]: part } });
+      return part;
+    } catch (error) {
+      await rm(tmpPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Assemble a fully uploaded file: compute its CID and send it to storage.
+   * The session stays 'completing', with its parts on disk, until finish() once the
+   * file is notarized or release() when notarization fails so it can be completed again.
+   * A file no storage provider accepted fails completion; a stored file is reused on retry.
+   * @param {string} uploadId - Upload session ID
+   * @param {Object} cidOptions - UnixFS CID options (cidVersion, chunker, rawLeaves)
+   * @returns {Promise<Object>} Stored file { filename, key, mimeType, size, cidDetails, uploadMethod, storage, storageError }
+   */
+  async complete(uploadId, cidOptions = config.ipfs.cid) {
+    const session = await this.getSession(uploadId);
+    const missingParts = this.missingParts(session);
+    if (missingParts.length > 0) {
+      throw new UploadError(`Upload ${uploadId} is missing parts: ${missingParts.join(', ')}`, 409);
+    }
+
+    // Claim the session so a duplicate complete request cannot run concurrently
+    const claimed = await this.db.updateAsync(
+      { uploadId, status: 'uploading' },
+      { $set: { status: 'completing', lastError: null } }
+    );
+    if (claimed.numAffected === 0) {
+      throw new UploadError(`Upload ${uploadId} is ${session.status}`, 409);
+    }
+    if (session.assembled) {
+      return session.assembled;
+    }
+
+    try {
+      if (!this.storage) {
+        throw new UploadError('Storage not configured', 503);
+      }
+
+      console.log(`🧮 Computing CID for chunked upload ${uploadId} (${session.size} bytes, ${session.totalParts} parts)`);
+      const cidDetails = await buildUnixFsCidFromStream(this.readParts(session), cidOptions);
+      if (cidDetails.size !== session.size) {
+        throw new UploadError(`Assembled file has ${cidDetails.size} bytes, expected ${session.size}`, 422);
+      }
+
+      const key = keyForCid(cidDetails.cid);
+      const storage = await this.storage.store({
+        key,
+        cid: cidDetails.cid,
+        content: {
+          size: session.size,
+          contentType: session.mimeType,
+          parts: Array.from({ length: session.totalParts }, (_, index) => ({
+            size: session.parts[index + 1].size,
+            path: this.partPath(uploadId, index + 1)
+          }))
+        },
+        metadata: { 'content-type': 'file' }
+      });
+      if (!storage.stored) {
+        const reasons = storage.results.map(result => `${result.provider}: ${result.error}`).join('; ') || 'No storage providers configured';
+        throw new UploadError(`No storage provider stored the upload (${reasons})`, 502);
+      }
+
+      const result = {
+        uploadId,
+        filename: session.filename,
+        key,
+        mimeType: session.mimeType,
+        size: session.size,
+        cidDetails,
+        uploadMethod: uploadMethodFor(storage),
+        storage: storage.results,
+        storageError: null
+      };
+      await this.db.updateAsync({ uploadId }, { $set: { assembled: result } });
+      return result;
+    } catch (error) {
+      await this.release(uploadId, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a completed upload as notarized and delete its parts
+   * @param {string} uploadId - Upload session ID
+   */
+  async finish(uploadId) {
+    const session = await this.getSession(uploadId);
+    await this.db.updateAsync(
+      { uploadId },
+      { $set: { status: 'completed', result: session.assembled, completedAt: new Date().toISOString() } }
+    );
+    await rm(this.sessionDir(uploadId), { recursive: true, force: true });
+  }
+
+  /**
+   * Hand a completing upload back to the client after a failure
+   * @param {string} uploadId - Upload session ID
+   * @param {string} reason - Why completion failed
+   */
+  async release(uploadId, reason) {
+    // Parts stay on disk so the client can retry completion
+    await this.db.updateAsync({ uploadId }, { $set: { status: 'uploading', lastError: reason } });
+  }
+
+  /**
+   * Get the status of an upload session (received and missing parts for resuming)
+   * @param {string} uploadId - Upload session ID
+   * @returns {Promise<Object>} Session status
+   */
+  async get(uploadId) {
+    return this.toStatus(await this.getSession(uploadId));
+  }
+
+  /**
+   * Cancel an upload session and delete its parts
+   * @param {string} uploadId - Upload session ID
+   */
+  async abort(uploadId) {
+    const session = await this.getSession(uploadId);
+    if (session.status === 'completing') {
+      throw new UploadError(`Upload ${uploadId} is being completed`, 409);
+    }
+    await this.db.removeAsync({ uploadId }, {});
+    await rm(this.sessionDir(uploadId), { recursive: true, force: true });
+  }
+
+  async* readParts(session) {
+    for (let partNumber = 1; partNumber <= session.totalParts; partNumber++) {
+      yield* createReadStream(this.partPath(session.uploadId, partNumber));
+    }
+  }
+
+  async getSession(uploadId) {
+    await this.ready;
+    const doc = await this.db.findOneAsync({ uploadId });
+    if (!doc) {
+      throw new UploadError(`Upload ${uploadId} not found`, 404);
+    }
+    if (doc.status === 'uploading' && new Date(doc.expiresAt).getTime() < Date.now()) {
+      throw new UploadError(`Upload ${uploadId} has expired`, 410);
+    }
+    return doc;
+  }
+
+  async pruneExpired() {
+    const expired = await this.db.findAsync({
+      status: 'uploading',
+      expiresAt: { $lt: new Date().toISOString() }
+    });
+    for (const doc of expired) {
+      await this.db.removeAsync({ uploadId: doc.uploadId }, {});
+      await rm(this.sessionDir(doc.uploadId), { recursive: true, force: true });
+    }
+  }
+
+  missingParts(session) {
+    const missing = [];
+    for (let partNumber = 1; partNumber <= session.totalParts; partNumber++) {
+      if (!session.parts[partNumber]) missing.push(partNumber);
+    }
+    return missing;
+  }
+
+  sessionDir(uploadId) {
+    return path.join(this.partsDir, uploadId);
+  }
+
+  partPath(uploadId, partNumber) {
+    return path.join(this.sessionDir(uploadId), `part-${partNumber}`);
+  }
+
+  toStatus(doc) {
+    const { _id, parts, ...session } = doc;
+    const receivedParts = Object.values(parts).sort((a, b) => a.partNumber - b.partNumber);
+    return {
+      ...session,
+      receivedParts,
+      receivedBytes: receivedParts.reduce((sum, part) => sum + part.size, 0),
+      missingParts: this.missingParts(doc)
+    };
+  }
+}
+
+/**
+ * Upload error carrying an HTTP status code
+ */
+export class UploadError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Export singleton instance
+const uploadManager = new UploadManager();
+export default uploadManager;
+export { UploadManager };
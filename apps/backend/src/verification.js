@@ -0,0 +1,220 @@
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import { config } from '../../../packages/config/env/config.js';
+import { verifyInclusionProof } from '../../../packages/shared/merkle.js';
+import {
+  IncompleteMessageError,
+  isChunked,
+  readMessageByTransaction,
+  resolveChunks,
+  toMirrorTransactionId
+} from '../../../packages/shared/hcs-messages.js';
+import { MESSAGE_TYPES, decodeMemo, decodeMirrorMessage } from '../../../packages/shared/message-codec.js';
+
+export { toMirrorTransactionId };
+
+const MIRROR_PAGE_LIMIT = 100;
+const MAX_SCAN_PAGES = 5;
+
+async function mirrorGet(pathOrUrl, mirrorNodeUrl = config.hedera.mirrorNodeUrl) {
+  const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${mirrorNodeUrl}${pathOrUrl}`;
+  const response = await fetch(url, { headers: { 'Accept': 'application/json' }, timeout: 10000 });
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Mirror node request failed (${response.status}): ${url}`);
+  }
+  return response.json();
+}
+
+// Messages of every schema version are read in the current one; data is null for foreign messages
+function decodeTopicMessage(message) {
+  const text = Buffer.from(message.message, 'base64').toString('utf8');
+  try {
+    return { raw: text, data: decodeMirrorMessage(message) };
+  } catch (_) {
+    return { raw: text, data: null };
+  }
+}
+
+function toLedgerRecord(message, transaction) {
+  return {
+    topicId: message.topic_id,
+    sequenceNumber: message.sequence_number,
+    consensusTimestamp: message.consensus_timestamp,
+    consensusTime: new Date(parseFloat(message.consensus_timestamp) * 1000).toISOString(),
+    runningHash: message.running_hash,
+    runningHashVersion: message.running_hash_version,
+    payerAccountId: message.payer_account_id,
+    // Chunked messages: the record above is the last chunk's, the message spans all of them
+    chunks: message.chunks?.length || 1,
+    transactionId: transaction?.transaction_id || null,
+    memo: transaction?.memo_base64 ? Buffer.from(transaction.memo_base64, 'base64').toString('utf8') : null
+  };
+}
+
+// Look up a topic message submission by transaction ID (includes its result, e.g. SUCCESS)
+export async function findSubmitTransaction(transactionId) {
+  const data = await mirrorGet(`/api/v1/transactions/${toMirrorTransactionId(transactionId)}`);
+  return data?.transactions?.find(tx => tx.name === 'CONSENSUSSUBMITMESSAGE') || null;
+}
+
+// Look up the topic message produced by a specific transaction, reassembled from all its chunks
+export async function findMessageByTransaction(transactionId) {
+  try {
+    const located = await readMessageByTransaction(config.hedera.mirrorNodeUrl, transactionId);
+    return located ? { message: located.message, transaction: located.transaction } : null;
+  } catch (error) {
+    // Later chunks lag on the mirror node like any message
+    if (error instanceof IncompleteMessageError) return null;
+    throw error;
+  }
+}
+
+// Page through a topic looking for a message that references the CID
+async function findMessageInTopic(topicId, cid) {
+  let next = `/api/v1/topics/${topicId}/messages?order=desc&limit=${MIRROR_PAGE_LIMIT}`;
+  for (let page = 0; next && page < MAX_SCAN_PAGES; page++) {
+    const data = await mirrorGet(next);
+    if (!data) return null;
+    for (const chunk of data.messages || []) {
+      // A chunked message is read once, from the chunk that completes it
+      if (isChunked(chunk) && chunk.chunk_info.number !== chunk.chunk_info.total) continue;
+      const message = await resolveChunks(config.hedera.mirrorNodeUrl, chunk).catch(() => null);
+      const { data: payload } = message ? decodeTopicMessage(message) : {};
+      if (payload?.type === MESSAGE_TYPES.NOTARIZATION && payload.ipfsCid === cid) return { message, transaction: null };
+    }
+    next = data.links?.next || null;
+  }
+  return null;
+}
+
+// Scan the operator account's topic submissions for a memo referencing the CID
+async function findMessageByMemo(accountId, cid) {
+  let next = `/api/v1/transactions?account.id=${accountId}&transactiontype=CONSENSUSSUBMITMESSAGE&order=desc&limit=${MIRROR_PAGE_LIMIT}`;
+  for (let page = 0; next && page < MAX_SCAN_PAGES; page++) {
+    const data = await mirrorGet(next);
+    if (!data) return null;
+    for (const transaction of data.transactions || []) {
+      const memo = transaction.memo_base64 ? Buffer.from(transaction.memo_base64, 'base64').toString('utf8') : '';
+      if (decodeMemo(memo)?.cid === cid) {
+        const located = await findMessageByTransaction(transaction.transaction_id);
+        if (located) return located;
+      }
+    }
+    next = data.links?.next || null;
+  }
+  return null;
+}
+
+// Decide whether a topic message anchors the CID, directly or through a Merkle batch root
+function matchAnchor(payload, cid, merkleProof) {
+  if (payload?.type === MESSAGE_TYPES.NOTARIZATION && payload.ipfsCid === cid) return 'individual';
+  if (payload?.type === MESSAGE_TYPES.MERKLE_BATCH && merkleProof?.leaf?.cid === cid &&
+      verifyInclusionProof(merkleProof, payload.merkleRoot)) {
+    return 'merkle-batch';
+  }
+  return null;
+}
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Verify that content with the given CID was notarized on Hedera.
+ * The ledger is the source of truth; transaction/topic IDs are only used as lookup hints.
+ * @param {Object} params
+ * @param {string} params.cid - CID recomputed from the submitted content
+ * @param {Buffer} params.contentBuffer - Submitted content bytes
+ * @param {string} [params.text] - Associated text (image-with-text notarizations)
+ * @param {Array<{transactionId?: string, topicId?: string, merkleProof?: Object, source: string}>} [params.hints] - Candidate ledger locations
+ * @returns {Promise<Object>} Verification report
+ */
+export async function verifyContent({ cid, contentBuffer, text, hints = [] }) {
+  const sha256 = sha256Hex(contentBuffer);
+  const attempts = [];
+  let located = null;
+  let locatedVia = null;
+  let anchorType = null;
+  let merkleProof = null;
+
+  const candidates = [
+    ...hints,
+    ...(config.hedera.accountId ? [{ accountId: config.hedera.accountId, source: 'operator_memo_scan' }] : [])
+  ];
+
+  for (const candidate of candidates) {
+    const { merkleProof: candidateProof, ...location } = candidate;
+    try {
+      if (candidate.transactionId) {
+        located = await findMessageByTransaction(candidate.transactionId);
+      } else if (candidate.topicId) {
+        located = await findMessageInTopic(candidate.topicId, cid);
+      } else if (candidate.accountId) {
+        located = await findMessageByMemo(candidate.accountId, cid);
+      }
+      attempts.push({ ...location, withMerkleProof: !!candidateProof, found: !!located });
+    } catch (error) {
+      attempts.push({ ...location, withMerkleProof: !!candidateProof, found: false, error: error.message });
+      located = null;
+    }
+
+    if (located) {
+      const { data } = decodeTopicMessage(located.message);
+      anchorType = matchAnchor(data, cid, candidateProof);
+      if (anchorType) {
+        locatedVia = candidate.source;
+        merkleProof = anchorType === 'merkle-batch' ? candidateProof : null;
+        break;
+      }
+      // Message exists but is for different content - keep looking
+      attempts[attempts.length - 1].cidMismatch = true;
+      located = null;
+    }
+  }
+
+  const decoded = located ? decodeTopicMessage(located.message) : null;
+  // For batch anchors the notarization details live in the Merkle leaf, the ledger holds the root
+  const notarization = anchorType === 'merkle-batch' ? merkleProof.leaf : (decoded?.data || null);
+  const ledgerText = notarization?.associatedText;
+  const ledgerTextHash = notarization?.textSha256;
+  // Messages record the network they were anchored on; older ones predate the field
+  const anchoredNetwork = decoded?.data?.network;
+  const checks = {
+    ledgerMessageFound: !!located,
+    cidMatchesLedger: !!anchorType,
+    networkMatchesLedger: anchoredNetwork === undefined ? null : anchoredNetwork === config.hedera.network,
+    merkleProofValid: anchorType === 'merkle-batch' ? true : null,
+    sha256MatchesLedger: notarization?.contentSha256 === undefined ? null : notarization.contentSha256 === sha256,
+    sizeMatchesLedger: notarization?.contentSize === undefined ? null : notarization.contentSize === contentBuffer.length,
+    associatedTextMatches: text && (ledgerText !== undefined || ledgerTextHash !== undefined)
+      ? (ledgerText !== undefined ? ledgerText === text : ledgerTextHash === sha256Hex(text))
+      : null
+  };
+  const verified = checks.ledgerMessageFound && checks.cidMatchesLedger && checks.networkMatchesLedger !== false &&
+    checks.sha256MatchesLedger !== false && checks.sizeMatchesLedger !== false && checks.associatedTextMatches !== false;
+
+  return {
+    verified,
+    result: verified ? 'pass' : 'fail',
+    content: {
+      cid,
+      sha256,
+      size: contentBuffer.length
+    },
+    checks,
+    anchorType,
+    ledgerRecord: located ? toLedgerRecord(located.message, located.transaction) : null,
+    notarization,
+    batch: anchorType === 'merkle-batch'
+      ? { anchoredMessage: decoded.data, inclusionProof: merkleProof }
+      : null,
+    lookup: {
+      network: config.hedera.network,
+      mirrorNodeUrl: config.hedera.mirrorNodeUrl,
+      locatedVia,
+      attempts
+    },
+    verifiedAt: new Date().toISOString()
+  };
+}
@@ -0,0 +1,123 @@
+import fetch from 'node-fetch';
+import { PublicKey } from '@hashgraph/sdk';
+import { proto } from '@hashgraph/proto';
+import { config } from '../../../packages/config/env/config.js';
+import {
+  parseNotarizationMessage,
+  prefixSignedMessage
+} from '../../../packages/shared/wallet-signature.js';
+
+// Mirror node key types we can verify a single wallet signature against
+const KEY_TYPES = {
+  ED25519: { signatureField: 'ed25519', toPublicKey: hex => PublicKey.fromStringED25519(hex) },
+  ECDSA_SECP256K1: { signatureField: 'ECDSASecp256k1', toPublicKey: hex => PublicKey.fromStringECDSA(hex) }
+};
+
+/**
+ * Wallet Signature Verifier - authenticates the accountId of a notarization.
+ * The wallet signs a message binding the account to the content SHA-256
+ * (see packages/shared/wallet-signature.js); the signature is checked against
+ * the account's current public key as published by the mirror node.
+ */
+class WalletSignatureVerifier {
+  /**
+   * Fetch the public key of a Hedera account from the mirror node
+   * @param {string} accountId - Hedera account (0.0.x)
+   * @returns {Promise<Object>} { keyType, publicKey }
+   */
+  async getAccountKey(accountId) {
+    const url = `${config.hedera.mirrorNodeUrl}/api/v1/accounts/${accountId}`;
+    let response;
+    try {
+      response = await fetch(url, { headers: { 'Accept': 'application/json' }, timeout: 10000 });
+    } catch (error) {
+      throw new WalletSignatureError(`Mirror node unreachable: ${error.message}`, 502);
+    }
+    if (response.status === 404) {
+      throw new WalletSignatureError(`Account ${accountId} not found on ${config.hedera.network}`, 404);
+    }
+    if (!response.ok) {
+      throw new WalletSignatureError(`Mirror node request failed (${response.status}): ${url}`, 502);
+    }
+
+    const account = await response.json();
+    const keyType = account.key?._type;
+    if (!KEY_TYPES[keyType]) {
+      // Threshold keys and key lists need several signatures
+      throw new WalletSignatureError(`Account ${accountId} has a ${keyType || 'missing'} key; only single ED25519 or ECDSA_SECP256K1 keys are supported`, 422);
+    }
+    return { keyType, publicKey: account.key.key };
+  }
+
+  /**
+   * Verify a wallet-signed notarization request
+   * @param {Object} params
+   * @param {string} params.accountId - Account the notarization is made for
+   * @param {string} params.sha256 - Hex SHA-256 of the content being notarized
+   * @param {string} params.signedMessage - Message the wallet signed
+   * @param {string} params.signatureMap - Base64 protobuf SignatureMap returned by hedera_signMessage
+   * @returns {Promise<Object>} Verified signature record, stored with the notarization
+   */
+  async verify({ accountId, sha256, signedMessage, signatureMap }) {
+    const statement = parseNotarizationMessage(signedMessage);
+    if (!statement) {
+      throw new WalletSignatureError('Signed message is not a notarization statement');
+    }
+    if (statement.accountId !== accountId) {
+      throw new WalletSignatureError(`Signed message is for account ${statement.accountId}, not ${accountId}`, 401);
+    }
+    if (statement.sha256 !== sha256) {
+      throw new WalletSignatureError('Signed message does not match the content SHA-256', 401);
+    }
+    const age = Date.now() - Date.parse(statement.issuedAt);
+    if (age > config.wallet.signatureMaxAgeMs || age < -config.wallet.signatureMaxAgeMs) {
+      throw new WalletSignatureError('Signed message has expired, sign the content again', 401);
+    }
+
+    let sigPair;
+    try {
+      sigPair = proto.SignatureMap.decode(Buffer.from(signatureMap, 'base64')).sigPair?.[0];
+    } catch (error) {
+      throw new WalletSignatureError(`Invalid signature map: ${error.message}`);
+    }
+    if (!sigPair) {
+      throw new WalletSignatureError('Signature map contains no signature');
+    }
+
+    const { keyType, publicKey } = await this.getAccountKey(accountId);
+    const signature = sigPair[KEY_TYPES[keyType].signatureField];
+    if (!signature?.length) {
+      throw new WalletSignatureError(`Signature is not a ${keyType} signature`, 401);
+    }
+    if (!KEY_TYPES[keyType].toPublicKey(publicKey).verify(prefixSignedMessage(signedMessage), signature)) {
+      throw new WalletSignatureError(`Signature does not match the key of account ${accountId}`, 401);
+    }
+
+    return {
+      accountId,
+      keyType,
+      publicKey,
+      signedMessage,
+      signature: Buffer.from(signature).toString('hex'),
+      signatureMap,
+      issuedAt: statement.issuedAt,
+      verifiedAt: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * Wallet signature error carrying an HTTP status code
+ */
+export class WalletSignatureError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WalletSignatureError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Export singleton instance
+const walletSignatures = new WalletSignatureVerifier();
+export default walletSignatures;
+export { WalletSignatureVerifier };
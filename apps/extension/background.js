@@ -1,6 +1,8 @@
+import { contentDigest, sha256Hex } from './wallet.js';
+
 const DEFAULT_API_URL = 'http://localhost:3001';
-// Hardcoded fallback Hedera account ID (temporary)
-const HARDCODED_ACCOUNT_ID = '0.0.6651850';
+const SIGN_TIMEOUT_MS = 2 * 60 * 1000;
+const signRequests = new Map(); // requestId -> pending signature request
 
 function ensureContextMenus() {
   try {
@@ -40,7 +42,8 @@ async function getSettings() {
       activeAccountId: '',
       activeAccountSource: '',
       detectedAccountId: '',
-      wcProjectId: ''
+      wcProjectId: '',
+      payFromWallet: false
     }, resolve);
   });
 }
@@ -83,17 +86,60 @@ async function tryGetAccountIdFromTab(tabId) {
   }
 }
 
-async function notarizeText(text, overrideAccountId) {
+// Notarizations are attributed to a real account: paired, detected or configured in Options
+function requireAccountId(accountId) {
+  if (!accountId) throw new Error('No Hedera account connected. Pair HashPack or set an account ID in Options.');
+  return accountId;
+}
+
+// Have the paired wallet sign a content digest. The service worker holds no WalletConnect
+// session, so a signing window (sign.html) does it. Resolves null when no wallet is paired.
+function requestSignature(accountId, sha256) {
+  return new Promise((resolve, reject) => {
+    const requestId = crypto.randomUUID();
+    const timer = setTimeout(() => {
+      signRequests.delete(requestId);
+      reject(new Error('The wallet signature was not given in time'));
+    }, SIGN_TIMEOUT_MS);
+    signRequests.set(requestId, { accountId, sha256, resolve, reject, timer });
+    chrome.windows.create({ url: chrome.runtime.getURL(`sign.html?request=${requestId}`), type: 'popup', width: 380, height: 220 });
+  });
+}
+
+function settleSignature(requestId, signature, error) {
+  const pending = signRequests.get(requestId);
+  if (!pending) return;
+  signRequests.delete(requestId);
+  clearTimeout(pending.timer);
+  if (error) pending.reject(new Error(`Signing failed: ${error}`));
+  else pending.resolve(signature || null);
+}
+
+async function responseError(res) {
+  const err = await res.json().catch(() => ({}));
+  return new Error(err.message || err.error || `HTTP ${res.status}`);
+}
+
+// signature: { signedMessage, signatureMap } from the paired wallet (see popup.js), null when
+// the popup has no wallet session; when not given, the wallet is asked through a signing window.
+// payer 'user' returns the accepted job instead: the popup follows it and pays through the wallet.
+async function notarizeText(text, overrideAccountId, signature, payer, userPrompt = '') {
   const { apiUrl, accountId, activeAccountId, detectedAccountId } = await getSettings();
-  const finalAccountId = overrideAccountId || activeAccountId || detectedAccountId || accountId || HARDCODED_ACCOUNT_ID;
+  const finalAccountId = requireAccountId(overrideAccountId || activeAccountId || detectedAccountId || accountId);
+  if (signature === undefined) {
+    signature = await requestSignature(finalAccountId, await sha256Hex(text));
+  }
 
   const payload = {
     accountId: finalAccountId,
+    ...(signature ? { signedMessage: signature.signedMessage, signatureMap: signature.signatureMap } : {}),
+    ...(payer === 'user' ? { payer, async: true } : {}),
     contentType: 'text',
     text,
     title: 'Web selection',
     tags: 'extension,selection,fact-check',
-    mode: 'fact_check'
+    mode: 'fact_check',
+    ...(userPrompt ? { prompt: userPrompt } : {})
   };
 
   const res = await fetch(`${apiUrl}/api/notarize`, {
@@ -102,16 +148,13 @@ async function notarizeText(text, overrideAccountId) {
     body: JSON.stringify(payload)
   });
 
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err.message || `HTTP ${res.status}`);
-  }
+  if (!res.ok) throw await responseError(res);
   return res.json();
 }
 
-async function notarizeImage(srcUrl, selectionText, overrideAccountId) {
+async function notarizeImage(srcUrl, selectionText, overrideAccountId, userPrompt = '') {
   const { apiUrl, accountId, activeAccountId, detectedAccountId } = await getSettings();
-  const finalAccountId = overrideAccountId || activeAccountId || detectedAccountId || accountId || HARDCODED_ACCOUNT_ID;
+  const finalAccountId = requireAccountId(overrideAccountId || activeAccountId || detectedAccountId || accountId);
 
   // Fetch the image as a blob
   const resp = await fetch(srcUrl, { mode: 'cors' }).catch(() => null);
@@ -135,22 +178,28 @@ async function notarizeImage(srcUrl, selectionText, overrideAccountId) {
     filename = `${filename}.${ext}`;
   }
 
+  // The signature covers the image together with the caption sent along with it
+  const caption = (selectionText || '').trim();
+  const signature = await requestSignature(finalAccountId, await contentDigest(blob, caption));
+
   const form = new FormData();
   form.append('accountId', finalAccountId);
+  if (signature) {
+    form.append('signedMessage', signature.signedMessage);
+    form.append('signatureMap', signature.signatureMap);
+  }
   form.append('contentType', 'image');
   form.append('file', blob, filename);
-  if (selectionText && selectionText.trim()) {
-    form.append('text', selectionText.trim());
+  if (caption) {
+    form.append('text', caption);
   }
   form.append('title', 'Web image fact-check');
   form.append('tags', 'extension,image,fact-check');
   form.append('mode', 'fact_check');
+  if (userPrompt) form.append('prompt', userPrompt);
 
   const res = await fetch(`${apiUrl}/api/notarize`, { method: 'POST', body: form });
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err.message || `HTTP ${res.status}`);
-  }
+  if (!res.ok) throw await responseError(res);
   return res.json();
 }
 
@@ -197,27 +246,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
       const pageAccountId = tab?.id ? await tryGetAccountIdFromTab(tab.id) : null;
       let result;
       try {
-        const { apiUrl } = await getSettings();
-        const finalAccountId = pageAccountId || HARDCODED_ACCOUNT_ID;
-        const payload = {
-          accountId: finalAccountId,
-          contentType: 'text',
-          text: info.selectionText.trim(),
-          title: 'Web selection',
-          tags: 'extension,selection,fact-check',
-          mode: 'fact_check',
-          prompt: userPrompt || ''
-        };
-        const res = await fetch(`${apiUrl}/api/notarize`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
-        if (!res.ok) {
-          const err = await res.json().catch(() => ({}));
-          throw new Error(err.message || `HTTP ${res.status}`);
-        }
-        result = await res.json();
+        result = await notarizeText(info.selectionText.trim(), pageAccountId, undefined, undefined, userPrompt);
       } catch (e) {
         if (tab?.id) sendToTab(tab.id, { type: 'SHOW_ANALYSIS_ERROR', error: e && e.message ? e.message : 'Unknown error' });
         throw e;
@@ -250,34 +279,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
       const pageAccountId = tab?.id ? await tryGetAccountIdFromTab(tab.id) : null;
       let result;
       try {
-        const { apiUrl } = await getSettings();
-        const finalAccountId = pageAccountId || HARDCODED_ACCOUNT_ID;
-        // Fetch image and submit as multipart with prompt
-        const resp = await fetch(info.srcUrl, { mode: 'cors' }).catch(() => null);
-        if (!resp || !resp.ok) throw new Error('Unable to fetch image data');
-        const blob = await resp.blob();
-        if (blob.size > 10 * 1024 * 1024) throw new Error('Image too large (>10MB) for analysis');
-        let filename = 'image';
-        try { const u = new URL(info.srcUrl); const last = u.pathname.split('/').filter(Boolean).pop(); if (last) filename = last; } catch (_) {}
-        if (!/\.[a-z0-9]{2,5}$/i.test(filename)) {
-          const ext = (blob.type && blob.type.split('/')[1]) ? blob.type.split('/')[1] : 'jpg';
-          filename = `${filename}.${ext}`;
-        }
-        const form = new FormData();
-        form.append('accountId', finalAccountId);
-        form.append('contentType', 'image');
-        form.append('file', blob, filename);
-        if (info.selectionText && info.selectionText.trim()) form.append('text', info.selectionText.trim());
-        form.append('title', 'Web image fact-check');
-        form.append('tags', 'extension,image,fact-check');
-        form.append('mode', 'fact_check');
-        if (userPrompt) form.append('prompt', userPrompt);
-        const res = await fetch(`${apiUrl}/api/notarize`, { method: 'POST', body: form });
-        if (!res.ok) {
-          const err = await res.json().catch(() => ({}));
-          throw new Error(err.message || `HTTP ${res.status}`);
-        }
-        result = await res.json();
+        result = await notarizeImage(info.srcUrl, info.selectionText, pageAccountId, userPrompt);
       } catch (e) {
         if (tab?.id) sendToTab(tab.id, { type: 'SHOW_ANALYSIS_ERROR', error: e && e.message ? e.message : 'Unknown error' });
         throw e;
@@ -298,10 +300,20 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   (async () => {
     try {
       if (msg?.type === 'NOTARIZE_TEXT') {
-        const result = await notarizeText(msg.text || '');
+        const result = await notarizeText(msg.text || '', msg.accountId, msg.signature, msg.payer);
         sendResponse({ ok: true, result });
         return;
       }
+      if (msg?.type === 'GET_SIGN_REQUEST') {
+        const pending = signRequests.get(msg.requestId);
+        sendResponse(pending ? { ok: true, request: { accountId: pending.accountId, sha256: pending.sha256 } } : { ok: false, error: 'Signature request expired' });
+        return;
+      }
+      if (msg?.type === 'SIGN_RESULT') {
+        settleSignature(msg.requestId, msg.signature, msg.error);
+        sendResponse({ ok: true });
+        return;
+      }
       if (msg?.type === 'GET_ACTIVE_ACCOUNT') {
         const { activeAccountId, detectedAccountId, accountId, activeAccountSource } = await getSettings();
         const finalId = activeAccountId || detectedAccountId || accountId || '';
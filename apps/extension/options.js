@@ -2,12 +2,14 @@ const apiUrlEl = document.getElementById('apiUrl');
 const accountIdEl = document.getElementById('accountId');
 const saveBtn = document.getElementById('save');
 const wcProjectIdEl = document.getElementById('wcProjectId');
+const payFromWalletEl = document.getElementById('payFromWallet');
 
 function load() {
-  chrome.storage.sync.get({ apiUrl: 'http://localhost:3001', accountId: '', wcProjectId: '' }, (data) => {
+  chrome.storage.sync.get({ apiUrl: 'http://localhost:3001', accountId: '', wcProjectId: '', payFromWallet: false }, (data) => {
     apiUrlEl.value = data.apiUrl;
     accountIdEl.value = data.accountId;
     wcProjectIdEl.value = data.wcProjectId;
+    payFromWalletEl.checked = !!data.payFromWallet;
   });
 }
 
@@ -15,7 +17,8 @@ function save() {
   chrome.storage.sync.set({
     apiUrl: (apiUrlEl.value || '').trim() || 'http://localhost:3001',
     accountId: (accountIdEl.value || '').trim(),
-    wcProjectId: (wcProjectIdEl.value || '').trim()
+    wcProjectId: (wcProjectIdEl.value || '').trim(),
+    payFromWallet: payFromWalletEl.checked
   }, () => {
     saveBtn.textContent = 'Saved!';
     setTimeout(() => (saveBtn.textContent = 'Save'), 1000);
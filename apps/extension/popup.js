@@ -1,3 +1,5 @@
+import { getWalletClient, getWalletSession, sha256Hex, signWithWallet } from './wallet.js';
+
 function el(id) { return document.getElementById(id); }
 let isConnecting = false;
 let sourceLabel = '';
@@ -56,14 +58,70 @@ async function refreshStatus() {
   if (sw) sw.style.display = account ? 'inline-block' : 'none';
 }
 
+// Follow a user-paid notarization job: the wallet signs and submits the transaction it announces
+function followPaidJob(apiUrl, job, paired) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`${apiUrl}${job.eventsUrl}`);
+    source.addEventListener('awaiting_payment', async (event) => {
+      const request = JSON.parse(event.data).data;
+      try {
+        await paired.client.request({
+          topic: paired.session.topic,
+          chainId: paired.account.split(':').slice(0, 2).join(':'),
+          request: { method: 'hedera_signAndExecuteTransaction', params: { signerAccountId: paired.account, transactionList: request.transaction } }
+        });
+        // Mirror nodes lag consensus; the backend answers 504 until the transaction shows up
+        for (let attempt = 0; attempt < 3; attempt++) {
+          const res = await fetch(`${apiUrl}${request.confirmUrl}`, { method: 'POST' });
+          if (res.status !== 504) break;
+        }
+      } catch (e) {
+        await fetch(`${apiUrl}${request.cancelUrl}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ reason: e && e.message ? e.message : 'declined in wallet' })
+        }).catch(() => {});
+      }
+    });
+    source.addEventListener('completed', (event) => {
+      source.close();
+      resolve(JSON.parse(event.data).data.result);
+    });
+    source.addEventListener('failed', (event) => {
+      source.close();
+      const { data } = JSON.parse(event.data);
+      reject(new Error(data.result?.message || data.error || 'Notarization failed'));
+    });
+  });
+}
+
 async function handleSubmit() {
   const text = el('text').value.trim();
   if (!text) return;
   addBubble('user', text.replace(/</g, '&lt;'));
   el('text').value = '';
+  const active = await chrome.runtime.sendMessage({ type: 'GET_ACTIVE_ACCOUNT' });
+  const accountId = active?.ok ? active.accountId : '';
+  if (!accountId) {
+    addBubble('ai', 'Error: No Hedera account connected. Pair HashPack or set an account ID in Options.');
+    return;
+  }
+  let signature = null;
+  try {
+    signature = await signWithWallet(accountId, await sha256Hex(text));
+  } catch (e) {
+    addBubble('ai', `Signing failed: ${e && e.message ? e.message : 'rejected in wallet'}`);
+    return;
+  }
+  const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+  const paired = settings?.settings?.payFromWallet ? await getWalletSession(accountId).catch(() => null) : null;
   const typingId = `typing-${Date.now()}`;
-  addBubble('ai', `<span id="${typingId}">Analyzing…</span>`);
-  const resp = await chrome.runtime.sendMessage({ type: 'NOTARIZE_TEXT', text });
+  addBubble('ai', `<span id="${typingId}">${paired ? 'Approve the transaction in HashPack…' : 'Analyzing…'}</span>`);
+  let resp = await chrome.runtime.sendMessage({ type: 'NOTARIZE_TEXT', text, accountId, signature, payer: paired ? 'user' : undefined });
+  if (resp?.ok && paired) {
+    resp = await followPaidJob(settings.settings.apiUrl, resp.result, paired)
+      .then(result => ({ ok: true, result }), e => ({ ok: false, error: e.message }));
+  }
   const typing = document.getElementById(typingId);
   if (typing) typing.parentElement?.remove();
   if (resp?.ok) {
@@ -75,17 +133,6 @@ async function handleSubmit() {
 
 async function connectWalletConnect() {
   try {
-    const scriptUrl = chrome.runtime.getURL('walletconnect.global.js');
-    await new Promise((resolve, reject) => {
-      const s = document.createElement('script');
-      s.src = scriptUrl;
-      s.onload = resolve;
-      s.onerror = reject;
-      document.head.appendChild(s);
-    });
-
-    if (!window.WalletConnectSignClient) throw new Error('WalletConnect SDK not loaded');
-
     // Require a valid project id from Options
     const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
     const projectId = (settings?.ok && settings.settings?.wcProjectId) ? String(settings.settings.wcProjectId).trim() : '';
@@ -96,12 +143,7 @@ async function connectWalletConnect() {
       return;
     }
 
-    const client = await window.WalletConnectSignClient.init({ projectId, relayUrl: 'wss://relay.walletconnect.com', metadata: {
-      name: 'Hedera Notary',
-      description: 'Premium notarization',
-      url: location.origin,
-      icons: [chrome.runtime.getURL('icons/icon48.png')]
-    }});
+    const client = await getWalletClient(projectId);
 
     const { uri, approval } = await client.connect({
       optionalNamespaces: {
@@ -0,0 +1,16 @@
+import { signWithWallet } from './wallet.js';
+
+// Signing window for notarizations started outside the popup (context menu): the service
+// worker cannot hold a WalletConnect session, so it opens this page with the request ID.
+const requestId = new URLSearchParams(location.search).get('request');
+
+async function run() {
+  const pending = await chrome.runtime.sendMessage({ type: 'GET_SIGN_REQUEST', requestId });
+  if (!pending?.ok) throw new Error(pending?.error || 'Signature request not found');
+  return signWithWallet(pending.request.accountId, pending.request.sha256);
+}
+
+run().then(
+  signature => chrome.runtime.sendMessage({ type: 'SIGN_RESULT', requestId, signature }),
+  e => chrome.runtime.sendMessage({ type: 'SIGN_RESULT', requestId, error: e && e.message ? e.message : 'rejected in wallet' })
+).finally(() => window.close());
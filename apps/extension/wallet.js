@@ -0,0 +1,78 @@
+// Wallet signatures shared by the popup and the signing window (sign.html)
+
+// Must stay byte-identical to packages/shared/wallet-signature.js
+const NOTARIZATION_STATEMENT = 'Hedera Notary: I request notarization of this content';
+
+let wcClient = null;
+
+export async function sha256Hex(content) {
+  const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : await content.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Digest the backend expects: the image's (or the text's when there is none); an image sent
+// with text is signed together with it, as SHA-256 of "<image SHA-256>\n<text SHA-256>"
+export async function contentDigest(blob, text) {
+  if (!blob) return sha256Hex(text);
+  if (!text) return sha256Hex(blob);
+  return sha256Hex(`${await sha256Hex(blob)}\n${await sha256Hex(text)}`);
+}
+
+export async function loadWalletConnect() {
+  if (window.WalletConnectSignClient) return;
+  const scriptUrl = chrome.runtime.getURL('walletconnect.global.js');
+  await new Promise((resolve, reject) => {
+    const s = document.createElement('script');
+    s.src = scriptUrl;
+    s.onload = resolve;
+    s.onerror = reject;
+    document.head.appendChild(s);
+  });
+  if (!window.WalletConnectSignClient) throw new Error('WalletConnect SDK not loaded');
+}
+
+// WalletConnect client of this page, created on first use
+export async function getWalletClient(projectId) {
+  if (!wcClient) {
+    await loadWalletConnect();
+    wcClient = await window.WalletConnectSignClient.init({ projectId, relayUrl: 'wss://relay.walletconnect.com', metadata: {
+      name: 'Hedera Notary',
+      description: 'Premium notarization',
+      url: location.origin,
+      icons: [chrome.runtime.getURL('icons/icon48.png')]
+    }});
+  }
+  return wcClient;
+}
+
+// Find a restored WalletConnect session for the account (sessions persist across popup opens)
+export async function getWalletSession(accountId) {
+  if (!wcClient) {
+    const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    const projectId = (settings?.ok && settings.settings?.wcProjectId) ? String(settings.settings.wcProjectId).trim() : '';
+    if (!/^[a-z0-9]{32,}$/i.test(projectId)) return null;
+    await getWalletClient(projectId);
+  }
+  for (const session of wcClient.session.getAll()) {
+    const account = (session.namespaces?.hedera?.accounts || []).find(a => a.endsWith(`:${accountId}`));
+    if (account) return { client: wcClient, session, account };
+  }
+  return null;
+}
+
+// Sign the content digest with the paired wallet so the backend can authenticate the account.
+// Returns null when no wallet session is paired (the notarization is then sent unsigned).
+export async function signWithWallet(accountId, sha256) {
+  const paired = await getWalletSession(accountId).catch(() => null);
+  if (!paired) return null;
+  const signedMessage = `${NOTARIZATION_STATEMENT}\nAccount: ${accountId}\nSHA-256: ${sha256}\nIssued: ${new Date().toISOString()}`;
+  const chainId = paired.account.split(':').slice(0, 2).join(':');
+  const result = await paired.client.request({
+    topic: paired.session.topic,
+    chainId,
+    request: { method: 'hedera_signMessage', params: { signerAccountId: paired.account, message: signedMessage } }
+  });
+  if (!result?.signatureMap) throw new Error('Wallet did not return a signature');
+  return { signedMessage, signatureMap: result.signatureMap };
+}
@@ -3,11 +3,8 @@ import {
   HederaSessionEvent,
   HederaJsonRpcMethod,
   DAppConnector,
-  HederaChainId,
 } from "@hashgraph/hedera-wallet-connect";
 import {
-  LedgerId,
-  Client,
   AccountBalanceQuery,
   AccountId,
 } from "@hashgraph/sdk";
@@ -33,6 +30,7 @@ import SecurityIcon from "@mui/icons-material/Security";
 import FlashOnIcon from "@mui/icons-material/FlashOn";
 import ScienceIcon from "@mui/icons-material/Science";
 import PerplexityChat from "./components/PerplexityChat";
+import { DEFAULT_NETWORK, chainIdFor, clientFor, getHederaNetwork, ledgerIdFor, supportsWallet } from "./services/hederaNetwork";
 
 // 👇 replace with your WalletConnect Project ID
 const projectId = "00a80c9d1c9b960c3d5dfdb56cd90d90";
@@ -48,19 +46,32 @@ export default function App() {
   const [connected, setConnected] = useState(false);
   const [balance, setBalance] = useState<string>("");
   const [accountId, setAccountId] = useState<string>("");
+  const [dAppConnector, setDAppConnector] = useState<DAppConnector | null>(null);
+  const [network, setNetwork] = useState<string>(DEFAULT_NETWORK);
+  const [initError, setInitError] = useState<string | null>(null);
 
   useEffect(() => {
     const init = async () => {
+      // Pair the wallet on the network the backend anchors to
+      const hederaNetwork = await getHederaNetwork();
+      setNetwork(hederaNetwork);
+      if (!supportsWallet(hederaNetwork)) {
+        setInitError(`The backend runs on the "${hederaNetwork}" development ledger, which wallets can't pair with. Wallet signing and payment are disabled; run the backend on testnet, previewnet, mainnet or local to use the app.`);
+        return;
+      }
       const dAppConn = new DAppConnector(
         metadata,
-        LedgerId.TESTNET,
+        ledgerIdFor(hederaNetwork),
         projectId,
         Object.values(HederaJsonRpcMethod),
         [HederaSessionEvent.ChainChanged, HederaSessionEvent.AccountsChanged],
-        [HederaChainId.Testnet]
+        [chainIdFor(hederaNetwork)]
       );
 
       await dAppConn.init({ logger: "debug" });
+      // Kept for signing notarization requests with the connected account's key
+      setDAppConnector(dAppConn);
+      window.dAppConnector = dAppConn;
 
       dAppConn.walletConnectClient?.on("session_event", (event) => {
         if (event.params?.event.name === HederaSessionEvent.AccountsChanged) {
@@ -68,6 +79,7 @@ export default function App() {
           if (newAccs.length > 0) {
             const newAccountId = newAccs[0].split(":").pop() || "";
             setAccountId(newAccountId);
+            window.connectedAccountId = newAccountId;
           }
         }
       });
@@ -79,8 +91,9 @@ export default function App() {
         if (accs.length > 0) {
           const extractedAccountId = accs[0].split(":").pop() || "";
           setAccountId(extractedAccountId);
+          window.connectedAccountId = extractedAccountId;
 
-          const client = Client.forTestnet();
+          const client = clientFor(hederaNetwork);
           client.setOperator(
             AccountId.fromString(extractedAccountId),
             "302e020100300506032b657004220420ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff"
@@ -99,7 +112,10 @@ export default function App() {
       }
     };
 
-    init();
+    init().catch((err) => {
+      console.error("Wallet initialization failed:", err);
+      setInitError(err instanceof Error ? err.message : String(err));
+    });
   }, []);
 
   return (
@@ -120,7 +136,7 @@ export default function App() {
             </Typography>
           </Box>
           <Chip 
-            label="Testnet" 
+            label={network.charAt(0).toUpperCase() + network.slice(1)}
             sx={{ 
               backgroundColor: "rgba(255,255,255,0.06)", 
               color: "#e5e5e5",
@@ -237,7 +253,7 @@ export default function App() {
               </Grid>
             </Grid>
 
-            <PerplexityChat accountId={accountId} />
+            <PerplexityChat accountId={accountId} dAppConnector={dAppConnector} network={network} />
           </>
         ) : (
           /* Loading State */
@@ -255,29 +271,31 @@ export default function App() {
               p: { xs: 4, md: 6 }
             }}>
               <CardContent>
-                <CircularProgress 
-                  size={60} 
-                  sx={{ 
-                    color: "#e5e5e5",
-                    mb: 3,
-                    "& .MuiCircularProgress-circle": {
-                      strokeLinecap: "round"
-                    }
-                  }} 
-                />
+                {!initError && (
+                  <CircularProgress 
+                    size={60} 
+                    sx={{ 
+                      color: "#e5e5e5",
+                      mb: 3,
+                      "& .MuiCircularProgress-circle": {
+                        strokeLinecap: "round"
+                      }
+                    }} 
+                  />
+                )}
                 <Typography variant="h4" sx={{ 
                   color: "rgba(255, 255, 255, 0.95)", 
                   fontWeight: "bold",
                   mb: 2
                 }}>
-                  Connecting to HashPack Wallet...
+                  {initError ? "Wallet unavailable" : "Connecting to HashPack Wallet..."}
                 </Typography>
                 <Typography variant="body1" sx={{ 
                   color: "rgba(255, 255, 255, 0.7)",
                   mb: 6,
                   fontSize: "1.1rem"
                 }}>
-                  Please approve the connection in your HashPack extension
+                  {initError || "Please approve the connection in your HashPack extension"}
                 </Typography>
 
                 <Grid container spacing={4} mt={2}>
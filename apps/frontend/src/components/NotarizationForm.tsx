@@ -5,6 +5,9 @@ import { Button } from "./ui/button";
 import { Input } from "./ui/input";
 import { Textarea } from "./ui/textarea";
 import { Upload, FileText, CheckCircle2, Brain, Shield, Globe, Clock, Zap, Award, Sparkles, Cpu } from "lucide-react";
+import { signContent } from "../services/walletSignature";
+import { getHederaNetwork } from "../services/hederaNetwork";
+import { followNotarizationJob, payWithWallet } from "../services/notarizationJobs";
 
 // Typewriter animation component
 const TypewriterText = ({ text, delay = 0, speed = 50 }: { text: string; delay?: number; speed?: number }) => {
@@ -77,6 +80,8 @@ const PulseIcon = ({ children, isActive }: { children: React.ReactNode; isActive
   </motion.div>
 );
 
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
 export default function NotarizationForm() {
   const [text, setText] = useState("");
   const [file, setFile] = useState<File | null>(null);
@@ -99,41 +104,26 @@ export default function NotarizationForm() {
     setShowResult(false);
     setResult(null);
 
-    // Processing stages for animated feedback
-    const stages = [
-      "🚀 Initializing notarization process...",
-      "🔐 Validating content and credentials...",
-      "🧮 Generating cryptographic fingerprint...",
-      "📡 Uploading to decentralized storage...",
-      "⛓️ Recording on Hedera blockchain...",
-      "🤖 Triggering AI analysis pipeline...",
-      "🔍 Performing real-time verification...",
-      "📋 Generating legal proof package...",
-      "✅ Finalizing notarization..."
-    ];
-
-    let stageIndex = 0;
-    const progressStages = () => {
-      if (stageIndex < stages.length) {
-        setProcessingStage(stages[stageIndex]);
-        stageIndex++;
-        setTimeout(progressStages, 800);
-      }
-    };
-
     try {
-      // Start stage progression
-      progressStages();
+      setProcessingStage("🚀 Initializing notarization process...");
 
-      // Get account ID from parent component
-      const accountId = (window as any).connectedAccountId;
-      if (!accountId) {
+      // Get account ID and wallet connection from parent component
+      const accountId = window.connectedAccountId;
+      const dAppConnector = window.dAppConnector;
+      if (!accountId || !dAppConnector) {
         throw new Error('No wallet connected');
       }
+      const network = await getHederaNetwork();
+
+      // The wallet signs the digest of what gets stored: the file when present, otherwise the text
+      setProcessingStage("✍️ Confirm the signature request in your wallet...");
+      const { signedMessage, signatureMap } = await signContent(dAppConnector, accountId, file, text, network);
 
       // Prepare form data
       const formData = new FormData();
       formData.append('accountId', accountId);
+      formData.append('signedMessage', signedMessage);
+      formData.append('signatureMap', signatureMap);
       
       if (file) {
         formData.append('contentType', 'image');
@@ -151,32 +141,28 @@ export default function NotarizationForm() {
         formData.append('tags', 'text,notarization');
       }
 
-      // Smooth progress animation
-      let progress = 0;
-      const progressInterval = setInterval(() => {
-        progress += Math.random() * 15;
-        if (progress > 90) progress = 90;
-        setProgress(progress);
-      }, 400);
-
-      // Call the backend API directly (request fact-check mode for human-style output)
-      const response = await fetch('http://localhost:3001/api/notarize', {
+      // Submit as a background job (request fact-check mode for human-style output)
+      formData.append('mode', 'fact_check');
+      formData.append('async', 'true');
+      const response = await fetch(`${API_BASE_URL}/api/notarize`, {
         method: 'POST',
-        body: (() => {
-          formData.append('mode', 'fact_check');
-          return formData;
-        })(),
+        body: formData,
       });
 
-      clearInterval(progressInterval);
-      setProgress(100);
-
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.message || 'Failed to notarize content');
+        throw new Error(error.message || error.error || 'Failed to notarize content');
       }
 
-      const result = await response.json();
+      const job = await response.json();
+      setProcessingStage("🔐 Content accepted, processing started...");
+
+      // Follow real pipeline progress from the server-sent event stream
+      const result = await followNotarizationJob(`${API_BASE_URL}${job.eventsUrl}`, (stage) => {
+        setProgress(stage.progress);
+        setProcessingStage(stage.label);
+      }, (request) => payWithWallet(dAppConnector, request, network));
+      setProgress(100);
       
       // Simulate final processing stage
       setProcessingStage("🎉 Notarization completed successfully!");
@@ -817,6 +803,27 @@ export default function NotarizationForm() {
                                 </motion.a>
                               </motion.div>
                             )}
+
+                            {result.cid && result.hederaExplorerUrl && (
+                              <motion.div
+                                className="mt-4"
+                                initial={{ opacity: 0, y: 10 }}
+                                animate={{ opacity: 1, y: 0 }}
+                                transition={{ delay: 1.6, duration: 0.6 }}
+                              >
+                                <div className="text-white/70 mb-2">Notarization Certificate:</div>
+                                <motion.a
+                                  href={`${API_BASE_URL}/api/notarizations/${encodeURIComponent(result.cid)}/certificate.pdf`}
+                                  download
+                                  className="inline-flex items-center gap-2 bg-emerald-500/20 text-emerald-300 hover:text-emerald-200 font-semibold text-sm p-3 rounded-xl border border-emerald-400/30 hover:border-emerald-400/50 transition-all duration-300"
+                                  whileHover={{ scale: 1.02 }}
+                                  whileTap={{ scale: 0.98 }}
+                                >
+                                  <Award className="w-5 h-5" />
+                                  Download PDF certificate
+                                </motion.a>
+                              </motion.div>
+                            )}
                           </div>
                         </div>
                         </CardContent>
@@ -24,6 +24,9 @@ import { keyframes, styled } from '@mui/system';
 import VolumeUpIcon from '@mui/icons-material/VolumeUp';
 import TranslateIcon from '@mui/icons-material/Translate';
 import { apiService } from '../services/api';
+import { signContent } from '../services/walletSignature';
+import { followNotarizationJob, payWithWallet } from '../services/notarizationJobs';
+import type { DAppConnector } from '@hashgraph/hedera-wallet-connect';
 import AuroraBackground from './animations/AuroraBackground';
 import AnimatedGradientText from './animations/AnimatedGradientText';
 import ClickSpark from './animations/ClickSpark';
@@ -150,10 +153,11 @@ interface FactCheckResult {
   translations?: Record<string, string>;
 }
 
-const PerplexityChat: React.FC<{ accountId?: string }> = ({ accountId }) => {
+const PerplexityChat: React.FC<{ accountId?: string; dAppConnector?: DAppConnector | null; network: string }> = ({ accountId, dAppConnector, network }) => {
   const [query, setQuery] = useState('');
   const [results, setResults] = useState<FactCheckResult[]>([]);
   const [file, setFile] = useState<File | null>(null);
+  const [payFromWallet, setPayFromWallet] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [currentTyping, setCurrentTyping] = useState<string | null>(null);
   const inputRef = useRef<HTMLInputElement>(null);
@@ -320,17 +324,30 @@ const PerplexityChat: React.FC<{ accountId?: string }> = ({ accountId }) => {
     setCurrentTyping(newResult.id);
 
     try {
+      if (!accountId || !dAppConnector) {
+        throw new Error('No wallet connected');
+      }
+
+      // Sign the content digest with the connected account so the backend can authenticate it
+      const { signedMessage, signatureMap } = await signContent(dAppConnector, accountId, file, query, network);
+
       // Call backend notarize API using Agent Kit flow
       let response: Response;
       if (file) {
         const formData = new FormData();
-        formData.append('accountId', accountId || '0.0.test');
+        formData.append('accountId', accountId);
+        formData.append('signedMessage', signedMessage);
+        formData.append('signatureMap', signatureMap);
         formData.append('contentType', 'image');
         formData.append('file', file);
         if (query && query.trim()) formData.append('text', query);
         formData.append('title', 'Fact-check request (image)');
         formData.append('tags', 'fact-check,frontend,image');
         formData.append('mode', 'fact_check');
+        if (payFromWallet) {
+          formData.append('payer', 'user');
+          formData.append('async', 'true');
+        }
         response = await fetch('http://localhost:3001/api/notarize', {
           method: 'POST',
           body: formData,
@@ -340,19 +357,29 @@ const PerplexityChat: React.FC<{ accountId?: string }> = ({ accountId }) => {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
-            accountId: accountId || '0.0.test',
+            accountId,
+            signedMessage,
+            signatureMap,
             contentType: 'text',
             text: query,
             title: 'Fact-check request',
             tags: 'fact-check,frontend',
-            mode: 'fact_check'
+            mode: 'fact_check',
+            ...(payFromWallet ? { payer: 'user', async: true } : {})
           }),
         });
       }
 
       if (!response.ok) throw new Error('Fact-check failed');
 
-      const result = await response.json();
+      // User-paid notarizations run as jobs: the wallet signs the transaction announced mid-pipeline
+      const result = payFromWallet
+        ? await followNotarizationJob(
+            `http://localhost:3001${(await response.json()).eventsUrl}`,
+            () => {},
+            (request) => payWithWallet(dAppConnector, request, network)
+          )
+        : await response.json();
 
       // Pull Agent Kit analysis text (may include bullets). Fallback to message.
       const agentOutput = result?.internalProcessing?.aiAnalysis?.agentKit?.output;
@@ -1196,6 +1223,14 @@ const PerplexityChat: React.FC<{ accountId?: string }> = ({ accountId }) => {
               >
                 {file ? 'Change image' : 'Attach image'}
                 <input hidden type="file" accept="image/*" onChange={(e) => setFile(e.target.files?.[0] || null)} />
+              </Button>
+              <Button
+                variant={payFromWallet ? 'contained' : 'outlined'}
+                onClick={() => setPayFromWallet(prev => !prev)}
+                disabled={isLoading}
+                sx={{ color: payFromWallet ? '#000' : '#fff', borderColor: 'rgba(255,255,255,0.3)', background: payFromWallet ? '#e5e5e5' : undefined }}
+              >
+                {payFromWallet ? 'Paying fees from wallet' : 'Pay fees from wallet'}
               </Button>
                 <IconButton 
                   type="submit" 
@@ -7,8 +7,9 @@ import type {
   NotarizationRequest, 
   NotarizationResponse, 
   HealthCheckResponse,
-  Phase2StatusResponse,
-  ProcessedClaim,
+  PipelineStatusResponse,
+  PipelineClaim,
+  ClaimEvidenceResponse,
   ApiResponse 
 } from '../../../packages/shared/types/index';
 
@@ -131,6 +132,11 @@ export class ApiService {
       formData.append('tags', request.tags);
     }
 
+    if (request.signedMessage && request.signatureMap) {
+      formData.append('signedMessage', request.signedMessage);
+      formData.append('signatureMap', request.signatureMap);
+    }
+
     return this.fetchFormData<NotarizationResponse>('/api/notarize', formData);
   }
 
@@ -149,46 +155,65 @@ export class ApiService {
   }
 
   // ============================================================================
-  // Phase 2: AI Processing APIs
+  // Phase 2: Claim Pipeline APIs
   // ============================================================================
 
   /**
-   * Get Phase 2 orchestrator status
+   * Get claim pipeline status
    */
-  async getPhase2Status(): Promise<ApiResponse<Phase2StatusResponse>> {
-    return this.fetchApi<Phase2StatusResponse>('/api/phase2/status');
+  async getPipelineStatus(): Promise<ApiResponse<PipelineStatusResponse>> {
+    return this.fetchApi<PipelineStatusResponse>('/api/pipeline');
   }
 
   /**
-   * Start Phase 2 real-time processing
+   * Start following the notarization topics
    */
-  async startPhase2(): Promise<ApiResponse<{ message: string }>> {
-    return this.fetchApi<{ message: string }>('/api/phase2/start', {
+  async startPipeline(): Promise<ApiResponse<{ message: string }>> {
+    return this.fetchApi<{ message: string }>('/api/pipeline/start', {
       method: 'POST'
     });
   }
 
   /**
-   * Stop Phase 2 processing
+   * Stop the claim pipeline
    */
-  async stopPhase2(): Promise<ApiResponse<{ message: string }>> {
-    return this.fetchApi<{ message: string }>('/api/phase2/stop', {
+  async stopPipeline(): Promise<ApiResponse<{ message: string }>> {
+    return this.fetchApi<{ message: string }>('/api/pipeline/stop', {
       method: 'POST'
     });
   }
 
   /**
-   * Get all processed claims
+   * Get recorded claims, optionally filtered by status
+   */
+  async getPipelineClaims(status?: PipelineClaim['status']): Promise<ApiResponse<{ claims: PipelineClaim[], total: number }>> {
+    const query = status ? `?status=${status}` : '';
+    return this.fetchApi<{ claims: PipelineClaim[], total: number }>(`/api/pipeline/claims${query}`);
+  }
+
+  /**
+   * Run a CID through the pipeline outside the notarization topics
+   */
+  async submitClaim(cid: string): Promise<ApiResponse<{ claim: PipelineClaim }>> {
+    return this.fetchApi<{ claim: PipelineClaim }>('/api/pipeline/claims', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ cid })
+    });
+  }
+
+  /**
+   * Get the latest claim recorded for a CID
    */
-  async getProcessedClaims(): Promise<ApiResponse<{ claims: ProcessedClaim[], total: number }>> {
-    return this.fetchApi<{ claims: ProcessedClaim[], total: number }>('/api/phase2/claims');
+  async getClaimByCID(cid: string): Promise<ApiResponse<{ claim: PipelineClaim }>> {
+    return this.fetchApi<{ claim: PipelineClaim }>(`/api/pipeline/claims/${cid}`);
   }
 
   /**
-   * Get specific processed claim by CID
+   * Get the evidence gathered for a CID, most relevant first
    */
-  async getClaimByCID(cid: string): Promise<ApiResponse<{ claim: ProcessedClaim }>> {
-    return this.fetchApi<{ claim: ProcessedClaim }>(`/api/phase2/claims/${cid}`);
+  async getClaimEvidence(cid: string): Promise<ApiResponse<ClaimEvidenceResponse>> {
+    return this.fetchApi<ClaimEvidenceResponse>(`/api/pipeline/claims/${cid}/evidence`);
   }
 
   // ==========================================================================
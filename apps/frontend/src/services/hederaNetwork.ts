@@ -0,0 +1,51 @@
+/**
+ * Hedera network of the backend
+ * The wallet must pair with, sign for and pay on the network the backend anchors to,
+ * so it is read from /api/health. VITE_HEDERA_NETWORK is the fallback when the
+ * backend can't be reached.
+ */
+
+import { Client, LedgerId } from '@hashgraph/sdk';
+import { ledgerIdToCAIPChainId, type HederaChainId } from '@hashgraph/hedera-wallet-connect';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+export const DEFAULT_NETWORK: string = import.meta.env.VITE_HEDERA_NETWORK || 'testnet';
+
+let pending: Promise<string> | null = null;
+
+/**
+ * Network name (mainnet, testnet, previewnet, ...), fetched once per page load
+ */
+export function getHederaNetwork(): Promise<string> {
+  pending ??= fetch(`${API_BASE_URL}/api/health`)
+    .then((response) => response.json())
+    .then((health) => health.services?.hederaNetwork?.network || DEFAULT_NETWORK)
+    .catch(() => DEFAULT_NETWORK);
+  return pending;
+}
+
+/**
+ * Whether a wallet can pair, sign and pay on the network. 'memory' is the backend's
+ * in-process development ledger, which no wallet knows about.
+ */
+export function supportsWallet(network: string): boolean {
+  return network !== 'memory';
+}
+
+// The backend calls hedera-local-node 'local'; the SDK and wallets call it 'local-node'
+function sdkNetworkName(network: string): string {
+  return network === 'local' ? 'local-node' : network;
+}
+
+export function ledgerIdFor(network: string): LedgerId {
+  return LedgerId.fromString(sdkNetworkName(network));
+}
+
+export function chainIdFor(network: string): HederaChainId {
+  return ledgerIdToCAIPChainId(ledgerIdFor(network)) as HederaChainId;
+}
+
+export function clientFor(network: string): Client {
+  return Client.forName(sdkNetworkName(network));
+}
@@ -0,0 +1,150 @@
+/**
+ * Notarization jobs (async=true on /api/notarize)
+ * Follows the server-sent stage events of a job and, for user-paid notarizations,
+ * has the connected wallet sign and submit the prepared Hedera transaction.
+ */
+
+import type { DAppConnector } from '@hashgraph/hedera-wallet-connect';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// How long after its expiry a submitted transaction may still show up on the mirror node
+const MIRROR_NODE_LAG_MS = 60000;
+const CONFIRM_RETRY_DELAY_MS = 3000;
+
+// Real pipeline stages emitted by the backend job stream
+export const JOB_STAGES: Record<string, { progress: number; label: string }> = {
+  cid_generated: { progress: 20, label: "🧮 Cryptographic fingerprint generated" },
+  stored: { progress: 40, label: "📡 Stored on decentralized storage" },
+  awaiting_payment: { progress: 50, label: "💳 Approve the Hedera transaction in your wallet" },
+  anchored: { progress: 60, label: "⛓️ Recorded on Hedera blockchain" },
+  image_analyzed: { progress: 75, label: "🖼️ Image analysis finished" },
+  ai_completed: { progress: 90, label: "🤖 AI analysis completed" },
+};
+
+// Fields of the /api/notarize response used by the result views
+export interface NotarizationJobResult {
+  success: boolean;
+  ipfsCid: string | null;
+  hederaTransactionHash: string | null;
+  hederaTopicId?: string | null;
+  ipfsGatewayUrl: string | null;
+  alternativeIPFSUrls: string[] | null;
+  hederaExplorerUrl: string | null;
+  filebaseUrl?: string;
+  message: string;
+  timestamp: string;
+  payer?: 'operator' | 'user';
+  internalProcessing?: { verificationStatus?: { note?: string } } & Record<string, unknown>;
+  ipfsNote?: string;
+  ipfsWarning?: string;
+  errors?: { ipfs?: string | null; hedera?: string | null };
+  debug?: Record<string, unknown>;
+}
+
+// Frozen transaction announced by the awaiting_payment event of a payer=user job
+export interface AnchorRequest {
+  requestId: string;
+  accountId: string;
+  transactionId: string;
+  transaction: string;
+  expiresAt: string;
+  confirmUrl: string;
+  cancelUrl: string;
+}
+
+/**
+ * Resolve with the notarization result once the job completes, reporting each stage on the way.
+ * onPayment is called when a user-paid job needs the wallet to submit its transaction.
+ */
+export function followNotarizationJob(
+  eventsUrl: string,
+  onStage: (stage: { progress: number; label: string }) => void,
+  onPayment?: (request: AnchorRequest) => Promise<void>
+): Promise<NotarizationJobResult> {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(eventsUrl);
+
+    Object.entries(JOB_STAGES).forEach(([name, stage]) => {
+      source.addEventListener(name, () => onStage(stage));
+    });
+    source.addEventListener("awaiting_payment", (event) => {
+      const { data } = JSON.parse((event as MessageEvent).data);
+      if (!onPayment) {
+        source.close();
+        reject(new Error("This notarization must be paid from a connected wallet"));
+        return;
+      }
+      // The job keeps streaming; it completes (or reports the failure) once the backend settles the request
+      onPayment(data).catch((error) => {
+        console.error("Wallet payment failed:", error);
+        if (error instanceof PaymentNotConfirmedError) {
+          source.close();
+          reject(error);
+        }
+      });
+    });
+    source.addEventListener("completed", (event) => {
+      source.close();
+      resolve(JSON.parse((event as MessageEvent).data).data.result);
+    });
+    source.addEventListener("failed", (event) => {
+      source.close();
+      const { data } = JSON.parse((event as MessageEvent).data);
+      reject(new Error(data.result?.message || data.error || "Notarization failed"));
+    });
+    source.onerror = () => {
+      // EventSource retries on its own; only give up once the browser closes the stream
+      if (source.readyState === EventSource.CLOSED) {
+        reject(new Error("Lost connection to notarization progress stream"));
+      }
+    };
+  });
+}
+
+/**
+ * Sign and submit a prepared notarization transaction with the connected wallet,
+ * then ask the backend to confirm it. A declined transaction is reported as cancelled.
+ */
+export async function payWithWallet(
+  connector: DAppConnector,
+  request: AnchorRequest,
+  network: string
+): Promise<void> {
+  try {
+    await connector.signAndExecuteTransaction({
+      signerAccountId: `hedera:${network}:${request.accountId}`,
+      transactionList: request.transaction,
+    });
+  } catch (error) {
+    await fetch(`${API_BASE_URL}${request.cancelUrl}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason: error instanceof Error ? error.message : 'declined in wallet' }),
+    });
+    throw error;
+  }
+
+  // Mirror nodes lag consensus; the backend answers 504 until the transaction shows up.
+  // The transaction can reach consensus until it expires, so keep confirming until then.
+  const deadline = new Date(request.expiresAt).getTime() + MIRROR_NODE_LAG_MS;
+  while (Date.now() < deadline) {
+    const response = await fetch(`${API_BASE_URL}${request.confirmUrl}`, { method: 'POST' }).catch(() => null);
+    if (response && response.status !== 504) return;
+    await new Promise((resolve) => setTimeout(resolve, CONFIRM_RETRY_DELAY_MS));
+  }
+  throw new PaymentNotConfirmedError(
+    `Hedera transaction ${request.transactionId} did not show up on the mirror node before it expired. ` +
+    `Look it up in your wallet's activity or on HashScan; if it was not submitted or failed, notarize the content again.`
+  );
+}
+
+/**
+ * The wallet submitted the transaction but the backend could not confirm it before it expired
+ */
+export class PaymentNotConfirmedError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PaymentNotConfirmedError';
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Wallet signatures for notarization requests
+ * The connected wallet signs a statement binding the account to the SHA-256 of the
+ * content, so the backend can authenticate accountId before anchoring.
+ * The message format must stay byte-identical to packages/shared/wallet-signature.js.
+ */
+
+import type { DAppConnector } from '@hashgraph/hedera-wallet-connect';
+
+declare global {
+  interface Window {
+    // Set by App once the wallet is paired, for components outside its prop tree
+    connectedAccountId?: string;
+    dAppConnector?: DAppConnector;
+  }
+}
+
+const NOTARIZATION_STATEMENT = 'Hedera Notary: I request notarization of this content';
+
+export interface WalletSignature {
+  signedMessage: string;
+  signatureMap: string;
+}
+
+/**
+ * Hex SHA-256 of the bytes the backend stores: the file when present, otherwise the UTF-8 text
+ */
+export async function sha256Hex(content: Blob | string): Promise<string> {
+  const bytes = typeof content === 'string'
+    ? new TextEncoder().encode(content)
+    : new Uint8Array(await content.arrayBuffer());
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function buildNotarizationMessage(accountId: string, sha256: string, issuedAt = new Date().toISOString()): string {
+  return `${NOTARIZATION_STATEMENT}\nAccount: ${accountId}\nSHA-256: ${sha256}\nIssued: ${issuedAt}`;
+}
+
+/**
+ * Digest the signature covers: the file's (or the text's when there is no file); a file
+ * sent with text is signed together with it, as SHA-256 of "<file SHA-256>\n<text SHA-256>"
+ */
+export async function contentDigest(file: Blob | null, text: string): Promise<string> {
+  if (!file) return sha256Hex(text);
+  if (!text.trim()) return sha256Hex(file);
+  return sha256Hex(`${await sha256Hex(file)}\n${await sha256Hex(text)}`);
+}
+
+/**
+ * Ask the connected wallet (HashPack via WalletConnect) to sign the content digest.
+ * Pass the text only when it is sent along with the file.
+ */
+export async function signContent(
+  connector: DAppConnector,
+  accountId: string,
+  file: Blob | null,
+  text: string,
+  network: string
+): Promise<WalletSignature> {
+  const signedMessage = buildNotarizationMessage(accountId, await contentDigest(file, text));
+  const response = await connector.signMessage({
+    signerAccountId: `hedera:${network}:${accountId}`,
+    message: signedMessage,
+  });
+  const signatureMap = response?.result?.signatureMap;
+  if (!signatureMap) {
+    throw new Error('Wallet did not return a signature');
+  }
+  return { signedMessage, signatureMap };
+}
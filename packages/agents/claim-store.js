@@ -0,0 +1,143 @@
+import Datastore from '@seald-io/nedb';
+import path from 'path';
+import { mkdirSync } from 'fs';
+import { config } from '../config/env/config.js';
+import { toMirrorTimestamp } from '../shared/topic-subscription.js';
+
+/**
+ * Claim Store - durable claim pipeline state
+ * Keeps a checkpoint per topic (the last handled message) and a record per
+ * accepted topic message, so the pipeline resumes where it stopped and
+ * handles every HCS message exactly once. A message is accepted (its record
+ * written) before the checkpoint moves past it; a redelivered message finds
+ * its record and is skipped, and accepted messages whose processing was cut
+ * short are resumed on the next start.
+ */
+class ClaimStore {
+    /**
+     * @param {string} name - Store name, part of the database file names
+     * @param {string} [dataDir] - Directory of the database files
+     */
+    constructor(name, dataDir = config.persistence.dataDir) {
+        mkdirSync(dataDir, { recursive: true });
+        this.checkpoints = new Datastore({ filename: path.join(dataDir, `${name}-checkpoints.db`), autoload: true });
+        this.claims = new Datastore({ filename: path.join(dataDir, `${name}-claims.db`), autoload: true });
+        this.ready = Promise.all([
+            this.checkpoints.ensureIndexAsync({ fieldName: 'key', unique: true }),
+            this.claims.ensureIndexAsync({ fieldName: 'messageKey', unique: true }),
+            this.claims.ensureIndexAsync({ fieldName: 'cid' }),
+            this.claims.ensureIndexAsync({ fieldName: 'status' })
+        ]);
+    }
+
+    /**
+     * Consensus timestamp topics without a checkpoint are followed from; fixed on the first start
+     * @returns {Promise<string>} seconds.nanos
+     */
+    async getStartTimestamp() {
+        await this.ready;
+        const stored = await this.checkpoints.findOneAsync({ key: 'start' });
+        if (stored) return stored.consensusTimestamp;
+
+        const consensusTimestamp = toMirrorTimestamp(Date.now());
+        await this.checkpoints.insertAsync({ key: 'start', consensusTimestamp });
+        return consensusTimestamp;
+    }
+
+    /**
+     * Last handled sequence number per topic
+     * @returns {Promise<Object>} topicId -> sequence number
+     */
+    async getPositions() {
+        await this.ready;
+        const topics = await this.checkpoints.findAsync({ topicId: { $exists: true } });
+        return Object.fromEntries(topics.map(topic => [topic.topicId, topic.sequenceNumber]));
+    }
+
+    /**
+     * Move a topic's checkpoint past a handled message
+     * @param {string} topicId - Topic ID
+     * @param {Object} position - { sequenceNumber, consensusTimestamp }
+     */
+    async saveCheckpoint(topicId, { sequenceNumber, consensusTimestamp }) {
+        await this.ready;
+        await this.checkpoints.updateAsync(
+            { key: `topic:${topicId}` },
+            { $set: { topicId, sequenceNumber, consensusTimestamp, updatedAt: new Date().toISOString() } },
+            { upsert: true }
+        );
+    }
+
+    /**
+     * Accept a topic message for processing
+     * @param {Object} claimData - Claim data with topicId, sequenceNumber and cid
+     * @param {string} [key] - Record key; topicId/sequenceNumber by default
+     * @returns {Promise<Object|null>} Claim record, or null when the message was accepted before
+     */
+    async accept(claimData, key = messageKey(claimData.topicId, claimData.sequenceNumber)) {
+        await this.ready;
+        try {
+            return stripInternal(await this.claims.insertAsync({
+                messageKey: key,
+                cid: claimData.cid,
+                status: 'pending',
+                claimData,
+                result: null,
+                error: null,
+                acceptedAt: new Date().toISOString(),
+                finishedAt: null
+            }));
+        } catch (error) {
+            if (error.errorType === 'uniqueViolated') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Record the outcome of an accepted message
+     * @param {string} key - Message key of the record
+     * @param {Object} outcome - { result } when processed, { error } when processing failed, plus
+     *   any details to keep on the record
+     */
+    async finish(key, { result = null, error = null, ...details }) {
+        await this.ready;
+        await this.claims.updateAsync(
+            { messageKey: key },
+            { $set: { ...details, status: error ? 'failed' : 'completed', result, error, finishedAt: new Date().toISOString() } }
+        );
+    }
+
+    /**
+     * Accepted messages whose processing has not finished
+     * @returns {Promise<Array>} Claim records, oldest first
+     */
+    async pending() {
+        await this.ready;
+        return (await this.claims.findAsync({ status: 'pending' }).sort({ acceptedAt: 1 })).map(stripInternal);
+    }
+
+    /**
+     * Claim records
+     * @param {Object} [filter] - { cid, status }
+     * @returns {Promise<Array>} Claim records, newest first
+     */
+    async list({ cid = null, status = null } = {}) {
+        await this.ready;
+        const query = {};
+        if (cid) query.cid = cid;
+        if (status) query.status = status;
+        return (await this.claims.findAsync(query).sort({ acceptedAt: -1 })).map(stripInternal);
+    }
+}
+
+// Key of a topic message: topicId/sequenceNumber (of the last chunk for chunked messages)
+function messageKey(topicId, sequenceNumber) {
+    return `${topicId}/${sequenceNumber}`;
+}
+
+function stripInternal(doc) {
+    const { _id, ...rest } = doc;
+    return rest;
+}
+
+export default ClaimStore;
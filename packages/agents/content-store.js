@@ -1,6 +1,6 @@
 /**
  * Content Store - Local storage for uploaded content
- * Allows orchestrator to access content immediately without waiting for IPFS propagation
+ * Allows the claim pipeline to access content immediately without waiting for IPFS propagation
  */
 
 class ContentStore {
@@ -0,0 +1,69 @@
+import Datastore from '@seald-io/nedb';
+import path from 'path';
+import { mkdirSync } from 'fs';
+import { config } from '../../config/env/config.js';
+
+/**
+ * Evidence Store - evidence items gathered for claims, linked to the claim CID
+ * Each gathering replaces the CID's earlier items, so a CID always has the
+ * evidence of its latest processing. Replacements of a CID run one at a time
+ * and reads wait for the one in progress.
+ */
+class EvidenceStore {
+    /**
+     * @param {string} [dataDir] - Directory of the database file
+     */
+    constructor(dataDir = config.persistence.dataDir) {
+        mkdirSync(dataDir, { recursive: true });
+        this.items = new Datastore({ filename: path.join(dataDir, 'evidence.db'), autoload: true });
+        this.ready = this.items.ensureIndexAsync({ fieldName: 'cid' });
+        this.pendingReplaces = new Map(); // cid -> latest queued replacement
+    }
+
+    /**
+     * Store the evidence gathered for a claim
+     * @param {string} cid - Claim CID
+     * @param {string} claimKey - Key of the claim record the evidence was gathered for
+     * @param {Array} items - Evidence items, most relevant first
+     */
+    async replace(cid, claimKey, items) {
+        const previous = this.pendingReplaces.get(cid) || Promise.resolve();
+        const pending = previous.catch(() => {}).then(() => this.replaceNow(cid, claimKey, items));
+        this.pendingReplaces.set(cid, pending);
+        try {
+            await pending;
+        } finally {
+            if (this.pendingReplaces.get(cid) === pending) this.pendingReplaces.delete(cid);
+        }
+    }
+
+    async replaceNow(cid, claimKey, items) {
+        await this.ready;
+        const gatheredAt = new Date().toISOString();
+        await this.items.removeAsync({ cid }, { multi: true });
+        if (items.length > 0) {
+            await this.items.insertAsync(items.map((item, index) => ({ ...item, cid, claimKey, rank: index + 1, gatheredAt })));
+        }
+    }
+
+    /**
+     * Evidence items of a CID
+     * @param {string} cid - Claim CID
+     * @returns {Promise<Array>} Evidence items, most relevant first
+     */
+    async list(cid) {
+        await this.ready;
+        await this.pendingReplaces.get(cid)?.catch(() => {});
+        return (await this.items.findAsync({ cid }).sort({ rank: 1 })).map(stripInternal);
+    }
+}
+
+function stripInternal(doc) {
+    const { _id, ...rest } = doc;
+    return rest;
+}
+
+// Export singleton instance
+const evidenceStore = new EvidenceStore();
+export default evidenceStore;
+export { EvidenceStore };
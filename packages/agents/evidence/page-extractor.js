@@ -0,0 +1,120 @@
+/**
+ * Page Extractor - fetches a search result page and reduces it to plain text
+ * for relevance scoring. HTML loses its scripts, styles and navigation
+ * chrome; plain text and JSON are kept as they are. Other content types
+ * (PDFs, images) are rejected rather than scored as noise.
+ */
+
+const TEXT_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'text/plain', 'text/markdown', 'application/json'];
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    ndash: '-',
+    mdash: '-',
+    hellip: '...',
+    rsquo: "'",
+    lsquo: "'",
+    rdquo: '"',
+    ldquo: '"'
+};
+
+/**
+ * Fetch a page and extract its text
+ * @param {string} url - Page URL
+ * @param {Object} [options] - { timeoutMs, maxBytes }
+ * @returns {Promise<Object>} { url, title, text, contentType }
+ */
+export async function fetchPage(url, { timeoutMs = 10000, maxBytes = 2 * 1024 * 1024 } = {}) {
+    const response = await fetch(url, {
+        headers: {
+            'User-Agent': 'HederaNotaryEvidenceBot/1.0',
+            'Accept': 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5'
+        },
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${url}`);
+    }
+
+    const contentType = (response.headers.get('content-type') || 'text/html').split(';')[0].trim().toLowerCase();
+    if (!TEXT_CONTENT_TYPES.includes(contentType)) {
+        throw new Error(`Unsupported content type ${contentType} from ${url}`);
+    }
+
+    const declaredSize = Number(response.headers.get('content-length'));
+    if (declaredSize > maxBytes) {
+        await response.body?.cancel();
+        throw new Error(`Page of ${declaredSize} bytes exceeds the ${maxBytes} byte limit`);
+    }
+    const body = await readBody(response, maxBytes);
+
+    const isHtml = contentType === 'text/html' || contentType === 'application/xhtml+xml';
+    return {
+        url: response.url || url,
+        title: isHtml ? extractTitle(body) : null,
+        text: isHtml ? extractText(body) : normalizeWhitespace(body),
+        contentType
+    };
+}
+
+// Body text, read chunk by chunk so a page without (or lying about) its length stops at maxBytes
+async function readBody(response, maxBytes) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body || []) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw new Error(`Page from ${response.url} exceeds the ${maxBytes} byte limit`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Title of an HTML document
+ * @param {string} html - HTML source
+ * @returns {string|null}
+ */
+export function extractTitle(html) {
+    const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+    return match ? normalizeWhitespace(decodeEntities(match[1].replace(/<[^>]+>/g, ' '))) || null : null;
+}
+
+/**
+ * Readable text of an HTML document, with block elements on separate lines
+ * @param {string} html - HTML source
+ * @returns {string}
+ */
+export function extractText(html) {
+    const text = html
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<(script|style|noscript|svg|nav|header|footer|aside|form|template)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<\/?(p|div|section|article|li|tr|h[1-6]|br|blockquote|pre|table|ul|ol)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, ' ');
+    return normalizeWhitespace(decodeEntities(text));
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+        }
+        return ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+// Collapse runs of spaces within lines and drop empty lines
+function normalizeWhitespace(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
@@ -0,0 +1,132 @@
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { extractText, extractTitle } from '../page-extractor.js';
+import { keyTerms, stem, tokenize } from '../relevance.js';
+
+const EXTENSIONS = ['.txt', '.md', '.html', '.htm', '.json'];
+
+/**
+ * Corpus provider - searches a local directory of documents: reports,
+ * press releases, papers saved as text, Markdown or HTML, and JSON files
+ * holding an array of { url, title, text } documents. Documents are ranked
+ * by TF-IDF over the query terms and returned with their text, so nothing
+ * is fetched over the network. The corpus is read once, when the stage is
+ * initialized.
+ */
+class CorpusProvider {
+    constructor(options = {}, { log }) {
+        this.options = { dir: null, ...options };
+        this.log = log;
+        this.documents = [];
+        this.documentFrequency = new Map();
+    }
+
+    async initialize() {
+        const dir = this.options.dir;
+        if (!dir) {
+            throw new Error('The corpus evidence provider needs a corpus directory (EVIDENCE_CORPUS_DIR)');
+        }
+
+        let files;
+        try {
+            files = await listFiles(dir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.log(`⚠️ Evidence corpus directory not found, no documents to search`, 'WARN', { dir });
+            return;
+        }
+
+        for (const file of files) {
+            try {
+                this.documents.push(...parseDocuments(file, dir, await readFile(file, 'utf8')));
+            } catch (error) {
+                this.log(`⚠️ Skipping unreadable corpus file`, 'WARN', { file, error: error.message });
+            }
+        }
+
+        for (const document of this.documents) {
+            document.termFrequency = termFrequency(document.text);
+            for (const term of document.termFrequency.keys()) {
+                this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+            }
+        }
+
+        this.log(`📚 Evidence corpus loaded`, 'INFO', { dir, files: files.length, documents: this.documents.length });
+    }
+
+    async search(query, { limit = 5 } = {}) {
+        const terms = [...new Set(keyTerms(query).map(stem))];
+        const ranked = [];
+
+        for (const document of this.documents) {
+            let score = 0;
+            for (const term of terms) {
+                const count = document.termFrequency.get(term);
+                if (!count) continue;
+                const idf = Math.log(1 + this.documents.length / this.documentFrequency.get(term));
+                score += (1 + Math.log(count)) * idf;
+            }
+            if (score > 0) ranked.push({ document, score });
+        }
+
+        return ranked
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ document }) => ({
+                url: document.url,
+                title: document.title,
+                snippet: document.text.slice(0, 200),
+                content: document.text
+            }));
+    }
+}
+
+async function listFiles(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(fullPath));
+        } else if (EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+    return files.sort();
+}
+
+// Documents of a corpus file; files without their own URL are addressed as corpus://<relative path>
+function parseDocuments(file, dir, source) {
+    const relativePath = path.relative(dir, file).split(path.sep).join('/');
+    const fileUrl = `corpus://${relativePath}`;
+    const extension = path.extname(file).toLowerCase();
+
+    if (extension === '.json') {
+        const parsed = JSON.parse(source);
+        return (Array.isArray(parsed) ? parsed : [parsed])
+            .filter(entry => typeof (entry.text ?? entry.content) === 'string')
+            .map((entry, index) => ({
+                url: entry.url || `${fileUrl}#${index}`,
+                title: entry.title || null,
+                text: entry.text ?? entry.content
+            }));
+    }
+
+    if (extension === '.html' || extension === '.htm') {
+        return [{ url: fileUrl, title: extractTitle(source), text: extractText(source) }];
+    }
+
+    const heading = source.match(/^#\s+(.+)$/m);
+    return [{ url: fileUrl, title: heading ? heading[1].trim() : path.basename(file), text: source.trim() }];
+}
+
+function termFrequency(text) {
+    const frequency = new Map();
+    for (const token of tokenize(text)) {
+        const stemmed = stem(token);
+        frequency.set(stemmed, (frequency.get(stemmed) || 0) + 1);
+    }
+    return frequency;
+}
+
+export default CorpusProvider;
@@ -0,0 +1,64 @@
+/**
+ * HTTP search provider - queries a web search API with
+ * GET <url>?<queryParam>=<query>&<limitParam>=<limit> and reads the result
+ * list from the common response shapes: { results }, Google Programmable
+ * Search ({ items }), Brave ({ web: { results } }) and Bing
+ * ({ webPages: { value } }). Results carry no page text; the stage fetches
+ * and extracts each page.
+ */
+class HttpSearchProvider {
+    constructor(options = {}) {
+        this.options = {
+            url: null,
+            apiKey: null,
+            apiKeyHeader: 'Authorization', // sent as "Bearer <key>"; other headers get the bare key
+            queryParam: 'q',
+            limitParam: 'count',
+            timeoutMs: 10000,
+            ...options
+        };
+    }
+
+    async initialize() {
+        if (!this.options.url) {
+            throw new Error('The http evidence provider needs a search API URL (EVIDENCE_SEARCH_API_URL)');
+        }
+    }
+
+    async search(query, { limit = 5 } = {}) {
+        const url = new URL(this.options.url);
+        url.searchParams.set(this.options.queryParam, query);
+        if (this.options.limitParam) url.searchParams.set(this.options.limitParam, String(limit));
+
+        const headers = { 'Accept': 'application/json' };
+        if (this.options.apiKey) {
+            headers[this.options.apiKeyHeader] = this.options.apiKeyHeader.toLowerCase() === 'authorization'
+                ? `Bearer ${this.options.apiKey}`
+                : this.options.apiKey;
+        }
+
+        const response = await fetch(url, { headers, signal: AbortSignal.timeout(this.options.timeoutMs) });
+        if (!response.ok) {
+            throw new Error(`Search API returned HTTP ${response.status}`);
+        }
+
+        return resultsOf(await response.json())
+            .map(result => ({
+                url: result.url || result.link,
+                title: result.title || result.name || null,
+                snippet: result.snippet || result.description || ''
+            }))
+            .filter(result => /^https?:\/\//.test(result.url || ''))
+            .slice(0, limit);
+    }
+}
+
+function resultsOf(body) {
+    const results = body?.results ?? body?.items ?? body?.web?.results ?? body?.webPages?.value;
+    if (!Array.isArray(results)) {
+        throw new Error('Search API response has no result list');
+    }
+    return results;
+}
+
+export default HttpSearchProvider;
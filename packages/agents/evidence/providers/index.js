@@ -0,0 +1,46 @@
+import CorpusProvider from './corpus.js';
+import HttpSearchProvider from './http-search.js';
+import MockProvider from './mock.js';
+
+/**
+ * Search provider registry of the evidence-gathering stage
+ * A provider is a class constructed with (options, context) - context holds
+ * { log } - with an async search(query, { limit }) returning results
+ * { url, title, snippet, content? }, and an optional async initialize().
+ * Results with `content` are scored as they are; the others have their page
+ * fetched and extracted.
+ */
+const registry = new Map([
+    ['corpus', CorpusProvider],
+    ['http', HttpSearchProvider],
+    ['mock', MockProvider]
+]);
+
+/**
+ * Register a search provider under a name usable in EVIDENCE_PROVIDER
+ * @param {string} name - Provider name
+ * @param {Function} ProviderClass - Provider class
+ */
+export function registerProvider(name, ProviderClass) {
+    if (typeof ProviderClass?.prototype?.search !== 'function') {
+        throw new Error(`Evidence provider "${name}" must be a class with a search(query) method`);
+    }
+    registry.set(name, ProviderClass);
+}
+
+/**
+ * Search provider class registered under a name
+ * @param {string} name - Provider name
+ * @returns {Function|null} Provider class
+ */
+export function getProvider(name) {
+    return registry.get(name) || null;
+}
+
+/**
+ * Names of the registered search providers
+ * @returns {string[]}
+ */
+export function providerNames() {
+    return Array.from(registry.keys());
+}
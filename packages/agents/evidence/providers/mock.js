@@ -0,0 +1,40 @@
+/**
+ * Mock provider - deterministic evidence without network or corpus, for
+ * tests and demos. Given `documents` ({ url, title, text }), it returns the
+ * ones sharing a term with the query; otherwise it makes up one document per
+ * query that restates it. Every query is recorded in `queries`.
+ */
+class MockProvider {
+    constructor(options = {}) {
+        this.options = { documents: null, ...options };
+        this.queries = [];
+    }
+
+    async search(query, { limit = 5 } = {}) {
+        this.queries.push(query);
+
+        const terms = query.toLowerCase().match(/[a-z0-9%]+/g) || [];
+        if (this.options.documents) {
+            return this.options.documents
+                .filter(document => terms.some(term => document.text.toLowerCase().includes(term)))
+                .slice(0, limit)
+                .map(document => ({
+                    url: document.url,
+                    title: document.title || null,
+                    snippet: document.text.slice(0, 200),
+                    content: document.text
+                }));
+        }
+
+        const text = query.replace(/"/g, '');
+        const slug = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return [{
+            url: `https://evidence.mock/${slug}`,
+            title: `Mock evidence: ${text}`,
+            snippet: text,
+            content: `Mock evidence report. ${text}.`
+        }];
+    }
+}
+
+export default MockProvider;
@@ -0,0 +1,150 @@
+/**
+ * Relevance scoring of evidence documents against a structured claim.
+ * The score (0-1) is a weighted mix of how much of the claim a document
+ * mentions: the subject's terms, the predicate and object terms, the
+ * extracted entities and the claim's quantities. Parts the claim does not
+ * have (e.g. no quantifier) are left out and the remaining weights rescaled.
+ */
+
+const WEIGHTS = {
+    subject: 0.3,
+    statement: 0.25,
+    entities: 0.25,
+    quantities: 0.2
+};
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'its', 'their', 'our', 'has', 'have', 'had',
+    'was', 'were', 'are', 'been', 'being', 'than', 'then', 'over', 'under', 'about', 'after', 'before', 'by',
+    'of', 'in', 'on', 'at', 'to', 'as', 'is', 'it', 'an', 'or', 'be', 'we', 'they', 'which', 'who', 'will'
+]);
+
+const ENTITY_FIELDS = ['organizations', 'people', 'locations', 'technologies', 'medical_terms', 'dates'];
+const QUANTITY_FIELDS = ['numbers', 'percentages', 'measurements'];
+
+const MAX_EXCERPT_LENGTH = 320;
+
+/**
+ * Score a document against a structured claim
+ * @param {Object} structuredClaim - Parsed claim (subject, predicate, object, quantifier, entities, mentions)
+ * @param {string} text - Document text
+ * @returns {Object} { score, components, matchedTerms, excerpt }
+ */
+export function scoreRelevance(structuredClaim, text) {
+    const lowerText = text.toLowerCase();
+    const documentStems = new Set(tokenize(text).map(stem));
+
+    const subjectTerms = keyTerms(structuredClaim.subject);
+    const statementTerms = keyTerms(`${structuredClaim.predicate || ''} ${structuredClaim.object || ''}`)
+        .filter(term => !subjectTerms.includes(term));
+    const entities = claimEntities(structuredClaim);
+    const quantities = claimQuantities(structuredClaim);
+
+    const matchedTerms = [...subjectTerms, ...statementTerms].filter(term => documentStems.has(stem(term)));
+    const matchedEntities = entities.filter(entity => lowerText.includes(entity.toLowerCase()));
+    const matchedQuantities = quantities.filter(quantity => quantityVariants(quantity).some(variant => lowerText.includes(variant)));
+
+    const components = {
+        subject: coverage(subjectTerms, matchedTerms),
+        statement: coverage(statementTerms, matchedTerms),
+        entities: coverage(entities, matchedEntities),
+        quantities: coverage(quantities, matchedQuantities)
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [name, value] of Object.entries(components)) {
+        if (value === null) continue;
+        weighted += WEIGHTS[name] * value;
+        totalWeight += WEIGHTS[name];
+    }
+
+    return {
+        score: totalWeight > 0 ? round(weighted / totalWeight) : 0,
+        components,
+        matchedTerms: [...new Set([...matchedTerms, ...matchedEntities, ...matchedQuantities])],
+        excerpt: bestExcerpt(text, [...matchedTerms, ...matchedEntities, ...matchedQuantities])
+    };
+}
+
+// Share of the claim's items found in the document; null when the claim has none
+function coverage(items, matched) {
+    if (items.length === 0) return null;
+    return round(items.filter(item => matched.includes(item)).length / items.length);
+}
+
+/**
+ * Distinct significant words of a phrase, lowercased
+ * @param {string} phrase
+ * @returns {string[]}
+ */
+export function keyTerms(phrase) {
+    return [...new Set(tokenize(phrase || '').filter(token => !STOPWORDS.has(token) && (token.length > 2 || /\d/.test(token))))];
+}
+
+function claimEntities(structuredClaim) {
+    const entities = structuredClaim.entities || {};
+    const values = ENTITY_FIELDS.flatMap(field => entities[field] || []);
+    return [...new Set([...values, ...(structuredClaim.mentions || [])].map(value => String(value).trim()).filter(value => value.length > 1))];
+}
+
+function claimQuantities(structuredClaim) {
+    const entities = structuredClaim.entities || {};
+    const values = QUANTITY_FIELDS.flatMap(field => entities[field] || []);
+    if (structuredClaim.quantifier) values.push(structuredClaim.quantifier);
+    return [...new Set(values.map(value => String(value).trim().toLowerCase()).filter(Boolean))];
+}
+
+// "40%" is also written "40 percent" or "40 per cent"
+function quantityVariants(quantity) {
+    const variants = [quantity];
+    const percentage = quantity.match(/^([\d.,]+)\s*%$/);
+    if (percentage) variants.push(`${percentage[1]} percent`, `${percentage[1]} per cent`);
+    return variants;
+}
+
+/**
+ * Lowercase words and numbers of a text, in order
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return text.toLowerCase().match(/[a-z0-9]+(?:[.,][0-9]+)*%?/g) || [];
+}
+
+/**
+ * Light suffix stripping so "reduced" matches "reduces" and "emissions" matches "emission"
+ * @param {string} token - Lowercase word
+ * @returns {string}
+ */
+export function stem(token) {
+    for (const suffix of ['ing', 'ed', 'es', 's']) {
+        if (token.endsWith(suffix) && token.length - suffix.length >= 4) {
+            return token.slice(0, -suffix.length);
+        }
+    }
+    return token;
+}
+
+// The sentence mentioning the most matched terms, trimmed to MAX_EXCERPT_LENGTH
+function bestExcerpt(text, matched) {
+    const sentences = text.split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+    if (sentences.length === 0) return '';
+
+    const needles = matched.map(term => term.toLowerCase());
+    let best = sentences[0];
+    let bestHits = -1;
+    for (const sentence of sentences) {
+        const lower = sentence.toLowerCase();
+        const hits = needles.filter(needle => lower.includes(needle)).length;
+        if (hits > bestHits) {
+            best = sentence;
+            bestHits = hits;
+        }
+    }
+    return best.length > MAX_EXCERPT_LENGTH ? `${best.slice(0, MAX_EXCERPT_LENGTH - 3).trimEnd()}...` : best;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
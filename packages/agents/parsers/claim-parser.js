@@ -48,7 +48,7 @@ class ClaimParserAgent {
         }
     }
 
-    // Main parsing function called by orchestrator
+    // Main parsing function called by the claim pipeline parse stage
     async parseClaim(claimText, metadata = {}) {
         this.log(`🧠 Starting claim parsing for text: "${claimText.substring(0, 100)}..."`);
 
@@ -0,0 +1,428 @@
+import { config } from '../../config/env/config.js';
+import ClaimStore from '../claim-store.js';
+import evidenceStore from '../evidence/evidence-store.js';
+import { TopicSubscription } from '../../shared/topic-subscription.js';
+import { getStage, stageNames } from './stages/index.js';
+
+/**
+ * Claim Pipeline - Phase 2 claim processing
+ * Follows the notarization topics and runs every claim through the configured
+ * stages in order (see stages/index.js): ingest turns the topic message into
+ * claim metadata, then e.g. fetch, parse, plan-evidence, gather-evidence,
+ * verdict and publish. A message is accepted into the claim store before its topic
+ * checkpoint moves on, so each one is processed exactly once across restarts;
+ * the stages after ingest run from a queue with bounded concurrency.
+ */
+class ClaimPipeline {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.topics] - (async) function returning more topic IDs to follow, e.g. the notary's project topics
+     * @param {Function} [options.batchLeaves] - async (batchId) => leaves of a Merkle batch, or null when unknown;
+     *   without it batch messages are skipped
+     * @param {Array<string|Object>} [options.stages] - Stage names or { name, options }; named stages take
+     *   their options from config.pipeline.stageOptions
+     * @param {number} [options.concurrency] - Claims processed at the same time
+     * @param {ClaimStore} [options.store] - Checkpoint and claim record store
+     */
+    constructor({ topics = null, batchLeaves = null, stages = config.pipeline.stages, concurrency = config.pipeline.concurrency, store = null } = {}) {
+        this.definitions = stages.map(resolveStage);
+        if (this.definitions[0]?.name !== 'ingest') {
+            throw new PipelineError('The first pipeline stage must be ingest', 500);
+        }
+        this.store = store || new ClaimStore('pipeline');
+        this.mirrorNodeUrl = config.hedera.mirrorNodeUrl;
+        this.pollInterval = config.agents.pollInterval;
+        this.concurrency = Math.max(concurrency, 1);
+        this.topicSource = topics;
+        this.batchLeaves = batchLeaves;
+        this.subscription = null;
+        this.isRunning = false;
+        this.startedAt = null;
+        this.stages = null;
+        this.initialized = null;
+        this.queue = [];
+        this.active = new Map(); // record key -> claim being processed
+        this.stageStats = new Map(this.definitions.map(({ name }) => [name, { runs: 0, failures: 0, totalMs: 0 }]));
+
+        this.log("🚀 Claim pipeline initialized", 'INFO', {
+            stages: this.definitions.map(({ name }) => name),
+            mirrorNodeUrl: this.mirrorNodeUrl,
+            concurrency: this.concurrency
+        });
+    }
+
+    log(message, level = 'INFO', data = null) {
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] PIPELINE ${level}: ${message}`);
+        if (data) console.log('Data:', data);
+    }
+
+    // Construct and initialize the stages once
+    initialize() {
+        this.initialized ??= (async () => {
+            const context = { log: (...args) => this.log(...args), mirrorNodeUrl: this.mirrorNodeUrl, batchLeaves: this.batchLeaves };
+            const stages = this.definitions.map(({ name, options }) => ({
+                name,
+                options,
+                instance: new (getStage(name))(options, context)
+            }));
+            for (const stage of stages) {
+                await stage.instance.initialize?.();
+            }
+            this.stages = stages;
+        })().catch(error => {
+            this.initialized = null;
+            throw error;
+        });
+        return this.initialized;
+    }
+
+    /**
+     * Follow the notarization topics from the checkpoints and resume interrupted claims
+     * @returns {Promise<boolean>} false when already running
+     */
+    async start() {
+        if (this.isRunning) return false;
+        await this.initialize();
+
+        // Topics without a checkpoint are followed from the first start
+        const positions = await this.store.getPositions();
+        const startTimestamp = await this.store.getStartTimestamp();
+        const pending = (await this.store.pending()).filter(record => !this.isQueued(record.messageKey));
+        this.log("📅 Resuming from checkpoints", 'INFO', { positions, startTimestamp });
+
+        this.isRunning = true;
+        this.startedAt = new Date().toISOString();
+        this.subscription?.stop();
+        this.subscription = new TopicSubscription({
+            mirrorNodeUrl: this.mirrorNodeUrl,
+            topics: () => this.getTopicIds(),
+            pollIntervalMs: this.pollInterval,
+            positions,
+            startTimestamp,
+            onMessage: (message, { topicId }) => this.ingest({ message, topicId }),
+            onCheckpoint: (topicId, position) => this.store.saveCheckpoint(topicId, position),
+            onError: (error, context) => this.log("⚠️ Topic subscription error", 'WARN', { ...context, error: error.message })
+        });
+        this.subscription.start();
+
+        if (pending.length > 0) {
+            this.log(`♻️ Resuming ${pending.length} interrupted claims`, 'INFO');
+            pending.forEach(record => this.enqueue(claimFromRecord(record)));
+        }
+        this.log(`✅ Following notarization topics every ${this.pollInterval / 1000}s`, 'SUCCESS');
+        return true;
+    }
+
+    // Stop following the topics; claims already accepted finish processing
+    stop() {
+        this.isRunning = false;
+        this.subscription?.stop();
+        this.log("🛑 Claim pipeline stopped");
+    }
+
+    // Topics to follow: the configured ones plus those of the topic source
+    async getTopicIds() {
+        const topicIds = [config.hedera.topics.defaultTopicId, ...config.agents.topicIds];
+        if (this.topicSource) {
+            try {
+                topicIds.push(...await this.topicSource());
+            } catch (error) {
+                this.log("⚠️ Failed to list notarization topics", 'WARN', { error: error.message });
+            }
+        }
+        return topicIds.filter(Boolean);
+    }
+
+    /**
+     * Run the ingest stage on a topic message or a submitted CID and accept its claims
+     * (one per leaf for a Merkle batch message)
+     * @param {Object} input - { message, topicId } or { cid }
+     * @returns {Promise<Object|null>} First claim record, or null for skipped and already accepted messages
+     */
+    async ingest(input) {
+        await this.initialize();
+        const claim = { input, stages: [], startedAt: Date.now() };
+        await this.runStage(this.stages[0], claim);
+        if (claim.skipped) return null;
+
+        const claims = claim.leaves
+            ? claim.leaves.map(leaf => ({ ...leaf, stages: [...claim.stages], startedAt: claim.startedAt }))
+            : [claim];
+        let first = null;
+        for (const each of claims) {
+            // Accept the claim durably before the checkpoint moves past its message
+            const record = await this.store.accept(each.hederaMetadata, each.key);
+            if (!record) {
+                this.log(`⏭️ Message already accepted, skipping`, 'INFO', { topicId: input.topicId, sequenceNumber: input.message?.sequence_number, key: each.key });
+                continue;
+            }
+
+            delete each.input;
+            each.key = record.messageKey;
+            this.log(`📥 New claim accepted`, 'INFO', { cid: each.cid, key: each.key });
+            this.enqueue(each);
+            first ??= record;
+        }
+        return first;
+    }
+
+    /**
+     * Process a CID outside the topics (the claim is recorded like any other)
+     * @param {string} cid - IPFS CID
+     * @returns {Promise<Object>} Claim view (see getClaim)
+     */
+    async submit(cid) {
+        if (typeof cid !== 'string' || !cid.trim()) {
+            throw new PipelineError('cid is required');
+        }
+        const record = await this.ingest({ cid: cid.trim() });
+        return this.toView(record);
+    }
+
+    enqueue(claim) {
+        this.queue.push(claim);
+        this.drain();
+    }
+
+    isQueued(key) {
+        return this.active.has(key) || this.queue.some(claim => claim.key === key);
+    }
+
+    drain() {
+        while (this.active.size < this.concurrency && this.queue.length > 0) {
+            const claim = this.queue.shift();
+            this.active.set(claim.key, claim);
+            this.process(claim).finally(() => {
+                this.active.delete(claim.key);
+                this.drain();
+            });
+        }
+    }
+
+    // Run the stages after ingest and record the outcome; never rejects
+    async process(claim) {
+        try {
+            await this.initialize();
+            for (const stage of this.stages.slice(1)) {
+                claim.currentStage = stage.name;
+                await this.runStage(stage, claim);
+            }
+            claim.currentStage = null;
+            await this.store.finish(claim.key, { result: claim.result ?? null, stages: claim.stages, failedStage: null });
+            this.log(`✅ Claim processing completed`, 'SUCCESS', {
+                cid: claim.cid,
+                processingTime: `${Date.now() - claim.startedAt}ms`
+            });
+        } catch (error) {
+            this.log(`❌ Claim processing failed`, 'ERROR', {
+                cid: claim.cid,
+                stage: claim.currentStage,
+                error: error.message,
+                processingTime: `${Date.now() - claim.startedAt}ms`
+            });
+            await this.store.finish(claim.key, { error: error.message, stages: claim.stages, failedStage: claim.currentStage ?? null })
+                .catch(storeError => this.log(`❌ Failed to record claim outcome`, 'ERROR', { key: claim.key, error: storeError.message }));
+        }
+    }
+
+    async runStage(stage, claim) {
+        const stats = this.stageStats.get(stage.name);
+        const startTime = Date.now();
+        try {
+            await stage.instance.run(claim);
+            claim.stages.push({ name: stage.name, status: 'completed', durationMs: Date.now() - startTime });
+        } catch (error) {
+            stats.failures += 1;
+            claim.stages.push({ name: stage.name, status: 'failed', durationMs: Date.now() - startTime, error: error.message });
+            throw error;
+        } finally {
+            stats.runs += 1;
+            stats.totalMs += Date.now() - startTime;
+        }
+    }
+
+    /**
+     * Pipeline state: stages, queue, topic subscription and claim statistics
+     * @returns {Promise<Object>}
+     */
+    async getStatus() {
+        return {
+            status: this.isRunning ? 'running' : 'stopped',
+            startedAt: this.startedAt,
+            mirrorNodeUrl: this.mirrorNodeUrl,
+            stages: this.definitions.map(({ name, options }) => {
+                const { runs, failures, totalMs } = this.stageStats.get(name);
+                return { name, options: redactSecrets(options), runs, failures, averageMs: runs > 0 ? Math.round(totalMs / runs) : 0 };
+            }),
+            queue: {
+                concurrency: this.concurrency,
+                queued: this.queue.length,
+                active: Array.from(this.active.values(), claim => ({ cid: claim.cid, key: claim.key, stage: claim.currentStage ?? null }))
+            },
+            subscription: this.subscription?.status() || null,
+            stats: await this.getStats()
+        };
+    }
+
+    /**
+     * Statistics over every recorded claim
+     * @returns {Promise<Object>}
+     */
+    async getStats() {
+        const records = await this.store.list();
+        const stats = {
+            total: records.length,
+            completed: 0,
+            failed: 0,
+            pending: 0,
+            claimTypes: {},
+            averageConfidence: 0,
+            readyForEvidence: 0,
+            withEvidence: 0,
+            verdicts: {},
+            priorityDistribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+            lastProcessedAt: null
+        };
+
+        let totalConfidence = 0;
+        let scored = 0;
+        for (const record of records) {
+            stats[record.status] += 1;
+            if (record.finishedAt && (!stats.lastProcessedAt || record.finishedAt > stats.lastProcessedAt)) {
+                stats.lastProcessedAt = record.finishedAt;
+            }
+            const structuredData = record.result?.structuredData;
+            if (structuredData) {
+                stats.claimTypes[structuredData.claimType] = (stats.claimTypes[structuredData.claimType] || 0) + 1;
+                totalConfidence += structuredData.confidence;
+                scored += 1;
+            }
+            const plan = record.result?.evidenceRetrievalPlan;
+            if (plan?.readyForPhase3) {
+                stats.readyForEvidence += 1;
+                stats.priorityDistribution[plan.priorityLevel] += 1;
+            }
+            if (record.result?.evidence?.items > 0) {
+                stats.withEvidence += 1;
+            }
+            const verdict = record.result?.verdict?.verdict;
+            if (verdict) {
+                stats.verdicts[verdict] = (stats.verdicts[verdict] || 0) + 1;
+            }
+        }
+        if (scored > 0) {
+            stats.averageConfidence = parseFloat((totalConfidence / scored).toFixed(3));
+        }
+        return stats;
+    }
+
+    /**
+     * Recorded claims, newest first
+     * @param {Object} [filter] - { cid, status: 'pending'|'processing'|'completed'|'failed' }
+     * @returns {Promise<Array>} Claim views
+     */
+    async listClaims({ cid = null, status = null } = {}) {
+        const storedStatus = status === 'processing' ? 'pending' : status;
+        const views = (await this.store.list({ cid, status: storedStatus })).map(record => this.toView(record));
+        return status ? views.filter(view => view.status === status) : views;
+    }
+
+    /**
+     * Latest claim recorded for a CID
+     * @param {string} cid - IPFS CID
+     * @returns {Promise<Object|null>} Claim view
+     */
+    async getClaim(cid) {
+        const [latest] = await this.store.list({ cid });
+        return latest ? this.toView(latest) : null;
+    }
+
+    /**
+     * Evidence gathered for a CID (gather-evidence stage)
+     * @param {string} cid - IPFS CID
+     * @returns {Promise<Array>} Evidence items, most relevant first
+     */
+    async getEvidence(cid) {
+        return evidenceStore.list(cid);
+    }
+
+    toView(record) {
+        const active = this.active.get(record.messageKey);
+        return {
+            key: record.messageKey,
+            cid: record.cid,
+            status: active ? 'processing' : record.status,
+            currentStage: active?.currentStage ?? null,
+            acceptedAt: record.acceptedAt,
+            finishedAt: record.finishedAt,
+            error: record.error,
+            failedStage: record.failedStage ?? null,
+            stages: record.stages ?? active?.stages ?? [],
+            hederaMetadata: record.claimData,
+            result: record.result
+        };
+    }
+}
+
+// Stage options for the status, without credentials such as search API keys
+function redactSecrets(options) {
+    return Object.fromEntries(Object.entries(options).map(([key, value]) => {
+        if (/(key|secret|token|password)$/i.test(key)) return [key, value ? '[redacted]' : value];
+        if (value && typeof value === 'object' && !Array.isArray(value)) return [key, redactSecrets(value)];
+        return [key, value];
+    }));
+}
+
+// Stage definition from a name or { name, options }, with the configured options
+function resolveStage(definition) {
+    const { name, options = {} } = typeof definition === 'string' ? { name: definition } : definition;
+    if (!getStage(name)) {
+        throw new PipelineError(`Unknown pipeline stage "${name}" (registered: ${stageNames().join(', ')})`, 500);
+    }
+    return { name, options: { ...config.pipeline.stageOptions[name], ...options } };
+}
+
+// Working claim for a record accepted before a restart
+function claimFromRecord(record) {
+    return {
+        key: record.messageKey,
+        cid: record.cid,
+        hederaMetadata: record.claimData,
+        stages: [],
+        startedAt: Date.now()
+    };
+}
+
+/**
+ * Pipeline error carrying an HTTP status code
+ */
+export class PipelineError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PipelineError';
+        this.statusCode = statusCode;
+    }
+}
+
+export default ClaimPipeline;
+
+// Run the pipeline on its own (without the backend's topic registry)
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const pipeline = new ClaimPipeline();
+
+    process.on('SIGINT', async () => {
+        console.log('\n🛑 Shutting down claim pipeline...');
+        pipeline.stop();
+        console.log('\n📊 Final Statistics:');
+        console.log(JSON.stringify(await pipeline.getStats(), null, 2));
+        process.exit(0);
+    });
+
+    pipeline.start()
+        .then(() => console.log('\n🎉 Claim pipeline is now live!'))
+        .catch(error => {
+            console.error('❌ Failed to start claim pipeline:', error);
+            process.exit(1);
+        });
+}
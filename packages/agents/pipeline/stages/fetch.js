@@ -0,0 +1,79 @@
+import contentStore from '../../content-store.js';
+import { fetchVerified } from '../../../shared/trustless-retrieval.js';
+
+const DEFAULTS = {
+    contentStore: true,       // Serve content notarized by this backend from the local content store
+    propagationWaitMs: 30000, // Initial wait for IPFS propagation before the first gateway attempt
+    retries: 5,
+    baseDelayMs: 5000,
+    maxDelayMs: 60000,
+    backoffMultiplier: 1.5
+};
+
+/**
+ * Fetch stage - retrieves the claim text by CID. Content notarized by this
+ * backend comes from the local content store; everything else from the IPFS
+ * gateways, verified against the CID and retried with exponential backoff
+ * while the content propagates.
+ */
+class FetchStage {
+    constructor(options = {}, { log }) {
+        this.options = { ...DEFAULTS, ...options };
+        this.log = log;
+    }
+
+    async run(claim) {
+        const { cid } = claim;
+
+        if (this.options.contentStore) {
+            const stored = contentStore.get(cid);
+            if (stored) {
+                claim.content = stored.content;
+                claim.retrieval = { source: 'content-store' };
+                return;
+            }
+        }
+
+        if (this.options.propagationWaitMs > 0) {
+            this.log(`⏳ Waiting ${this.options.propagationWaitMs}ms for IPFS propagation...`, 'INFO', { cid });
+            await sleep(this.options.propagationWaitMs);
+        }
+
+        let lastError = null;
+        let delay = this.options.baseDelayMs;
+        for (let attempt = 1; attempt <= this.options.retries; attempt++) {
+            // Every live gateway is tried on each attempt; content that does not hash to the CID is rejected
+            try {
+                const retrieval = await fetchVerified(cid);
+                claim.content = retrieval.bytes.toString('utf8');
+                claim.retrieval = {
+                    source: 'ipfs-gateway',
+                    gateway: retrieval.gateway,
+                    url: retrieval.url,
+                    verification: retrieval.verification,
+                    rejected: retrieval.rejected
+                };
+                return;
+            } catch (error) {
+                lastError = error;
+                this.log(`⚠️ No verified content on attempt ${attempt}/${this.options.retries}`, 'WARN', {
+                    cid,
+                    error: error.message,
+                    rejectedGateways: error.rejected?.length || 0
+                });
+            }
+
+            if (attempt < this.options.retries) {
+                await sleep(delay);
+                delay = Math.min(delay * this.options.backoffMultiplier, this.options.maxDelayMs);
+            }
+        }
+        throw new Error(`No verified IPFS content after ${this.options.retries} attempts for CID ${cid}. Last error: ${lastError?.message}`);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default FetchStage;
@@ -0,0 +1,134 @@
+import evidenceStore from '../../evidence/evidence-store.js';
+import { fetchPage } from '../../evidence/page-extractor.js';
+import { scoreRelevance } from '../../evidence/relevance.js';
+import { getProvider, providerNames } from '../../evidence/providers/index.js';
+
+const DEFAULTS = {
+    provider: 'corpus',
+    providers: {},          // Options per provider name
+    resultsPerQuery: 5,
+    maxPages: 10,           // Distinct result pages examined per claim
+    maxItems: 10,           // Evidence items kept per claim
+    minRelevance: 0.2,
+    fetchTimeoutMs: 10000,
+    maxPageBytes: 2 * 1024 * 1024
+};
+
+/**
+ * Gather evidence stage - Phase 3: executes the evidence retrieval plan.
+ * Runs the plan's search queries against the configured search provider
+ * (see evidence/providers), fetches and extracts the result pages, scores
+ * each against the structured claim and stores the relevant ones as the
+ * CID's evidence. A query or page that fails is recorded and skipped; the
+ * stage only fails when every query fails.
+ */
+class GatherEvidenceStage {
+    constructor(options = {}, { log }) {
+        this.options = { ...DEFAULTS, ...options };
+        this.log = log;
+        const Provider = getProvider(this.options.provider);
+        if (!Provider) {
+            throw new Error(`Unknown evidence provider "${this.options.provider}" (registered: ${providerNames().join(', ')})`);
+        }
+        this.provider = new Provider(this.options.providers[this.options.provider] || {}, { log });
+    }
+
+    async initialize() {
+        await this.provider.initialize?.();
+    }
+
+    async run(claim) {
+        const plan = claim.evidenceRetrievalPlan;
+        if (!plan || !claim.structuredData) {
+            throw new Error('Evidence gathering needs a structured claim and its evidence retrieval plan (parse and plan-evidence stages)');
+        }
+
+        const failures = [];
+        const candidates = await this.search(plan.searchQueries, failures);
+        if (plan.searchQueries.length > 0 && failures.length === plan.searchQueries.length) {
+            throw new Error(`Evidence search failed for every query: ${failures[0].error}`);
+        }
+
+        const items = [];
+        for (const candidate of candidates.values()) {
+            let text = candidate.content;
+            let title = candidate.title;
+            if (text == null) {
+                try {
+                    const page = await fetchPage(candidate.url, { timeoutMs: this.options.fetchTimeoutMs, maxBytes: this.options.maxPageBytes });
+                    text = page.text;
+                    title = title || page.title;
+                } catch (error) {
+                    failures.push({ url: candidate.url, error: error.message });
+                    continue;
+                }
+            }
+
+            const relevance = scoreRelevance(claim.structuredData, text);
+            if (relevance.score < this.options.minRelevance) continue;
+            items.push({
+                url: candidate.url,
+                title: title || null,
+                excerpt: relevance.excerpt,
+                provider: this.options.provider,
+                queries: candidate.queries,
+                relevance: {
+                    score: relevance.score,
+                    components: relevance.components,
+                    matchedTerms: relevance.matchedTerms
+                }
+            });
+        }
+
+        const evidence = items
+            .sort((a, b) => b.relevance.score - a.relevance.score)
+            .slice(0, this.options.maxItems);
+        await evidenceStore.replace(claim.cid, claim.key, evidence);
+        claim.evidenceItems = evidence;
+
+        claim.evidence = {
+            provider: this.options.provider,
+            queries: plan.searchQueries.length,
+            pagesExamined: candidates.size,
+            items: evidence.length,
+            topRelevance: evidence[0]?.relevance.score ?? null,
+            failures,
+            gatheredAt: new Date().toISOString()
+        };
+
+        this.log(`🔎 Evidence gathered`, 'INFO', {
+            cid: claim.cid,
+            provider: this.options.provider,
+            pagesExamined: candidates.size,
+            items: evidence.length,
+            failures: failures.length
+        });
+    }
+
+    // Distinct result pages of the queries, up to maxPages, with the queries that found each
+    async search(queries, failures) {
+        const candidates = new Map();
+        for (const query of queries) {
+            let results;
+            try {
+                results = await this.provider.search(query, { limit: this.options.resultsPerQuery });
+            } catch (error) {
+                failures.push({ query, error: error.message });
+                this.log(`⚠️ Evidence search failed`, 'WARN', { query, error: error.message });
+                continue;
+            }
+
+            for (const result of results) {
+                const existing = candidates.get(result.url);
+                if (existing) {
+                    existing.queries.push(query);
+                } else if (candidates.size < this.options.maxPages) {
+                    candidates.set(result.url, { ...result, queries: [query] });
+                }
+            }
+        }
+        return candidates;
+    }
+}
+
+export default GatherEvidenceStage;
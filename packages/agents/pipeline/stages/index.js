@@ -0,0 +1,55 @@
+import IngestStage from './ingest.js';
+import FetchStage from './fetch.js';
+import ParseStage from './parse.js';
+import PlanEvidenceStage from './plan-evidence.js';
+import GatherEvidenceStage from './gather-evidence.js';
+import VerdictStage from './verdict.js';
+import PublishStage from './publish.js';
+
+/**
+ * Stage registry of the claim pipeline
+ * A stage is a class constructed with (options, context) - context holds
+ * { log, mirrorNodeUrl } - with an async run(claim) that reads what earlier
+ * stages put on the claim and adds its own output, and an optional async
+ * initialize() called once before the first claim. Throwing fails the claim
+ * at that stage. The ingest stage comes first and may mark a message as
+ * `skipped` instead.
+ */
+const registry = new Map([
+    ['ingest', IngestStage],
+    ['fetch', FetchStage],
+    ['parse', ParseStage],
+    ['plan-evidence', PlanEvidenceStage],
+    ['gather-evidence', GatherEvidenceStage],
+    ['verdict', VerdictStage],
+    ['publish', PublishStage]
+]);
+
+/**
+ * Register a stage under a name usable in PIPELINE_STAGES
+ * @param {string} name - Stage name
+ * @param {Function} StageClass - Stage class
+ */
+export function registerStage(name, StageClass) {
+    if (typeof StageClass?.prototype?.run !== 'function') {
+        throw new Error(`Stage "${name}" must be a class with a run(claim) method`);
+    }
+    registry.set(name, StageClass);
+}
+
+/**
+ * Stage class registered under a name
+ * @param {string} name - Stage name
+ * @returns {Function|null} Stage class
+ */
+export function getStage(name) {
+    return registry.get(name) || null;
+}
+
+/**
+ * Names of the registered stages
+ * @returns {string[]}
+ */
+export function stageNames() {
+    return Array.from(registry.keys());
+}
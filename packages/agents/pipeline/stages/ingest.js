@@ -0,0 +1,104 @@
+import { config } from '../../../config/env/config.js';
+import { initialTransactionIdOf } from '../../../shared/hcs-messages.js';
+import { buildTree, getRoot, hashLeaf } from '../../../shared/merkle.js';
+import { MESSAGE_TYPES, decodeMirrorMessage } from '../../../shared/message-codec.js';
+
+/**
+ * Ingest stage - turns a notarization topic message (chunked messages arrive
+ * reassembled) or a manually submitted CID into the claim's Hedera metadata.
+ * A Merkle batch message anchors only the root; its leaves are resolved through
+ * the batchLeaves context function and become one claim each (claim.leaves).
+ * Messages that carry no claim - foreign messages, batches whose leaves are
+ * unknown - are skipped.
+ */
+class IngestStage {
+    constructor(options = {}, { batchLeaves = null } = {}) {
+        this.source = `hedera_${config.hedera.network}`;
+        this.batchLeaves = batchLeaves;
+    }
+
+    async run(claim) {
+        const { message, topicId, cid } = claim.input;
+        if (!message) {
+            claim.cid = cid;
+            claim.key = `manual/${cid}/${new Date().toISOString()}`;
+            claim.hederaMetadata = {
+                cid,
+                source: 'manual',
+                topicId: null,
+                transactionId: null,
+                transactionHash: null,
+                consensusTimestamp: null,
+                sequenceNumber: null,
+                payerAccountId: null,
+                chunks: null,
+                notarization: null
+            };
+            return;
+        }
+
+        let notarization;
+        try {
+            notarization = decodeMirrorMessage(message);
+        } catch (error) {
+            claim.skipped = `not a notary message: ${error.message}`;
+            return;
+        }
+        if (notarization.type === MESSAGE_TYPES.MERKLE_BATCH) {
+            await this.ingestBatch(claim, message, topicId, notarization);
+            return;
+        }
+        if (notarization.type !== MESSAGE_TYPES.NOTARIZATION) {
+            claim.skipped = `${notarization.type} message`;
+            return;
+        }
+
+        claim.cid = notarization.ipfsCid;
+        claim.hederaMetadata = {
+            cid: notarization.ipfsCid,
+            ...this.messageMetadata(message, topicId),
+            notarization
+        };
+    }
+
+    // Leaves are only trusted when they rebuild the anchored root
+    async ingestBatch(claim, message, topicId, batch) {
+        const leaves = this.batchLeaves ? await this.batchLeaves(batch.batchId) : null;
+        if (!leaves) {
+            claim.skipped = `merkle-batch ${batch.batchId} has no known leaves`;
+            return;
+        }
+        if (leaves.length !== batch.leafCount || getRoot(buildTree(leaves.map(hashLeaf))) !== batch.merkleRoot) {
+            claim.skipped = `merkle-batch ${batch.batchId} leaves do not match its root`;
+            return;
+        }
+
+        const metadata = this.messageMetadata(message, topicId);
+        claim.leaves = leaves.map((leaf, leafIndex) => ({
+            cid: leaf.cid,
+            key: `${topicId}/${message.sequence_number}#${leafIndex}`,
+            hederaMetadata: {
+                cid: leaf.cid,
+                ...metadata,
+                notarization: leaf,
+                batch: { batchId: batch.batchId, merkleRoot: batch.merkleRoot, leafIndex, leafCount: batch.leafCount }
+            }
+        }));
+    }
+
+    messageMetadata(message, topicId) {
+        const transactionId = initialTransactionIdOf(message);
+        return {
+            source: this.source,
+            topicId,
+            transactionId,
+            transactionHash: transactionId,
+            consensusTimestamp: new Date(parseFloat(message.consensus_timestamp) * 1000).toISOString(),
+            sequenceNumber: message.sequence_number,
+            payerAccountId: message.payer_account_id,
+            chunks: message.chunks?.length || 1
+        };
+    }
+}
+
+export default IngestStage;
@@ -0,0 +1,74 @@
+import ClaimParser from '../../parsers/claim-parser.js';
+import IntelligentClaimParser from '../../parsers/intelligent-claim-parser.js';
+
+const PARSERS = ['structured', 'intelligent'];
+
+/**
+ * Parse stage - extracts the structured claim (subject, predicate, object,
+ * entities, confidence) from the claim text.
+ * Parsers: 'structured' (ClaimParser: patterns, entity extraction and
+ * MiniLM semantic scoring) or 'intelligent' (IntelligentClaimParser:
+ * HuggingFace NER and classification with a pattern fallback). Both produce
+ * the same structuredData shape.
+ */
+class ParseStage {
+    constructor(options = {}) {
+        this.options = { parser: 'structured', ...options };
+        if (!PARSERS.includes(this.options.parser)) {
+            throw new Error(`Unknown claim parser "${this.options.parser}" (use ${PARSERS.join(' or ')})`);
+        }
+        this.parser = this.options.parser === 'intelligent' ? new IntelligentClaimParser() : new ClaimParser();
+    }
+
+    async initialize() {
+        if (this.options.parser === 'structured') await this.parser.initialize();
+    }
+
+    async run(claim) {
+        if (this.options.parser === 'structured') {
+            const parsed = await this.parser.parseClaim(claim.content, { source: 'pipeline', cid: claim.cid });
+            claim.structuredData = parsed.structuredClaim;
+            claim.parsing = { parser: 'structured', ...parsed.processingMetadata };
+            return;
+        }
+
+        const { originalText, ...parsed } = await this.parser.parseClaim(claim.content);
+        if (parsed.type === 'error') {
+            throw new Error(`Claim parsing failed: ${parsed.error}`);
+        }
+        claim.structuredData = {
+            subject: parsed.subject,
+            predicate: parsed.predicate,
+            object: parsed.object,
+            claimType: parsed.type,
+            confidence: parsed.confidence,
+            // The intelligent parser reports entity mentions without categories
+            entities: emptyEntities(),
+            mentions: (parsed.entities || []).map(entity => entity.text || entity),
+            extractionMethod: parsed.processingMethod,
+            validations: []
+        };
+        claim.parsing = {
+            parser: 'intelligent',
+            method: parsed.method,
+            aiProvider: parsed.aiProvider,
+            processingTime: parsed.processingTime
+        };
+    }
+}
+
+function emptyEntities() {
+    return {
+        organizations: [],
+        people: [],
+        numbers: [],
+        percentages: [],
+        dates: [],
+        locations: [],
+        technologies: [],
+        medical_terms: [],
+        measurements: []
+    };
+}
+
+export default ParseStage;
@@ -0,0 +1,121 @@
+import { config } from '../../../config/env/config.js';
+import gatewayRegistry from '../../../shared/gateway-registry.js';
+
+/**
+ * Plan evidence stage - prepares the evidence retrieval plan of a parsed claim:
+ * search queries, a priority level (1-5) and the evidence types to look for,
+ * with the Hedera and IPFS proofs the evidence will be linked to.
+ */
+class PlanEvidenceStage {
+    constructor(options = {}, { mirrorNodeUrl }) {
+        this.options = { maxQueries: 8, ...options };
+        this.mirrorNodeUrl = mirrorNodeUrl;
+    }
+
+    async run(claim) {
+        const structuredData = claim.structuredData;
+        const hederaMetadata = claim.hederaMetadata;
+
+        claim.evidenceRetrievalPlan = {
+            cid: claim.cid,
+            searchQueries: this.generateSearchQueries(structuredData),
+            priorityLevel: this.calculatePriority(structuredData, hederaMetadata),
+            evidenceTypes: this.identifyEvidenceTypes(structuredData),
+            hederaProof: {
+                network: config.hedera.network,
+                transactionId: hederaMetadata.transactionId,
+                consensusTimestamp: hederaMetadata.consensusTimestamp,
+                topicId: hederaMetadata.topicId,
+                mirrorNodeUrl: hederaMetadata.transactionId
+                    ? `${this.mirrorNodeUrl}/api/v1/transactions/${hederaMetadata.transactionId}`
+                    : null
+            },
+            ipfsProof: {
+                cid: claim.cid,
+                gatewayUrls: gatewayRegistry.urlsFor(claim.cid)
+            },
+            readyForPhase3: true,
+            preparedAt: new Date().toISOString()
+        };
+    }
+
+    generateSearchQueries(structuredClaim) {
+        const queries = [];
+        const { subject, predicate, object, quantifier, entities } = structuredClaim;
+
+        // Primary query with exact components
+        if (subject && object) {
+            queries.push(`"${subject}" "${predicate}" "${object}"`);
+        }
+
+        // Quantified search if available
+        if (quantifier) {
+            queries.push(`"${subject}" ${quantifier} ${predicate} verification`);
+            queries.push(`${subject} ${quantifier} study research`);
+        }
+
+        // Organization-specific queries
+        entities.organizations.forEach(org => {
+            queries.push(`"${org}" official announcement "${object}"`);
+            queries.push(`${org} press release ${predicate}`);
+        });
+
+        // Technology/domain-specific queries
+        entities.technologies.forEach(tech => {
+            queries.push(`${tech} "${subject}" research study`);
+            if (quantifier) queries.push(`${tech} ${quantifier} performance improvement`);
+        });
+
+        // Medical/scientific specific queries
+        entities.medical_terms.forEach(term => {
+            queries.push(`${term} clinical trial results`);
+            if (quantifier) queries.push(`${term} medical study ${quantifier}`);
+        });
+
+        return queries.slice(0, this.options.maxQueries);
+    }
+
+    calculatePriority(structuredClaim, hederaMetadata) {
+        let priority = 1;
+
+        // Base priority adjustments
+        if (structuredClaim.quantifier) priority += 2;
+        if (structuredClaim.claimType === 'scientific') priority += 2;
+        if (structuredClaim.claimType === 'organizational') priority += 1;
+
+        // Medical claims get highest priority
+        if (structuredClaim.entities.medical_terms.length > 0) priority += 3;
+
+        // Messages spanning several chunks carry long claims
+        if (hederaMetadata.chunks > 1) priority += 1;
+
+        // Confidence boost
+        if (structuredClaim.confidence > 0.8) priority += 1;
+
+        return Math.min(priority, 5); // Max priority of 5
+    }
+
+    identifyEvidenceTypes(structuredClaim) {
+        const evidenceTypes = ['web_search', 'news_verification'];
+
+        if (structuredClaim.quantifier) {
+            evidenceTypes.push('statistical_verification', 'data_validation');
+        }
+
+        if (structuredClaim.entities.organizations.length > 0) {
+            evidenceTypes.push('official_sources', 'corporate_announcements');
+        }
+
+        if (structuredClaim.entities.medical_terms.length > 0) {
+            evidenceTypes.push('medical_journals', 'clinical_trials', 'fda_database');
+        }
+
+        if (structuredClaim.entities.technologies.length > 0) {
+            evidenceTypes.push('technical_documentation', 'patents', 'research_papers');
+        }
+
+        return [...new Set(evidenceTypes)]; // Remove duplicates
+    }
+}
+
+export default PlanEvidenceStage;
@@ -0,0 +1,42 @@
+/**
+ * Publish stage - assembles the processed claim served by /api/pipeline/claims
+ * from what the earlier stages produced; the pipeline stores it as the result
+ * of the claim's topic message.
+ */
+class PublishStage {
+    constructor(options = {}, { log }) {
+        this.options = { includeContent: true, ...options };
+        this.log = log;
+    }
+
+    async run(claim) {
+        claim.result = {
+            cid: claim.cid,
+            ...(this.options.includeContent ? { originalText: claim.content ?? null } : {}),
+            structuredData: claim.structuredData ?? null,
+            hederaMetadata: claim.hederaMetadata,
+            evidenceRetrievalPlan: claim.evidenceRetrievalPlan ?? null,
+            evidence: claim.evidence ?? null,
+            verdict: claim.verdict ?? null,
+            processingMetadata: {
+                processedAt: new Date().toISOString(),
+                processingTimeMs: Date.now() - claim.startedAt,
+                stages: claim.stages.map(stage => stage.name),
+                source: claim.hederaMetadata.source,
+                retrieval: claim.retrieval ?? null,
+                parsing: claim.parsing ?? null
+            }
+        };
+
+        this.log(`📣 Claim published`, 'SUCCESS', {
+            cid: claim.cid,
+            claimType: claim.structuredData?.claimType,
+            confidence: claim.structuredData ? `${(claim.structuredData.confidence * 100).toFixed(1)}%` : null,
+            priority: claim.evidenceRetrievalPlan?.priorityLevel ?? null,
+            evidenceItems: claim.evidence?.items ?? null,
+            verdict: claim.verdict?.verdict ?? null
+        });
+    }
+}
+
+export default PublishStage;
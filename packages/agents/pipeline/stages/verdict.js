@@ -0,0 +1,154 @@
+const DEFAULTS = {
+    minRelevance: 0.5, // Evidence below this relevance does not count towards the verdict
+    minSources: 2      // Agreeing sources needed for full confidence
+};
+
+// Negation of a statement, and wording that denies some statement without saying which
+const NEGATION = /\b(not|never|no|cannot)\b|n't\b/i;
+const DENIAL_CUES = /\b(false|falsely|denied|denies|deny|refuted|refutes|debunked|misleading|incorrect|inaccurate|untrue|disputed|disputes|contrary|myth|fake)\b/i;
+const NEGATION_WINDOW = 3; // Words before (and one after) the predicate that can negate it
+const PERCENTAGE = /\d+(?:[.,]\d+)*\s*(?:%|percent\b|per cent\b)/i;
+
+/**
+ * Verdict stage - weighs the gathered evidence for the structured claim.
+ * Each evidence item above minRelevance is read as contradicting the claim when
+ * its excerpt states the claim's predicate with the opposite polarity (negated
+ * where the claim is not, or the reverse) or reports a different percentage for
+ * a claim about a percentage, and as supporting it when it states the predicate
+ * with the claim's polarity. Excerpts whose negation or denial can't be tied to
+ * the claim's predicate are left unclassified and don't count. The verdict is
+ *   supported / contradicted - the relevance-weighted evidence clearly leans one way,
+ *   disputed - relevant evidence on both sides,
+ *   unverified - no relevant evidence.
+ * Confidence (0-1) grows with the share of the winning side, its relevance
+ * and the number of agreeing sources (up to minSources).
+ */
+class VerdictStage {
+    constructor(options = {}, { log }) {
+        this.options = { ...DEFAULTS, ...options };
+        this.log = log;
+    }
+
+    async run(claim) {
+        if (!claim.structuredData || !claim.evidence) {
+            throw new Error('A verdict needs a structured claim and its gathered evidence (parse and gather-evidence stages)');
+        }
+
+        const basis = (claim.evidenceItems || [])
+            .filter(item => item.relevance.score >= this.options.minRelevance)
+            .map(item => ({
+                url: item.url,
+                relevance: item.relevance.score,
+                ...this.stanceOf(item, claim.structuredData, claim.content || '')
+            }));
+
+        const supporting = basis.filter(item => item.stance === 'supports');
+        const contradicting = basis.filter(item => item.stance === 'contradicts');
+        const supportWeight = sum(supporting.map(item => item.relevance));
+        const contradictWeight = sum(contradicting.map(item => item.relevance));
+        const totalWeight = supportWeight + contradictWeight;
+
+        let verdict = 'unverified';
+        let confidence = 0;
+        if (totalWeight > 0) {
+            const leading = supportWeight >= contradictWeight ? supporting : contradicting;
+            const share = Math.max(supportWeight, contradictWeight) / totalWeight;
+            verdict = share < 0.75 ? 'disputed' : leading === supporting ? 'supported' : 'contradicted';
+            const sourceFactor = Math.min(leading.length / this.options.minSources, 1);
+            const averageRelevance = sum(leading.map(item => item.relevance)) / leading.length;
+            confidence = round(verdict === 'disputed' ? share * averageRelevance * 0.5 : share * averageRelevance * sourceFactor);
+        }
+
+        claim.verdict = {
+            verdict,
+            confidence,
+            supporting: supporting.length,
+            contradicting: contradicting.length,
+            basis,
+            decidedAt: new Date().toISOString()
+        };
+
+        this.log(`⚖️ Verdict reached`, 'INFO', {
+            cid: claim.cid,
+            verdict,
+            confidence,
+            supporting: supporting.length,
+            contradicting: contradicting.length
+        });
+    }
+
+    stanceOf(item, structuredClaim, claimText) {
+        const excerpt = item.excerpt || '';
+        const statement = polarityOf(excerpt, structuredClaim);
+        const claimPolarity = polarityOf(claimText, structuredClaim) || 'affirmed';
+        if (statement && statement !== claimPolarity) {
+            return { stance: 'contradicts', reason: 'opposite-polarity' };
+        }
+        // Same subject with another percentage than the claimed one
+        const { components } = item.relevance;
+        if (PERCENTAGE.test(structuredClaim.quantifier || '') && components.quantities === 0 && components.subject >= 0.5 && PERCENTAGE.test(excerpt)) {
+            return { stance: 'contradicts', reason: 'different-figure' };
+        }
+        if (DENIAL_CUES.test(excerpt) || (!statement && NEGATION.test(excerpt))) {
+            return { stance: 'unclassified', reason: 'negation-not-tied-to-claim' };
+        }
+        return { stance: 'supports', reason: 'consistent' };
+    }
+}
+
+/**
+ * Polarity with which a text states the claim: an occurrence of its predicate next
+ * to its subject or object, negated by a negation inside it or within NEGATION_WINDOW words
+ * @returns {'affirmed'|'negated'|null} null when the text does not state the claim
+ */
+function polarityOf(text, { subject, predicate, object }) {
+    const predicateWords = words(predicate || '');
+    if (predicateWords.length === 0) return null;
+    const subjectWord = words(subject || '').at(-1);
+    const objectWord = words(object || '')[0];
+    const textWords = words(text);
+    let polarity = null;
+    for (let index = 0; index < textWords.length; index++) {
+        const match = matchPredicate(textWords, index, predicateWords);
+        if (!match) continue;
+        const before = textWords.slice(Math.max(index - NEGATION_WINDOW, 0), index);
+        const after = textWords.slice(match.end, match.end + NEGATION_WINDOW + 1);
+        const anchored = (!subjectWord && !objectWord) || before.includes(subjectWord) || after.includes(objectWord);
+        if (!anchored) continue;
+        // Only a negation between the subject and the predicate, inside it or right after it negates it
+        const between = before.slice(before.lastIndexOf(subjectWord) + 1);
+        if (match.negated || NEGATION.test([...between, ...after.slice(0, 1)].join(' '))) return 'negated';
+        polarity = 'affirmed';
+    }
+    return polarity;
+}
+
+// The predicate's words from index on, allowing negations inside it ("is not good for")
+function matchPredicate(textWords, index, predicateWords) {
+    let position = index;
+    let negated = false;
+    for (const [offset, word] of predicateWords.entries()) {
+        while (offset > 0 && textWords[position] !== word && NEGATION.test(textWords[position] || '')) {
+            negated = true;
+            position++;
+        }
+        if (textWords[position] !== word) return null;
+        position++;
+    }
+    return { end: position, negated };
+}
+
+// Lower-case words, with contractions split off ("isn't" -> "is not")
+function words(text) {
+    return text.toLowerCase().replace(/n't\b/g, ' not').match(/[a-z0-9']+/g) || [];
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+export default VerdictStage;
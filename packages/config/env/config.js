@@ -8,6 +8,47 @@ const __dirname = path.dirname(__filename);
 // Load environment variables from the backend config directory
 dotenv.config({ path: path.resolve(__dirname, '../../../apps/backend/config/.env') });
 
+const dataDir = process.env.DATA_DIR || path.resolve(__dirname, '../../../apps/backend/data');
+const port = process.env.PORT || 3001;
+
+// Mirror node and explorer per Hedera network; 'local' matches hedera-local-node's defaults
+const HEDERA_NETWORKS = {
+  mainnet: {
+    mirrorNodeUrl: 'https://mainnet-public.mirrornode.hedera.com',
+    explorerUrl: 'https://hashscan.io/mainnet'
+  },
+  testnet: {
+    mirrorNodeUrl: 'https://testnet.mirrornode.hedera.com',
+    explorerUrl: 'https://hashscan.io/testnet'
+  },
+  previewnet: {
+    mirrorNodeUrl: 'https://previewnet.mirrornode.hedera.com',
+    explorerUrl: 'https://hashscan.io/previewnet'
+  },
+  local: {
+    mirrorNodeUrl: 'http://localhost:5551',
+    explorerUrl: 'http://localhost:8090/devnet',
+    nodes: { '127.0.0.1:50211': '0.0.3' },
+    mirrorNetwork: '127.0.0.1:5600'
+  },
+  // In-memory ledger for offline development; the backend serves its mirror node
+  memory: {
+    mirrorNodeUrl: `http://localhost:${port}/mirror`,
+    explorerUrl: null
+  }
+};
+const hederaNetwork = process.env.HEDERA_NETWORK || 'testnet';
+const hederaNetworkDefaults = HEDERA_NETWORKS[hederaNetwork] || {};
+
+// HEDERA_NODES=127.0.0.1:50211=0.0.3,127.0.0.1:50212=0.0.4 -> { '127.0.0.1:50211': '0.0.3', ... }
+function parseNodeMap(value) {
+  if (!value) return null;
+  return Object.fromEntries(value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.lastIndexOf('=');
+    return [entry.slice(0, separator), entry.slice(separator + 1)];
+  }));
+}
+
 /**
  * Centralized Configuration Management
  * All environment variables and configuration constants in one place
@@ -15,29 +56,83 @@ dotenv.config({ path: path.resolve(__dirname, '../../../apps/backend/config/.env
 export const config = {
   // Server Configuration
   server: {
-    port: process.env.PORT || 3001,
+    port,
     corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:5173',
     nodeEnv: process.env.NODE_ENV || 'development'
   },
 
+  // Ledger used for anchoring: Hedera through the SDK, or the in-memory ledger (HEDERA_NETWORK=memory)
+  ledger: {
+    type: hederaNetwork === 'memory' ? 'memory' : 'hedera',
+    persist: process.env.MEMORY_LEDGER_PERSIST !== 'false',
+    file: process.env.MEMORY_LEDGER_FILE || path.join(dataDir, 'memory-ledger.json')
+  },
+
   // Hedera Configuration
   hedera: {
     accountId: process.env.HEDERA_ACCOUNT_ID,
     privateKey: process.env.HEDERA_PRIVATE_KEY,
-    network: process.env.HEDERA_NETWORK || 'testnet',
-    mirrorNodeUrl: process.env.HEDERA_MIRROR_NODE_URL || 'https://testnet.mirrornode.hedera.com'
+    network: hederaNetwork,
+    mirrorNodeUrl: process.env.HEDERA_MIRROR_NODE_URL || hederaNetworkDefaults.mirrorNodeUrl,
+    explorerUrl: process.env.HEDERA_EXPLORER_URL || hederaNetworkDefaults.explorerUrl,
+    // Consensus nodes (address -> account) and mirror gRPC endpoint, for local or custom networks
+    nodes: parseNodeMap(process.env.HEDERA_NODES) || hederaNetworkDefaults.nodes || null,
+    mirrorNetwork: process.env.HEDERA_MIRROR_NETWORK || hederaNetworkDefaults.mirrorNetwork || null,
+    topics: {
+      // Pin the default notarization topic; otherwise one is created on first run and persisted
+      defaultTopicId: process.env.HEDERA_TOPIC_ID || null,
+      autoCreate: process.env.HEDERA_TOPIC_AUTO_CREATE !== 'false'
+    },
+    anchoring: {
+      // 'individual' submits one HCS message per notarization, 'batch' anchors Merkle roots
+      mode: process.env.ANCHORING_MODE || 'individual',
+      batchWindowMs: parseInt(process.env.BATCH_WINDOW_MS) || 10000,
+      batchMaxSize: parseInt(process.env.BATCH_MAX_SIZE) || 500
+    },
+    messages: {
+      // Payloads over one chunk are split into several HCS transactions, up to maxChunks
+      chunkSize: parseInt(process.env.HCS_CHUNK_SIZE) || 1024,
+      maxChunks: parseInt(process.env.HCS_MAX_CHUNKS) || 20
+    },
+    userPaid: {
+      // Who pays HCS fees unless a request sets payer: 'operator' or 'user' (signs in their wallet)
+      defaultPayer: process.env.NOTARIZATION_PAYER || 'operator',
+      maxTransactionFeeHbar: parseFloat(process.env.USER_PAID_MAX_FEE_HBAR) || 1,
+      // How long to wait for a wallet-submitted transaction to reach the mirror node
+      confirmationTimeoutMs: parseInt(process.env.USER_PAID_CONFIRMATION_TIMEOUT_MS) || 30000
+    }
   },
 
   // IPFS Configuration
   ipfs: {
     gatewayUrl: process.env.IPFS_GATEWAY_URL || 'https://ipfs.filebase.io/ipfs/',
-    gateways: [
-      'https://ipfs.filebase.io/ipfs/',
-      'https://ipfs.io/ipfs/',
-      'https://gateway.pinata.cloud/ipfs/',
-      'https://cloudflare-ipfs.com/ipfs/',
-      'https://dweb.link/ipfs/'
-    ]
+    // Every gateway used to build URLs and fetch content; the primary gateway is tried first until ranked
+    gateways: [...new Set([
+      process.env.IPFS_GATEWAY_URL || 'https://ipfs.filebase.io/ipfs/',
+      ...(process.env.IPFS_GATEWAYS
+        ? process.env.IPFS_GATEWAYS.split(',').map(url => url.trim()).filter(Boolean)
+        : ['https://ipfs.filebase.io/ipfs/', 'https://ipfs.io/ipfs/', 'https://gateway.pinata.cloud/ipfs/', 'https://dweb.link/ipfs/'])
+    ])],
+    gatewayMonitor: {
+      // Empty UnixFS directory, served by every gateway
+      probeCid: process.env.IPFS_GATEWAY_PROBE_CID || 'QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn',
+      probeIntervalMs: parseInt(process.env.IPFS_GATEWAY_PROBE_INTERVAL_MS) || 5 * 60 * 1000,
+      probeTimeoutMs: parseInt(process.env.IPFS_GATEWAY_TIMEOUT_MS) || 10000,
+      // Consecutive failures before a gateway is dropped from selection
+      deadAfterFailures: parseInt(process.env.IPFS_GATEWAY_DEAD_AFTER_FAILURES) || 3
+    },
+    retrieval: {
+      // Content fetched for analysis is verified against its CID before use
+      timeoutMs: parseInt(process.env.IPFS_RETRIEVAL_TIMEOUT_MS) || 20000,
+      maxBytes: parseInt(process.env.IPFS_RETRIEVAL_MAX_BYTES) || 50 * 1024 * 1024
+    },
+    cid: {
+      // Must match how the storage provider builds CIDs (Filebase/Kubo default: CIDv0, 256 KiB chunks)
+      cidVersion: parseInt(process.env.IPFS_CID_VERSION) || 0,
+      chunker: process.env.IPFS_CHUNKER || 'size-262144',
+      // Unset follows Kubo: raw leaves for CIDv1 only
+      rawLeaves: process.env.IPFS_RAW_LEAVES ? process.env.IPFS_RAW_LEAVES === 'true' : undefined
+    }
   },
 
   // Filebase Configuration
@@ -49,6 +144,102 @@ export const config = {
     endpoint: 'https://s3.filebase.com'
   },
 
+  // Storage Providers (content is replicated to every provider listed)
+  storage: {
+    // Comma-separated: filebase, s3, kubo, filesystem, memory
+    providers: (process.env.STORAGE_PROVIDERS || 'filebase').split(',').map(name => name.trim()).filter(Boolean),
+    // Any S3-compatible service (MinIO, AWS S3, Storj...)
+    s3: {
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      bucketName: process.env.S3_BUCKET_NAME,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+    },
+    // Local IPFS node (Kubo HTTP RPC API)
+    kubo: {
+      apiUrl: process.env.KUBO_API_URL || 'http://127.0.0.1:5001',
+      pin: process.env.KUBO_PIN !== 'false'
+    },
+    // Content-addressed directory (<dir>/<cid>)
+    filesystem: {
+      rootDir: process.env.STORAGE_FS_DIR || path.join(dataDir, 'objects')
+    }
+  },
+
+  // Pin Health Configuration (periodic availability checks and re-pinning of notarized CIDs)
+  pinHealth: {
+    enabled: process.env.PIN_HEALTH_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.PIN_HEALTH_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+    // Also probe the public gateways in ipfs.gateways (a gateway hit counts as a replica)
+    checkGateways: process.env.PIN_HEALTH_CHECK_GATEWAYS !== 'false',
+    gatewayTimeoutMs: parseInt(process.env.PIN_HEALTH_GATEWAY_TIMEOUT_MS) || 10000,
+    // Re-upload content to providers that lost it, from any surviving copy
+    repair: process.env.PIN_HEALTH_REPAIR !== 'false',
+    // Repairs hold the content in memory; larger objects are reported as repair_skipped
+    repairMaxBytes: parseInt(process.env.PIN_HEALTH_REPAIR_MAX_BYTES) || 256 * 1024 * 1024,
+    historySize: parseInt(process.env.PIN_HEALTH_HISTORY_SIZE) || 50,
+    // POSTed a JSON alert when a CID has no healthy replica left
+    alertWebhookUrl: process.env.PIN_HEALTH_ALERT_WEBHOOK_URL || null
+  },
+
+  // Chunked Upload Configuration (large files streamed to disk, then multipart-uploaded)
+  uploads: {
+    // S3 multipart parts must be at least 5 MiB (except the last one)
+    partSize: parseInt(process.env.UPLOAD_PART_SIZE) || 8 * 1024 * 1024,
+    maxFileSize: parseInt(process.env.UPLOAD_MAX_FILE_SIZE) || 5 * 1024 * 1024 * 1024,
+    sessionTtlMs: parseInt(process.env.UPLOAD_SESSION_TTL_MS) || 24 * 60 * 60 * 1000
+  },
+
+  // Proof Bundle Configuration
+  proofs: {
+    // Ed25519 PEM key that signs proof bundles; generated in DATA_DIR when unset
+    signingKeyPath: process.env.PROOF_SIGNING_KEY_PATH || null,
+    // Link encoded in certificate QR codes; {cid} is replaced with the content CID
+    verificationUrlTemplate: process.env.VERIFICATION_URL_TEMPLATE ||
+      `http://localhost:${process.env.PORT || 3001}/api/notarizations/{cid}/proof`
+  },
+
+  // NFT Certificates (an HTS NFT per notarization whose metadata is ipfs://<proof bundle CID>)
+  nft: {
+    enabled: process.env.NFT_CERTIFICATES_ENABLED === 'true',
+    // Mint for every notarization unless the request sets mintNft
+    mintByDefault: process.env.NFT_MINT_BY_DEFAULT === 'true',
+    // Existing collection whose supply key is the operator key; otherwise one is created on first mint
+    tokenId: process.env.NFT_TOKEN_ID || null,
+    collectionName: process.env.NFT_COLLECTION_NAME || 'Notarization Certificates',
+    collectionSymbol: process.env.NFT_COLLECTION_SYMBOL || 'NOTARY',
+    maxSupply: parseInt(process.env.NFT_MAX_SUPPLY) || null,
+    // The proof bundle needs the anchor on the mirror node; wait this long for it
+    bundleTimeoutMs: parseInt(process.env.NFT_BUNDLE_TIMEOUT_MS) || 30000
+  },
+
+  // Wallet Signature Configuration (authenticates the accountId of a notarization)
+  wallet: {
+    // Reject notarizations that are not signed by the account's wallet (unsigned accountIds are unauthenticated)
+    requireSignature: process.env.REQUIRE_WALLET_SIGNATURE !== 'false',
+    signatureMaxAgeMs: parseInt(process.env.WALLET_SIGNATURE_MAX_AGE_MS) || 10 * 60 * 1000
+  },
+
+  // Cost Accounting Configuration (fees paid by the operator account, per UTC day and month)
+  costs: {
+    budgets: {
+      // HBAR; unset means unlimited
+      dailyHbar: parseFloat(process.env.COST_DAILY_BUDGET_HBAR) || null,
+      monthlyHbar: parseFloat(process.env.COST_MONTHLY_BUDGET_HBAR) || null,
+      // 'reject' answers 402 once a budget is spent; 'queue' holds async jobs until the next period
+      whenExhausted: process.env.COST_BUDGET_EXHAUSTED === 'queue' ? 'queue' : 'reject'
+    },
+    // Mirror nodes lag consensus by a few seconds; fee lookups retry this long
+    feeLookupTimeoutMs: parseInt(process.env.COST_FEE_LOOKUP_TIMEOUT_MS) || 30000
+  },
+
+  // Persistence Configuration (embedded database files)
+  persistence: {
+    dataDir
+  },
+
   // Phase 2 AI Configuration
   ai: {
     huggingFaceApiKey: process.env.HUGGINGFACE_API_KEY,
@@ -72,9 +263,56 @@ export const config = {
   agents: {
     autoStartPhase2: process.env.AUTO_START_PHASE2 === 'true',
     pollInterval: parseInt(process.env.AGENT_POLL_INTERVAL) || 10000, // 10 seconds
+    // Topics the claim pipeline follows besides the notary's own (HEDERA_TOPIC_ID and the topic registry)
+    topicIds: (process.env.AGENT_TOPIC_IDS || '').split(',').map(topicId => topicId.trim()).filter(Boolean),
     mockIpfsOnFailure: process.env.MOCK_IPFS_ON_FAILURE === 'true'
   },
 
+  // Claim pipeline: the stages every claim runs through, in order, and their options
+  pipeline: {
+    stages: (process.env.PIPELINE_STAGES || 'ingest,fetch,parse,plan-evidence,gather-evidence,verdict,publish').split(',').map(stage => stage.trim()).filter(Boolean),
+    concurrency: parseInt(process.env.PIPELINE_CONCURRENCY) || 2,
+    stageOptions: {
+      fetch: {
+        contentStore: process.env.PIPELINE_FETCH_CONTENT_STORE !== 'false',
+        propagationWaitMs: Number(process.env.PIPELINE_FETCH_PROPAGATION_WAIT_MS || 30000),
+        retries: parseInt(process.env.PIPELINE_FETCH_RETRIES) || 5
+      },
+      parse: {
+        // 'structured' (ClaimParser) or 'intelligent' (IntelligentClaimParser)
+        parser: process.env.PIPELINE_PARSER || 'structured'
+      },
+      'plan-evidence': {
+        maxQueries: parseInt(process.env.PIPELINE_MAX_SEARCH_QUERIES) || 8
+      },
+      'gather-evidence': {
+        // 'corpus' (local documents), 'http' (search API) or 'mock'
+        provider: process.env.EVIDENCE_PROVIDER || 'corpus',
+        resultsPerQuery: parseInt(process.env.EVIDENCE_RESULTS_PER_QUERY) || 5,
+        maxPages: parseInt(process.env.EVIDENCE_MAX_PAGES) || 10,
+        maxItems: parseInt(process.env.EVIDENCE_MAX_ITEMS) || 10,
+        minRelevance: Number(process.env.EVIDENCE_MIN_RELEVANCE || 0.2),
+        fetchTimeoutMs: parseInt(process.env.EVIDENCE_FETCH_TIMEOUT_MS) || 10000,
+        providers: {
+          corpus: {
+            dir: process.env.EVIDENCE_CORPUS_DIR || path.join(dataDir, 'evidence-corpus')
+          },
+          http: {
+            url: process.env.EVIDENCE_SEARCH_API_URL || null,
+            apiKey: process.env.EVIDENCE_SEARCH_API_KEY || null,
+            apiKeyHeader: process.env.EVIDENCE_SEARCH_API_KEY_HEADER || 'Authorization',
+            queryParam: process.env.EVIDENCE_SEARCH_QUERY_PARAM || 'q',
+            limitParam: process.env.EVIDENCE_SEARCH_LIMIT_PARAM || 'count'
+          }
+        }
+      },
+      verdict: {
+        minRelevance: Number(process.env.VERDICT_MIN_RELEVANCE || 0.5),
+        minSources: parseInt(process.env.VERDICT_MIN_SOURCES) || 2
+      }
+    }
+  },
+
   // Logging Configuration
   logging: {
     level: process.env.LOG_LEVEL || 'INFO',
@@ -102,14 +340,36 @@ export const config = {
 export function validateConfig() {
   const required = [];
 
-  // Check Hedera configuration
-  if (!config.hedera.accountId) required.push('HEDERA_ACCOUNT_ID');
-  if (!config.hedera.privateKey) required.push('HEDERA_PRIVATE_KEY');
+  // Check Hedera configuration (the in-memory ledger needs no account)
+  if (config.ledger.type === 'hedera') {
+    if (!config.hedera.accountId) required.push('HEDERA_ACCOUNT_ID');
+    if (!config.hedera.privateKey) required.push('HEDERA_PRIVATE_KEY');
+  }
+
+  // Check Hedera network (custom networks need their nodes and mirror node)
+  const knownNetworks = Object.keys(HEDERA_NETWORKS);
+  if (!knownNetworks.includes(config.hedera.network) && !config.hedera.nodes) {
+    throw new Error(`Unknown HEDERA_NETWORK: ${config.hedera.network} (expected ${knownNetworks.join(', ')}, or set HEDERA_NODES)`);
+  }
+  if (!config.hedera.mirrorNodeUrl) required.push('HEDERA_MIRROR_NODE_URL');
 
-  // Check Filebase configuration
-  if (!config.filebase.accessKeyId) required.push('FILEBASE_ACCESS_KEY_ID');
-  if (!config.filebase.secretAccessKey) required.push('FILEBASE_SECRET_ACCESS_KEY');
-  if (!config.filebase.bucketName) required.push('FILEBASE_BUCKET_NAME');
+  // Check storage provider configuration (credentials only for the providers in use)
+  const knownProviders = ['filebase', 's3', 'kubo', 'filesystem', 'memory'];
+  const unknownProviders = config.storage.providers.filter(name => !knownProviders.includes(name));
+  if (unknownProviders.length > 0) {
+    throw new Error(`Unknown STORAGE_PROVIDERS: ${unknownProviders.join(', ')} (expected ${knownProviders.join(', ')})`);
+  }
+  if (config.storage.providers.includes('filebase')) {
+    if (!config.filebase.accessKeyId) required.push('FILEBASE_ACCESS_KEY_ID');
+    if (!config.filebase.secretAccessKey) required.push('FILEBASE_SECRET_ACCESS_KEY');
+    if (!config.filebase.bucketName) required.push('FILEBASE_BUCKET_NAME');
+  }
+  if (config.storage.providers.includes('s3')) {
+    if (!config.storage.s3.endpoint) required.push('S3_ENDPOINT');
+    if (!config.storage.s3.accessKeyId) required.push('S3_ACCESS_KEY_ID');
+    if (!config.storage.s3.secretAccessKey) required.push('S3_SECRET_ACCESS_KEY');
+    if (!config.storage.s3.bucketName) required.push('S3_BUCKET_NAME');
+  }
 
   if (required.length > 0) {
     throw new Error(`Missing required environment variables: ${required.join(', ')}`);
@@ -130,12 +390,22 @@ export function getConfigSummary() {
     },
     hedera: {
       network: config.hedera.network,
+      ledger: config.ledger.type,
+      mirrorNodeUrl: config.hedera.mirrorNodeUrl,
       accountConfigured: !!config.hedera.accountId
     },
     ipfs: {
       gatewayCount: config.ipfs.gateways.length,
       filebaseConfigured: !!(config.filebase.accessKeyId && config.filebase.secretAccessKey)
     },
+    storage: {
+      providers: config.storage.providers
+    },
+    costs: {
+      dailyBudgetHbar: config.costs.budgets.dailyHbar,
+      monthlyBudgetHbar: config.costs.budgets.monthlyHbar,
+      whenExhausted: config.costs.budgets.whenExhausted
+    },
     ai: {
       huggingFaceConfigured: !!config.ai.huggingFaceApiKey,
       phase2Enabled: config.features.phase2Enabled
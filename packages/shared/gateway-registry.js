@@ -0,0 +1,207 @@
+import { config } from '../config/env/config.js';
+
+/**
+ * IPFS Gateway Registry
+ * Single source of IPFS gateways for the backend and the claim pipeline.
+ * Gateways are probed periodically and scored from every probe and real fetch
+ * (success rate, then latency); callers always get the live gateways best-first.
+ * A gateway that fails `deadAfterFailures` times in a row is dropped from selection
+ * until a later probe succeeds. Probes request a CID every gateway serves, so any error
+ * counts; for real fetches only transport failures (timeouts, refused connections)
+ * count, since a 404/504 usually means the content has not propagated yet.
+ */
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+
+class GatewayRegistry {
+    /**
+     * @param {string[]} urls - Gateway base URLs ending in /ipfs/
+     * @param {Object} options - { probeCid, probeIntervalMs, probeTimeoutMs, deadAfterFailures }
+     */
+    constructor(urls = config.ipfs.gateways, options = config.ipfs.gatewayMonitor) {
+        this.options = options;
+        this.entries = new Map();
+        for (const url of urls) {
+            const normalized = normalizeGatewayUrl(url);
+            if (!this.entries.has(normalized)) {
+                this.entries.set(normalized, {
+                    url: normalized,
+                    order: this.entries.size,
+                    successes: 0,
+                    failures: 0,
+                    consecutiveFailures: 0,
+                    latencyMs: null,
+                    lastCheckedAt: null,
+                    lastSuccessAt: null,
+                    lastError: null
+                });
+            }
+        }
+        this.timer = null;
+    }
+
+    /**
+     * Probe all gateways now and then every probeIntervalMs
+     */
+    start() {
+        if (this.timer) return;
+        this.probeAll().catch(() => {});
+        this.timer = setInterval(() => this.probeAll().catch(() => {}), this.options.probeIntervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Probe every gateway (dead ones included, so they can come back)
+     * @returns {Promise<Array>} Gateway status, best first
+     */
+    async probeAll() {
+        await Promise.all([...this.entries.keys()].map(url => this.probe(url)));
+        return this.getStatus();
+    }
+
+    async probe(url) {
+        const startedAt = Date.now();
+        try {
+            const response = await fetch(`${url}${this.options.probeCid}`, {
+                method: 'HEAD',
+                signal: AbortSignal.timeout(this.options.probeTimeoutMs)
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.record(url, { ok: true, latencyMs: Date.now() - startedAt });
+        } catch (error) {
+            this.record(url, { ok: false, error: error.message });
+        }
+    }
+
+    /**
+     * Record the outcome of a request to a gateway (probes and real fetches)
+     * @param {string} url - Gateway base URL
+     * @param {Object} outcome - { ok, latencyMs, error }
+     */
+    record(url, { ok, latencyMs, error }) {
+        const entry = this.entries.get(normalizeGatewayUrl(url));
+        if (!entry) return;
+        const wasDead = this.isDead(entry);
+        entry.lastCheckedAt = new Date().toISOString();
+        if (ok) {
+            entry.successes++;
+            entry.consecutiveFailures = 0;
+            entry.lastSuccessAt = entry.lastCheckedAt;
+            entry.lastError = null;
+            if (latencyMs !== undefined) {
+                entry.latencyMs = entry.latencyMs === null
+                    ? latencyMs
+                    : Math.round(entry.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+            }
+        } else {
+            entry.failures++;
+            entry.consecutiveFailures++;
+            entry.lastError = error || 'request failed';
+        }
+
+        if (!wasDead && this.isDead(entry)) {
+            console.warn(`⚠️ IPFS gateway removed after ${entry.consecutiveFailures} failures: ${entry.url} (${entry.lastError})`);
+        } else if (wasDead && !this.isDead(entry)) {
+            console.log(`✅ IPFS gateway back online: ${entry.url}`);
+        }
+    }
+
+    /**
+     * Live gateways, best first
+     * @returns {string[]} Gateway base URLs
+     */
+    gateways() {
+        const live = this.ranked().filter(entry => !this.isDead(entry));
+        // Never leave callers without a gateway to try
+        return (live.length > 0 ? live : this.ranked()).map(entry => entry.url);
+    }
+
+    /**
+     * URL of a CID on the best gateway
+     * @param {string} cid - IPFS CID
+     * @returns {string}
+     */
+    urlFor(cid) {
+        return `${this.gateways()[0]}${cid}`;
+    }
+
+    /**
+     * URLs of a CID on every live gateway, best first
+     * @param {string} cid - IPFS CID
+     * @returns {string[]}
+     */
+    urlsFor(cid) {
+        return this.gateways().map(gateway => `${gateway}${cid}`);
+    }
+
+    /**
+     * Fetch a CID from the live gateways in ranked order, recording each outcome
+     * @param {string} cid - IPFS CID
+     * @param {Object} [options] - { timeoutMs, method }
+     * @returns {Promise<Object>} { gateway, url, response } - response is the fetch Response
+     */
+    async fetch(cid, { timeoutMs = this.options.probeTimeoutMs, method = 'GET' } = {}) {
+        const errors = [];
+        for (const gateway of this.gateways()) {
+            const startedAt = Date.now();
+            let response;
+            try {
+                response = await fetch(`${gateway}${cid}`, { method, signal: AbortSignal.timeout(timeoutMs) });
+            } catch (error) {
+                this.record(gateway, { ok: false, error: error.message });
+                errors.push(`${gateway}: ${error.message}`);
+                continue;
+            }
+            this.record(gateway, { ok: true, latencyMs: Date.now() - startedAt });
+            if (response.ok) {
+                return { gateway, url: `${gateway}${cid}`, response };
+            }
+            errors.push(`${gateway}: HTTP ${response.status}`);
+        }
+        throw new Error(`All IPFS gateways failed for CID ${cid}. Errors: ${errors.join('; ')}`);
+    }
+
+    /**
+     * Health and score of every gateway, best first
+     * @returns {Array} [{ url, status, successRate, latencyMs, ... }]
+     */
+    getStatus() {
+        return this.ranked().map(({ order, ...entry }) => ({
+            ...entry,
+            status: this.isDead(entry) ? 'dead' : entry.lastCheckedAt ? 'live' : 'unchecked',
+            successRate: successRate(entry)
+        }));
+    }
+
+    ranked() {
+        return [...this.entries.values()].sort((a, b) =>
+            successRate(b) - successRate(a) ||
+            (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity) ||
+            a.order - b.order
+        );
+    }
+
+    isDead(entry) {
+        return entry.consecutiveFailures >= this.options.deadAfterFailures;
+    }
+}
+
+// Laplace-smoothed so an unchecked gateway ranks between proven good and proven bad ones
+function successRate(entry) {
+    return Number(((entry.successes + 1) / (entry.successes + entry.failures + 2)).toFixed(3));
+}
+
+function normalizeGatewayUrl(url) {
+    return url.endsWith('/') ? url : `${url}/`;
+}
+
+// Export singleton instance
+const gatewayRegistry = new GatewayRegistry();
+export default gatewayRegistry;
+export { GatewayRegistry };
@@ -0,0 +1,168 @@
+/**
+ * Chunked HCS messages
+ * A topic message is limited to one chunk (1024 bytes by default); larger
+ * payloads are submitted as several transactions that share the initial
+ * transaction ID in their chunk info. Mirror nodes serve every chunk as its
+ * own topic message, so readers resolve the sibling chunks and reassemble
+ * the payload before decoding it.
+ */
+
+export const DEFAULT_CHUNK_SIZE = 1024;
+export const DEFAULT_MAX_CHUNKS = 20;
+
+const MIRROR_PAGE_LIMIT = 100;
+const MAX_SCAN_PAGES = 5;
+
+/**
+ * Error for a chunked message whose chunks are not all available (yet)
+ */
+export class IncompleteMessageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'IncompleteMessageError';
+    }
+}
+
+/**
+ * Convert an SDK transaction ID (0.0.x@seconds.nanos) into mirror node form (0.0.x-seconds-nanos)
+ * @param {string} transactionId - SDK or mirror node form
+ * @returns {string|null} Mirror node form
+ */
+export function toMirrorTransactionId(transactionId) {
+    if (!transactionId) return null;
+    if (!transactionId.includes('@')) return transactionId;
+    const [account, validStart] = transactionId.split('@');
+    return `${account}-${validStart.replace('.', '-')}`;
+}
+
+/**
+ * Split a payload into chunks the way the SDK does
+ * @param {string|Uint8Array} message - Payload
+ * @param {Object} [options] - { chunkSize, maxChunks }
+ * @returns {Array<Buffer>} Chunks in order
+ */
+export function splitIntoChunks(message, { chunkSize = DEFAULT_CHUNK_SIZE, maxChunks = DEFAULT_MAX_CHUNKS } = {}) {
+    const bytes = Buffer.from(message);
+    const total = Math.max(Math.ceil(bytes.length / chunkSize), 1);
+    if (total > maxChunks) {
+        throw new Error(`Message with size ${bytes.length} too long for ${maxChunks} chunks`);
+    }
+    return Array.from({ length: total }, (_, index) => bytes.subarray(index * chunkSize, (index + 1) * chunkSize));
+}
+
+/**
+ * Initial transaction ID of a mirror node topic message, in mirror node form
+ * @param {Object} message - Mirror node topic message
+ * @returns {string|null} Transaction ID, or null for messages without chunk info
+ */
+export function initialTransactionIdOf(message) {
+    const initial = message?.chunk_info?.initial_transaction_id;
+    if (!initial) return null;
+    const [seconds, nanos = '0'] = initial.transaction_valid_start.split('.');
+    return `${initial.account_id}-${seconds}-${nanos.padEnd(9, '0')}`;
+}
+
+/**
+ * Whether a mirror node topic message is one chunk of several
+ * @param {Object} message - Mirror node topic message
+ * @returns {boolean}
+ */
+export function isChunked(message) {
+    return (message?.chunk_info?.total || 1) > 1;
+}
+
+/**
+ * Reassemble the chunks of one message
+ * @param {Array<Object>} chunks - Mirror node topic messages of every chunk, in any order
+ * @returns {Object} Mirror node topic message of the last chunk (the one completing the
+ *   message) whose `message` is the whole payload, with the chunks in `chunks`
+ */
+export function reassembleChunks(chunks) {
+    const sorted = [...chunks].sort((a, b) => a.chunk_info.number - b.chunk_info.number);
+    const total = sorted[0]?.chunk_info?.total;
+    const initialId = initialTransactionIdOf(sorted[0]);
+    const complete = total && sorted.length === total && sorted.every((chunk, index) =>
+        chunk.chunk_info.number === index + 1 &&
+        chunk.chunk_info.total === total &&
+        initialTransactionIdOf(chunk) === initialId);
+    if (!complete) {
+        throw new IncompleteMessageError(`Message ${initialId} has ${sorted.length} of ${total ?? '?'} chunks`);
+    }
+
+    const payload = Buffer.concat(sorted.map(chunk => Buffer.from(chunk.message, 'base64')));
+    return { ...sorted.at(-1), message: payload.toString('base64'), chunks: sorted };
+}
+
+async function mirrorGet(mirrorNodeUrl, pathOrUrl) {
+    const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${mirrorNodeUrl.replace(/\/$/, '')}${pathOrUrl}`;
+    const response = await fetch(url, { headers: { 'Accept': 'application/json' }, signal: AbortSignal.timeout(10000) });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        throw new Error(`Mirror node request failed (${response.status}): ${url}`);
+    }
+    return response.json();
+}
+
+/**
+ * Complete a topic message read from a mirror node: single-chunk messages are
+ * returned as they are, chunked ones are reassembled from all their chunks
+ * @param {string} mirrorNodeUrl - Mirror node REST base URL
+ * @param {Object} message - Mirror node topic message (any chunk)
+ * @returns {Promise<Object>} Whole message (see reassembleChunks)
+ */
+export async function resolveChunks(mirrorNodeUrl, message) {
+    if (!isChunked(message)) return message;
+
+    const initialId = initialTransactionIdOf(message);
+    let first = message;
+    if (message.chunk_info.number !== 1) {
+        const located = await findSubmitMessage(mirrorNodeUrl, initialId);
+        first = located?.message;
+        if (!first) {
+            throw new IncompleteMessageError(`First chunk of message ${initialId} not found on the mirror node`);
+        }
+    }
+
+    // Chunks reach consensus in order, each after the previous one
+    const chunks = [first];
+    const { total } = first.chunk_info;
+    let next = `/api/v1/topics/${first.topic_id}/messages?sequencenumber=gt:${first.sequence_number}&order=asc&limit=${MIRROR_PAGE_LIMIT}`;
+    for (let page = 0; next && chunks.length < total && page < MAX_SCAN_PAGES; page++) {
+        const data = await mirrorGet(mirrorNodeUrl, next);
+        for (const candidate of data?.messages || []) {
+            if (initialTransactionIdOf(candidate) === initialId) chunks.push(candidate);
+            if (chunks.length === total) break;
+        }
+        next = data?.links?.next || null;
+    }
+    return reassembleChunks(chunks);
+}
+
+async function findSubmitMessage(mirrorNodeUrl, transactionId) {
+    const data = await mirrorGet(mirrorNodeUrl, `/api/v1/transactions/${toMirrorTransactionId(transactionId)}`);
+    const transaction = data?.transactions?.find(tx => tx.name === 'CONSENSUSSUBMITMESSAGE');
+    if (!transaction) return null;
+    const message = await mirrorGet(mirrorNodeUrl, `/api/v1/topics/messages/${transaction.consensus_timestamp}`);
+    return message ? { message, transaction } : null;
+}
+
+/**
+ * Read the whole topic message a transaction belongs to. Any chunk's transaction
+ * ID works; the SDK returns the first one.
+ * @param {string} mirrorNodeUrl - Mirror node REST base URL
+ * @param {string} transactionId - SDK or mirror node form
+ * @returns {Promise<Object|null>} { message, transaction, chunk: { number, total } } - the whole
+ *   message, the transaction and which chunk it submitted; null until the mirror node has it
+ */
+export async function readMessageByTransaction(mirrorNodeUrl, transactionId) {
+    const located = await findSubmitMessage(mirrorNodeUrl, transactionId);
+    if (!located) return null;
+    return {
+        message: await resolveChunks(mirrorNodeUrl, located.message),
+        transaction: located.transaction,
+        chunk: {
+            number: located.message.chunk_info?.number || 1,
+            total: located.message.chunk_info?.total || 1
+        }
+    };
+}
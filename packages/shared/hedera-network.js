@@ -0,0 +1,47 @@
+import { Client } from '@hashgraph/sdk';
+import { config } from '../config/env/config.js';
+
+/**
+ * Hedera Network
+ * Builds clients and explorer links for the configured network (HEDERA_NETWORK),
+ * so the backend and the claim pipeline always talk to the same ledger.
+ * Public networks use the SDK's address book; a node map (HEDERA_NODES) selects
+ * a local node (hedera-local-node) or any other custom network.
+ */
+
+/**
+ * Create a Hedera client without an operator
+ * @param {Object} [hedera] - { network, nodes, mirrorNetwork } (defaults to config.hedera)
+ * @returns {Client}
+ */
+export function createHederaClient(hedera = config.hedera) {
+    const client = hedera.nodes ? Client.forNetwork(hedera.nodes) : Client.forName(hedera.network);
+    if (hedera.mirrorNetwork) {
+        client.setMirrorNetwork(hedera.mirrorNetwork);
+    }
+    return client;
+}
+
+/**
+ * Explorer link for a transaction, account or topic on the configured network
+ * @param {string} kind - 'transaction', 'account' or 'topic'
+ * @param {string} id - Entity or transaction ID
+ * @param {Object} [hedera] - { explorerUrl } (defaults to config.hedera)
+ * @returns {string|null} URL, or null when the network has no explorer configured
+ */
+export function explorerUrl(kind, id, hedera = config.hedera) {
+    if (!id || !hedera.explorerUrl) return null;
+    return `${hedera.explorerUrl.replace(/\/$/, '')}/${kind}/${id}`;
+}
+
+/**
+ * The ledger a notarization targets, as carried in HCS messages and proofs
+ * @returns {Object} { network, mirrorNodeUrl, explorerUrl }
+ */
+export function networkInfo(hedera = config.hedera) {
+    return {
+        network: hedera.network,
+        mirrorNodeUrl: hedera.mirrorNodeUrl,
+        explorerUrl: hedera.explorerUrl || null
+    };
+}
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+
+/**
+ * Merkle tree helpers for batched notarization anchoring
+ * Leaves and nodes use domain-separated SHA-256 (0x00 for leaves, 0x01 for nodes)
+ * so a leaf can never be confused with an internal node.
+ */
+
+export const MERKLE_ALGORITHM = 'sha256-domain-separated-v1';
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+/**
+ * Serialize an object with sorted keys so every party hashes the same bytes
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+export function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash a leaf (a notarization entry) into a hex digest
+ * @param {Object} leaf - Leaf data (cid, accountId, ...)
+ * @returns {string} Hex digest
+ */
+export function hashLeaf(leaf) {
+    return crypto.createHash('sha256')
+        .update(LEAF_PREFIX)
+        .update(Buffer.from(canonicalJson(leaf), 'utf8'))
+        .digest('hex');
+}
+
+/**
+ * Hash two child digests into their parent
+ * @param {string} left - Hex digest
+ * @param {string} right - Hex digest
+ * @returns {string} Hex digest
+ */
+export function hashNode(left, right) {
+    return crypto.createHash('sha256')
+        .update(NODE_PREFIX)
+        .update(Buffer.from(left, 'hex'))
+        .update(Buffer.from(right, 'hex'))
+        .digest('hex');
+}
+
+/**
+ * Build every level of the tree from leaf hashes (an odd node is promoted unchanged)
+ * @param {string[]} leafHashes - Hex digests of the leaves
+ * @returns {string[][]} Levels, from leaves up to the root
+ */
+export function buildTree(leafHashes) {
+    if (leafHashes.length === 0) {
+        throw new Error('Cannot build a Merkle tree without leaves');
+    }
+
+    const levels = [leafHashes];
+    while (levels[levels.length - 1].length > 1) {
+        const current = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < current.length; i += 2) {
+            next.push(i + 1 < current.length ? hashNode(current[i], current[i + 1]) : current[i]);
+        }
+        levels.push(next);
+    }
+    return levels;
+}
+
+/**
+ * Get the root digest of a tree
+ * @param {string[][]} levels - Output of buildTree
+ * @returns {string} Hex root
+ */
+export function getRoot(levels) {
+    return levels[levels.length - 1][0];
+}
+
+/**
+ * Build the inclusion proof (sibling path) for one leaf
+ * @param {string[][]} levels - Output of buildTree
+ * @param {number} leafIndex - Position of the leaf
+ * @returns {Array<{side: 'left'|'right', hash: string}>} Sibling path from leaf to root
+ */
+export function getInclusionProof(levels, leafIndex) {
+    const path = [];
+    let index = leafIndex;
+
+    for (let depth = 0; depth < levels.length - 1; depth++) {
+        const level = levels[depth];
+        const isRight = index % 2 === 1;
+        const siblingIndex = isRight ? index - 1 : index + 1;
+
+        // A promoted odd node has no sibling at this level
+        if (siblingIndex < level.length) {
+            path.push({ side: isRight ? 'left' : 'right', hash: level[siblingIndex] });
+        }
+        index = Math.floor(index / 2);
+    }
+    return path;
+}
+
+/**
+ * Recompute the root from a leaf and its sibling path
+ * @param {Object} leaf - Leaf data
+ * @param {Array<{side: string, hash: string}>} path - Sibling path
+ * @returns {string} Hex root
+ */
+export function computeRootFromProof(leaf, path) {
+    return path.reduce(
+        (hash, step) => (step.side === 'left' ? hashNode(step.hash, hash) : hashNode(hash, step.hash)),
+        hashLeaf(leaf)
+    );
+}
+
+/**
+ * Check a Merkle inclusion proof against an anchored root
+ * @param {Object} proof - { leaf, path, root }
+ * @param {string} anchoredRoot - Root read from the ledger (defaults to proof.root)
+ * @returns {boolean} True if the leaf is included under the root
+ */
+export function verifyInclusionProof(proof, anchoredRoot = proof?.root) {
+    if (!proof?.leaf || !Array.isArray(proof.path) || !anchoredRoot) return false;
+    if (proof.algorithm && proof.algorithm !== MERKLE_ALGORITHM) return false;
+    return computeRootFromProof(proof.leaf, proof.path) === anchoredRoot;
+}
@@ -0,0 +1,203 @@
+/**
+ * HCS message schema
+ * Every topic message the notary submits is JSON with a `schemaVersion` and a
+ * `type`: 'notarization' (one notarized CID) or 'merkle-batch' (the Merkle root
+ * of a batch of notarizations). The notary encodes through this module and
+ * every reader - verification, proof verifier, claim pipeline - decodes through
+ * it, so older messages are migrated to the current schema before they are read.
+ *
+ * Version 1 (no schemaVersion field): individual messages had no type,
+ * batch messages carried type 'merkle-batch' with their own `version: 1`.
+ */
+
+export const MESSAGE_SCHEMA_VERSION = 2;
+export const MESSAGE_TYPES = Object.freeze({
+    NOTARIZATION: 'notarization',
+    MERKLE_BATCH: 'merkle-batch'
+});
+
+const HEX_SHA256 = /^[0-9a-f]{64}$/;
+
+/**
+ * Error for messages that are not valid notary messages
+ */
+export class MessageSchemaError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'MessageSchemaError';
+        this.errors = errors;
+    }
+}
+
+// Migrations from version n to n + 1, keyed by n
+const MIGRATIONS = {
+    1: payload => {
+        if (payload.type === MESSAGE_TYPES.MERKLE_BATCH) {
+            const { version, ...batch } = payload;
+            return { ...batch, schemaVersion: 2 };
+        }
+        return { ...payload, type: payload.type || MESSAGE_TYPES.NOTARIZATION, schemaVersion: 2 };
+    }
+};
+
+/**
+ * Bring a decoded message to the current schema version
+ * @param {Object} payload - Parsed message of any known version
+ * @returns {Object} Message in the current schema
+ */
+export function migrateMessage(payload) {
+    let migrated = payload;
+    let version = messageVersion(migrated);
+    if (version > MESSAGE_SCHEMA_VERSION) {
+        throw new MessageSchemaError(`Message schema version ${version} is newer than the supported ${MESSAGE_SCHEMA_VERSION}`);
+    }
+    while (version < MESSAGE_SCHEMA_VERSION) {
+        migrated = MIGRATIONS[version](migrated);
+        version = messageVersion(migrated);
+    }
+    return migrated;
+}
+
+function messageVersion(payload) {
+    const version = payload.schemaVersion ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new MessageSchemaError(`Invalid message schema version ${version}`);
+    }
+    return version;
+}
+
+/**
+ * Validate a message in the current schema
+ * @param {Object} payload - Message
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateMessage(payload) {
+    const errors = [];
+    const expect = (condition, message) => {
+        if (!condition) errors.push(message);
+    };
+    const optional = (field, test, description) => {
+        if (payload[field] !== undefined) expect(test(payload[field]), `${field} must be ${description}`);
+    };
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { valid: false, errors: ['Message must be a JSON object'] };
+    }
+    expect(payload.schemaVersion === MESSAGE_SCHEMA_VERSION, `schemaVersion must be ${MESSAGE_SCHEMA_VERSION}`);
+    optional('network', isNonEmptyString, 'a network name');
+
+    if (payload.type === MESSAGE_TYPES.NOTARIZATION) {
+        expect(isNonEmptyString(payload.ipfsCid), 'ipfsCid is required');
+        optional('accountId', isNonEmptyString, 'an account ID');
+        optional('contentSha256', value => HEX_SHA256.test(value), 'a hex SHA-256 digest');
+        optional('textSha256', value => HEX_SHA256.test(value), 'a hex SHA-256 digest');
+        optional('contentSize', value => Number.isInteger(value) && value >= 0, 'a byte count');
+        optional('accountSignature', value => ['keyType', 'publicKey', 'signedMessage', 'signature']
+            .every(field => isNonEmptyString(value?.[field])), 'a wallet signature (keyType, publicKey, signedMessage, signature)');
+    } else if (payload.type === MESSAGE_TYPES.MERKLE_BATCH) {
+        expect(isNonEmptyString(payload.batchId), 'batchId is required');
+        expect(HEX_SHA256.test(payload.merkleRoot), 'merkleRoot must be a hex SHA-256 digest');
+        expect(isNonEmptyString(payload.algorithm), 'algorithm is required');
+        expect(Number.isInteger(payload.leafCount) && payload.leafCount > 0, 'leafCount must be a positive integer');
+    } else {
+        errors.push(`Unknown message type ${payload.type}`);
+    }
+    return { valid: errors.length === 0, errors };
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Encode a message for submission, stamped with the current schema version
+ * @param {Object} payload - Message fields including type
+ * @returns {string} JSON message
+ */
+export function encodeMessage(payload) {
+    const message = { schemaVersion: MESSAGE_SCHEMA_VERSION, ...payload };
+    const { valid, errors } = validateMessage(message);
+    if (!valid) {
+        throw new MessageSchemaError(`Invalid ${payload.type} message: ${errors.join('; ')}`, errors);
+    }
+    return JSON.stringify(message);
+}
+
+/**
+ * Decode a message of any known schema version into the current one
+ * @param {string|Uint8Array} input - Message bytes or text
+ * @returns {Object} Validated message in the current schema
+ */
+export function decodeMessage(input) {
+    const text = typeof input === 'string' ? input : Buffer.from(input).toString('utf8');
+    let payload;
+    try {
+        payload = JSON.parse(text);
+    } catch (_) {
+        throw new MessageSchemaError('Message is not valid JSON');
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new MessageSchemaError('Message must be a JSON object');
+    }
+
+    const migrated = migrateMessage(payload);
+    const { valid, errors } = validateMessage(migrated);
+    if (!valid) {
+        throw new MessageSchemaError(`Invalid message: ${errors.join('; ')}`, errors);
+    }
+    return migrated;
+}
+
+/**
+ * Decode the payload of a mirror node topic message (reassemble chunked ones first)
+ * @param {Object} mirrorMessage - Mirror node topic message
+ * @returns {Object} Validated message in the current schema
+ */
+export function decodeMirrorMessage(mirrorMessage) {
+    return decodeMessage(Buffer.from(mirrorMessage.message, 'base64'));
+}
+
+/**
+ * Transaction memo for a message: CID:<cid>|TYPE:<contentType>|SIZE:<bytes>[|HAS_TEXT:true]
+ * for notarizations, BATCH:<batchId>|ROOT:<first 16 hex>|LEAVES:<count> for batches
+ * @param {Object} payload - Message
+ * @returns {string} Memo (the ledger allows 100 bytes)
+ */
+export function encodeMemo(payload) {
+    if (payload.type === MESSAGE_TYPES.MERKLE_BATCH) {
+        return `BATCH:${payload.batchId}|ROOT:${payload.merkleRoot.slice(0, 16)}|LEAVES:${payload.leafCount}`;
+    }
+    return `CID:${payload.ipfsCid}|TYPE:${payload.contentType}|SIZE:${payload.contentSize}` +
+        (payload.contentType === 'image-with-text' ? '|HAS_TEXT:true' : '');
+}
+
+/**
+ * Parse a transaction memo written by encodeMemo
+ * @param {string} memo - Transaction memo
+ * @returns {Object|null} { type, cid, contentType, contentSize, hasText } or
+ *   { type, batchId, rootPrefix, leafCount }; null for other memos
+ */
+export function decodeMemo(memo) {
+    const fields = Object.fromEntries((memo || '').split('|').map(part => {
+        const separator = part.indexOf(':');
+        return separator > 0 ? [part.slice(0, separator), part.slice(separator + 1)] : [part, null];
+    }));
+    if (fields.CID) {
+        return {
+            type: MESSAGE_TYPES.NOTARIZATION,
+            cid: fields.CID,
+            contentType: fields.TYPE || null,
+            contentSize: fields.SIZE !== undefined ? Number(fields.SIZE) : null,
+            hasText: fields.HAS_TEXT === 'true'
+        };
+    }
+    if (fields.BATCH) {
+        return {
+            type: MESSAGE_TYPES.MERKLE_BATCH,
+            batchId: fields.BATCH,
+            rootPrefix: fields.ROOT || null,
+            leafCount: fields.LEAVES !== undefined ? Number(fields.LEAVES) : null
+        };
+    }
+    return null;
+}
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import { canonicalJson } from './merkle.js';
+
+/**
+ * Proof bundle format
+ * A self-contained, versioned record of one notarization: what was notarized
+ * (digest + CID), where it was anchored (HCS topic/sequence/running hash and the
+ * mirror-node record), the optional Merkle path, and the issuing server's signature.
+ * The signature covers the canonical JSON of every field except `signature`.
+ */
+
+export const PROOF_BUNDLE_FORMAT = 'hedera-notary-proof-bundle';
+export const PROOF_BUNDLE_VERSION = 1;
+export const SIGNATURE_ALGORITHM = 'ed25519';
+
+/**
+ * Bytes covered by the bundle signature
+ * @param {Object} bundle - Proof bundle (signature field is ignored)
+ * @returns {Buffer} Canonical JSON bytes
+ */
+export function signingPayload(bundle) {
+    const { signature, ...unsigned } = bundle;
+    return Buffer.from(canonicalJson(unsigned), 'utf8');
+}
+
+/**
+ * Identify a public key by the SHA-256 of its DER encoding
+ * @param {KeyObject} publicKey - Node public key
+ * @returns {string} Hex key ID
+ */
+export function keyIdFor(publicKey) {
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex');
+}
+
+/**
+ * Sign a bundle with an Ed25519 private key
+ * @param {Object} bundle - Unsigned proof bundle
+ * @param {KeyObject} privateKey - Node Ed25519 private key
+ * @returns {Object} Bundle with its signature
+ */
+export function signBundle(bundle, privateKey) {
+    const publicKey = crypto.createPublicKey(privateKey);
+    return {
+        ...bundle,
+        signature: {
+            algorithm: SIGNATURE_ALGORITHM,
+            keyId: keyIdFor(publicKey),
+            publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+            value: crypto.sign(null, signingPayload(bundle), privateKey).toString('base64')
+        }
+    };
+}
+
+/**
+ * Check the bundle signature against the public key embedded in it
+ * @param {Object} bundle - Signed proof bundle
+ * @returns {{valid: boolean, keyId: string|null, error?: string}} Signature check
+ */
+export function verifyBundleSignature(bundle) {
+    const signature = bundle?.signature;
+    if (!signature?.value || !signature.publicKey) {
+        return { valid: false, keyId: null, error: 'Bundle is not signed' };
+    }
+    if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+        return { valid: false, keyId: signature.keyId || null, error: `Unsupported signature algorithm ${signature.algorithm}` };
+    }
+
+    try {
+        const publicKey = crypto.createPublicKey(signature.publicKey);
+        const keyId = keyIdFor(publicKey);
+        if (signature.keyId && signature.keyId !== keyId) {
+            return { valid: false, keyId, error: 'Key ID does not match the embedded public key' };
+        }
+        const valid = crypto.verify(null, signingPayload(bundle), publicKey, Buffer.from(signature.value, 'base64'));
+        return { valid, keyId, ...(valid ? {} : { error: 'Signature does not match bundle contents' }) };
+    } catch (error) {
+        return { valid: false, keyId: signature.keyId || null, error: error.message };
+    }
+}
@@ -0,0 +1,194 @@
+import { initialTransactionIdOf, isChunked, reassembleChunks, resolveChunks } from './hcs-messages.js';
+
+/**
+ * Topic subscriptions over the mirror node REST API
+ * Follows HCS topics message by message: each pass pages through
+ * /api/v1/topics/{id}/messages after the last delivered sequence number with
+ * `links.next`, so bursts are never cut off by a page limit and messages from
+ * every payer are seen. Positions survive mirror node outages, so the next
+ * successful pass back-fills the gap in order; with `onCheckpoint` and
+ * `positions` they survive restarts too. Chunked messages are delivered once,
+ * reassembled, when their last chunk arrives.
+ */
+
+const PAGE_LIMIT = 100;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+export class TopicSubscription {
+    /**
+     * @param {Object} options
+     * @param {string} options.mirrorNodeUrl - Mirror node REST base URL
+     * @param {string[]|Function} options.topics - Topic IDs, or an (async) function returning them;
+     *   it is called on every pass, so topics created later are picked up
+     * @param {Function} options.onMessage - async (message, { topicId }) - whole mirror node topic message; a
+     *   rejection fails the pass, and the message is delivered again on the next one
+     * @param {Function} [options.onError] - (error, { topicId }) - failed passes, handler rejections included
+     * @param {number} [options.pollIntervalMs] - Delay between passes
+     * @param {string} [options.startTimestamp] - Consensus timestamp (seconds.nanos) new topics are followed
+     *   from; the time of the first pass when omitted
+     * @param {Object} [options.positions] - topicId -> last delivered sequence number, to resume from
+     * @param {Function} [options.onCheckpoint] - async (topicId, { sequenceNumber, consensusTimestamp }) - called once
+     *   a message is handled, before the position moves past it; a failing checkpoint fails the pass
+     */
+    constructor({ mirrorNodeUrl, topics, onMessage, onError = () => {}, onCheckpoint = async () => {}, pollIntervalMs = 10000, startTimestamp = null, positions = {} }) {
+        this.mirrorNodeUrl = mirrorNodeUrl.replace(/\/$/, '');
+        this.topicSource = topics;
+        this.onMessage = onMessage;
+        this.onError = onError;
+        this.onCheckpoint = onCheckpoint;
+        this.pollIntervalMs = pollIntervalMs;
+        this.startTimestamp = startTimestamp;
+        this.initialPositions = positions;
+        this.topics = new Map(); // topicId -> { topicId, sequenceNumber, consensusTimestamp, delivered, lastError }
+        this.pendingChunks = new Map(); // initial transaction ID -> chunks seen so far
+        this.running = false;
+        this.timer = null;
+        this.polling = null;
+        this.failures = 0;
+    }
+
+    /**
+     * Start following the topics; the first pass runs immediately
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+        const loop = async () => {
+            if (!this.running) return;
+            const failed = await this.poll().then(result => result.failed, () => true);
+            // Back off while the mirror node is unreachable; positions are kept, so nothing is skipped
+            this.failures = failed ? this.failures + 1 : 0;
+            const delay = Math.min(this.pollIntervalMs * 2 ** this.failures, Math.max(MAX_BACKOFF_MS, this.pollIntervalMs));
+            if (this.running) this.timer = setTimeout(loop, delay);
+        };
+        loop();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * One pass over every topic, delivering all messages after the current positions
+     * @returns {Promise<Object>} { delivered, failed } - messages delivered and whether any topic failed
+     */
+    poll() {
+        // Passes never overlap, so a message cannot be delivered twice
+        if (!this.polling) {
+            this.polling = this.pollTopics().finally(() => {
+                this.polling = null;
+            });
+        }
+        return this.polling;
+    }
+
+    async pollTopics() {
+        this.startTimestamp ??= toMirrorTimestamp(Date.now());
+        const topicIds = typeof this.topicSource === 'function' ? await this.topicSource() : this.topicSource;
+        for (const topicId of new Set(topicIds)) {
+            if (topicId && !this.topics.has(topicId)) {
+                this.topics.set(topicId, {
+                    topicId,
+                    sequenceNumber: this.initialPositions[topicId] ?? null,
+                    consensusTimestamp: null,
+                    delivered: 0,
+                    lastError: null
+                });
+            }
+        }
+
+        let delivered = 0;
+        let failed = false;
+        for (const topic of this.topics.values()) {
+            try {
+                delivered += await this.pollTopic(topic);
+                topic.lastError = null;
+            } catch (error) {
+                failed = true;
+                topic.lastError = error.message;
+                this.onError(error, { topicId: topic.topicId });
+            }
+        }
+        return { delivered, failed };
+    }
+
+    async pollTopic(topic) {
+        const after = topic.sequenceNumber !== null
+            ? `sequencenumber=gt:${topic.sequenceNumber}`
+            : `timestamp=gt:${this.startTimestamp}`;
+        let next = `/api/v1/topics/${topic.topicId}/messages?${after}&order=asc&limit=${PAGE_LIMIT}`;
+        let delivered = 0;
+
+        while (next) {
+            const data = await this.mirrorGet(next);
+            if (!data) return delivered; // Topic not on the mirror node (yet)
+            for (const message of data.messages || []) {
+                delivered += await this.handle(topic, message);
+                await this.onCheckpoint(topic.topicId, {
+                    sequenceNumber: message.sequence_number,
+                    consensusTimestamp: message.consensus_timestamp
+                });
+                topic.sequenceNumber = message.sequence_number;
+                topic.consensusTimestamp = message.consensus_timestamp;
+            }
+            next = data.links?.next || null;
+        }
+        return delivered;
+    }
+
+    // Deliver a message, holding chunks back until the last one completes it
+    async handle(topic, message) {
+        let whole = message;
+        if (isChunked(message)) {
+            const initialId = initialTransactionIdOf(message);
+            const chunks = [...(this.pendingChunks.get(initialId) || []), message];
+            if (message.chunk_info.number !== message.chunk_info.total) {
+                this.pendingChunks.set(initialId, chunks);
+                return 0;
+            }
+            this.pendingChunks.delete(initialId);
+            // Earlier chunks predate this subscription's position when it resumed mid-message
+            whole = chunks.length === message.chunk_info.total
+                ? reassembleChunks(chunks)
+                : await resolveChunks(this.mirrorNodeUrl, message);
+        }
+
+        // A failing handler fails the pass before the checkpoint, so the message is delivered again
+        await this.onMessage(whole, { topicId: topic.topicId });
+        topic.delivered += 1;
+        return 1;
+    }
+
+    async mirrorGet(pathOrUrl) {
+        const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${this.mirrorNodeUrl}${pathOrUrl}`;
+        const response = await fetch(url, { headers: { 'Accept': 'application/json' }, signal: AbortSignal.timeout(10000) });
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Mirror node request failed (${response.status}): ${url}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Subscription state per topic
+     * @returns {Object} { running, startTimestamp, topics: [{ topicId, sequenceNumber, consensusTimestamp, delivered, lastError }] }
+     */
+    status() {
+        return {
+            running: this.running,
+            startTimestamp: this.startTimestamp,
+            topics: Array.from(this.topics.values(), topic => ({ ...topic }))
+        };
+    }
+}
+
+/**
+ * Milliseconds since the epoch as a mirror node timestamp
+ * @param {number} milliseconds - Time in milliseconds
+ * @returns {string} seconds.nanos
+ */
+export function toMirrorTimestamp(milliseconds) {
+    return `${Math.floor(milliseconds / 1000)}.${String((milliseconds % 1000) * 1000000).padStart(9, '0')}`;
+}
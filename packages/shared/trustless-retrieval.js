@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import { CarBlockIterator } from '@ipld/car';
+import * as dagPb from '@ipld/dag-pb';
+import { UnixFS } from 'ipfs-unixfs';
+import { config } from '../config/env/config.js';
+import { buildUnixFsCid, sameCid } from './unixfs-cid.js';
+import gatewayRegistry from './gateway-registry.js';
+
+/**
+ * Trustless IPFS retrieval
+ * Content fetched from a gateway is only returned once its bytes are proven to
+ * belong to the requested CID. Gateways are asked for a CAR (trustless gateway
+ * spec); every block is hashed against its CID and the UnixFS file is rebuilt from
+ * the verified root. Gateways that ignore the CAR request and send the plain file
+ * are checked by rebuilding the CID locally with the configured CID options.
+ */
+
+const RAW_CODEC = 0x55;
+const DAG_PB_CODEC = 0x70;
+const SHA2_256_CODE = 0x12;
+const IDENTITY_CODE = 0x00;
+const CAR_CONTENT_TYPE = 'application/vnd.ipld.car';
+
+/**
+ * Error for content that does not match its CID
+ */
+export class ContentVerificationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ContentVerificationError';
+    }
+}
+
+/**
+ * Verify a CAR against the CID it should contain and rebuild the file bytes
+ * @param {Uint8Array} carBytes - CARv1 bytes
+ * @param {string} cid - Expected root CID
+ * @returns {Promise<Object>} { bytes, blocks } - file bytes and number of verified blocks
+ */
+export async function verifyCar(carBytes, cid) {
+    const iterator = await CarBlockIterator.fromBytes(carBytes);
+    const roots = await iterator.getRoots();
+    if (!roots.some(root => sameCid(root.toString(), cid))) {
+        throw new ContentVerificationError(`CAR roots ${roots.join(', ')} do not include ${cid}`);
+    }
+
+    const blocks = new Map();
+    for await (const block of iterator) {
+        verifyBlock(block.cid, block.bytes);
+        blocks.set(blockKey(block.cid), block);
+    }
+
+    const root = roots.find(candidate => sameCid(candidate.toString(), cid));
+    const chunks = [];
+    collectFileBytes(root, blocks, chunks);
+    return { bytes: Buffer.concat(chunks), blocks: blocks.size };
+}
+
+// Gateways may omit content-length, so the body is counted as it streams in and the
+// download is cancelled as soon as it passes maxBytes
+async function readBody(response, maxBytes) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body || []) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw new Error(`response exceeds the ${maxBytes} byte limit`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Fetch a CID from the ranked gateways and return only verified bytes.
+ * A gateway that serves content not matching the CID is counted as failed.
+ * @param {string} cid - IPFS CID
+ * @param {Object} [options] - { timeoutMs, maxBytes, cidOptions, registry }
+ * @returns {Promise<Object>} { bytes, cid, gateway, url, verification: { method, blocks, verifiedAt }, rejected }
+ */
+export async function fetchVerified(cid, {
+    timeoutMs = config.ipfs.retrieval.timeoutMs,
+    maxBytes = config.ipfs.retrieval.maxBytes,
+    cidOptions = config.ipfs.cid,
+    registry = gatewayRegistry
+} = {}) {
+    const errors = [];
+    const rejected = [];
+
+    for (const gateway of registry.gateways()) {
+        const url = `${gateway}${cid}?format=car&dag-scope=all`;
+        const startedAt = Date.now();
+        let response;
+        try {
+            response = await fetch(url, {
+                headers: { Accept: `${CAR_CONTENT_TYPE}; version=1` },
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+        } catch (error) {
+            registry.record(gateway, { ok: false, error: error.message });
+            errors.push(`${gateway}: ${error.message}`);
+            continue;
+        }
+        registry.record(gateway, { ok: true, latencyMs: Date.now() - startedAt });
+        if (!response.ok) {
+            errors.push(`${gateway}: HTTP ${response.status}`);
+            continue;
+        }
+
+        try {
+            const declaredSize = Number(response.headers.get('content-length'));
+            if (declaredSize > maxBytes) {
+                throw new Error(`response of ${declaredSize} bytes exceeds the ${maxBytes} byte limit`);
+            }
+            const body = await readBody(response, maxBytes);
+
+            let verification;
+            let bytes;
+            if ((response.headers.get('content-type') || '').startsWith(CAR_CONTENT_TYPE)) {
+                const verified = await verifyCar(body, cid);
+                bytes = verified.bytes;
+                verification = { method: 'car', blocks: verified.blocks };
+            } else {
+                // Not a trustless gateway: the body is the file itself
+                const rebuilt = await buildUnixFsCid(body, cidOptions);
+                if (!sameCid(rebuilt.cid, cid)) {
+                    throw new ContentVerificationError(`content hashes to ${rebuilt.cid}, not ${cid}`);
+                }
+                bytes = Buffer.from(body);
+                verification = { method: 'recomputed-cid', cidOptions: { cidVersion: rebuilt.cidVersion, chunker: rebuilt.chunker, rawLeaves: rebuilt.rawLeaves } };
+            }
+
+            return {
+                bytes,
+                cid,
+                gateway,
+                url,
+                verification: { ...verification, verifiedAt: new Date().toISOString() },
+                rejected
+            };
+        } catch (error) {
+            if (error instanceof ContentVerificationError) {
+                // Serving the wrong bytes is worse than being down
+                registry.record(gateway, { ok: false, error: `content verification failed: ${error.message}` });
+                rejected.push({ gateway, reason: error.message });
+                console.warn(`🚫 Rejected content for ${cid} from ${gateway}: ${error.message}`);
+            }
+            errors.push(`${gateway}: ${error.message}`);
+        }
+    }
+
+    const error = new Error(`No gateway returned verified content for CID ${cid}. Errors: ${errors.join('; ')}`);
+    error.rejected = rejected;
+    throw error;
+}
+
+function verifyBlock(cid, bytes) {
+    const { code, digest } = cid.multihash;
+    if (code === IDENTITY_CODE) {
+        if (Buffer.compare(Buffer.from(digest), Buffer.from(bytes)) !== 0) {
+            throw new ContentVerificationError(`Identity block ${cid} does not match its bytes`);
+        }
+        return;
+    }
+    if (code !== SHA2_256_CODE) {
+        throw new ContentVerificationError(`Unsupported hash function 0x${code.toString(16)} in block ${cid}`);
+    }
+    const actual = crypto.createHash('sha256').update(bytes).digest();
+    if (Buffer.compare(actual, Buffer.from(digest)) !== 0) {
+        throw new ContentVerificationError(`Block ${cid} does not match its hash`);
+    }
+}
+
+// Blocks are looked up by multihash so CIDv0 links resolve to CIDv1 blocks and back
+function blockKey(cid) {
+    return Buffer.from(cid.multihash.bytes).toString('hex');
+}
+
+function collectFileBytes(cid, blocks, chunks) {
+    const block = blocks.get(blockKey(cid));
+    if (!block) {
+        throw new ContentVerificationError(`CAR is missing block ${cid}`);
+    }
+
+    if (cid.code === RAW_CODEC) {
+        chunks.push(Buffer.from(block.bytes));
+        return;
+    }
+    if (cid.code !== DAG_PB_CODEC) {
+        throw new ContentVerificationError(`Unsupported codec 0x${cid.code.toString(16)} in block ${cid}`);
+    }
+
+    const node = dagPb.decode(block.bytes);
+    const unixfs = UnixFS.unmarshal(node.Data);
+    if (unixfs.type !== 'file' && unixfs.type !== 'raw') {
+        throw new ContentVerificationError(`${cid} is a UnixFS ${unixfs.type}, not a file`);
+    }
+    if (unixfs.data) {
+        chunks.push(Buffer.from(unixfs.data));
+    }
+    for (const link of node.Links) {
+        collectFileBytes(link.Hash, blocks, chunks);
+    }
+}
@@ -14,6 +14,9 @@ export interface NotarizationRequest {
   file?: File | Buffer;
   title?: string;
   tags?: string;
+  // Wallet signature over the content SHA-256 (see packages/shared/wallet-signature.js)
+  signedMessage?: string;
+  signatureMap?: string;
 }
 
 export interface NotarizationResponse {
@@ -21,9 +24,15 @@ export interface NotarizationResponse {
   ipfsCid: string | null;
   timestamp: string;
   hederaTransactionHash: string | null;
+  hederaTopicId?: string | null;
+  accountVerified?: boolean;
+  storage?: StorageResult[];
   ipfsGatewayUrl: string | null;
   alternativeIPFSUrls: string[] | null;
+  network?: string;
   hederaExplorerUrl: string | null;
+  costs?: NotarizationCosts | null;
+  nftCertificate?: NftCertificate | null;
   message: string;
   errors?: {
     ipfs?: string;
@@ -37,6 +46,61 @@ export interface NotarizationResponse {
   };
 }
 
+// Outcome of replicating the content to one storage provider
+export interface StorageResult {
+  provider: 'filebase' | 's3' | 'kubo' | 'filesystem' | 'memory';
+  type: 's3' | 'kubo' | 'filesystem' | 'memory';
+  status: 'stored' | 'failed';
+  key: string | null;
+  remoteCid: string | null;
+  cidMatches: boolean | null;
+  error: string | null;
+  durationMs: number;
+}
+
+// HTS NFT minted for a notarization; metadata is ipfs://<proof bundle CID>
+export interface NftCertificate {
+  network: string;
+  tokenId: string;
+  serial: number;
+  metadata: string;
+  proofBundleCid: string;
+  cid: string;
+  notarizationId: string;
+  accountId: string;
+  status: 'transferred' | 'pending_claim' | 'held_by_treasury' | 'transfer_failed';
+  mintTransactionId: string;
+  transferTransactionId: string | null;
+  transferError: string | null;
+  mintedAt: string;
+  owner?: string | null;
+}
+
+// What one notarization cost; fees still read back from the mirror node are in feesPending
+export interface NotarizationCosts {
+  notarizationId: string;
+  totals: {
+    notarizations: number;
+    hbar: { operator: number; user: number; total: number };
+    transactions: number;
+    llm: { calls: number; promptTokens: number; completionTokens: number; totalTokens: number };
+    visionCalls: number;
+  };
+  items: Array<{
+    kind: 'hcs-topic' | 'hcs-message' | 'hts-collection' | 'hts-mint' | 'hts-transfer' | 'llm' | 'vision';
+    payer: 'operator' | 'user';
+    transactionId: string | null;
+    tinybars: number;
+    model: string | null;
+    calls: number;
+    promptTokens: number;
+    completionTokens: number;
+    totalTokens: number;
+    recordedAt: string;
+  }>;
+  feesPending: number;
+}
+
 // ============================================================================
 // Phase 2 AI Processing Types
 // ============================================================================
@@ -44,16 +108,26 @@ export interface NotarizationResponse {
 export interface ClaimData {
   cid: string;
   source: string;
-  topicId: string;
-  transactionId: string;
-  transactionHash: string;
-  consensusTimestamp: string;
-  memo: string;
-  mirrorNodeData?: {
-    charged_tx_fee: number;
-    max_fee: number;
-    result: string;
-  };
+  topicId: string | null;
+  transactionId: string | null;
+  transactionHash: string | null;
+  consensusTimestamp: string | null;
+  sequenceNumber: number | null;
+  payerAccountId: string | null;
+  chunks: number;
+  notarization: Record<string, unknown> | null;
+}
+
+export interface TopicSubscriptionStatus {
+  running: boolean;
+  startTimestamp: string | null;
+  topics: Array<{
+    topicId: string;
+    sequenceNumber: number | null;
+    consensusTimestamp: string | null;
+    delivered: number;
+    lastError: string | null;
+  }>;
 }
 
 export interface StructuredClaim {
@@ -67,8 +141,9 @@ export interface StructuredClaim {
   confidence: number;
   entities: EntityExtraction;
   extractionMethod?: string;
+  mentions?: string[];
   validations: string[];
-  qualityMetrics: QualityMetrics;
+  qualityMetrics?: QualityMetrics;
   semanticAnalysis?: SemanticAnalysis;
 }
 
@@ -99,16 +174,20 @@ export interface SemanticAnalysis {
 
 export interface ProcessedClaim {
   cid: string;
-  originalText: string;
-  structuredData: StructuredClaim;
+  originalText?: string | null;
+  structuredData: StructuredClaim | null;
   hederaMetadata: ClaimData;
+  evidenceRetrievalPlan: EvidenceRetrievalPlan | null;
+  evidence: EvidenceGathering | null;
+  verdict: ClaimVerdict | null;
   processingMetadata: {
     processedAt: string;
     processingTimeMs: number;
-    orchestratorVersion: string;
+    stages: string[];
     source: string;
+    retrieval: Record<string, unknown> | null;
+    parsing: Record<string, unknown> | null;
   };
-  evidenceRetrievalPlan?: EvidenceRetrievalPlan;
 }
 
 export interface EvidenceRetrievalPlan {
@@ -117,10 +196,11 @@ export interface EvidenceRetrievalPlan {
   priorityLevel: number;
   evidenceTypes: string[];
   hederaProof: {
-    transactionId: string;
-    consensusTimestamp: string;
-    topicId: string;
-    mirrorNodeUrl: string;
+    network: string;
+    transactionId: string | null;
+    consensusTimestamp: string | null;
+    topicId: string | null;
+    mirrorNodeUrl: string | null;
   };
   ipfsProof: {
     cid: string;
@@ -130,6 +210,56 @@ export interface EvidenceRetrievalPlan {
   preparedAt: string;
 }
 
+export interface EvidenceGathering {
+  provider: string;
+  queries: number;
+  pagesExamined: number;
+  items: number;
+  topRelevance: number | null;
+  failures: Array<{ query?: string; url?: string; error: string }>;
+  gatheredAt: string;
+}
+
+export interface ClaimVerdict {
+  verdict: 'supported' | 'contradicted' | 'disputed' | 'unverified';
+  confidence: number;
+  supporting: number;
+  contradicting: number;
+  basis: Array<{
+    url: string;
+    relevance: number;
+    stance: 'supports' | 'contradicts';
+    reason: 'consistent' | 'denial' | 'different-figure';
+  }>;
+  decidedAt: string;
+}
+
+export interface EvidenceItem {
+  cid: string;
+  claimKey: string;
+  rank: number;
+  url: string;
+  title: string | null;
+  excerpt: string;
+  provider: string;
+  queries: string[];
+  relevance: {
+    score: number;
+    components: Record<'subject' | 'statement' | 'entities' | 'quantities', number | null>;
+    matchedTerms: string[];
+  };
+  gatheredAt: string;
+}
+
+export interface ClaimEvidenceResponse {
+  success: boolean;
+  cid: string;
+  status: PipelineClaim['status'];
+  gathering: EvidenceGathering | null;
+  evidence: EvidenceItem[];
+  total: number;
+}
+
 // ============================================================================
 // Agent System Types
 // ============================================================================
@@ -143,15 +273,39 @@ export interface AgentStatus {
   errors: string[];
 }
 
-export interface OrchestratorStats {
-  totalProcessed: number;
-  isRunning: boolean;
-  lastProcessedTimestamp: string | null;
-  uptime: number;
+export interface PipelineStats {
+  total: number;
+  completed: number;
+  failed: number;
+  pending: number;
   claimTypes: Record<string, number>;
   averageConfidence: number;
   readyForEvidence: number;
+  withEvidence: number;
+  verdicts: Record<string, number>;
   priorityDistribution: Record<number, number>;
+  lastProcessedAt: string | null;
+}
+
+export interface PipelineStageResult {
+  name: string;
+  status: 'completed' | 'failed';
+  durationMs: number;
+  error: string | null;
+}
+
+export interface PipelineClaim {
+  key: string;
+  cid: string;
+  status: 'pending' | 'processing' | 'completed' | 'failed';
+  currentStage: string | null;
+  acceptedAt: string;
+  finishedAt: string | null;
+  error: string | null;
+  failedStage: string | null;
+  stages: PipelineStageResult[];
+  hederaMetadata: ClaimData;
+  result: ProcessedClaim | null;
 }
 
 export interface ParsingResult {
@@ -191,16 +345,26 @@ export interface HealthCheckResponse {
   version?: string;
 }
 
-export interface Phase2StatusResponse {
+export interface PipelineStatusResponse {
   success: boolean;
-  phase2: {
-    status: 'running' | 'stopped' | 'not_available';
-    hederaConnected: boolean;
-    claimParserReady: boolean;
+  pipeline: {
+    status: 'running' | 'stopped';
+    startedAt: string | null;
     mirrorNodeUrl: string;
-    processedClaims: number;
-    lastCheck: string | null;
-    stats: OrchestratorStats;
+    stages: Array<{
+      name: string;
+      options: Record<string, unknown>;
+      runs: number;
+      failures: number;
+      averageMs: number;
+    }>;
+    queue: {
+      concurrency: number;
+      queued: number;
+      active: Array<{ cid: string; key: string; stage: string | null }>;
+    };
+    subscription: TopicSubscriptionStatus | null;
+    stats: PipelineStats;
   };
 }
 
@@ -208,11 +372,13 @@ export interface Phase2StatusResponse {
 // Frontend Specific Types
 // ============================================================================
 
+export type HederaNetwork = 'mainnet' | 'testnet' | 'previewnet' | 'local';
+
 export interface WalletConnection {
   connected: boolean;
   accountId: string;
   balance: string;
-  network: 'mainnet' | 'testnet';
+  network: HederaNetwork;
 }
 
 export interface NotarizationFormState {
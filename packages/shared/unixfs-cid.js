@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import { importByteStream } from 'ipfs-unixfs-importer';
+import { fixedSize, rabin } from 'ipfs-unixfs-importer/chunker';
+import { CID } from 'multiformats/cid';
+import * as Digest from 'multiformats/hashes/digest';
+
+/**
+ * UnixFS CID builder
+ * Produces the same CID that Kubo (and Filebase, which runs Kubo) assigns to
+ * an uploaded file: content is chunked, wrapped in dag-pb/UnixFS nodes and
+ * linked in a balanced DAG. Only the CID is kept, blocks are not stored.
+ */
+
+export const DEFAULT_CHUNKER = 'size-262144';
+const RAW_CODEC = 0x55;
+const SHA2_256_CODE = 0x12;
+
+// Blocks are only hashed, never persisted
+const discardingBlockstore = {
+    put: async (cid) => cid
+};
+
+/**
+ * Parse a Kubo-style chunker spec ("size-<bytes>" or "rabin-<min>-<avg>-<max>")
+ * @param {string} spec - Chunker spec
+ * @returns {Function} ipfs-unixfs-importer chunker
+ */
+export function parseChunker(spec = DEFAULT_CHUNKER) {
+    const [name, ...args] = String(spec).trim().split('-');
+    const sizes = args.map(arg => parseInt(arg, 10));
+    if (sizes.some(size => !Number.isInteger(size) || size <= 0)) {
+        throw new Error(`Invalid chunker "${spec}"`);
+    }
+
+    if (name === 'size' && sizes.length === 1) {
+        return fixedSize({ chunkSize: sizes[0] });
+    }
+    if (name === 'rabin' && sizes.length === 3) {
+        const [minChunkSize, avgChunkSize, maxChunkSize] = sizes;
+        return rabin({ minChunkSize, avgChunkSize, maxChunkSize });
+    }
+    throw new Error(`Invalid chunker "${spec}" (use "size-<bytes>" or "rabin-<min>-<avg>-<max>")`);
+}
+
+/**
+ * Build the UnixFS CID of some content, plus its plain SHA-256 digest
+ * @param {Buffer|Uint8Array} content - File bytes
+ * @param {Object} options
+ * @param {number} [options.cidVersion=0] - 0 (Qm...) or 1 (bafy...)
+ * @param {string} [options.chunker='size-262144'] - Kubo-style chunker spec
+ * @param {boolean} [options.rawLeaves] - Store leaves as raw blocks (defaults to true for CIDv1, like Kubo)
+ * @returns {Promise<Object>} { cid, cidVersion, chunker, rawLeaves, sha256, rawCid, size }
+ */
+export async function buildUnixFsCid(content, options = {}) {
+    const bytes = content instanceof Uint8Array ? content : Buffer.from(content);
+    return buildUnixFsCidFromStream([bytes], options);
+}
+
+/**
+ * Build the UnixFS CID of streamed content without holding it in memory
+ * @param {Iterable<Uint8Array>|AsyncIterable<Uint8Array>} source - Content chunks in order (e.g. a file read stream)
+ * @param {Object} options - Same as buildUnixFsCid
+ * @returns {Promise<Object>} { cid, cidVersion, chunker, rawLeaves, sha256, rawCid, size }
+ */
+export async function buildUnixFsCidFromStream(source, { cidVersion = 0, chunker = DEFAULT_CHUNKER, rawLeaves } = {}) {
+    const version = Number(cidVersion);
+    if (version !== 0 && version !== 1) {
+        throw new Error(`Unsupported CID version ${cidVersion}`);
+    }
+    const useRawLeaves = rawLeaves ?? version === 1;
+    if (version === 0 && useRawLeaves) {
+        throw new Error('Raw leaves require CIDv1');
+    }
+
+    // Hash the plain bytes while the importer consumes them
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    async function* hashing() {
+        for await (const chunk of source) {
+            hash.update(chunk);
+            size += chunk.length;
+            yield chunk;
+        }
+    }
+
+    const { cid } = await importByteStream(hashing(), discardingBlockstore, {
+        cidVersion: version,
+        rawLeaves: useRawLeaves,
+        chunker: parseChunker(chunker),
+        reduceSingleLeafToSelf: true
+    });
+
+    const sha256 = hash.digest();
+    return {
+        cid: cid.toString(),
+        cidVersion: version,
+        chunker,
+        rawLeaves: useRawLeaves,
+        sha256: sha256.toString('hex'),
+        // CIDv1 over the whole buffer with the raw codec (the format used before UnixFS CIDs)
+        rawCid: CID.createV1(RAW_CODEC, Digest.create(SHA2_256_CODE, sha256)).toString(),
+        size
+    };
+}
+
+/**
+ * Compare two CIDs regardless of version/encoding (Qm... vs bafy... of the same DAG)
+ * @param {string} a - CID string
+ * @param {string} b - CID string
+ * @returns {boolean} True if both address the same dag-pb root
+ */
+export function sameCid(a, b) {
+    if (!a || !b) return false;
+    try {
+        const left = CID.parse(a);
+        const right = CID.parse(b);
+        return left.code === right.code && left.multihash.bytes.length === right.multihash.bytes.length &&
+            left.multihash.bytes.every((byte, i) => byte === right.multihash.bytes[i]);
+    } catch (_) {
+        return false;
+    }
+}
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+
+/**
+ * Wallet-signed notarization messages
+ * The user's wallet signs a short statement binding their Hedera account to the
+ * SHA-256 of the content. Wallets (HashPack via WalletConnect `hedera_signMessage`)
+ * sign the statement with the Hedera message prefix, see prefixSignedMessage.
+ * Clients that cannot import this module must build byte-identical messages.
+ */
+
+export const NOTARIZATION_STATEMENT = 'Hedera Notary: I request notarization of this content';
+
+const MESSAGE_PATTERN = new RegExp(
+    `^${NOTARIZATION_STATEMENT}\\nAccount: (\\d+\\.\\d+\\.\\d+)\\nSHA-256: ([0-9a-f]{64})\\nIssued: (\\S+)$`
+);
+
+/**
+ * Build the message a wallet signs to authorize a notarization
+ * @param {Object} params
+ * @param {string} params.accountId - Hedera account (0.0.x)
+ * @param {string} params.sha256 - Hex SHA-256 of the notarized bytes
+ * @param {string} [params.issuedAt] - ISO timestamp, defaults to now
+ * @returns {string} Message to sign
+ */
+export function buildNotarizationMessage({ accountId, sha256, issuedAt = new Date().toISOString() }) {
+    return `${NOTARIZATION_STATEMENT}\nAccount: ${accountId}\nSHA-256: ${sha256.toLowerCase()}\nIssued: ${issuedAt}`;
+}
+
+/**
+ * SHA-256 a notarization signature covers: the content's, or for an image sent
+ * with text, the SHA-256 of "<image SHA-256>\n<text SHA-256>" so the text is signed too
+ * @param {string} contentSha256 - Hex SHA-256 of the stored bytes (the image, or the text)
+ * @param {string|null} [textSha256] - Hex SHA-256 of the UTF-8 text sent with an image
+ * @returns {string} Hex SHA-256 to put in the signed message
+ */
+export function signedContentDigest(contentSha256, textSha256 = null) {
+    if (!textSha256) return contentSha256.toLowerCase();
+    return crypto.createHash('sha256')
+        .update(`${contentSha256.toLowerCase()}\n${textSha256.toLowerCase()}`, 'utf8')
+        .digest('hex');
+}
+
+/**
+ * Parse a notarization message built by buildNotarizationMessage
+ * @param {string} message - Signed message
+ * @returns {Object|null} { accountId, sha256, issuedAt } or null when malformed
+ */
+export function parseNotarizationMessage(message) {
+    const match = typeof message === 'string' ? message.match(MESSAGE_PATTERN) : null;
+    if (!match || Number.isNaN(Date.parse(match[3]))) return null;
+    return { accountId: match[1], sha256: match[2], issuedAt: match[3] };
+}
+
+/**
+ * Bytes actually signed by Hedera wallets for hedera_signMessage
+ * @param {string} message - Message as sent to the wallet
+ * @returns {Buffer} Prefixed message bytes
+ */
+export function prefixSignedMessage(message) {
+    return Buffer.from(`\x19Hedera Signed Message:\n${message.length}${message}`, 'utf8');
+}
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Proof Bundle Verifier CLI
+ * Usage: node packages/verifier/cli.js <bundle.json> <file> (--trust <keyId> | --trust-key <key.pem>) [--mirror <url>] [--offline] [--snapshot <message.json>]
+ * Exits with 0 when the bundle passes, 1 when it does not (failed, untrusted signer
+ * or not confirmed on a mirror node), 2 on usage errors.
+ */
+
+import { readFile } from 'fs/promises';
+import { verifyProofBundle } from './proof-verifier.js';
+
+function parseArgs(argv) {
+    const options = { positional: [], trustedKeyIds: [], trustedKeyPaths: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--mirror') options.mirrorNodeUrl = argv[++i];
+        else if (arg === '--snapshot') options.snapshotPath = argv[++i];
+        else if (arg === '--trust') options.trustedKeyIds.push(argv[++i]);
+        else if (arg === '--trust-key') options.trustedKeyPaths.push(argv[++i]);
+        else if (arg === '--offline') options.offline = true;
+        else if (arg === '--json') options.json = true;
+        else options.positional.push(arg);
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const [bundlePath, filePath] = options.positional;
+    if (!bundlePath || !filePath) {
+        console.error('Usage: node packages/verifier/cli.js <bundle.json> <file> (--trust <keyId> | --trust-key <key.pem>) [--mirror <url>] [--offline] [--snapshot <message.json>] [--json]');
+        process.exit(2);
+    }
+
+    const bundle = JSON.parse(await readFile(bundlePath, 'utf8'));
+    const content = await readFile(filePath);
+    const mirrorSnapshot = options.snapshotPath ? JSON.parse(await readFile(options.snapshotPath, 'utf8')) : undefined;
+    const trustedPublicKeys = await Promise.all(options.trustedKeyPaths.map(keyPath => readFile(keyPath, 'utf8')));
+
+    const report = await verifyProofBundle({
+        bundle,
+        content,
+        mirrorNodeUrl: options.mirrorNodeUrl,
+        mirrorSnapshot,
+        offline: options.offline,
+        trustedKeyIds: options.trustedKeyIds,
+        trustedPublicKeys
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`${report.verified ? '✅' : '❌'} Proof ${report.result.toUpperCase()} for CID ${report.cid}`);
+        console.log(`   Network:        ${report.network || 'unknown'}`);
+        console.log(`   Consensus time: ${report.consensusTime || 'unknown'}`);
+        console.log(`   Ledger source:  ${report.ledgerSource}${report.ledgerSource === 'snapshot' ? ' (not independently checked)' : ''}`);
+        console.log(`   Signer key ID:  ${report.signerKeyId || 'none'}`);
+        for (const [name, passed] of Object.entries(report.checks)) {
+            console.log(`   ${passed ? '✓' : '✗'} ${name}`);
+        }
+        report.errors.forEach(error => console.log(`   ⚠️ ${error}`));
+    }
+    process.exit(report.verified ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('❌ Verification failed:', error.message);
+    process.exit(2);
+});
@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import { verifyInclusionProof } from 'hedera-notary-shared/merkle.js';
+import { buildUnixFsCid } from 'hedera-notary-shared/unixfs-cid.js';
+import { reassembleChunks } from 'hedera-notary-shared/hcs-messages.js';
+import { MESSAGE_TYPES, decodeMirrorMessage } from 'hedera-notary-shared/message-codec.js';
+import {
+    PROOF_BUNDLE_FORMAT,
+    PROOF_BUNDLE_VERSION,
+    keyIdFor,
+    verifyBundleSignature
+} from 'hedera-notary-shared/proof-bundle.js';
+
+/**
+ * Offline proof bundle verifier
+ * Checks a proof bundle against the notarized file and the Hedera ledger,
+ * either live through any mirror node or against a recorded mirror-node snapshot.
+ * Depends only on packages/shared - it never talks to the notarization backend.
+ *
+ * Anyone can re-sign an edited bundle and record a matching snapshot, so a
+ * bundle only passes when its signer is trusted (key ID or pinned public key)
+ * and its anchor was found on a mirror node. A bundle whose checks all hold
+ * otherwise reports 'untrusted-signer' or 'unanchored' instead of 'pass'.
+ */
+
+// Public mirror nodes, used when no mirror node URL is given
+export const MIRROR_NODES = {
+    mainnet: 'https://mainnet-public.mirrornode.hedera.com',
+    testnet: 'https://testnet.mirrornode.hedera.com',
+    previewnet: 'https://previewnet.mirrornode.hedera.com',
+    local: 'http://localhost:5551'
+};
+
+/**
+ * Fetch the anchored topic message from a mirror node; chunked messages are
+ * fetched chunk by chunk and reassembled
+ * @param {string} mirrorNodeUrl - e.g. https://mainnet.mirrornode.hedera.com
+ * @param {Object} anchor - Bundle anchor (topicId, sequenceNumber, chunks)
+ * @returns {Promise<Object>} Mirror node topic message
+ */
+export async function fetchMirrorMessage(mirrorNodeUrl, anchor) {
+    if (anchor.chunks) {
+        const chunks = await Promise.all(anchor.chunks.map(chunk =>
+            fetchTopicMessage(mirrorNodeUrl, anchor.topicId, chunk.sequenceNumber)));
+        return reassembleChunks(chunks);
+    }
+    return fetchTopicMessage(mirrorNodeUrl, anchor.topicId, anchor.sequenceNumber);
+}
+
+async function fetchTopicMessage(mirrorNodeUrl, topicId, sequenceNumber) {
+    const url = `${mirrorNodeUrl.replace(/\/$/, '')}/api/v1/topics/${topicId}/messages/${sequenceNumber}`;
+    const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) {
+        throw new Error(`Mirror node request failed (${response.status}): ${url}`);
+    }
+    return response.json();
+}
+
+// Anchored message in the current schema (older versions are migrated), or null
+function decodeMessage(mirrorMessage) {
+    try {
+        return decodeMirrorMessage(mirrorMessage);
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Verify a proof bundle
+ * @param {Object} params
+ * @param {Object} params.bundle - Proof bundle (parsed JSON)
+ * @param {Buffer} params.content - The notarized file
+ * @param {string} [params.mirrorNodeUrl] - Check the ledger live through this mirror node (defaults to the public mirror node of the bundle's network)
+ * @param {Object} [params.mirrorSnapshot] - Recorded mirror-node message; checks against it instead of a mirror node
+ * @param {boolean} [params.offline] - Check against the mirror-node record inside the bundle instead of a mirror node
+ * @param {string[]} [params.trustedKeyIds] - Key IDs of trusted signers
+ * @param {string[]} [params.trustedPublicKeys] - PEM public keys of trusted signers
+ * @returns {Promise<Object>} { verified, result, checks, errors, ledgerSource, ... } - result is
+ *   'pass', 'fail', 'untrusted-signer' or 'unanchored'
+ */
+export async function verifyProofBundle({ bundle, content, mirrorNodeUrl, mirrorSnapshot, offline = false, trustedKeyIds = [], trustedPublicKeys = [] }) {
+    const checks = {};
+    const errors = [];
+    const fail = (name, message) => {
+        checks[name] = false;
+        errors.push(message);
+    };
+
+    // 1. Format
+    checks.format = bundle?.format === PROOF_BUNDLE_FORMAT && bundle?.version === PROOF_BUNDLE_VERSION;
+    if (!checks.format) {
+        errors.push(`Unsupported bundle format ${bundle?.format} v${bundle?.version}`);
+        return { verified: false, result: 'fail', cid: bundle?.content?.cid || null, ledgerSource: null, signerKeyId: null, checks, errors };
+    }
+
+    // 2. Issuer signature (integrity of the bundle itself)
+    const signature = verifyBundleSignature(bundle);
+    checks.signature = signature.valid;
+    if (!signature.valid) errors.push(`Signature: ${signature.error}`);
+    const trusted = [...trustedKeyIds, ...trustedPublicKeys.map(pem => keyIdFor(crypto.createPublicKey(pem)))];
+    const trustedSigner = signature.valid && trusted.includes(signature.keyId);
+    if (signature.valid && trusted.length > 0 && !trustedSigner) {
+        fail('trustedSigner', `Signer ${signature.keyId} is not trusted`);
+    }
+
+    // 3. Content: digest, size and CID recomputed from the file
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    if (bundle.content.sha256) {
+        checks.contentDigest = sha256 === bundle.content.sha256;
+        if (!checks.contentDigest) errors.push('File SHA-256 does not match the bundle');
+    }
+    if (bundle.content.size !== null && bundle.content.size !== undefined) {
+        checks.contentSize = content.length === bundle.content.size;
+        if (!checks.contentSize) errors.push(`File has ${content.length} bytes, bundle says ${bundle.content.size}`);
+    }
+    const params = bundle.content.cidParameters;
+    const built = await buildUnixFsCid(content, params?.format === 'unixfs' ? params : {});
+    const recomputedCid = params?.format === 'unixfs' ? built.cid : built.rawCid;
+    checks.cid = recomputedCid === bundle.content.cid;
+    if (!checks.cid) errors.push(`Recomputed CID ${recomputedCid} does not match ${bundle.content.cid}`);
+
+    // 4. Ledger record: live from a mirror node, or the recorded snapshot
+    const { anchor } = bundle;
+    let ledgerSource = 'snapshot';
+    let mirrorMessage = mirrorSnapshot || bundle.mirrorRecord?.message || null;
+    // The bundle's mirror node URL is not used: the issuer chose it
+    if (offline) {
+        mirrorNodeUrl = null;
+    } else if (!mirrorNodeUrl && !mirrorSnapshot) {
+        mirrorNodeUrl = MIRROR_NODES[anchor.network];
+    }
+    if (mirrorNodeUrl) {
+        ledgerSource = 'mirror-node';
+        try {
+            mirrorMessage = await fetchMirrorMessage(mirrorNodeUrl, anchor);
+        } catch (error) {
+            fail('ledgerRecord', `Mirror node lookup failed: ${error.message}`);
+            mirrorMessage = null;
+        }
+    } else if (mirrorMessage?.chunks) {
+        // Rebuild the payload from the recorded chunks rather than trusting the joined copy
+        try {
+            mirrorMessage = reassembleChunks(mirrorMessage.chunks);
+        } catch (error) {
+            fail('ledgerRecord', `Recorded message: ${error.message}`);
+            mirrorMessage = null;
+        }
+    }
+
+    let anchoredPayload = null;
+    if (mirrorMessage) {
+        checks.ledgerRecord = mirrorMessage.topic_id === anchor.topicId &&
+            Number(mirrorMessage.sequence_number) === Number(anchor.sequenceNumber) &&
+            mirrorMessage.consensus_timestamp === anchor.consensusTimestamp &&
+            mirrorMessage.running_hash === anchor.runningHash &&
+            mirrorMessage.message === anchor.message;
+        if (!checks.ledgerRecord) errors.push('Ledger record does not match the bundle anchor');
+        anchoredPayload = decodeMessage(mirrorMessage);
+    } else if (checks.ledgerRecord === undefined) {
+        fail('ledgerRecord', 'No ledger record available (pass a mirror node URL or snapshot)');
+    }
+
+    // 5. The anchored message commits to this content, directly or through a Merkle root
+    if (anchoredPayload) {
+        // Messages name the network they were anchored on; the bundle must point at the same ledger
+        if (anchoredPayload.network !== undefined) {
+            checks.network = anchoredPayload.network === anchor.network;
+            if (!checks.network) errors.push(`Message was anchored on ${anchoredPayload.network}, bundle says ${anchor.network}`);
+        }
+        if (anchor.type === 'merkle-batch') {
+            const proof = bundle.merkle;
+            checks.merkleProof = !!proof && anchoredPayload.type === MESSAGE_TYPES.MERKLE_BATCH &&
+                proof.leaf?.cid === bundle.content.cid &&
+                verifyInclusionProof(proof, anchoredPayload.merkleRoot);
+            if (!checks.merkleProof) errors.push('Merkle inclusion proof does not lead to the anchored root');
+            checks.anchoredContent = checks.merkleProof &&
+                (proof.leaf.contentSha256 === undefined || proof.leaf.contentSha256 === sha256);
+        } else {
+            checks.anchoredContent = anchoredPayload.type === MESSAGE_TYPES.NOTARIZATION &&
+                anchoredPayload.ipfsCid === bundle.content.cid &&
+                (anchoredPayload.contentSha256 === undefined || anchoredPayload.contentSha256 === sha256);
+        }
+        if (!checks.anchoredContent) errors.push('Anchored message does not reference this content');
+    } else if (mirrorMessage) {
+        fail('anchoredContent', 'Anchored message is not a valid notary message');
+    }
+
+    let result = 'pass';
+    if (!Object.values(checks).every(Boolean)) {
+        result = 'fail';
+    } else if (!trustedSigner) {
+        errors.push(`Signer ${signature.keyId} is not a trusted key (pass its key ID or public key)`);
+        result = 'untrusted-signer';
+    } else if (ledgerSource !== 'mirror-node') {
+        errors.push(`Anchor was not confirmed on a mirror node${MIRROR_NODES[anchor.network] ? '' : ` (no public mirror node for network ${anchor.network}, pass one)`}`);
+        result = 'unanchored';
+    }
+    return {
+        verified: result === 'pass',
+        result,
+        cid: bundle.content.cid,
+        network: anchor.network || null,
+        consensusTimestamp: anchor.consensusTimestamp,
+        consensusTime: anchor.consensusTimestamp
+            ? new Date(parseFloat(anchor.consensusTimestamp) * 1000).toISOString()
+            : null,
+        // A snapshot only proves consistency with what the issuer recorded; a mirror node check is independent
+        ledgerSource,
+        signerKeyId: signature.keyId,
+        checks,
+        errors
+    };
+}
@@ -92,15 +92,15 @@ class HealthChecker {
     async checkPhase2() {
         return this.runCheck('Phase 2 AI System', async () => {
             try {
-                const response = await axios.get(`${this.backendUrl}/api/phase2/status`, {
+                const response = await axios.get(`${this.backendUrl}/api/pipeline`, {
                     timeout: 10000
                 });
                 
                 return {
                     available: response.data.success,
-                    status: response.data.phase2?.status || 'not_available',
-                    hederaConnected: response.data.phase2?.hederaConnected || false,
-                    claimParserReady: response.data.phase2?.claimParserReady || false
+                    status: response.data.pipeline?.status || 'not_available',
+                    stages: response.data.pipeline?.stages?.map(stage => stage.name) || [],
+                    queued: response.data.pipeline?.queue?.queued || 0
                 };
                 
             } catch (error) {
@@ -223,7 +223,7 @@ class HealthChecker {
             const requiredDirs = [
                 'apps/frontend/src',
                 'apps/backend/src',
-                'packages/agents/orchestrators',
+                'packages/agents/pipeline',
                 'packages/agents/parsers',
                 'packages/config/env',
                 'tests/e2e'
@@ -6,8 +6,12 @@
 import { spawn } from 'child_process';
 import { promises as fs } from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import axios from 'axios';
+import { PrivateKey } from '@hashgraph/sdk';
+import { proto } from '@hashgraph/proto';
 import { config } from '../../packages/config/env/config.js';
+import { buildNotarizationMessage, prefixSignedMessage } from '../../packages/shared/wallet-signature.js';
 
 /**
  * E2E Test Runner
@@ -139,7 +143,7 @@ class CompleteFlowTest {
         this.log("🤖 Testing Phase 2 AI system availability...");
         
         try {
-            const response = await axios.get(`${this.backendUrl}/api/phase2/status`);
+            const response = await axios.get(`${this.backendUrl}/api/pipeline`);
             const phase2Data = response.data;
             
             if (!phase2Data.success) {
@@ -152,9 +156,8 @@ class CompleteFlowTest {
             }
 
             this.logResult("Phase 2 Availability", true, {
-                status: phase2Data.phase2.status,
-                hederaConnected: phase2Data.phase2.hederaConnected,
-                claimParserReady: phase2Data.phase2.claimParserReady
+                status: phase2Data.pipeline.status,
+                stages: phase2Data.pipeline.stages.map(stage => stage.name)
             });
 
             return true;
@@ -165,6 +168,16 @@ class CompleteFlowTest {
         }
     }
 
+    // Sign text with the operator key, as the account's wallet would (notarizations must be signed)
+    signText(text) {
+        const key = PrivateKey.fromStringECDSA(config.hedera.privateKey);
+        const sha256 = crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+        const signedMessage = buildNotarizationMessage({ accountId: config.hedera.accountId, sha256 });
+        const sigPair = { pubKeyPrefix: key.publicKey.toBytesRaw(), ECDSASecp256k1: key.sign(prefixSignedMessage(signedMessage)) };
+        const signatureMap = Buffer.from(proto.SignatureMap.encode({ sigPair: [sigPair] }).finish()).toString('base64');
+        return { signedMessage, signatureMap };
+    }
+
     // Test content notarization flow
     async testNotarizationFlow() {
         this.log("📝 Testing content notarization flow...");
@@ -177,7 +190,10 @@ class CompleteFlowTest {
                 
                 // Prepare notarization request
                 const formData = new FormData();
+                const { signedMessage, signatureMap } = this.signText(testClaim.text);
                 formData.append('accountId', config.hedera.accountId);
+                formData.append('signedMessage', signedMessage);
+                formData.append('signatureMap', signatureMap);
                 formData.append('contentType', 'text');
                 formData.append('text', testClaim.text);
                 formData.append('title', testClaim.name);
@@ -270,22 +286,22 @@ class CompleteFlowTest {
         
         try {
             // Start Phase 2 processing
-            await axios.post(`${this.backendUrl}/api/phase2/start`);
+            await axios.post(`${this.backendUrl}/api/pipeline/start`);
             this.log("✅ Phase 2 processing started");
 
             // Wait for claims to be processed
             await new Promise(resolve => setTimeout(resolve, 30000)); // 30 seconds
 
             // Check processed claims
-            const response = await axios.get(`${this.backendUrl}/api/phase2/claims`);
+            const response = await axios.get(`${this.backendUrl}/api/pipeline/claims?status=completed`);
             const processedClaims = response.data.claims;
 
             this.logResult("Phase 2 Claim Processing", processedClaims.length > 0, {
                 totalProcessed: processedClaims.length,
                 claims: processedClaims.map(claim => ({
                     cid: claim.cid,
-                    claimType: claim.structuredData.claimType,
-                    confidence: claim.structuredData.confidence
+                    claimType: claim.result.structuredData?.claimType,
+                    confidence: claim.result.structuredData?.confidence
                 }))
             });
 
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { CarWriter } from '@ipld/car';
+import { importByteStream } from 'ipfs-unixfs-importer';
+import { fixedSize } from 'ipfs-unixfs-importer/chunker';
+import { ContentVerificationError, verifyCar } from '../../packages/shared/trustless-retrieval.js';
+
+// CAR of a file as a trustless gateway serves it: every block of the DAG under the root
+async function carOf(content, { cidVersion = 0, rawLeaves = false, alter = null } = {}) {
+    const blocks = [];
+    const blockstore = { put: async (cid, bytes) => { blocks.push({ cid, bytes }); return cid; } };
+    const { cid } = await importByteStream([content], blockstore, {
+        cidVersion,
+        rawLeaves,
+        chunker: fixedSize({ chunkSize: 1024 }),
+        reduceSingleLeafToSelf: true
+    });
+
+    const { writer, out } = CarWriter.create([cid]);
+    const collected = (async () => {
+        const chunks = [];
+        for await (const chunk of out) chunks.push(chunk);
+        return Buffer.concat(chunks);
+    })();
+    for (const [index, block] of blocks.entries()) {
+        const written = alter ? alter(block, index) : block;
+        if (written) await writer.put(written);
+    }
+    await writer.close();
+    return { cid: cid.toString(), car: await collected, blocks: blocks.length };
+}
+
+describe('CAR verification', () => {
+    it('rebuilds a multi-block file from a CARv0 DAG', async () => {
+        const content = crypto.randomBytes(5000);
+        const { cid, car, blocks } = await carOf(content);
+        const verified = await verifyCar(car, cid);
+        assert.deepEqual(verified.bytes, content);
+        assert.equal(verified.blocks, blocks);
+        assert.ok(blocks > 1);
+    });
+
+    it('rebuilds a file with raw leaves under a CIDv1 root', async () => {
+        const content = crypto.randomBytes(3000);
+        const { cid, car } = await carOf(content, { cidVersion: 1, rawLeaves: true });
+        assert.deepEqual((await verifyCar(car, cid)).bytes, content);
+    });
+
+    it('rejects a CAR without the requested root', async () => {
+        const { car } = await carOf(crypto.randomBytes(2000));
+        const other = await carOf(crypto.randomBytes(2000));
+        await assert.rejects(verifyCar(car, other.cid), ContentVerificationError);
+    });
+
+    it('rejects a block whose bytes do not hash to its CID', async () => {
+        const content = crypto.randomBytes(3000);
+        const tampered = await carOf(content, {
+            alter: (block, index) => index === 0 ? { cid: block.cid, bytes: Buffer.from(block.bytes).fill(0, 20, 40) } : block
+        });
+        await assert.rejects(verifyCar(tampered.car, tampered.cid), ContentVerificationError);
+    });
+
+    it('rejects a DAG with a missing block', async () => {
+        const content = crypto.randomBytes(3000);
+        const { cid } = await carOf(content);
+        const partial = await carOf(content, { alter: (block, index) => index === 0 ? null : block });
+        await assert.rejects(verifyCar(partial.car, cid));
+    });
+});
@@ -0,0 +1,155 @@
+import './helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import path from 'path';
+import express from 'express';
+import { MemoryLedger } from '../../apps/backend/src/ledger/memoryLedger.js';
+import { createMirrorRouter } from '../../apps/backend/src/ledger/mirrorRoutes.js';
+import { TopicSubscription } from '../../packages/shared/topic-subscription.js';
+import { MESSAGE_TYPES, encodeMessage } from '../../packages/shared/message-codec.js';
+import { MERKLE_ALGORITHM, buildTree, getRoot, hashLeaf } from '../../packages/shared/merkle.js';
+import ClaimStore from '../../packages/agents/claim-store.js';
+import ClaimPipeline from '../../packages/agents/pipeline/claim-pipeline.js';
+
+const ledger = new MemoryLedger({ chunkSize: 128 });
+let server;
+let mirrorNodeUrl;
+let topicId;
+
+function notarization(cid) {
+    return encodeMessage({ type: MESSAGE_TYPES.NOTARIZATION, ipfsCid: cid, accountId: '0.0.1234', contentType: 'text', contentSize: 1 });
+}
+
+function tempStore() {
+    return new ClaimStore('unit', mkdtempSync(path.join(process.env.DATA_DIR, 'claims-')));
+}
+
+// Subscription from the beginning of the topic that records what it delivers
+function subscription({ store = null, positions = {}, onMessage = async () => {} } = {}) {
+    const delivered = [];
+    const instance = new TopicSubscription({
+        mirrorNodeUrl,
+        topics: [topicId],
+        startTimestamp: '0.000000000',
+        positions,
+        onMessage: async (message, context) => {
+            await onMessage(message, context);
+            delivered.push(message);
+        },
+        onCheckpoint: store ? (topic, position) => store.saveCheckpoint(topic, position) : undefined
+    });
+    return { instance, delivered };
+}
+
+function cidOf(message) {
+    return JSON.parse(Buffer.from(message.message, 'base64').toString()).ipfsCid;
+}
+
+async function settled(store) {
+    for (let attempt = 0; attempt < 100 && (await store.pending()).length > 0; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('topic checkpoints', () => {
+    before(async () => {
+        ({ topicId } = await ledger.createTopic({ memo: 'unit' }));
+        const app = express();
+        app.use('/mirror', createMirrorRouter(ledger));
+        await new Promise(resolve => {
+            server = app.listen(0, resolve);
+        });
+        mirrorNodeUrl = `http://127.0.0.1:${server.address().port}/mirror`;
+
+        await ledger.submitMessage({ topicId, message: notarization('QmFirst') });
+        // Spans several chunks, delivered once when its last chunk arrives
+        await ledger.submitMessage({ topicId, message: notarization(`Qm${'x'.repeat(300)}`) });
+        await ledger.submitMessage({ topicId, message: notarization('QmThird') });
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('delivers every message once, in order, with chunked ones reassembled', async () => {
+        const { instance, delivered } = subscription();
+        assert.equal((await instance.poll()).delivered, 3);
+        assert.deepEqual(delivered.map(cidOf), ['QmFirst', `Qm${'x'.repeat(300)}`, 'QmThird']);
+        assert.equal((await instance.poll()).delivered, 0);
+    });
+
+    it('delivers a message again when its handler failed', async () => {
+        let failures = 1;
+        const { instance, delivered } = subscription({
+            onMessage: async message => {
+                if (cidOf(message) === 'QmThird' && failures-- > 0) throw new Error('handler failed');
+            }
+        });
+        const first = await instance.poll();
+        assert.equal(first.failed, true);
+        assert.equal(first.delivered, 0);
+        assert.deepEqual(delivered.map(cidOf).slice(-1), [`Qm${'x'.repeat(300)}`]);
+
+        const second = await instance.poll();
+        assert.equal(second.failed, false);
+        assert.deepEqual(delivered.map(cidOf), ['QmFirst', `Qm${'x'.repeat(300)}`, 'QmThird']);
+    });
+
+    it('resumes after the stored checkpoint', async () => {
+        const store = tempStore();
+        const { instance } = subscription({ store });
+        await instance.poll();
+        const positions = await store.getPositions();
+        assert.equal(positions[topicId], (await ledger.getMessages(topicId)).at(-1).sequence_number);
+
+        await ledger.submitMessage({ topicId, message: notarization('QmAfterRestart') });
+        const restarted = subscription({ store, positions });
+        await restarted.instance.poll();
+        assert.deepEqual(restarted.delivered.map(cidOf), ['QmAfterRestart']);
+    });
+
+    it('accepts each message into the claim store exactly once', async () => {
+        const store = tempStore();
+        const pipeline = new ClaimPipeline({ stages: ['ingest'], store });
+        pipeline.log = () => {};
+        const [message] = await ledger.getMessages(topicId);
+
+        const record = await pipeline.ingest({ message, topicId });
+        assert.equal(record.cid, 'QmFirst');
+        assert.equal(await pipeline.ingest({ message, topicId }), null);
+        await settled(store);
+        assert.equal((await store.list({ cid: 'QmFirst' })).length, 1);
+        assert.equal((await store.list({ cid: 'QmFirst' }))[0].status, 'completed');
+    });
+
+    it('accepts one claim per leaf of a Merkle batch', async () => {
+        const leaves = ['QmLeafA', 'QmLeafB', 'QmLeafC'].map(cid => ({ cid, accountId: '0.0.1234', contentType: 'text' }));
+        const merkleRoot = getRoot(buildTree(leaves.map(hashLeaf)));
+        // A ledger with the default chunk size, so the batch message fits in one
+        const batchLedger = new MemoryLedger();
+        const batchTopic = await batchLedger.createTopic({ memo: 'batches' });
+        await batchLedger.submitMessage({
+            topicId: batchTopic.topicId,
+            message: encodeMessage({ type: MESSAGE_TYPES.MERKLE_BATCH, batchId: 'batch-1', merkleRoot, algorithm: MERKLE_ALGORITHM, leafCount: leaves.length })
+        });
+        const [message] = await batchLedger.getMessages(batchTopic.topicId);
+
+        const store = tempStore();
+        const pipeline = new ClaimPipeline({ stages: ['ingest'], store, batchLeaves: async batchId => batchId === 'batch-1' ? leaves : null });
+        pipeline.log = () => {};
+        assert.equal((await pipeline.ingest({ message, topicId: batchTopic.topicId })).cid, 'QmLeafA');
+        assert.equal(await pipeline.ingest({ message, topicId: batchTopic.topicId }), null);
+        await settled(store);
+
+        const records = await store.list();
+        assert.deepEqual(records.map(record => record.cid).sort(), ['QmLeafA', 'QmLeafB', 'QmLeafC']);
+        assert.ok(records.every(record => record.claimData.batch.merkleRoot === merkleRoot));
+
+        // Leaves that don't rebuild the anchored root are not trusted
+        const forged = new ClaimPipeline({ stages: ['ingest'], store: tempStore(), batchLeaves: async () => leaves.slice(1) });
+        forged.log = () => {};
+        assert.equal(await forged.ingest({ message, topicId: batchTopic.topicId }), null);
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { MemoryLedger } from '../../apps/backend/src/ledger/memoryLedger.js';
+import {
+    IncompleteMessageError,
+    initialTransactionIdOf,
+    isChunked,
+    reassembleChunks,
+    splitIntoChunks
+} from '../../packages/shared/hcs-messages.js';
+
+async function chunkedMessage(payload, chunkSize = 64) {
+    const ledger = new MemoryLedger({ chunkSize });
+    const { topicId } = await ledger.createTopic({ memo: 'chunks' });
+    await ledger.submitMessage({ topicId, message: payload });
+    return ledger.getMessages(topicId);
+}
+
+describe('HCS message chunks', () => {
+    it('splits messages at the chunk size', () => {
+        const chunks = splitIntoChunks('x'.repeat(2500));
+        assert.deepEqual(chunks.map(chunk => chunk.length), [1024, 1024, 452]);
+        assert.equal(splitIntoChunks('').length, 1);
+        assert.throws(() => splitIntoChunks('x'.repeat(101), { chunkSize: 10, maxChunks: 10 }), /too long for 10 chunks/);
+    });
+
+    it('reassembles chunks delivered in any order', async () => {
+        const payload = crypto.randomBytes(200).toString('hex');
+        const chunks = await chunkedMessage(payload);
+        assert.equal(chunks.length, 7);
+        assert.ok(chunks.every(isChunked));
+
+        const whole = reassembleChunks([...chunks].reverse());
+        assert.equal(Buffer.from(whole.message, 'base64').toString(), payload);
+        assert.equal(whole.sequence_number, chunks.at(-1).sequence_number);
+        assert.equal(whole.chunks.length, chunks.length);
+        assert.equal(initialTransactionIdOf(whole), initialTransactionIdOf(chunks[0]));
+    });
+
+    it('refuses incomplete or mixed chunk sets', async () => {
+        const chunks = await chunkedMessage('a'.repeat(200));
+        const other = await chunkedMessage('b'.repeat(300), 50);
+        assert.throws(() => reassembleChunks(chunks.slice(1)), IncompleteMessageError);
+        assert.throws(() => reassembleChunks([...chunks.slice(0, -1), other.at(-1)]), IncompleteMessageError);
+        assert.throws(() => reassembleChunks([]), IncompleteMessageError);
+    });
+
+    it('leaves single-chunk messages alone', async () => {
+        const [message] = await chunkedMessage('short', 1024);
+        assert.equal(isChunked(message), false);
+        assert.match(initialTransactionIdOf(message), /^0\.0\.2-\d+-\d{9}$/);
+    });
+});
@@ -0,0 +1,14 @@
+/**
+ * Test environment - import before anything that loads the shared config, so
+ * databases and key files are written to a throwaway directory and the
+ * in-memory ledger is used. The directory is removed when the test file exits.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = mkdtempSync(path.join(os.tmpdir(), 'notary-unit-'));
+process.env.HEDERA_NETWORK = 'memory';
+
+process.on('exit', () => rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
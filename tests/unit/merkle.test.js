@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MERKLE_ALGORITHM,
+    buildTree,
+    canonicalJson,
+    computeRootFromProof,
+    getInclusionProof,
+    getRoot,
+    hashLeaf,
+    hashNode,
+    verifyInclusionProof
+} from '../../packages/shared/merkle.js';
+
+const leaves = Array.from({ length: 5 }, (_, index) => ({ cid: `Qm${index}`, accountId: `0.0.${1000 + index}` }));
+
+function proofFor(leafIndex, entries = leaves) {
+    const levels = buildTree(entries.map(hashLeaf));
+    return { algorithm: MERKLE_ALGORITHM, leaf: entries[leafIndex], path: getInclusionProof(levels, leafIndex), root: getRoot(levels) };
+}
+
+describe('merkle', () => {
+    it('hashes leaves independently of key order', () => {
+        assert.equal(canonicalJson({ b: 1, a: [2, { d: 3, c: 4 }] }), '{"a":[2,{"c":4,"d":3}],"b":1}');
+        assert.equal(hashLeaf({ cid: 'Qm1', accountId: '0.0.1' }), hashLeaf({ accountId: '0.0.1', cid: 'Qm1' }));
+    });
+
+    it('separates leaf and node hashes', () => {
+        const left = hashLeaf(leaves[0]);
+        const right = hashLeaf(leaves[1]);
+        assert.notEqual(hashNode(left, right), hashLeaf({ left, right }));
+        assert.notEqual(hashNode(left, right), hashNode(right, left));
+    });
+
+    it('uses the only leaf as the root', () => {
+        const levels = buildTree([hashLeaf(leaves[0])]);
+        assert.equal(getRoot(levels), hashLeaf(leaves[0]));
+        assert.deepEqual(getInclusionProof(levels, 0), []);
+    });
+
+    it('rejects an empty tree', () => {
+        assert.throws(() => buildTree([]), /without leaves/);
+    });
+
+    it('proves every leaf of an odd-sized batch', () => {
+        for (let index = 0; index < leaves.length; index++) {
+            const proof = proofFor(index);
+            assert.equal(computeRootFromProof(proof.leaf, proof.path), proof.root);
+            assert.equal(verifyInclusionProof(proof), true);
+        }
+    });
+
+    it('promotes the odd node without a sibling', () => {
+        // The fifth leaf of five is promoted twice and paired only at the top
+        assert.equal(proofFor(4).path.length, 1);
+    });
+
+    it('rejects altered leaves, paths, roots and algorithms', () => {
+        const proof = proofFor(2);
+        assert.equal(verifyInclusionProof({ ...proof, leaf: { ...proof.leaf, accountId: '0.0.9' } }), false);
+        assert.equal(verifyInclusionProof({ ...proof, path: proof.path.slice(1) }), false);
+        assert.equal(verifyInclusionProof(proof, hashLeaf(leaves[0])), false);
+        assert.equal(verifyInclusionProof({ ...proof, algorithm: 'sha256-v0' }), false);
+        assert.equal(verifyInclusionProof({ ...proof, path: null }), false);
+    });
+});
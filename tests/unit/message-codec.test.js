@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MESSAGE_SCHEMA_VERSION,
+    MESSAGE_TYPES,
+    MessageSchemaError,
+    decodeMemo,
+    decodeMessage,
+    decodeMirrorMessage,
+    encodeMemo,
+    encodeMessage,
+    migrateMessage
+} from '../../packages/shared/message-codec.js';
+
+const SHA256 = 'ab'.repeat(32);
+
+const notarization = {
+    type: MESSAGE_TYPES.NOTARIZATION,
+    network: 'testnet',
+    accountId: '0.0.1234',
+    ipfsCid: 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o',
+    contentSha256: SHA256,
+    contentType: 'text',
+    contentSize: 12
+};
+
+const batch = {
+    type: MESSAGE_TYPES.MERKLE_BATCH,
+    batchId: 'batch-1',
+    merkleRoot: SHA256,
+    algorithm: 'sha256-domain-separated-v1',
+    leafCount: 3
+};
+
+describe('message codec', () => {
+    it('stamps encoded messages with the current schema version', () => {
+        const encoded = JSON.parse(encodeMessage(notarization));
+        assert.equal(encoded.schemaVersion, MESSAGE_SCHEMA_VERSION);
+        assert.deepEqual(decodeMessage(JSON.stringify(encoded)), encoded);
+    });
+
+    it('migrates version 1 notarizations, which had no type', () => {
+        const { type, ...legacy } = notarization;
+        const decoded = decodeMessage(JSON.stringify(legacy));
+        assert.equal(decoded.type, MESSAGE_TYPES.NOTARIZATION);
+        assert.equal(decoded.schemaVersion, MESSAGE_SCHEMA_VERSION);
+        assert.equal(decoded.ipfsCid, notarization.ipfsCid);
+    });
+
+    it('migrates version 1 batches, which carried their own version', () => {
+        const decoded = decodeMessage(JSON.stringify({ ...batch, version: 1 }));
+        assert.equal(decoded.schemaVersion, MESSAGE_SCHEMA_VERSION);
+        assert.equal('version' in decoded, false);
+        assert.equal(decoded.merkleRoot, SHA256);
+    });
+
+    it('leaves current messages unchanged', () => {
+        const current = { ...batch, schemaVersion: MESSAGE_SCHEMA_VERSION };
+        assert.deepEqual(migrateMessage(current), current);
+    });
+
+    it('rejects newer, invalid and malformed messages', () => {
+        assert.throws(() => decodeMessage(JSON.stringify({ ...notarization, schemaVersion: MESSAGE_SCHEMA_VERSION + 1 })), /newer than the supported/);
+        assert.throws(() => decodeMessage(JSON.stringify({ ...notarization, schemaVersion: 0 })), /Invalid message schema version/);
+        assert.throws(() => decodeMessage('{not json'), MessageSchemaError);
+        assert.throws(() => decodeMessage('[]'), /must be a JSON object/);
+        assert.throws(() => decodeMessage(JSON.stringify({ ...batch, merkleRoot: 'xyz' })), /merkleRoot must be a hex SHA-256 digest/);
+        assert.throws(() => encodeMessage({ ...notarization, ipfsCid: '' }), /ipfsCid is required/);
+        assert.throws(() => encodeMessage({ type: 'other' }), /Unknown message type/);
+    });
+
+    it('reports every validation error', () => {
+        try {
+            encodeMessage({ ...notarization, ipfsCid: '', contentSize: -1 });
+            assert.fail('expected a MessageSchemaError');
+        } catch (error) {
+            assert.ok(error instanceof MessageSchemaError);
+            assert.equal(error.errors.length, 2);
+        }
+    });
+
+    it('decodes mirror node messages', () => {
+        const mirrorMessage = { message: Buffer.from(encodeMessage(batch)).toString('base64') };
+        assert.equal(decodeMirrorMessage(mirrorMessage).batchId, batch.batchId);
+    });
+
+    it('round-trips memos', () => {
+        assert.deepEqual(decodeMemo(encodeMemo({ ...notarization, contentType: 'image-with-text' })), {
+            type: MESSAGE_TYPES.NOTARIZATION,
+            cid: notarization.ipfsCid,
+            contentType: 'image-with-text',
+            contentSize: 12,
+            hasText: true
+        });
+        assert.deepEqual(decodeMemo(encodeMemo(batch)), {
+            type: MESSAGE_TYPES.MERKLE_BATCH,
+            batchId: 'batch-1',
+            rootPrefix: SHA256.slice(0, 16),
+            leafCount: 3
+        });
+        assert.equal(decodeMemo('something else'), null);
+        assert.equal(decodeMemo(null), null);
+    });
+});
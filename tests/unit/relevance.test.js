@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { keyTerms, scoreRelevance, stem } from '../../packages/agents/evidence/relevance.js';
+
+const claim = {
+    subject: 'Electric vehicles',
+    predicate: 'reduces',
+    object: 'carbon emissions',
+    quantifier: '40%',
+    entities: { organizations: ['IEA'] }
+};
+
+describe('relevance scoring', () => {
+    it('scores a document stating the whole claim at 1', () => {
+        const relevance = scoreRelevance(claim, 'Sales grew. The IEA reports that electric vehicles reduced carbon emissions by 40 percent in 2023.');
+        assert.equal(relevance.score, 1);
+        assert.deepEqual(relevance.components, { subject: 1, statement: 1, entities: 1, quantities: 1 });
+        assert.equal(relevance.excerpt, 'The IEA reports that electric vehicles reduced carbon emissions by 40 percent in 2023.');
+    });
+
+    it('weighs each part of the claim it mentions', () => {
+        const subjectOnly = scoreRelevance(claim, 'Electric vehicles are popular.');
+        assert.deepEqual(subjectOnly.components, { subject: 1, statement: 0, entities: 0, quantities: 0 });
+        assert.equal(subjectOnly.score, 0.3);
+
+        const withoutFigure = scoreRelevance(claim, 'Electric vehicles reduced carbon emissions, says the IEA.');
+        assert.equal(withoutFigure.components.quantities, 0);
+        assert.equal(withoutFigure.score, 0.8);
+        assert.deepEqual(withoutFigure.matchedTerms.sort(), ['IEA', 'carbon', 'electric', 'emissions', 'reduces', 'vehicles']);
+    });
+
+    it('leaves out parts the claim does not have', () => {
+        const { quantifier, entities, ...plain } = claim;
+        const relevance = scoreRelevance(plain, 'Electric vehicles are popular.');
+        assert.equal(relevance.components.quantities, null);
+        assert.equal(relevance.components.entities, null);
+        assert.equal(relevance.score, round(0.3 / 0.55));
+    });
+
+    it('scores unrelated documents at 0', () => {
+        const relevance = scoreRelevance(claim, 'The weather was mild all week.');
+        assert.equal(relevance.score, 0);
+        assert.deepEqual(relevance.matchedTerms, []);
+        assert.equal(scoreRelevance(claim, '').excerpt, '');
+    });
+
+    it('matches word forms and skips stopwords and short words', () => {
+        assert.equal(stem('reduced'), stem('reduces'));
+        assert.equal(stem('emissions'), 'emission');
+        assert.equal(stem('uses'), 'uses');
+        assert.deepEqual(keyTerms('The rise of the sea level by 3 mm'), ['rise', 'sea', 'level', '3']);
+    });
+});
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { CID } from 'multiformats/cid';
+import { buildUnixFsCid, buildUnixFsCidFromStream, parseChunker, sameCid } from '../../packages/shared/unixfs-cid.js';
+
+// CIDs assigned by `ipfs add` (Kubo defaults, and --cid-version=1)
+const HELLO = Buffer.from('hello world\n');
+const HELLO_CID_V0 = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const HELLO_CID_V1 = 'bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4';
+const EMPTY_CID_V0 = 'QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH';
+
+describe('unixfs-cid', () => {
+    it('matches the CIDs Kubo assigns', async () => {
+        assert.equal((await buildUnixFsCid(HELLO)).cid, HELLO_CID_V0);
+        assert.equal((await buildUnixFsCid(HELLO, { cidVersion: 1 })).cid, HELLO_CID_V1);
+        assert.equal((await buildUnixFsCid(Buffer.alloc(0))).cid, EMPTY_CID_V0);
+    });
+
+    it('reports the digest, size and options', async () => {
+        const details = await buildUnixFsCid(HELLO, { cidVersion: 1 });
+        assert.equal(details.sha256, crypto.createHash('sha256').update(HELLO).digest('hex'));
+        assert.equal(details.size, HELLO.length);
+        assert.equal(details.rawLeaves, true);
+        assert.equal(details.chunker, 'size-262144');
+    });
+
+    it('gives streamed content the CID of the whole buffer', async () => {
+        const content = crypto.randomBytes(700 * 1024);
+        const whole = await buildUnixFsCid(content);
+        const parts = [content.subarray(0, 5), content.subarray(5, 300 * 1024), content.subarray(300 * 1024)];
+        const streamed = await buildUnixFsCidFromStream((async function* () { yield* parts; })());
+        assert.equal(streamed.cid, whole.cid);
+        assert.equal(streamed.sha256, whole.sha256);
+        assert.equal(streamed.size, content.length);
+    });
+
+    it('changes the CID with the chunker', async () => {
+        const content = crypto.randomBytes(4096);
+        const small = await buildUnixFsCid(content, { chunker: 'size-1024' });
+        const large = await buildUnixFsCid(content);
+        assert.notEqual(small.cid, large.cid);
+        assert.equal(small.sha256, large.sha256);
+    });
+
+    it('rejects invalid options', async () => {
+        assert.throws(() => parseChunker('size-0'), /Invalid chunker/);
+        assert.throws(() => parseChunker('buzhash'), /Invalid chunker/);
+        assert.doesNotThrow(() => parseChunker('rabin-1024-2048-4096'));
+        await assert.rejects(buildUnixFsCid(HELLO, { cidVersion: 2 }), /Unsupported CID version/);
+        await assert.rejects(buildUnixFsCid(HELLO, { cidVersion: 0, rawLeaves: true }), /Raw leaves require CIDv1/);
+    });
+
+    it('compares CIDs across versions', async () => {
+        const v0 = (await buildUnixFsCid(crypto.randomBytes(300 * 1024))).cid;
+        const dagPbV1 = (await buildUnixFsCid(crypto.randomBytes(10), { cidVersion: 1, rawLeaves: false })).cid;
+        assert.equal(sameCid(v0, CID.parse(v0).toV1().toString()), true);
+        assert.equal(sameCid(v0, dagPbV1), false);
+        assert.equal(sameCid(v0, 'not-a-cid'), false);
+        assert.equal(sameCid(v0, null), false);
+    });
+});
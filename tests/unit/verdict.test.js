@@ -0,0 +1,117 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreRelevance } from '../../packages/agents/evidence/relevance.js';
+import GatherEvidenceStage from '../../packages/agents/pipeline/stages/gather-evidence.js';
+import VerdictStage from '../../packages/agents/pipeline/stages/verdict.js';
+
+const structuredData = {
+    subject: 'Coffee',
+    predicate: 'is good for',
+    object: 'the heart',
+    entities: {}
+};
+const content = 'Coffee is good for the heart.';
+
+const stage = new VerdictStage({}, { log: () => {} });
+
+function evidence(...excerpts) {
+    return excerpts.map((excerpt, index) => ({
+        url: `https://example.org/${index}`,
+        excerpt,
+        relevance: scoreRelevance(structuredData, excerpt)
+    }));
+}
+
+async function verdictFor(evidenceItems, claimText = content) {
+    const claim = { cid: 'QmClaim', content: claimText, structuredData, evidence: {}, evidenceItems };
+    await stage.run(claim);
+    return claim.verdict;
+}
+
+describe('verdict', () => {
+    it('is supported by sources stating the claim', async () => {
+        const verdict = await verdictFor(evidence(
+            'A large study found coffee is good for the heart.',
+            'Doctors agree that coffee is good for the heart in moderation.'
+        ));
+        assert.equal(verdict.verdict, 'supported');
+        assert.equal(verdict.supporting, 2);
+        assert.equal(verdict.confidence, 1);
+        assert.ok(verdict.basis.every(item => item.reason === 'consistent'));
+    });
+
+    it('is contradicted by sources negating the claim', async () => {
+        const verdict = await verdictFor(evidence(
+            'Coffee is not good for the heart, the review concluded.',
+            "Cardiologists say coffee isn't good for the heart."
+        ));
+        assert.equal(verdict.verdict, 'contradicted');
+        assert.equal(verdict.contradicting, 2);
+        assert.ok(verdict.basis.every(item => item.reason === 'opposite-polarity'));
+    });
+
+    it('reads a negated claim against affirming sources', async () => {
+        const verdict = await verdictFor(evidence('Coffee is good for the heart.'), 'Coffee is not good for the heart.');
+        assert.equal(verdict.verdict, 'contradicted');
+    });
+
+    it('is disputed when relevant sources disagree', async () => {
+        const verdict = await verdictFor(evidence(
+            'Coffee is good for the heart.',
+            'Coffee is not good for the heart.'
+        ));
+        assert.equal(verdict.verdict, 'disputed');
+        assert.ok(verdict.confidence < 0.5);
+    });
+
+    it('does not count negations it cannot tie to the claim', async () => {
+        const verdict = await verdictFor(evidence(
+            'It is not surprising: coffee is good for the heart.',
+            'The idea that coffee is good for the heart is a myth.'
+        ));
+        assert.equal(verdict.supporting, 1);
+        assert.equal(verdict.basis[1].stance, 'unclassified');
+        assert.equal(verdict.basis[1].reason, 'negation-not-tied-to-claim');
+        assert.equal(verdict.confidence, 0.5);
+    });
+
+    it('is unverified without relevant evidence', async () => {
+        const verdict = await verdictFor(evidence('Tea prices rose sharply last year.'));
+        assert.equal(verdict.verdict, 'unverified');
+        assert.equal(verdict.confidence, 0);
+        assert.deepEqual(verdict.basis, []);
+        await assert.rejects(stage.run({ structuredData }), /needs a structured claim/);
+    });
+
+    it('weighs the evidence the mock provider returns', async () => {
+        const documents = [
+            { url: 'https://journal.example/coffee', text: 'A ten-year study shows coffee is good for the heart.' },
+            { url: 'https://clinic.example/coffee', text: 'Our cardiologists confirm that coffee is good for the heart.' },
+            { url: 'https://blog.example/tea', text: 'Tea is popular in winter.' }
+        ];
+        const gather = new GatherEvidenceStage({ provider: 'mock', providers: { mock: { documents } } }, { log: () => {} });
+        const claim = {
+            cid: 'QmClaim',
+            key: '0.0.1001/1',
+            content,
+            structuredData,
+            evidenceRetrievalPlan: { searchQueries: ['"Coffee" "is good for" "the heart"', 'tea'] }
+        };
+        await gather.run(claim);
+        assert.equal(claim.evidence.pagesExamined, 3);
+        assert.deepEqual(claim.evidenceItems.map(item => item.url).sort(), ['https://clinic.example/coffee', 'https://journal.example/coffee']);
+        assert.deepEqual(gather.provider.queries, claim.evidenceRetrievalPlan.searchQueries);
+
+        await stage.run(claim);
+        assert.equal(claim.verdict.verdict, 'supported');
+        assert.equal(claim.verdict.supporting, 2);
+    });
+
+    it('contradicts a claimed percentage with another one', async () => {
+        const claimed = { subject: 'Solar power', predicate: 'supplies', object: 'electricity', quantifier: '40%', entities: {} };
+        const excerpt = 'Solar power supplies 12% of electricity.';
+        const item = { excerpt, relevance: scoreRelevance(claimed, excerpt) };
+        assert.deepEqual(stage.stanceOf(item, claimed, 'Solar power supplies 40% of electricity.'), { stance: 'contradicts', reason: 'different-figure' });
+    });
+});